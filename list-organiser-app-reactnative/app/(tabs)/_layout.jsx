@@ -85,6 +85,30 @@ export default function TabLayout() {
           headerTitle: 'About',
         }}
       />
+
+      <Tabs.Screen
+        name="account"
+        options={{
+          href: null,
+          headerTitle: 'Account',
+        }}
+      />
+
+      <Tabs.Screen
+        name="settings"
+        options={{
+          href: null,
+          headerTitle: 'Settings',
+        }}
+      />
+
+      <Tabs.Screen
+        name="sync"
+        options={{
+          href: null,
+          headerTitle: 'Sync',
+        }}
+      />
     </Tabs>
   );
 }
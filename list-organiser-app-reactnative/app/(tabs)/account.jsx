@@ -0,0 +1,265 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { ActivityIndicator, Alert, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import {
+  DEFAULT_API_BASE_URL, DEFAULT_MEDIA_BASE_URL, deleteProfile, getActiveProfile, getProfileById, getProfiles,
+  saveProfile, signOut, subscribeToProfile, switchProfile
+} from "../../services/app";
+
+// Empty sign-in form, pre-filled with the default server
+const EMPTY_PROFILE = { id: null, name: "", baseUrl: DEFAULT_API_BASE_URL, mediaUrl: "", username: "", token: "" };
+
+/**
+ * Account screen component
+ * This screen lets users sign in with an API base URL, token and username, keeps several
+ * saved profiles in the device's secure store, and switches or signs out between them.
+ *
+ * @component
+ * @returns {JSX.Element} Sign-in form with saved profile management
+ */
+export default function AccountScreen() {
+  const [activeProfile, setActiveProfile] = useState(getActiveProfile());
+  const [profiles, setProfiles] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_PROFILE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchProfiles();
+    return subscribeToProfile(setActiveProfile);
+  }, []);
+
+  // Loads the saved profile list
+  const fetchProfiles = async () => {
+    try {
+      setLoading(true);
+      setProfiles(await getProfiles());
+    } catch (error) {
+      Alert.alert("Error", "Failed to load saved profiles.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Updates one input of the sign-in form
+  const handleDraftChange = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Saves the profile in the form and signs in with it
+  const handleSignIn = async () => {
+    try {
+      setSaving(true);
+      const saved = await saveProfile(draft);
+      await switchProfile(saved.id);
+      setDraft(EMPTY_PROFILE);
+      await fetchProfiles();
+      Alert.alert("Signed In", `Now using ${saved.name}.`);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to save profile.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Loads a saved profile, including its token, into the form for editing
+  const handleEditProfile = async (profileId) => {
+    try {
+      const profile = await getProfileById(profileId);
+      if (profile) {
+        setDraft({ ...EMPTY_PROFILE, ...profile });
+      }
+    } catch (error) {
+      Alert.alert("Error", "Failed to load profile.");
+    }
+  };
+
+  // Switches to another saved profile
+  const handleSwitchProfile = async (profileId) => {
+    try {
+      const profile = await switchProfile(profileId);
+      Alert.alert(
+        "Switched Profile",
+        `Now using ${profile.name}. Refresh your forms to see its data. Changes waiting to sync for other profiles are kept for when you switch back.`
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to switch profile.");
+    }
+  };
+
+  // Displays confirmation dialog before deleting a saved profile
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      "Delete Profile",
+      `Are you sure you want to delete "${profile.name}"? Its token will be removed from this device.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteProfile(profile.id);
+              if (draft.id === profile.id) {
+                setDraft(EMPTY_PROFILE);
+              }
+              await fetchProfiles();
+            } catch (error) {
+              Alert.alert("Error", error.message || "Failed to delete profile.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView className="flex-1 bg-background-base px-4 py-6" showsVerticalScrollIndicator={false}>
+      {/* Active Profile */}
+      <View className="bg-white rounded-2xl p-4 mb-4 shadow-sm border border-background-border">
+        <View className="flex-row items-center">
+          <View className="bg-[#E0E3FA] p-3 rounded-full mr-3">
+            <Feather name={activeProfile ? "user-check" : "user-x"} size={20} color="#6B6ECC" />
+          </View>
+          <View className="flex-1">
+            <Text className="text-xl font-dmserif text-text-navy">
+              {activeProfile ? activeProfile.name : "Not Signed In"}
+            </Text>
+            <Text className="text-text-purple font-dmsans text-sm">
+              {activeProfile
+                ? `${activeProfile.username} • ${activeProfile.baseUrl}`
+                : "Sign in below to use the FormBase server"}
+            </Text>
+          </View>
+          {activeProfile && (
+            <TouchableOpacity onPress={signOut} className="bg-[#FFE5E5] px-3 py-2 rounded-full">
+              <Text className="text-[#E53E3E] font-dmsans-bold text-sm">Sign Out</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {/* Saved Profiles */}
+      <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+        <View className="bg-white border border-background-border rounded-2xl p-4">
+          <Text className="text-xl font-dmsans-bold text-text-navy mb-3">Saved Profiles</Text>
+          {loading ? (
+            <ActivityIndicator size="small" color="#9395D3" />
+          ) : profiles.length === 0 ? (
+            <Text className="text-text-purple font-dmsans">No profiles saved yet.</Text>
+          ) : (
+            profiles.map(profile => {
+              const isActive = activeProfile?.id === profile.id;
+              return (
+                <View
+                  key={profile.id}
+                  className={`flex-row items-center p-3 rounded-lg mb-2 border ${
+                    isActive ? "bg-text-lilac border-text-lilac" : "bg-background-tertiary border-background-border"
+                  }`}
+                >
+                  <TouchableOpacity
+                    className="flex-1"
+                    onPress={() => handleSwitchProfile(profile.id)}
+                    disabled={isActive}
+                  >
+                    <Text className={`font-dmsans-bold ${isActive ? "text-white" : "text-text-navy"}`}>
+                      {profile.name}
+                    </Text>
+                    <Text className={`text-xs font-dmsans ${isActive ? "text-white" : "text-text-purple"}`}>
+                      {profile.username} • {profile.baseUrl}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => handleEditProfile(profile.id)} className="bg-[#D8F5D1] p-2 rounded-full ml-2">
+                    <Feather name="edit-2" size={14} color="#4E8B36" />
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => handleDeleteProfile(profile)} className="bg-[#FFE5E5] p-2 rounded-full ml-2">
+                    <Feather name="trash-2" size={14} color="#E53E3E" />
+                  </TouchableOpacity>
+                </View>
+              );
+            })
+          )}
+        </View>
+      </View>
+
+      {/* Sign In Form */}
+      <View className="bg-background-tertiary rounded-2xl p-4 mb-10 shadow-md">
+        <View className="bg-white border border-background-border rounded-2xl p-4">
+          <Text className="text-xl font-dmsans-bold text-text-navy mb-4">
+            {draft.id ? "Edit Profile" : "Sign In"}
+          </Text>
+
+          <Text className="text-text-navy font-dmsans-bold mb-2">Profile Name</Text>
+          <TextInput
+            value={draft.name}
+            onChangeText={(text) => handleDraftChange("name", text)}
+            placeholder="e.g. Work, Personal"
+            className="bg-white border border-text-tertiary rounded-lg p-3 mb-4 font-dmsans"
+          />
+
+          <Text className="text-text-navy font-dmsans-bold mb-2">API Base URL *</Text>
+          <TextInput
+            value={draft.baseUrl}
+            onChangeText={(text) => handleDraftChange("baseUrl", text)}
+            placeholder={DEFAULT_API_BASE_URL}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            className="bg-white border border-text-tertiary rounded-lg p-3 mb-4 font-dmsans"
+          />
+
+          <Text className="text-text-navy font-dmsans-bold mb-2">Media Server URL</Text>
+          <TextInput
+            value={draft.mediaUrl}
+            onChangeText={(text) => handleDraftChange("mediaUrl", text)}
+            placeholder={DEFAULT_MEDIA_BASE_URL}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            className="bg-white border border-text-tertiary rounded-lg p-3 mb-1 font-dmsans"
+          />
+          <Text className="text-text-purple text-xs font-dmsans mb-4">
+            Where photos and videos are uploaded. Leave empty to use the development file server.
+          </Text>
+
+          <Text className="text-text-navy font-dmsans-bold mb-2">Username *</Text>
+          <TextInput
+            value={draft.username}
+            onChangeText={(text) => handleDraftChange("username", text)}
+            placeholder="Your username"
+            autoCapitalize="none"
+            autoCorrect={false}
+            className="bg-white border border-text-tertiary rounded-lg p-3 mb-4 font-dmsans"
+          />
+
+          <Text className="text-text-navy font-dmsans-bold mb-2">API Token *</Text>
+          <TextInput
+            value={draft.token}
+            onChangeText={(text) => handleDraftChange("token", text)}
+            placeholder="Paste your JWT token"
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+            className="bg-white border border-text-tertiary rounded-lg p-3 mb-4 font-dmsans"
+          />
+
+          <TouchableOpacity
+            disabled={saving}
+            className={`py-3 rounded-full items-center ${saving ? "bg-gray-400" : "bg-text-lilac"}`}
+            onPress={handleSignIn}
+          >
+            <Text className="text-white font-dmsans-bold">
+              {saving ? "Saving..." : draft.id ? "Save & Use Profile" : "Sign In"}
+            </Text>
+          </TouchableOpacity>
+
+          {draft.id && (
+            <TouchableOpacity className="py-3 items-center mt-1" onPress={() => setDraft(EMPTY_PROFILE)}>
+              <Text className="text-text-lilac font-dmsans-medium">Cancel Editing</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </ScrollView>
+  );
+}
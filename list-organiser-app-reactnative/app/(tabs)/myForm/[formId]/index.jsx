@@ -1,13 +1,24 @@
 import { Feather } from "@expo/vector-icons";
+import * as DocumentPicker from 'expo-document-picker';
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useEffect, useState } from "react";
-import { ActivityIndicator, Alert, Image, ScrollView, Text, TouchableOpacity, View } from "react-native";
-import { getFieldsByFormId, getFormById, getRecordsByFormId } from '../../../../services/app';
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import CsvImporter from '../../../../components/CsvImporter';
+import FieldManager from '../../../../components/FieldManager';
+import MediaGallery from '../../../../components/MediaGallery';
+import { appendFieldsToForm, createFormWithFields, getFieldsByFormId, getFormById, getRecordsPage } from '../../../../services/app';
+import { shareTextFile } from '../../../../services/exporters';
+import { formatFieldValue, FORMATTED_TYPES, getFieldTypeLabel } from '../../../../services/fieldTypes';
+import { buildFormDefinition, FORM_DEFINITION_FILE, readFormDefinitionFile } from '../../../../services/formDefinitions';
+
+// Only the first few records are shown here, the records screen pages through the rest
+const RECORD_PREVIEW_COUNT = 5;
 
 /**
  * Form detail screen component 
  * This screen displays detailed information about a specific form including its structure,
- * fields configuration and add fields and records.
+ * fields configuration and add fields and records. Fields can be reordered, renamed, edited
+ * and deleted through the field manager, and the schema can be shared as a form definition file.
  * 
  * @component
  * @returns {JSX.Element} Detailed form interface with fields, records, and management actions
@@ -18,8 +29,12 @@ export default function FormDetail() {
   const [form, setForm] = useState(null);
   const [fields, setFields] = useState([]);
   const [records, setRecords] = useState([]);
+  const [recordTotal, setRecordTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [showFieldManager, setShowFieldManager] = useState(false);
+  const [showImporter, setShowImporter] = useState(false);
+  const [definitionErrors, setDefinitionErrors] = useState([]);
 
   useEffect(() => {
     if (formId) {
@@ -27,19 +42,20 @@ export default function FormDetail() {
     }
   }, [formId]);
 
-  // Fetches form data including form details, fields, and records. Promise.all for parallel fetching
+  // Fetches form data including form details, fields, and the first few records. Promise.all for parallel fetching
   const fetchFormData = async () => {
     try {
       setLoading(true);
-      const [formData, formFields, formRecords] = await Promise.all([
+      const [formData, formFields, recordsPage] = await Promise.all([
         getFormById(formId),
         getFieldsByFormId(formId),
-        getRecordsByFormId(formId)
+        getRecordsPage(formId, { limit: RECORD_PREVIEW_COUNT })
       ]);
       
       setForm(formData[0]);
-      setFields(formFields);
-      setRecords(formRecords);
+      setFields(formFields.sort((a, b) => a.order_index - b.order_index));
+      setRecords(recordsPage.records);
+      setRecordTotal(recordsPage.total);
     } catch (error) {
       Alert.alert("Error", "Failed to load form details.");
     } finally {
@@ -48,39 +64,114 @@ export default function FormDetail() {
     }
   };
 
+  // Refetches fields and records without the loading screen, so the field manager stays open after saving
+  const handleFieldsChanged = async () => {
+    try {
+      const [formFields, recordsPage] = await Promise.all([
+        getFieldsByFormId(formId),
+        getRecordsPage(formId, { limit: RECORD_PREVIEW_COUNT })
+      ]);
+      setFields(formFields.sort((a, b) => a.order_index - b.order_index));
+      setRecords(recordsPage.records);
+      setRecordTotal(recordsPage.total);
+    } catch (error) {
+      Alert.alert("Error", "Failed to reload form fields.");
+    }
+  };
+
   // Handles manual refresh of form data
   const handleRefresh = async () => {
     setRefreshing(true);
     await fetchFormData();
   };
 
-  // Renders field values with display for photo objects, otherwise display as text
-  const renderFieldValue = (value) => {
+  // Shares the form's schema as a portable form definition file
+  const handleExportDefinition = async () => {
     try {
-      const parsedValue = typeof value === 'string' ? JSON.parse(value) : value;
-      
-      if (parsedValue && parsedValue.uri) {
-        return (
-          <View className="mt-2">
-            <Image
-              source={{ uri: parsedValue.uri }}
-              style={{ 
-                width: 100, 
-                height: 100, 
-                borderRadius: 8,
-              }}
-              resizeMode="cover"
-            />
-          </View>
-        );
+      await shareTextFile(form.name, FORM_DEFINITION_FILE, buildFormDefinition(form, fields));
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to export form definition.");
+    }
+  };
+
+  // Picks a form definition file, lists its problems or asks where to import its fields
+  const handleImportDefinition = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ["application/json", "text/plain", "application/octet-stream"],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.length) return;
+
+      const { definition, errors } = await readFormDefinitionFile(result.assets[0].uri);
+      setDefinitionErrors(errors);
+      if (!definition) return;
+
+      Alert.alert(
+        "Import Form Definition",
+        `"${definition.name}" has ${definition.fields.length} field${definition.fields.length !== 1 ? 's' : ''}.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Add to This Form", onPress: () => importIntoThisForm(definition) },
+          { text: "Create New Form", onPress: () => importAsNewForm(definition) }
+        ]
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to read the form definition.");
+    }
+  };
+
+  // Appends the definition's fields to this form, skipping names already in use
+  const importIntoThisForm = async (definition) => {
+    try {
+      const { added, skipped } = await appendFieldsToForm(formId, definition.fields);
+      await handleFieldsChanged();
+      Alert.alert(
+        "Import Complete",
+        `Added ${added.length} field${added.length !== 1 ? 's' : ''}.` +
+          (skipped.length > 0 ? ` Skipped existing: ${skipped.join(", ")}.` : "")
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to import fields.");
+    }
+  };
+
+  // Creates a separate form from the definition and opens it
+  const importAsNewForm = async (definition) => {
+    try {
+      const newForm = await createFormWithFields(
+        { name: definition.name, description: definition.description },
+        definition.fields
+      );
+      if (newForm.pending) {
+        Alert.alert("Saved Offline", `"${definition.name}" will be created when you are back online.`);
+        return;
       }
-    } catch (e) {
-      // fall to regular text display
+      router.push(`/(tabs)/myForm/${newForm.id}`);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to create form.");
+    }
+  };
+
+  // Renders field values with display for photo objects, otherwise display as text
+  const renderFieldValue = (value, key) => {
+    // Dates, times, checkboxes, ratings and numbers with units have a display format
+    const field = fields.find(item => item.name === key);
+    if (field && FORMATTED_TYPES.includes(field.field_type)) {
+      return (
+        <Text className="text-text-navy text-sm font-dmsans">
+          {formatFieldValue(field, value)}
+        </Text>
+      );
+    }
+
+    if (field?.field_type === 'photo/video') {
+      return <MediaGallery value={value} size="small" />;
     }
 
     return (
       <Text className="text-text-navy text-sm font-dmsans">
-        {String(value)}
+        {formatFieldValue(field, value)}
       </Text>
     );
   };
@@ -126,6 +217,20 @@ export default function FormDetail() {
               {form.description || "No description provided"}
             </Text>
           </View>
+          <TouchableOpacity
+            onPress={handleImportDefinition}
+            className="p-2 -mt-1"
+          >
+            <Feather name="download" size={18} color="#9395D3" />
+          </TouchableOpacity>
+          {fields.length > 0 && (
+            <TouchableOpacity
+              onPress={handleExportDefinition}
+              className="p-2 -mt-1"
+            >
+              <Feather name="share-2" size={18} color="#9395D3" />
+            </TouchableOpacity>
+          )}
           <TouchableOpacity 
             onPress={handleRefresh}
             disabled={refreshing}
@@ -156,7 +261,7 @@ export default function FormDetail() {
               <Feather name="database" size={16} color="#4E8B36" />
             </View>
             <View>
-              <Text className="text-text-navy font-dmsans-bold text-base">{records.length}</Text>
+              <Text className="text-text-navy font-dmsans-bold text-base">{recordTotal}</Text>
               <Text className="text-text-purple text-xs">Records</Text>
             </View>
           </View>
@@ -164,10 +269,36 @@ export default function FormDetail() {
       </View>
 
       <ScrollView showsVerticalScrollIndicator={false}>
+        {/* Form Definition Import Errors */}
+        {definitionErrors.length > 0 && (
+          <View className="bg-white border border-[#FADADA] rounded-2xl p-4 mb-4">
+            <View className="flex-row justify-between items-center mb-2">
+              <Text className="text-text-navy font-dmsans-bold">Form definition could not be imported</Text>
+              <TouchableOpacity onPress={() => setDefinitionErrors([])}>
+                <Feather name="x" size={18} color="#bb3f3f" />
+              </TouchableOpacity>
+            </View>
+            {definitionErrors.map((error, index) => (
+              <Text key={index} className="text-[#bb3f3f] text-sm font-dmsans mb-1">• {error}</Text>
+            ))}
+          </View>
+        )}
+
         {/* Fields Section */}
         <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
           <View className="bg-white border border-background-border rounded-2xl p-4">
-            <Text className="text-xl font-dmsans-bold text-text-navy mb-3">Form Fields</Text>
+            <View className="flex-row justify-between items-center mb-3">
+              <Text className="text-xl font-dmsans-bold text-text-navy">Form Fields</Text>
+              {fields.length > 0 && (
+                <TouchableOpacity
+                  className="flex-row items-center bg-[#E0E3FA] px-3 py-2 rounded-full"
+                  onPress={() => setShowFieldManager(true)}
+                >
+                  <Feather name="sliders" size={14} color="#6B6ECC" />
+                  <Text className="ml-2 text-text-navy font-dmsans text-sm">Manage</Text>
+                </TouchableOpacity>
+              )}
+            </View>
             {fields.length === 0 ? (
               <View className="items-center py-4">
                 <Feather name="inbox" size={40} color="#C3C5F4" />
@@ -193,7 +324,7 @@ export default function FormDetail() {
                           </Text>
                         )}
                         <Text className="text-text-purple text-xs font-dmsans bg-[#E0E3FA] px-2 py-1 rounded-full">
-                          {field.field_type}
+                          {getFieldTypeLabel(field.field_type)}
                         </Text>
                       </View>
                     </View>
@@ -219,7 +350,18 @@ export default function FormDetail() {
         {/* Records Section */}
         <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
           <View className="bg-white border border-background-border rounded-2xl p-4">
-            <Text className="text-xl font-dmsans-bold text-text-navy mb-3">Form Records</Text>
+            <View className="flex-row justify-between items-center mb-3">
+              <Text className="text-xl font-dmsans-bold text-text-navy">Form Records</Text>
+              {fields.length > 0 && (
+                <TouchableOpacity
+                  className="flex-row items-center bg-[#E0E3FA] px-3 py-2 rounded-full"
+                  onPress={() => setShowImporter(true)}
+                >
+                  <Feather name="upload" size={14} color="#6B6ECC" />
+                  <Text className="ml-2 text-text-navy font-dmsans text-sm">Import CSV</Text>
+                </TouchableOpacity>
+              )}
+            </View>
             {records.length === 0 ? (
               <View className="items-center py-4">
                 <Feather name="file-text" size={40} color="#C3C5F4" />
@@ -235,18 +377,31 @@ export default function FormDetail() {
             ) : (
               <>
                 {records.map((record, index) => (
-                  <View key={record.id} className="bg-background-tertiary p-4 rounded-lg mb-3">
+                  <TouchableOpacity
+                    key={record.id}
+                    className="bg-background-tertiary p-4 rounded-lg mb-3"
+                    onPress={() => router.push(`/(tabs)/myForm/details/${record.id}?formId=${formId}`)}
+                  >
                     <Text className="text-text-navy font-dmsans-bold mb-3">Record #{index + 1}</Text>
                     {Object.entries(record.values || {}).map(([key, value]) => (
                       <View key={key} className="mb-2">
                         <Text className="text-text-purple text-sm font-dmsans-medium">
                           {key}:
                         </Text>
-                        {renderFieldValue(value)}
+                        {renderFieldValue(value, key)}
                       </View>
                     ))}
-                  </View>
+                  </TouchableOpacity>
                 ))}
+                {recordTotal > records.length && (
+                  <TouchableOpacity
+                    className="bg-[#E0E3FA] mt-1 py-3 rounded-full items-center flex-row justify-center"
+                    onPress={() => router.push(`/(tabs)/myForm/${formId}/records`)}
+                  >
+                    <Feather name="list" size={16} color="#6B6ECC" />
+                    <Text className="text-[#6B6ECC] font-dmsans-bold px-2 ml-2">View All {recordTotal} Records</Text>
+                  </TouchableOpacity>
+                )}
                 {/* Add Record Button, only when records exist already */}
                 <TouchableOpacity
                   className="bg-text-lilac mt-4 py-3 rounded-full items-center flex-row justify-center"
@@ -261,6 +416,24 @@ export default function FormDetail() {
         </View>
       </ScrollView>
       
+      {/* Field Manager Modal */}
+      <FieldManager
+        visible={showFieldManager}
+        formId={formId}
+        fields={fields}
+        onClose={() => setShowFieldManager(false)}
+        onFieldsChanged={handleFieldsChanged}
+      />
+
+      {/* CSV Import Modal */}
+      <CsvImporter
+        visible={showImporter}
+        formId={formId}
+        fields={fields}
+        onClose={() => setShowImporter(false)}
+        onImported={handleFieldsChanged}
+      />
+
       {/* Back to List Button */}
       <TouchableOpacity
         className="mt-5 rounded-full items-center"
@@ -1,265 +1,336 @@
 import { Feather } from "@expo/vector-icons";
 import * as Clipboard from 'expo-clipboard';
+import * as Linking from 'expo-linking';
 import { useLocalSearchParams, useRouter } from "expo-router";
-import { useEffect, useState } from "react";
-import { ActivityIndicator, Alert, Image, Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
-import { deleteRecord, getFieldsByFormId, getRecordsByFormId } from '../../../../services/app';
+import { useEffect, useRef, useState } from "react";
+import { ActivityIndicator, Alert, FlatList, Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import MediaGallery from '../../../../components/MediaGallery';
+import MediaViewer from '../../../../components/MediaViewer';
+import RecordsTable from '../../../../components/RecordsTable';
+import ViewEditor from '../../../../components/ViewEditor';
+import { deleteRecord, getAllRecordsMatching, getFieldsByFormId, getFormById, getRecordsPage } from '../../../../services/app';
+import { buildRecordsExport, EXPORT_FORMATS, shareExport } from '../../../../services/exporters';
+import { formatFieldValue, FORMATTED_TYPES } from '../../../../services/fieldTypes';
+import { collectRecordMedia } from '../../../../services/media';
+import {
+  describeSort, getFilterTargets, getOperatorsForTarget, getSearchableKeys, groupFilters, RECORD_SORT_OPTIONS,
+  splitSearchMatches
+} from '../../../../services/recordFilters';
+import {
+  deleteFormView, getFormLayout, getFormSort, getFormViewById, getFormViews, saveFormLayout, saveFormSort, saveFormView
+} from '../../../../services/views';
+
+// Stored formats of date and time values, shown as hints when filtering by them
+const DATE_FILTER_PLACEHOLDERS = { date: "YYYY-MM-DD", time: "HH:MM", datetime: "YYYY-MM-DDTHH:MM" };
 
 /**
  * Records screen component and filtering between records
- * This screen provides comprehensive record viewing, filtering, copy and deletion capabilities.
+ * This screen provides comprehensive record viewing, filtering, copy, export and deletion capabilities.
+ * Records are loaded a page at a time with the filters, search and sort applied by the backend,
+ * and the list is virtualised so large forms stay responsive. Records show as cards or as a table, and
+ * the layout and sort are remembered per form. Filters, sort order and visible columns can be saved
+ * as named views, and a view can be opened directly with a ?view=<id> deep link. Tapping a photo or
+ * video opens a full-screen viewer that swipes across the media of every record matching the filters.
  * 
  * @component
  * @returns {JSX.Element} Advanced records management interface with filtering and data operations
  */
 export default function RecordsScreen() {
-  const { formId } = useLocalSearchParams();
+  const { formId, view: viewParam } = useLocalSearchParams();
   const router = useRouter();
   const [records, setRecords] = useState([]);
+  const [totalRecords, setTotalRecords] = useState(0);
   const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [listLoading, setListLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [ready, setReady] = useState(false);
+  const [form, setForm] = useState(null);
+  const [showExportOptions, setShowExportOptions] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
-  // Filter states
+  // Filter states, filters are edited in the builder and only sent once applied
   const [filters, setFilters] = useState([]);
+  const [appliedFilters, setAppliedFilters] = useState([]);
   const [showFilterBuilder, setShowFilterBuilder] = useState(false);
   const [currentFilter, setCurrentFilter] = useState({
-    fieldType: '',
+    field: '',
     operator: '',
     value: '',
     logic: 'and'
   });
 
-  // Group fields by type and detect data types, determines which fields contain text vs numeric data 
-  const getFieldCategories = () => {
-    const categories = {
-      text: { label: 'Text Fields', hasText: false, hasNumeric: false },
-      multiline: { label: 'Multiline Fields', hasText: false, hasNumeric: false },
-      dropdown: { label: 'Dropdown Fields', hasText: false, hasNumeric: false }
-    };
-
-    // Checking for field definitions for numeric setting, change hasNumeric
-    fields.forEach(field => {
-      if (field.field_type === 'text' || field.field_type === 'multiline' || field.field_type === 'dropdown') {
-        if (field.is_num) {
-          categories[field.field_type].hasNumeric = true;
-        } else {
-          categories[field.field_type].hasText = true;
-        }
-      }
-    });
+  // Saved view states
+  const [views, setViews] = useState([]);
+  const [activeView, setActiveView] = useState(null);
+  const [sort, setSort] = useState(null);
+  const [layout, setLayout] = useState('cards');
+  const [visibleColumns, setVisibleColumns] = useState(null);
+  const [showViewEditor, setShowViewEditor] = useState(false);
 
-    // Checking record data to detect mixed types
-    records.forEach(record => {
-      Object.entries(record.values || {}).forEach(([fieldName, value]) => {
-        const field = fields.find(f => f.name === fieldName);
-        if (field && categories[field.field_type]) {
-          // Check if the value is numeric
-          if (value && !isNaN(parseFloat(value)) && isFinite(value)) {
-            categories[field.field_type].hasNumeric = true;
-          } else if (value && typeof value === 'string' && value.trim() !== '') {
-            categories[field.field_type].hasText = true;
-          }
-        }
-      });
-    });
+  // Search and sort states
+  const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [showSortOptions, setShowSortOptions] = useState(false);
 
-    return categories;
-  };
+  // Full-screen viewer over the filtered records' media, as { items, index } while open
+  const [mediaViewer, setMediaViewer] = useState(null);
 
-  const fieldCategories = getFieldCategories();
-
-  // Determines available filter operators based on detected data types in a field category
-  const getOperatorsForFieldType = (fieldType) => {
-    const category = fieldCategories[fieldType];
-    if (!category) return [];
-    
-    const numericOperators = [
-      { value: 'gt', label: 'Greater Than' },
-      { value: 'lt', label: 'Less Than' },
-      { value: 'gte', label: 'Greater or Equal' },
-      { value: 'lte', label: 'Less or Equal' }
-    ];
-    
-    const stringOperators = [
-      { value: 'ilike', label: 'Contains' },
-      { value: 'like', label: 'Starts With' }
-    ];
-
-    // Always include equals as it works for both text and numbers
-    const equalsOperator = { value: 'eq', label: 'Equals' };
-
-    if (category.hasNumeric && category.hasText) {
-      // Both numeric and text data present 
-      return [equalsOperator, ...numericOperators, ...stringOperators];
-    } else if (category.hasNumeric) {
-      // Only numeric data
-      return [equalsOperator, ...numericOperators];
-    } else {
-      // Only text data (default)
-      return [equalsOperator, ...stringOperators];
-    }
+  // Increases with every first-page load so responses for an older query are ignored
+  const latestRequest = useRef(0);
+
+  // Individual fields that can be filtered, and the target picked in the builder
+  const filterTargets = getFilterTargets(fields);
+  const currentTarget = filterTargets.find(target => target.key === currentFilter.field);
+  // Multi-select filters hold a list of choices, which needs at least one
+  const hasFilterValue = Array.isArray(currentFilter.value) ? currentFilter.value.length > 0 : Boolean(currentFilter.value);
+
+  // Describes a filter for the active filters list
+  const describeFilter = (filter) => {
+    const target = filterTargets.find(item => item.key === filter.field);
+    const operator = getOperatorsForTarget(target).find(op => op.value === filter.operator);
+    const value = target?.kind === 'boolean' ? (filter.value === 'true' ? 'Yes' : 'No')
+      : Array.isArray(filter.value) ? filter.value.join(', ')
+      : filter.value;
+    return `${target?.label || filter.field} ${operator?.label || filter.operator} "${value}"`;
   };
 
-  // Provides descriptive text about the data types available for filtering in each field category
-  const getDataTypeDescription = (fieldType) => {
-    const category = fieldCategories[fieldType];
-    if (!category) return '';
-    
-    if (category.hasNumeric && category.hasText) {
-      return 'Filter by Text & Numbers';
-    } else if (category.hasNumeric) {
-      return 'Filter by Numbers';
-    } else {
-      return 'Filter by Text';
+  // Builds the backend query from the applied filters, search and sort
+  const buildQuery = () => ({
+    filters: appliedFilters.map(filter => ({
+      field: filter.field,
+      operator: filter.operator,
+      value: filter.value,
+      logic: filter.logic,
+      isNumeric: Boolean(filterTargets.find(target => target.key === filter.field)?.isNumeric)
+    })),
+    search: { text: debouncedSearch, keys: getSearchableKeys(fields) },
+    sort: sort ? { ...sort, isNumeric: Boolean(fields.find(field => field.name === sort.field)?.is_num) } : null
+  });
+
+  // Fetches the first page of records for the current query, replacing the list
+  const fetchRecords = async () => {
+    const requestId = ++latestRequest.current;
+    try {
+      setListLoading(true);
+      const page = await getRecordsPage(formId, { ...buildQuery(), offset: 0 });
+      if (requestId !== latestRequest.current) return;
+      setRecords(page.records);
+      setTotalRecords(page.total);
+    } catch (error) {
+      Alert.alert("Error", "Failed to load records.");
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setListLoading(false);
+        setRefreshing(false);
+      }
     }
   };
 
-  // Fetches records from the backend, handles applying active filters too
-  const fetchRecords = async (appliedFilters = []) => {
+  // Appends the next page when the list is scrolled near its end
+  const fetchMoreRecords = async () => {
+    if (loadingMore || listLoading || records.length >= totalRecords) return;
+
+    const requestId = latestRequest.current;
     try {
-      setLoading(true);
-      
-      let recordsData;
-      if (appliedFilters.length > 0) {
-        recordsData = await applyFilters(appliedFilters);
-      } else {
-        recordsData = await getRecordsByFormId(formId);
-      }
-      
-      setRecords(recordsData);
-      
+      setLoadingMore(true);
+      const page = await getRecordsPage(formId, { ...buildQuery(), offset: records.length });
+      if (requestId !== latestRequest.current) return;
+      setRecords(prev => [...prev, ...page.records]);
+      setTotalRecords(page.total);
     } catch (error) {
-      Alert.alert("Error", "Failed to load records.");
+      Alert.alert("Error", "Failed to load more records.");
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      setLoadingMore(false);
     }
   };
 
-  // Fetches form field 
+  // Fetches form field and the form itself, used for exports
   const fetchFormFields = async () => {
     try {
-      const formFields = await getFieldsByFormId(formId);
+      const [formData, formFields] = await Promise.all([
+        getFormById(formId),
+        getFieldsByFormId(formId)
+      ]);
+      setForm(formData[0]);
       setFields(formFields);
     } catch (error) {
       Alert.alert("Error", "Failed to load fields.");
     }
   };
 
+  // Loads the form's saved views
+  const fetchViews = async () => {
+    try {
+      setViews(await getFormViews(formId));
+    } catch (error) {
+      Alert.alert("Error", "Failed to load saved views.");
+    }
+  };
+
+  // Loads the fields and remembered sort first, records need both to build their query
   useEffect(() => {
     if (formId) {
-      fetchRecords();
-      fetchFormFields();
+      setReady(false);
+      fetchViews();
+      getFormLayout(formId).then(setLayout).catch(() => {});
+      Promise.all([
+        fetchFormFields(),
+        // A deep-linked view brings its own sort order
+        viewParam ? null : getFormSort(formId).then(setSort).catch(() => {})
+      ]).then(() => setReady(true));
     } else {
       setLoading(false);
     }
   }, [formId]);
 
+  // Reloads from the first page whenever the query changes
+  useEffect(() => {
+    if (ready) {
+      fetchRecords();
+    }
+  }, [ready, appliedFilters, debouncedSearch, sort]);
+
+  // Waits for a pause in typing before searching on the backend
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Opens the view named in a deep link once the fields are known, so numeric filters are sent as numbers
+  useEffect(() => {
+    if (!viewParam || !form) return;
+    getFormViewById(formId, viewParam).then(view => {
+      if (view) {
+        handleOpenView(view);
+      } else {
+        Alert.alert("View Not Found", "This form has no view matching the link. It may have been deleted.");
+      }
+    });
+  }, [viewParam, form]);
+
   // Handles manual refresh of records data
   const handleRefresh = async () => {
     setRefreshing(true);
     await fetchRecords();
   };
 
-  // Main logic to apply filters to record data
-  const applyFilters = async (filtersToApply = filters) => {
-    if (filtersToApply.length === 0) {
-      return await getRecordsByFormId(formId);
-    }
+  // Applies currently configured filters to the records dataset
+  const handleApplyFilters = () => {
+    setAppliedFilters(filters);
+  };
+
+  // Clears all active filters and resets to show all records
+  const handleClearFilters = () => {
+    setFilters([]);
+    setAppliedFilters([]);
+    setActiveView(null);
+  };
+
+  // Applies a saved view's filters, sort order and columns
+  const handleOpenView = (view) => {
+    setActiveView(view);
+    setFilters(view.filters);
+    setAppliedFilters(view.filters);
+    setSort(view.sort);
+    setVisibleColumns(view.visibleColumns);
+  };
 
+  // Goes back to every record with all columns, in the form's remembered sort order
+  const handleShowAllRecords = async () => {
+    setSort(await getFormSort(formId));
+    setVisibleColumns(null);
+    handleClearFilters();
+  };
+
+  // Saves the applied filters, the ones the list shows, with the name, sort and columns chosen in the editor
+  const handleSaveView = async ({ name, sort: viewSort, visibleColumns: viewColumns }) => {
     try {
-      // For category-based filtering (client-side)
-      const allRecords = await getRecordsByFormId(formId);
-      
-      const filteredRecords = allRecords.filter(record => {
-        return filtersToApply.every((filter) => {
-          // Find all fields of this type in the record
-          const matchingFields = Object.entries(record.values || {}).filter(([fieldName]) => {
-            const field = fields.find(f => f.name === fieldName);
-            return field && field.field_type === filter.fieldType;
-          });
-
-          // Check if any of the matching fields meet the criteria
-          return matchingFields.some(([fieldName, fieldValue]) => {
-            const stringValue = fieldValue?.toString() || '';
-            const filterValue = filter.value.toLowerCase();
-            const currentValue = stringValue.toLowerCase();
-
-            const category = fieldCategories[filter.fieldType];
-            const hasNumeric = category?.hasNumeric;
-            const hasText = category?.hasText;
-            
-            // Try numeric comparison first if both types are possible in user input
-            if (hasNumeric && !isNaN(parseFloat(stringValue)) && isFinite(stringValue)) {
-              const numValue = parseFloat(stringValue);
-              const numFilter = parseFloat(filter.value);
-              
-              switch (filter.operator) {
-                case 'eq': return numValue === numFilter;
-                case 'gt': return numValue > numFilter;
-                case 'lt': return numValue < numFilter;
-                case 'gte': return numValue >= numFilter;
-                case 'lte': return numValue <= numFilter;
-                // Fall through to string comparison
-              }
-            }
-            
-            // String comparison 
-            if (hasText) {
-              switch (filter.operator) {
-                case 'eq': return currentValue === filterValue;
-                case 'ilike': return currentValue.includes(filterValue);
-                case 'like': return currentValue.startsWith(filterValue);
-                // For numeric operators on text data, try to parse
-                case 'gt': 
-                case 'lt': 
-                case 'gte': 
-                case 'lte':
-                  if (!isNaN(parseFloat(stringValue)) && isFinite(stringValue)) {
-                    const numValue = parseFloat(stringValue);
-                    const numFilter = parseFloat(filter.value);
-                    switch (filter.operator) {
-                      case 'gt': return numValue > numFilter;
-                      case 'lt': return numValue < numFilter;
-                      case 'gte': return numValue >= numFilter;
-                      case 'lte': return numValue <= numFilter;
-                    }
-                  }
-                  return false;
-                default: return false;
+      const isSameName = activeView && activeView.name.toLowerCase() === name.trim().toLowerCase();
+      const saved = await saveFormView(formId, {
+        id: isSameName ? activeView.id : undefined,
+        name,
+        filters: appliedFilters,
+        sort: viewSort,
+        visibleColumns: viewColumns
+      });
+      setActiveView(saved);
+      setSort(saved.sort);
+      setVisibleColumns(saved.visibleColumns);
+      setShowViewEditor(false);
+      await fetchViews();
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to save view.");
+    }
+  };
+
+  // Offers to copy a deep link to the view or delete it
+  const handleViewOptions = (view) => {
+    Alert.alert(
+      view.name,
+      "What would you like to do with this view?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Copy Link",
+          onPress: async () => {
+            const link = Linking.createURL(`/myForm/${formId}/records`, { queryParams: { view: view.id } });
+            await Clipboard.setStringAsync(link);
+            Alert.alert("Link Copied", link);
+          }
+        },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setViews(await deleteFormView(formId, view.id));
+              if (activeView?.id === view.id) {
+                setActiveView(null);
               }
+            } catch (error) {
+              Alert.alert("Error", "Failed to delete view.");
             }
-            
-            return false;
-          });
-        });
-      });
+          }
+        }
+      ]
+    );
+  };
 
-      return filteredRecords;
+  // Switches between the card and table layouts and remembers the choice for this form
+  const handleToggleLayout = async () => {
+    const newLayout = layout === 'table' ? 'cards' : 'table';
+    setLayout(newLayout);
+    try {
+      await saveFormLayout(formId, newLayout);
     } catch (error) {
-      Alert.alert("Error applying fields");
-      throw error;
+      console.error("Error saving layout:", error);
     }
   };
 
-  // Applies currently configured filters to the records dataset
-  const handleApplyFilters = async () => {
+  // Changes the sort order and remembers it for this form
+  const handleChangeSort = async (newSort, closeOptions = true) => {
+    setSort(newSort);
+    if (closeOptions) {
+      setShowSortOptions(false);
+    }
     try {
-      setLoading(true);
-      const filteredRecords = await applyFilters(filters);
-      setRecords(filteredRecords);
+      await saveFormSort(formId, newSort);
     } catch (error) {
-      Alert.alert("Error", "Failed to apply filters. Please try again.");
-    } finally {
-      setLoading(false);
+      console.error("Error saving sort order:", error);
     }
   };
 
-  // Clears all active filters and resets to show all records
-  const handleClearFilters = async () => {
-    setFilters([]);
-    await fetchRecords();
+  const searchableKeys = getSearchableKeys(fields);
+
+  // Whether a record value belongs to a column hidden by the active view
+  const isValueVisible = (key) => {
+    if (!visibleColumns) return true;
+    const field = fields.find(item => item.name === key)
+      || fields.find(item => item.field_type === 'location' && `${item.name} Name` === key);
+    return !field || visibleColumns.includes(field.name);
   };
 
   // Copies record data to clipboard as formatted JSON
@@ -273,6 +344,21 @@ export default function RecordsScreen() {
     }
   };
 
+  // Exports every record matching the applied filters and search, not just the loaded pages
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      const allRecords = await getAllRecordsMatching(formId, buildQuery());
+      const contents = buildRecordsExport(format, form, fields, allRecords);
+      await shareExport(form?.name || `form-${formId}`, format, contents);
+      setShowExportOptions(false);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to export records.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Handles record deletion 
   const handleDeleteRecord = async (record) => {
     Alert.alert(
@@ -287,7 +373,7 @@ export default function RecordsScreen() {
             try {
               await deleteRecord(record.id);
               Alert.alert("Success", "Record deleted successfully");
-              fetchRecords(filters);
+              fetchRecords();
             } catch (error) {
               Alert.alert("Error", error.message || "Failed to delete record.");
             }
@@ -297,24 +383,40 @@ export default function RecordsScreen() {
     );
   };
 
-  // Function to check if a value is a photo object and render it
-  const renderFieldValue = (value) => {
+  // Opens the viewer at a record's photo or video, able to swipe on through every filtered record
+  const handleOpenMedia = async (record, fieldName, position) => {
+    const findTapped = (items) => items.findIndex(item =>
+      item.recordId === record.id && item.fieldName === fieldName && item.position === position
+    );
+    const loaded = collectRecordMedia(records, fields);
+    setMediaViewer({ items: loaded, index: Math.max(findTapped(loaded), 0) });
+    if (records.length >= totalRecords) return;
+
+    // Records not loaded yet are fetched behind the viewer. The loaded pages come first in the same
+    // order, so the item showing keeps its place when the rest are added
     try {
-      const parsedValue = typeof value === 'string' ? JSON.parse(value) : value;
-      
-      if (parsedValue && parsedValue.uri) {
-        return (
-          <View className="mt-2">
-            <Image
-              source={{ uri: parsedValue.uri }}
-              style={{ width: 300, height: 200, borderRadius: 8 }}
-              resizeMode="cover"
-            />
-          </View>
-        );
-      }
-    } catch (e) {
-      // fall through to text display
+      const all = collectRecordMedia(await getAllRecordsMatching(formId, buildQuery()), fields);
+      setMediaViewer(prev => (prev && prev.index === findTapped(all) ? { ...prev, items: all } : prev));
+    } catch (error) {
+      // The viewer keeps the loaded records' media
+    }
+  };
+
+  // Function to check if a value is a photo object and render it
+  const renderFieldValue = (value, key, record) => {
+    // Dates, times, checkboxes, ratings and numbers with units have a display format
+    const field = fields.find(item => item.name === key);
+    if (field && FORMATTED_TYPES.includes(field.field_type)) {
+      return (
+        <Text className="text-text-navy text-sm font-dmsans mt-1">
+          {formatFieldValue(field, value)}
+        </Text>
+      );
+    }
+
+    // Photos and videos scroll side by side, videos play in place
+    if (field?.field_type === 'photo/video') {
+      return <MediaGallery value={value} onOpenItem={(position) => handleOpenMedia(record, key, position)} />;
     }
 
     // For location data, display coordinates nice
@@ -331,14 +433,21 @@ export default function RecordsScreen() {
       // If not location data, fall through
     }
 
-    // Display as string (Default)
+    // Display as string (Default), multi-select choices joined by commas
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
     return (
       <Text 
         className="text-text-navy text-sm font-dmsans mt-1 flex-1"
         numberOfLines={0} 
         ellipsizeMode="tail" 
       >
-        {String(value)}
+        {debouncedSearch && searchableKeys.includes(key)
+          ? splitSearchMatches(text, debouncedSearch).map((part, index) => (
+            <Text key={index} className={part.match ? "bg-[#FFF1A8] font-dmsans-bold" : undefined}>
+              {part.text}
+            </Text>
+          ))
+          : text}
       </Text>
     );
   };
@@ -389,54 +498,58 @@ export default function RecordsScreen() {
           </View>
 
           <ScrollView className="flex-1 p-4" showsVerticalScrollIndicator={false}>
-            {/* Field Type Selection */}
+            {/* Field Selection */}
             <View className="mb-6">
-              <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Field Type</Text>
+              <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Field</Text>
+              {filterTargets.length === 0 && (
+                <Text className="text-text-purple font-dmsans">This form has no fields that can be filtered.</Text>
+              )}
               <View className="flex-row flex-wrap gap-2">
-                {Object.entries(fieldCategories).map(([type, category]) => (
-                  category.hasText || category.hasNumeric ? (
-                    <TouchableOpacity
-                      key={type}
-                      className={`px-4 py-3 rounded-full border ${
-                        currentFilter.fieldType === type 
-                          ? 'bg-text-lilac border-text-lilac' 
-                          : 'bg-white border-text-tertiary'
-                      }`}
-                      onPress={() => {
-                        setCurrentFilter(prev => ({
-                          ...prev,
-                          fieldType: type,
-                          operator: '',
-                          value: ''
-                        }));
-                      }}
-                    >
-                      <Text className={`font-dmsans-bold ${
-                        currentFilter.fieldType === type 
-                          ? 'text-white' 
-                          : 'text-text-navy'
-                      }`}>
-                        {category.label}
-                      </Text>
-                      <Text className={`text-xs mt-1 ${
-                        currentFilter.fieldType === type 
-                          ? 'text-white' 
-                          : 'text-text-purple'
-                      }`}>
-                        {getDataTypeDescription(type)}
-                      </Text>
-                    </TouchableOpacity>
-                  ) : null
+                {filterTargets.map(target => (
+                  <TouchableOpacity
+                    key={target.key}
+                    className={`px-4 py-3 rounded-full border ${
+                      currentFilter.field === target.key 
+                        ? 'bg-text-lilac border-text-lilac' 
+                        : 'bg-white border-text-tertiary'
+                    }`}
+                    onPress={() => {
+                      setCurrentFilter(prev => ({
+                        ...prev,
+                        field: target.key,
+                        operator: '',
+                        value: target.kind === 'choices' ? [] : ''
+                      }));
+                    }}
+                  >
+                    <Text className={`font-dmsans-bold ${
+                      currentFilter.field === target.key 
+                        ? 'text-white' 
+                        : 'text-text-navy'
+                    }`}>
+                      {target.label}
+                    </Text>
+                    <Text className={`text-xs mt-1 ${
+                      currentFilter.field === target.key 
+                        ? 'text-white' 
+                        : 'text-text-purple'
+                    }`}>
+                      {target.kind === 'date' ? 'Filter by Date'
+                        : target.kind === 'boolean' ? 'Filter by Yes/No'
+                        : target.kind === 'choices' ? 'Filter by Choices'
+                        : target.isNumeric ? 'Filter by Numbers' : 'Filter by Text'}
+                    </Text>
+                  </TouchableOpacity>
                 ))}
               </View>
             </View>
 
-            {/* Operator Selection, only show after field type is selected */}
-            {currentFilter.fieldType && (
+            {/* Operator Selection, only show after a field is selected */}
+            {currentFilter.field && (
               <View className="mb-6">
                 <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Operator</Text>
                 <View className="flex-row flex-wrap gap-2">
-                  {getOperatorsForFieldType(currentFilter.fieldType).map(operator => (
+                  {getOperatorsForTarget(currentTarget).map(operator => (
                     <TouchableOpacity
                       key={operator.value}
                       className={`px-4 py-3 rounded-full border ${
@@ -468,21 +581,65 @@ export default function RecordsScreen() {
             {currentFilter.operator && (
               <View className="mb-6">
                 <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Value</Text>
-                <TextInput
-                  value={currentFilter.value}
-                  onChangeText={(value) => setCurrentFilter(prev => ({ ...prev, value }))}
-                  placeholder={`Enter value`}
-                  className="bg-white border border-text-tertiary rounded-xl p-4 font-dmsans text-lg"
-                  keyboardType="default" 
-                  autoFocus={true}
-                />
+                {currentTarget?.kind === 'boolean' ? (
+                  <View className="flex-row">
+                    {[['true', 'Yes'], ['false', 'No']].map(([value, label]) => (
+                      <TouchableOpacity
+                        key={value}
+                        className={`flex-1 py-3 rounded-xl items-center mx-1 ${
+                          currentFilter.value === value ? 'bg-[#6B6ECC]' : 'bg-[#E0E3FA]'
+                        }`}
+                        onPress={() => setCurrentFilter(prev => ({ ...prev, value }))}
+                      >
+                        <Text className={`font-dmsans-bold ${currentFilter.value === value ? 'text-white' : 'text-[#6B6ECC]'}`}>
+                          {label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                ) : currentTarget?.kind === 'choices' ? (
+                  <View className="flex-row flex-wrap gap-2">
+                    {currentTarget.choices.map(choice => {
+                      const selected = currentFilter.value.includes(choice);
+                      return (
+                        <TouchableOpacity
+                          key={choice}
+                          className={`px-4 py-3 rounded-full ${selected ? 'bg-[#6B6ECC]' : 'bg-[#E0E3FA]'}`}
+                          onPress={() => setCurrentFilter(prev => ({
+                            ...prev,
+                            value: selected ? prev.value.filter(item => item !== choice) : [...prev.value, choice]
+                          }))}
+                        >
+                          <Text className={`font-dmsans-bold ${selected ? 'text-white' : 'text-[#6B6ECC]'}`}>
+                            {choice}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                ) : (
+                  <TextInput
+                    value={currentFilter.value}
+                    onChangeText={(value) => setCurrentFilter(prev => ({ ...prev, value }))}
+                    placeholder={currentTarget?.kind === 'date'
+                      ? DATE_FILTER_PLACEHOLDERS[currentTarget.fieldType]
+                      : `Enter value`}
+                    className="bg-white border border-text-tertiary rounded-xl p-4 font-dmsans text-lg"
+                    keyboardType={currentTarget?.isNumeric ? "numeric" : "default"}
+                    autoCapitalize={currentTarget?.kind === 'date' ? "none" : "sentences"}
+                    autoFocus={true}
+                  />
+                )}
               </View>
             )}
 
             {/* Logic Selection for multiple filters for user to choose AND / OR */}
             {filters.length > 0 && (
               <View className="mb-6">
-                <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Logic</Text>
+                <Text className="text-text-navy font-dmsans-bold mb-1 text-lg">Logic</Text>
+                <Text className="text-text-purple font-dmsans text-sm mb-3">
+                  AND adds to the current group. OR starts a new group, so records matching either group are shown.
+                </Text>
                 <View className="flex-row space-x-3">
                   <TouchableOpacity
                     className={`flex-1 py-3 rounded-xl items-center ${
@@ -521,7 +678,7 @@ export default function RecordsScreen() {
               <TouchableOpacity
                 className="flex-1 py-2 rounded-xl items-center"
                 onPress={() => {
-                  setCurrentFilter({ fieldType: '', operator: '', value: '', logic: 'and' });
+                  setCurrentFilter({ field: '', operator: '', value: '', logic: 'and' });
                   setShowFilterBuilder(false);
                 }}
               >
@@ -530,18 +687,18 @@ export default function RecordsScreen() {
               
               <TouchableOpacity
                 className={`flex-1 py-2 rounded-xl items-center ${
-                  !currentFilter.fieldType || !currentFilter.operator || !currentFilter.value 
+                  !currentFilter.field || !currentFilter.operator || !hasFilterValue 
                     ? 'bg-gray-300' 
                     : 'bg-text-lilac border border-gray-100'
                 }`}
                 onPress={() => {
-                  if (currentFilter.fieldType && currentFilter.operator && currentFilter.value) {
+                  if (currentFilter.field && currentFilter.operator && hasFilterValue) {
                     setFilters(prev => [...prev, { ...currentFilter, id: Date.now() }]);
-                    setCurrentFilter({ fieldType: '', operator: '', value: '', logic: 'and' });
+                    setCurrentFilter({ field: '', operator: '', value: '', logic: 'and' });
                     setShowFilterBuilder(false);
                   }
                 }}
-                disabled={!currentFilter.fieldType || !currentFilter.operator || !currentFilter.value}
+                disabled={!currentFilter.field || !currentFilter.operator || !hasFilterValue}
               >
                 <Text className="text-white text-lg">Add Filter</Text>
               </TouchableOpacity>
@@ -550,6 +707,121 @@ export default function RecordsScreen() {
         </View>
       </Modal>
 
+      {/* Export Options Modal */}
+      <Modal
+        visible={showExportOptions}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setShowExportOptions(false)}
+      >
+        <View className="flex-1 bg-background-base">
+          <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+            <Text className="mt-5 text-3xl font-dmserif text-text-navy">Export Records</Text>
+            <TouchableOpacity onPress={() => setShowExportOptions(false)}>
+              <Feather name="x" size={24} color="#9395D3" />
+            </TouchableOpacity>
+          </View>
+
+          <View className="p-4">
+            <Text className="text-text-purple font-dmsans mb-4">
+              {appliedFilters.length > 0 || debouncedSearch
+                ? `Exports the ${totalRecords} record${totalRecords !== 1 ? 's' : ''} matching your filters.`
+                : `Exports all ${totalRecords} record${totalRecords !== 1 ? 's' : ''}.`}
+            </Text>
+
+            {Object.entries(EXPORT_FORMATS).map(([format, option]) => (
+              <TouchableOpacity
+                key={format}
+                disabled={exporting}
+                className="flex-row items-center bg-white border border-text-tertiary rounded-xl p-4 mb-3"
+                onPress={() => handleExport(format)}
+              >
+                <View className="bg-[#E0E3FA] p-2 rounded-full mr-3">
+                  <Feather name={format === "geojson" ? "map-pin" : format === "csv" ? "grid" : "file-text"} size={16} color="#6B6ECC" />
+                </View>
+                <Text className="flex-1 text-text-navy font-dmsans-bold">{option.label}</Text>
+                <Text className="text-text-purple font-dmsans text-xs">.{option.extension}</Text>
+              </TouchableOpacity>
+            ))}
+
+            {exporting && <ActivityIndicator size="small" color="#9395D3" className="mt-2" />}
+          </View>
+        </View>
+      </Modal>
+
+      {/* Sort Options Modal */}
+      <Modal
+        visible={showSortOptions}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setShowSortOptions(false)}
+      >
+        <View className="flex-1 bg-background-base">
+          <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+            <Text className="mt-5 text-3xl font-dmserif text-text-navy">Sort Records</Text>
+            <TouchableOpacity onPress={() => setShowSortOptions(false)}>
+              <Feather name="x" size={24} color="#9395D3" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView className="flex-1 p-4" showsVerticalScrollIndicator={false}>
+            <Text className="text-text-purple font-dmsans mb-4">Currently: {describeSort(sort)}</Text>
+
+            {/* Direction */}
+            <View className="flex-row mb-4">
+              {[['asc', 'Ascending'], ['desc', 'Descending']].map(([direction, label]) => (
+                <TouchableOpacity
+                  key={direction}
+                  disabled={!sort}
+                  className={`flex-1 py-3 rounded-xl items-center mx-1 ${
+                    sort?.direction === direction ? 'bg-[#6B6ECC]' : 'bg-[#E0E3FA]'
+                  }`}
+                  onPress={() => handleChangeSort({ ...sort, direction }, false)}
+                >
+                  <Text className={`font-dmsans-bold ${sort?.direction === direction ? 'text-white' : 'text-[#6B6ECC]'}`}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TouchableOpacity
+              className={`flex-row items-center rounded-xl p-4 mb-3 border ${
+                !sort ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+              }`}
+              onPress={() => handleChangeSort(null)}
+            >
+              <Text className={`flex-1 font-dmsans-bold ${!sort ? 'text-white' : 'text-text-navy'}`}>Default Order</Text>
+            </TouchableOpacity>
+
+            {[
+              ...RECORD_SORT_OPTIONS,
+              ...[...fields]
+                .sort((a, b) => a.order_index - b.order_index)
+                .filter(field => field.field_type !== 'photo/video')
+                .map(field => ({ field: field.name, label: field.name, isNumeric: field.is_num }))
+            ].map(option => (
+              <TouchableOpacity
+                key={option.field}
+                className={`flex-row items-center rounded-xl p-4 mb-3 border ${
+                  sort?.field === option.field ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+                }`}
+                onPress={() => handleChangeSort({ field: option.field, direction: sort?.direction || 'asc' })}
+              >
+                <Text className={`flex-1 font-dmsans-bold ${sort?.field === option.field ? 'text-white' : 'text-text-navy'}`}>
+                  {option.label}
+                </Text>
+                {option.isNumeric && (
+                  <Text className={`text-xs font-dmsans ${sort?.field === option.field ? 'text-white' : 'text-text-purple'}`}>
+                    Numeric
+                  </Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      </Modal>
+
       {/* Active Filters Display */}
       {filters.length > 0 && (
         <View className="bg-white rounded-2xl p-4 mx-4 mb-4 shadow-sm border border-background-border">
@@ -563,21 +835,29 @@ export default function RecordsScreen() {
             </TouchableOpacity>
           </View>
           
-          {filters.map((filter, index) => (
-            <View key={filter.id} className="flex-row justify-between items-center bg-gray-50 p-2 rounded-lg mb-2">
-              <View className="flex-1 mr-2">
-                <Text className="text-text-navy font-dmsans text-sm">
-                  {index > 0 && `${filter.logic.toUpperCase()} `}
-                  {fieldCategories[filter.fieldType]?.label} {getOperatorsForFieldType(filter.fieldType)
-                    .find(op => op.value === filter.operator)?.label} "{filter.value}"
-                </Text>
+          {groupFilters(filters).map((group, groupIndex) => (
+            <View key={group[0].id}>
+              {groupIndex > 0 && (
+                <Text className="text-[#6B6ECC] font-dmsans-bold text-xs text-center mb-2">OR</Text>
+              )}
+              <View className="border border-background-border rounded-lg p-2 mb-2">
+                {group.map((filter, index) => (
+                  <View key={filter.id} className="flex-row justify-between items-center bg-gray-50 p-2 rounded-lg mb-1">
+                    <View className="flex-1 mr-2">
+                      <Text className="text-text-navy font-dmsans text-sm">
+                        {index > 0 && 'AND '}
+                        {describeFilter(filter)}
+                      </Text>
+                    </View>
+                    <TouchableOpacity 
+                      onPress={() => setFilters(prev => prev.filter(f => f.id !== filter.id))}
+                      className="bg-[#FFE5E5] p-1.5 rounded-full"
+                    >
+                      <Feather name="x" size={12} color="#E53E3E" />
+                    </TouchableOpacity>
+                  </View>
+                ))}
               </View>
-              <TouchableOpacity 
-                onPress={() => setFilters(prev => prev.filter(f => f.id !== filter.id))}
-                className="bg-[#FFE5E5] p-1.5 rounded-full"
-              >
-                <Feather name="x" size={12} color="#E53E3E" />
-              </TouchableOpacity>
             </View>
           ))}
           
@@ -590,105 +870,241 @@ export default function RecordsScreen() {
         </View>
       )}
 
-      {/* Records List */}
-      <ScrollView 
-        className="flex-1 px-4"
-        showsVerticalScrollIndicator={false}
-        contentContainerStyle={{ paddingBottom: 20 }}
+      {/* Search Bar */}
+      <View className="flex-row items-center bg-white border border-text-tertiary rounded-full px-4 mx-4 mb-3">
+        <Feather name="search" size={16} color="#9395D3" />
+        <TextInput
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder="Search records"
+          autoCapitalize="none"
+          autoCorrect={false}
+          className="flex-1 py-3 ml-2 font-dmsans"
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Feather name="x-circle" size={16} color="#9395D3" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Saved Views */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        className="px-4 mb-4 flex-grow-0"
+        contentContainerStyle={{ paddingRight: 24 }}
       >
-        <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
-          <View className="bg-white border border-background-border rounded-2xl p-4">
-            <View className="flex-row justify-between items-center mb-3">
-              <Text className="text-xl font-dmsans-bold text-text-navy">Records</Text>
-              <View className="flex-row items-center">
-                <Text className="text-text-purple font-dmsans mr-3">{records.length} records</Text>
-                <TouchableOpacity
-                  onPress={() => setShowFilterBuilder(true)}
-                  className="bg-[#E0E3FA] p-2 rounded-full"
-                >
-                  <Feather name="filter" size={16} color="#6B6ECC" />
-                </TouchableOpacity>
-              </View>
+        <TouchableOpacity
+          className={`px-4 py-2 rounded-full border mr-2 ${
+            !activeView ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+          }`}
+          onPress={handleShowAllRecords}
+        >
+          <Text className={`font-dmsans-bold ${!activeView ? 'text-white' : 'text-text-navy'}`}>All Records</Text>
+        </TouchableOpacity>
+        {views.map(view => (
+          <TouchableOpacity
+            key={view.id}
+            className={`px-4 py-2 rounded-full border mr-2 ${
+              activeView?.id === view.id ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+            }`}
+            onPress={() => handleOpenView(view)}
+            onLongPress={() => handleViewOptions(view)}
+          >
+            <Text className={`font-dmsans-bold ${activeView?.id === view.id ? 'text-white' : 'text-text-navy'}`}>
+              {view.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          className="px-4 py-2 rounded-full border border-dashed border-text-lilac flex-row items-center"
+          onPress={() => setShowViewEditor(true)}
+        >
+          <Feather name="bookmark" size={14} color="#6B6ECC" />
+          <Text className="ml-2 text-[#6B6ECC] font-dmsans-bold">Save View</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {/* Full-screen Media Viewer */}
+      <MediaViewer
+        visible={mediaViewer !== null}
+        items={mediaViewer?.items || []}
+        initialIndex={mediaViewer?.index ?? 0}
+        onClose={() => setMediaViewer(null)}
+      />
+
+      {/* Save View Modal */}
+      <ViewEditor
+        visible={showViewEditor}
+        fields={fields}
+        initialView={activeView || { name: '', sort, visibleColumns }}
+        filterCount={filters.length}
+        onSave={handleSaveView}
+        onClose={() => setShowViewEditor(false)}
+      />
+
+      {/* Records List, pages are fetched as the list nears its end */}
+      <View className="flex-1 bg-background-tertiary rounded-2xl p-4 mx-4 mb-4 shadow-md">
+        <View className="flex-1 bg-white border border-background-border rounded-2xl p-4">
+          <View className="flex-row justify-between items-center mb-3">
+            <Text className="text-xl font-dmsans-bold text-text-navy">Records</Text>
+            <View className="flex-row items-center">
+              {listLoading && <ActivityIndicator size="small" color="#9395D3" className="mr-2" />}
+              <Text className="text-text-purple font-dmsans mr-3">
+                {records.length < totalRecords ? `${records.length} of ${totalRecords}` : totalRecords} records
+              </Text>
+              <TouchableOpacity
+                onPress={() => setShowExportOptions(true)}
+                disabled={totalRecords === 0}
+                className="bg-[#E0E3FA] p-2 rounded-full mr-2"
+              >
+                <Feather name="share" size={16} color={totalRecords === 0 ? "#C3C5F4" : "#6B6ECC"} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={handleToggleLayout}
+                className="bg-[#E0E3FA] p-2 rounded-full mr-2"
+              >
+                <Feather name={layout === 'table' ? "list" : "grid"} size={16} color="#6B6ECC" />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowSortOptions(true)}
+                className={`p-2 rounded-full mr-2 ${sort ? "bg-text-lilac" : "bg-[#E0E3FA]"}`}
+              >
+                <Feather name="bar-chart-2" size={16} color={sort ? "#FFFFFF" : "#6B6ECC"} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowFilterBuilder(true)}
+                className="bg-[#E0E3FA] p-2 rounded-full"
+              >
+                <Feather name="filter" size={16} color="#6B6ECC" />
+              </TouchableOpacity>
             </View>
-            
-            {records.length === 0 ? (
-              <View className="items-center py-8">
-                <Feather name="file-text" size={48} color="#C3C5F4" />
-                <Text className="text-text-purple font-dmsans mt-4 text-center mb-2 text-lg">
-                  {filters.length > 0 ? 'No records match your filters' : 'No records found for this form'}
-                </Text>
-                <Text className="text-text-purple font-dmsans text-center">
-                  {filters.length > 0 ? 'Try adjusting your filters' : 'Submit records through the form to see them here'}
-                </Text>
-                {filters.length > 0 ? (
+          </View>
+
+          {layout === 'table' && records.length > 0 ? (
+            <RecordsTable
+              records={records}
+              fields={fields}
+              visibleColumns={visibleColumns}
+              loadingMore={loadingMore}
+              onOpenRecord={(record) => router.push(`/(tabs)/myForm/details/${record.id}?formId=${formId}`)}
+              onOpenMedia={handleOpenMedia}
+              onEndReached={fetchMoreRecords}
+            />
+          ) : (
+            <FlatList
+              data={records}
+              keyExtractor={(record) => String(record.id)}
+              showsVerticalScrollIndicator={false}
+              onEndReached={fetchMoreRecords}
+              onEndReachedThreshold={0.5}
+              initialNumToRender={10}
+              windowSize={7}
+              renderItem={({ item: record }) => (
+                <View className="bg-background-tertiary rounded-lg mb-3">
+                  {/* Record Values, tap to open the record's details */}
+                  <TouchableOpacity
+                    className="mt-3"
+                    onPress={() => router.push(`/(tabs)/myForm/details/${record.id}?formId=${formId}`)}
+                  >
+                    {Object.entries(record.values || {}).filter(([key]) => isValueVisible(key)).map(([key, value]) => (
+                      <View key={key} className="py-2 border-b border-background-border last:border-b-0">
+                        <View className="flex-row justify-between">
+                          <Text className="text-text-purple text-sm font-dmsans-medium flex-1">
+                            {key}:
+                          </Text>
+                        </View>
+                        {renderFieldValue(value, key, record)}
+                      </View>
+                    ))}
+                  </TouchableOpacity>
+
+                  {/* Action Buttons */}
+                  <View className="flex-row justify-end mt-4">
+                    <View className="flex-row space-x-2">
+                      <TouchableOpacity
+                        onPress={() => router.push(`/(tabs)/myForm/record/${formId}?recordId=${record.id}`)}
+                        className="bg-[#D8F5D1] p-3 rounded-full"
+                      >
+                        <Feather name="edit-2" size={16} color="#4E8B36" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => handleCopyRecord(record)}
+                        className="bg-[#E0E3FA] p-3 rounded-full"
+                      >
+                        <Feather name="copy" size={16} color="#6B6ECC" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => handleDeleteRecord(record)}
+                        className="bg-[#FFE5E5] p-3 rounded-full"
+                      >
+                        <Feather name="trash-2" size={16} color="#E53E3E" />
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                </View>
+              )}
+              ListEmptyComponent={listLoading ? null : debouncedSearch ? (
+                <View className="items-center py-8">
+                  <Feather name="search" size={48} color="#C3C5F4" />
+                  <Text className="text-text-purple font-dmsans mt-4 text-center mb-2 text-lg">
+                    No records match &quot;{debouncedSearch}&quot;
+                  </Text>
                   <TouchableOpacity
                     className="bg-text-lilac px-6 py-3 rounded-full items-center flex-row mt-4"
-                    onPress={handleClearFilters}
+                    onPress={() => setSearchQuery('')}
                   >
                     <Feather name="x" size={16} color="#FFFFFF" />
-                    <Text className="text-white font-dmsans-bold ml-2 px-2">Clear Filters</Text>
+                    <Text className="text-white font-dmsans-bold ml-2 px-2">Clear Search</Text>
                   </TouchableOpacity>
-                ) : (
+                </View>
+              ) : (
+                <View className="items-center py-8">
+                  <Feather name="file-text" size={48} color="#C3C5F4" />
+                  <Text className="text-text-purple font-dmsans mt-4 text-center mb-2 text-lg">
+                    {appliedFilters.length > 0 ? 'No records match your filters' : 'No records found for this form'}
+                  </Text>
+                  <Text className="text-text-purple font-dmsans text-center">
+                    {appliedFilters.length > 0 ? 'Try adjusting your filters' : 'Submit records through the form to see them here'}
+                  </Text>
+                  {appliedFilters.length > 0 ? (
+                    <TouchableOpacity
+                      className="bg-text-lilac px-6 py-3 rounded-full items-center flex-row mt-4"
+                      onPress={handleClearFilters}
+                    >
+                      <Feather name="x" size={16} color="#FFFFFF" />
+                      <Text className="text-white font-dmsans-bold ml-2 px-2">Clear Filters</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <TouchableOpacity
+                      className="bg-text-lilac px-6 py-3 rounded-full items-center flex-row mt-4"
+                      onPress={() => router.push(`/(tabs)/myForm/record/${formId}`)}
+                    >
+                      <Feather name="plus" size={16} color="#FFFFFF" />
+                      <Text className="text-white font-dmsans-bold ml-2 px-2">Add First Record</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+              ListFooterComponent={records.length > 0 ? (
+                <>
+                  {loadingMore && <ActivityIndicator size="small" color="#9395D3" className="my-3" />}
+
+                  {/* Add Another Record Button */}
                   <TouchableOpacity
-                    className="bg-text-lilac px-6 py-3 rounded-full items-center flex-row mt-4"
+                    className="bg-text-lilac mt-4 py-3 rounded-full items-center flex-row justify-center"
                     onPress={() => router.push(`/(tabs)/myForm/record/${formId}`)}
                   >
                     <Feather name="plus" size={16} color="#FFFFFF" />
-                    <Text className="text-white font-dmsans-bold ml-2 px-2">Add First Record</Text>
+                    <Text className="text-white font-dmsans-bold px-2 ml-2">Add Another Record</Text>
                   </TouchableOpacity>
-                )}
-              </View>
-            ) : (
-              <>
-                {records.map((record) => (
-                  <View key={record.id} className="bg-background-tertiary rounded-lg mb-3">
-                    {/* Record Values */}
-                    <View className="mt-3">
-                      {Object.entries(record.values || {}).map(([key, value]) => (
-                        <View key={key} className="py-2 border-b border-background-border last:border-b-0">
-                          <View className="flex-row justify-between">
-                            <Text className="text-text-purple text-sm font-dmsans-medium flex-1">
-                              {key}:
-                            </Text>
-                          </View>
-                          {renderFieldValue(value)}
-                        </View>
-                      ))}
-                    </View>
-                    
-                    {/* Action Buttons */}
-                    <View className="flex-row justify-end mt-4">             
-                      <View className="flex-row space-x-2">
-                        <TouchableOpacity
-                          onPress={() => handleCopyRecord(record)}
-                          className="bg-[#E0E3FA] p-3 rounded-full"
-                        >
-                          <Feather name="copy" size={16} color="#6B6ECC" />
-                        </TouchableOpacity>
-                        <TouchableOpacity
-                          onPress={() => handleDeleteRecord(record)}
-                          className="bg-[#FFE5E5] p-3 rounded-full"
-                        >
-                          <Feather name="trash-2" size={16} color="#E53E3E" />
-                        </TouchableOpacity>
-                      </View>
-                    </View>
-                  </View>
-                ))}
-                
-                {/* Add Another Record Button */}
-                <TouchableOpacity
-                  className="bg-text-lilac mt-4 py-3 rounded-full items-center flex-row justify-center"
-                  onPress={() => router.push(`/(tabs)/myForm/record/${formId}`)}
-                >
-                  <Feather name="plus" size={16} color="#FFFFFF" />
-                  <Text className="text-white font-dmsans-bold px-2 ml-2">Add Another Record</Text>
-                </TouchableOpacity>
-              </>
-            )}
-          </View>
+                </>
+              ) : null}
+            />
+          )}
         </View>
-      </ScrollView>
+      </View>
     </View>
   );
 }
\ No newline at end of file
@@ -2,7 +2,7 @@ import { Stack } from "expo-router";
 /**
  * My forms layout component - Stack navigator configuration for form management flows
  * This component defines the nested navigation structure for all form-related screens
- * including form listing, creation, editing, field management, and record entry.
+ * including form listing, creation, editing, field management, record entry and record details.
  * 
  * @component
  * @returns {Stack} Configured stack navigator for form management navigation hierarchy
@@ -35,6 +35,14 @@ export default function MyFormLayout() {
         }}
       />
 
+      <Stack.Screen
+        name="templates"
+        options={{
+          headerTitle: "Form Templates",
+          headerShown: false,
+        }}
+      />
+
       <Stack.Screen
         name="[formId]"
         options={{
@@ -65,6 +73,14 @@ export default function MyFormLayout() {
           headerShown: false,
         }}
       />
+
+      <Stack.Screen
+        name="details/[id]"
+        options={{
+          headerTitle: "Record Details",
+          headerShown: false,
+        }}
+      />
     </Stack>
   );
 }
\ No newline at end of file
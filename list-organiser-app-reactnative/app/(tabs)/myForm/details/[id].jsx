@@ -0,0 +1,340 @@
+import { Feather } from "@expo/vector-icons";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useState } from "react";
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import MapView, { Circle, Marker } from "react-native-maps";
+import MediaGallery from '../../../../components/MediaGallery';
+import MediaViewer from '../../../../components/MediaViewer';
+import { getFieldsByFormId, getRecordById, getRecordHistory, restoreRecordVersion } from '../../../../services/app';
+import { formatFieldValue } from '../../../../services/fieldTypes';
+import { formatAccuracy, LOCATION_SOURCES } from '../../../../services/locations';
+import { collectRecordMedia, describeMediaItems, readMediaItems } from '../../../../services/media';
+
+// Reads a JSON record value, returning null for plain text
+const parseValue = (value) => {
+  if (value && typeof value === 'object') return value;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Formats an ISO timestamp for display, or a dash when it is unknown
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '—';
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? '—' : date.toLocaleString();
+};
+
+/**
+ * Record detail screen component
+ * This screen shows every value of a single record: media fields at full size, opening full screen
+ * to swipe through all of the record's photos and videos, location fields on a small map, and when the record was created and last updated. Earlier versions of the
+ * record are listed underneath and any of them can be restored.
+ *
+ * @component
+ * @returns {JSX.Element} Record detail interface with values, timestamps and version history
+ */
+export default function RecordDetail() {
+  const { id: recordId, formId } = useLocalSearchParams();
+  const router = useRouter();
+  const [record, setRecord] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedVersionId, setExpandedVersionId] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  // Position in the record's media of the item open full screen, null while the viewer is closed
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  // Fetches the record, its form's fields and its earlier versions
+  const fetchRecord = async () => {
+    try {
+      const [recordData, recordHistory] = await Promise.all([
+        getRecordById(recordId),
+        getRecordHistory(recordId)
+      ]);
+      const current = recordData[0] || null;
+      setRecord(current);
+      setHistory(recordHistory);
+
+      const recordFormId = formId || current?.form_id;
+      if (recordFormId) {
+        const formFields = await getFieldsByFormId(recordFormId);
+        setFields(formFields.sort((a, b) => a.order_index - b.order_index));
+      }
+    } catch (error) {
+      Alert.alert("Error", "Failed to load record.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reloads whenever the screen comes back into focus, e.g. after editing the record
+  useFocusEffect(
+    useCallback(() => {
+      if (recordId) {
+        fetchRecord();
+      }
+    }, [recordId])
+  );
+
+  // Asks for confirmation, then replaces the record's values with an earlier version
+  const handleRestoreVersion = (version) => {
+    Alert.alert(
+      "Restore Version",
+      `Replace the current values with the version from ${formatTimestamp(version.replaced_at)}? The current values are kept in the history.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Restore",
+          onPress: async () => {
+            try {
+              setRestoring(true);
+              const result = await restoreRecordVersion(recordId, version);
+              if (result?.[0]?.pending) {
+                Alert.alert("Saved Offline", "You're offline. The restored version will sync when the connection returns.");
+              }
+              setExpandedVersionId(null);
+              await fetchRecord();
+            } catch (error) {
+              Alert.alert("Error", error.message || "Failed to restore version.");
+            } finally {
+              setRestoring(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Field order first, then any values whose field no longer exists. Location names show with their field.
+  const getValueEntries = (values) => {
+    const locationNameKeys = fields
+      .filter(field => field.field_type === 'location')
+      .map(field => `${field.name} Name`);
+    const fieldNames = fields.map(field => field.name);
+
+    return [
+      ...fields.map(field => [field.name, values[field.name], field]),
+      ...Object.keys(values)
+        .filter(key => !fieldNames.includes(key) && !locationNameKeys.includes(key))
+        .map(key => [key, values[key], null])
+    ];
+  };
+
+  // Opens the viewer at a photo or video, able to swipe through every media field of the record
+  const handleOpenMedia = (fieldName, position) => {
+    const index = collectRecordMedia([record], fields).findIndex(item =>
+      item.fieldName === fieldName && item.position === position
+    );
+    setViewerIndex(Math.max(index, 0));
+  };
+
+  // Renders a value according to its field type
+  const renderValue = (key, value, values, field, compact = false) => {
+    if (value === undefined || value === null || value === '') {
+      return <Text className="text-text-tertiary font-dmsans mt-1">—</Text>;
+    }
+
+    const parsed = parseValue(value);
+
+    if (field?.field_type === 'photo/video' || parsed?.uri) {
+      return compact ? (
+        <Text className="text-text-navy font-dmsans text-sm mt-1">{describeMediaItems(readMediaItems(value))}</Text>
+      ) : (
+        <MediaGallery
+          value={value}
+          onOpenItem={field ? (position) => handleOpenMedia(field.name, position) : undefined}
+        />
+      );
+    }
+
+    if (parsed && 'latitude' in parsed && 'longitude' in parsed) {
+      const coordinate = { latitude: Number(parsed.latitude), longitude: Number(parsed.longitude) };
+      const name = values[`${key} Name`];
+      return (
+        <View className="mt-1">
+          {name ? <Text className="text-text-navy font-dmsans-bold text-sm">{name}</Text> : null}
+          <Text className="text-text-navy font-dmsans text-sm">
+            {coordinate.latitude.toFixed(6)}, {coordinate.longitude.toFixed(6)}
+          </Text>
+          {parsed.source || parsed.accuracy ? (
+            <Text className="text-text-purple font-dmsans text-xs">
+              {[LOCATION_SOURCES[parsed.source], formatAccuracy(parsed.accuracy)].filter(Boolean).join(' · ')}
+            </Text>
+          ) : null}
+          {!compact && (
+            <View style={{ height: 160, borderRadius: 12, overflow: 'hidden' }} className="mt-2">
+              <MapView
+                style={{ flex: 1 }}
+                initialRegion={{ ...coordinate, latitudeDelta: 0.01, longitudeDelta: 0.01 }}
+                scrollEnabled={false}
+                zoomEnabled={false}
+                rotateEnabled={false}
+                pitchEnabled={false}
+              >
+                {typeof parsed.accuracy === 'number' && (
+                  <Circle
+                    center={coordinate}
+                    radius={parsed.accuracy}
+                    strokeWidth={1}
+                    strokeColor="#9395D3"
+                    fillColor="rgba(147, 149, 211, 0.25)"
+                  />
+                )}
+                <Marker coordinate={coordinate} pinColor="#FF6B6B" />
+              </MapView>
+            </View>
+          )}
+        </View>
+      );
+    }
+
+    return <Text className="text-text-navy font-dmsans mt-1">{formatFieldValue(field, value)}</Text>;
+  };
+
+  if (loading) {
+    return (
+      <View className="flex-1 bg-background-base justify-center items-center">
+        <ActivityIndicator size="large" color="#9395D3" />
+        <Text className="text-text-navy mt-4 font-dmsans">Loading record...</Text>
+      </View>
+    );
+  }
+
+  if (!record) {
+    return (
+      <View className="flex-1 bg-background-base justify-center items-center px-6">
+        <Text className="text-text-navy text-xl font-dmserif text-center mb-4">
+          Record Not Found
+        </Text>
+        <Text className="text-text-purple font-dmsans text-center mb-6">
+          The record doesn&apos;t exist or has been deleted.
+        </Text>
+        <TouchableOpacity
+          className="bg-text-lilac px-6 py-3 rounded-full"
+          onPress={() => router.back()}
+        >
+          <Text className="text-white font-dmsans-medium">Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const values = record.values || {};
+
+  return (
+    <View className="flex-1 bg-background-base px-4 py-4">
+      {/* Header */}
+      <View className="bg-white rounded-2xl p-4 mb-4 shadow-sm border border-background-border">
+        <View className="flex-row justify-between items-center">
+          <TouchableOpacity onPress={() => router.back()} className="p-2 -ml-2 mr-1">
+            <Feather name="arrow-left" size={20} color="#9395D3" />
+          </TouchableOpacity>
+          <Text className="text-xl font-dmserif text-text-navy flex-1">Record #{record.id}</Text>
+          <TouchableOpacity
+            onPress={() => router.push(`/(tabs)/myForm/record/${record.form_id || formId}?recordId=${record.id}`)}
+            className="bg-[#D8F5D1] p-3 rounded-full"
+          >
+            <Feather name="edit-2" size={16} color="#4E8B36" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Timestamps, the last update falls back to when the newest earlier version was replaced */}
+        <View className="flex-row mt-3">
+          <View className="flex-1">
+            <Text className="text-text-purple font-dmsans text-xs">Created</Text>
+            <Text className="text-text-navy font-dmsans-bold text-sm">{formatTimestamp(record.created_at)}</Text>
+          </View>
+          <View className="flex-1">
+            <Text className="text-text-purple font-dmsans text-xs">Last Updated</Text>
+            <Text className="text-text-navy font-dmsans-bold text-sm">
+              {formatTimestamp(record.updated_at || history[0]?.replaced_at || record.created_at)}
+            </Text>
+          </View>
+        </View>
+      </View>
+
+      <ScrollView showsVerticalScrollIndicator={false} contentContainerStyle={{ paddingBottom: 20 }}>
+        {/* Values */}
+        <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+          <View className="bg-white border border-background-border rounded-2xl p-4">
+            <Text className="text-xl font-dmsans-bold text-text-navy mb-3">Values</Text>
+            {getValueEntries(values).map(([key, value, field]) => (
+              <View key={key} className="py-2 border-b border-background-border">
+                <Text className="text-text-purple text-sm font-dmsans-medium">
+                  {key}{field ? '' : ' (removed field)'}:
+                </Text>
+                {renderValue(key, value, values, field)}
+              </View>
+            ))}
+          </View>
+        </View>
+
+        {/* History */}
+        <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+          <View className="bg-white border border-background-border rounded-2xl p-4">
+            <View className="flex-row justify-between items-center mb-3">
+              <Text className="text-xl font-dmsans-bold text-text-navy">History</Text>
+              {restoring && <ActivityIndicator size="small" color="#9395D3" />}
+            </View>
+            {history.length === 0 ? (
+              <View className="items-center py-4">
+                <Feather name="clock" size={40} color="#C3C5F4" />
+                <Text className="text-text-purple font-dmsans mt-2 text-center">
+                  No earlier versions saved on this device
+                </Text>
+              </View>
+            ) : (
+              history.map(version => (
+                <View key={version.id} className="bg-background-tertiary rounded-lg p-3 mb-3">
+                  <TouchableOpacity
+                    className="flex-row items-center"
+                    onPress={() => setExpandedVersionId(expandedVersionId === version.id ? null : version.id)}
+                  >
+                    <Feather name={expandedVersionId === version.id ? "chevron-down" : "chevron-right"} size={16} color="#6B6ECC" />
+                    <Text className="flex-1 ml-2 text-text-navy font-dmsans-bold text-sm">
+                      Replaced {formatTimestamp(version.replaced_at)}
+                    </Text>
+                    <TouchableOpacity
+                      disabled={restoring}
+                      onPress={() => handleRestoreVersion(version)}
+                      className="bg-[#E0E3FA] px-3 py-1.5 rounded-full flex-row items-center"
+                    >
+                      <Feather name="rotate-ccw" size={12} color="#6B6ECC" />
+                      <Text className="ml-1 text-[#6B6ECC] font-dmsans-bold text-xs">Restore</Text>
+                    </TouchableOpacity>
+                  </TouchableOpacity>
+                  {expandedVersionId === version.id && (
+                    <View className="mt-2">
+                      {getValueEntries(version.values).map(([key, value, field]) => (
+                        <View key={key} className="py-1">
+                          <Text className={`text-sm font-dmsans-medium ${
+                            JSON.stringify(value) !== JSON.stringify(values[key]) ? 'text-[#6B6ECC]' : 'text-text-purple'
+                          }`}>
+                            {key}:
+                          </Text>
+                          {renderValue(key, value, version.values, field, true)}
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                </View>
+              ))
+            )}
+          </View>
+        </View>
+      </ScrollView>
+
+      {/* Full-screen Media Viewer */}
+      <MediaViewer
+        visible={viewerIndex !== null}
+        items={collectRecordMedia([record], fields)}
+        initialIndex={viewerIndex ?? 0}
+        onClose={() => setViewerIndex(null)}
+      />
+    </View>
+  );
+}
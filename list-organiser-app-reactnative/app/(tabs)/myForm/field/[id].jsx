@@ -1,11 +1,24 @@
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useEffect, useState } from "react";
 import { Alert, ScrollView, Switch, Text, TextInput, TouchableOpacity, View } from "react-native";
-import { getFormById, insertField } from '../../../../services/app';
+import { getFieldsByFormId, getFormById, insertField } from '../../../../services/app';
+import {
+  DEFAULT_RATING_MAX, FIELD_TYPES, getFieldTypeLabel, NON_NUMERIC_TYPES, NUMERIC_TYPES, resolveIsNum
+} from '../../../../services/fieldTypes';
+import FormulaEditor from '../../../../components/FormulaEditor';
+import PhotoSettingsEditor from '../../../../components/PhotoSettingsEditor';
+import VisibilityRuleEditor from '../../../../components/VisibilityRuleEditor';
+import { validateVisibilityRule } from '../../../../services/fieldVisibility';
+import { validateFormula } from '../../../../services/formulas';
+import { getPhotoOptionsDraft, parsePhotoOptionsDraft, validatePhotoOptions } from '../../../../services/media';
+import { VALIDATED_FIELD_TYPES, validateRuleSet } from '../../../../services/validation';
 
 /**
  * Add field screen component 
- * Interface for creating new form fields with configurations
+ * Interface for creating new form fields with configurations, including optional validation rules
+ * (number range, whole numbers, text length, a pattern and uniqueness) for text fields, and a rule
+ * showing the field only when another field's answer matches. Calculated fields take a formula
+ * over the other fields instead of being filled in, and photo/video fields take photo settings.
  * 
  * @component
  * @returns {JSX.Element} Field creation interface with type selection and configuration options
@@ -15,6 +28,7 @@ export default function AddField() {
   const router = useRouter();
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState(null);
+  const [existingFields, setExistingFields] = useState([]);
   
   // Field state
   const [fieldName, setFieldName] = useState("");
@@ -22,29 +36,75 @@ export default function AddField() {
   const [required, setRequired] = useState(false);
   const [isNumeric, setIsNumeric] = useState(false);
   const [dropdownOptions, setDropdownOptions] = useState("");
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [unit, setUnit] = useState("");
+  const [ratingMax, setRatingMax] = useState(String(DEFAULT_RATING_MAX));
+  const [formula, setFormula] = useState("");
+  const [decimals, setDecimals] = useState("");
+  const [photoDraft, setPhotoDraft] = useState(getPhotoOptionsDraft());
   const [showDropdownOptions, setShowDropdownOptions] = useState(false);
   const [showLocationButton, setShowLocationButton] = useState(false);
 
+  // Validation rule state, kept as typed text until the field is saved
+  const [minValue, setMinValue] = useState("");
+  const [maxValue, setMaxValue] = useState("");
+  const [integerOnly, setIntegerOnly] = useState(false);
+  const [minLength, setMinLength] = useState("");
+  const [maxLength, setMaxLength] = useState("");
+  const [pattern, setPattern] = useState("");
+  const [patternMessage, setPatternMessage] = useState("");
+  const [unique, setUnique] = useState(false);
+
+  // Visibility rule, null while the field is always shown
+  const [showWhen, setShowWhen] = useState(null);
+
   useEffect(() => {
     fetchFormDetails();
   }, [id]);
 
-  // Fetches form details to display context information
+  // Fetches form details to display context information, and the current fields so the new one is appended last
   const fetchFormDetails = async () => {
     try {
-      const formData = await getFormById(id);
+      const [formData, formFields] = await Promise.all([
+        getFormById(id),
+        getFieldsByFormId(id)
+      ]);
       setForm(formData[0]);
+      setExistingFields(formFields.sort((a, b) => a.order_index - b.order_index));
     } catch (error) {
       Alert.alert("Error", "Failed to load form details.");
     }
   };
 
-  // Show/hide options based on field type
+  // Show/hide options based on field type, and match the numeric toggle to types that decide it
   useEffect(() => {
     setShowDropdownOptions(fieldType === "dropdown");
     setShowLocationButton(fieldType === "location");
+    if (NUMERIC_TYPES.includes(fieldType) || NON_NUMERIC_TYPES.includes(fieldType)) {
+      setIsNumeric(resolveIsNum(fieldType, false));
+    }
   }, [fieldType]);
 
+  // Field types that fix the numeric setting
+  const numericLocked = NUMERIC_TYPES.includes(fieldType) || NON_NUMERIC_TYPES.includes(fieldType);
+
+  // Builds the validation rules from the inputs, leaving out anything left blank
+  const buildValidationRules = () => {
+    const toNumber = (text) => (text.trim() === "" ? undefined : Number(text.trim()));
+    const rules = isNumeric
+      ? { min: toNumber(minValue), max: toNumber(maxValue), integer: integerOnly || undefined }
+      : {
+          minLength: toNumber(minLength),
+          maxLength: toNumber(maxLength),
+          pattern: pattern.trim() || undefined,
+          patternMessage: pattern.trim() && patternMessage.trim() ? patternMessage.trim() : undefined,
+        };
+    rules.unique = unique || undefined;
+
+    Object.keys(rules).forEach(key => rules[key] === undefined && delete rules[key]);
+    return rules;
+  };
+
   // Handles field creation with validation and type-specific processing
   const handleAddField = async () => {
     if (!fieldName.trim()) {
@@ -58,6 +118,42 @@ export default function AddField() {
       return;
     }
 
+    if (showWhen) {
+      const problems = validateVisibilityRule(showWhen, fieldName.trim(), existingFields);
+      if (problems.length > 0) {
+        Alert.alert("Invalid Visibility Rule", problems.join("\n"));
+        return;
+      }
+    }
+
+    const places = decimals.trim() === "" ? undefined : Number(decimals);
+    if (fieldType === "computed") {
+      const problems = validateFormula(formula.trim(), fieldName.trim(), existingFields);
+      if (problems.length > 0) {
+        Alert.alert("Invalid Formula", problems.join("\n"));
+        return;
+      }
+      if (places !== undefined && (!Number.isInteger(places) || places < 0 || places > 6)) {
+        Alert.alert("Invalid Decimal Places", "Decimal places must be a whole number from 0 to 6.");
+        return;
+      }
+    }
+
+    const stars = Number(ratingMax);
+    if (fieldType === "rating" && (!Number.isInteger(stars) || stars < 2 || stars > 10)) {
+      Alert.alert("Invalid Rating", "The number of stars must be a whole number from 2 to 10.");
+      return;
+    }
+
+    const photoOptions = parsePhotoOptionsDraft(photoDraft);
+    if (fieldType === "photo/video") {
+      const problems = validatePhotoOptions(photoOptions, existingFields);
+      if (problems.length > 0) {
+        Alert.alert("Invalid Photo Settings", problems.join("\n"));
+        return;
+      }
+    }
+
     try {
       setLoading(true);
 
@@ -65,9 +161,10 @@ export default function AddField() {
       const fieldData = {
         name: fieldName.trim(),
         field_type: fieldType,
-        required,
+        // Calculated fields are never filled in, so they cannot be required
+        required: fieldType === "computed" ? false : required,
         is_num: isNumeric,
-        order_index: 0,
+        order_index: existingFields.length,
       };
 
       // Add dropdown options if field type is dropdown
@@ -76,14 +173,43 @@ export default function AddField() {
         fieldData.options = {
           choices: optionsArray
         };
+        if (allowMultiple) {
+          fieldData.options.multiple = true;
+        }
+      }
+
+      // Star count and unit are kept in the options
+      if (fieldType === "rating") {
+        fieldData.options = { max: stars };
+      } else if (fieldType === "number" && unit.trim()) {
+        fieldData.options = { unit: unit.trim() };
+      } else if (fieldType === "computed") {
+        fieldData.options = places === undefined ? { formula: formula.trim() } : { formula: formula.trim(), decimals: places };
+      } else if (fieldType === "photo/video" && Object.keys(photoOptions).length > 0) {
+        fieldData.options = photoOptions;
+      }
+
+      // Some field types are always or never numeric
+      fieldData.is_num = resolveIsNum(fieldType, isNumeric);
+
+      // Validation rules are stored with the field's options
+      if (VALIDATED_FIELD_TYPES.includes(fieldType)) {
+        const rules = buildValidationRules();
+        const problems = validateRuleSet(rules);
+        if (problems.length > 0) {
+          Alert.alert("Invalid Validation Rules", problems.join("\n"));
+          return;
+        }
+        if (Object.keys(rules).length > 0) {
+          fieldData.options = { ...fieldData.options, validation: rules };
+        }
       }
 
-      // For non-numeric field types, ensure is_num is disabled
-      if (fieldType === "photo/video" || fieldType === "location" || fieldType === "dropdown") {
-        fieldData.is_num = false;
+      if (showWhen) {
+        fieldData.options = { ...fieldData.options, showWhen };
       }
 
-      await insertField(parseInt(id), fieldData);
+      await insertField(id, fieldData);
 
       Alert.alert("Success", "Field added successfully!");
       router.back(); 
@@ -95,13 +221,7 @@ export default function AddField() {
   };
 
   // Available field types with their display labels
-  const fieldTypes = [
-    { value: "text", label: "Text" },
-    { value: "multiline", label: "Multiline Text" },
-    { value: "dropdown", label: "Dropdown" },
-    { value: "location", label: "Location" },
-    { value: "photo/video", label: "Photo/Video" },
-  ];
+  const fieldTypes = FIELD_TYPES;
 
   return (
     <View className="flex-1 bg-background-base px-4 py-6">
@@ -173,21 +293,85 @@ export default function AddField() {
                   multiline
                   className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
                 />
+                <View className="flex-row justify-between items-center mt-3">
+                  <Text className="text-text-navy font-dmsans-bold">Allow Multiple Choices</Text>
+                  <Switch
+                    value={allowMultiple}
+                    onValueChange={setAllowMultiple}
+                    trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                    thumbColor="#FFFFFF"
+                  />
+                </View>
               </View>
             )}
 
-            {/* Toggle Switches */}
-            <View className="space-y-4 gap-2">
-              {/* Required Toggle */}
-              <View className="flex-row justify-between items-center">
-                <Text className="text-text-navy font-dmsans-bold">Required Field</Text>
-                <Switch
-                  value={required}
-                  onValueChange={setRequired}
-                  trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
-                  thumbColor={required ? "#FFFFFF" : "#FFFFFF"}
+            {/* Number Unit */}
+            {fieldType === "number" && (
+              <View className="mb-4">
+                <Text className="text-text-navy font-dmsans-bold mb-2">Unit</Text>
+                <TextInput
+                  value={unit}
+                  onChangeText={setUnit}
+                  placeholder="e.g. kg, cm, $"
+                  className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                />
+              </View>
+            )}
+
+            {/* Rating Stars */}
+            {fieldType === "rating" && (
+              <View className="mb-4">
+                <Text className="text-text-navy font-dmsans-bold mb-2">Number of Stars</Text>
+                <TextInput
+                  value={ratingMax}
+                  onChangeText={setRatingMax}
+                  keyboardType="numeric"
+                  className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
                 />
               </View>
+            )}
+
+            {/* Formula */}
+            {fieldType === "computed" && (
+              <View className="mb-4">
+                <FormulaEditor
+                  formula={formula}
+                  decimals={decimals}
+                  fields={existingFields}
+                  onChangeFormula={setFormula}
+                  onChangeDecimals={setDecimals}
+                />
+              </View>
+            )}
+
+            {/* Photo Settings */}
+            {fieldType === "photo/video" && (
+              <View className="mb-4">
+                <PhotoSettingsEditor draft={photoDraft} fields={existingFields} onChange={setPhotoDraft} />
+              </View>
+            )}
+
+            {/* Visibility Rule, only offered once the form has other fields */}
+            {existingFields.length > 0 && (
+              <View className="mb-4">
+                <VisibilityRuleEditor rule={showWhen} fields={existingFields} onChange={setShowWhen} />
+              </View>
+            )}
+
+            {/* Toggle Switches */}
+            <View className="space-y-4 gap-2">
+              {/* Required Toggle - Calculated fields are never filled in */}
+              {fieldType !== "computed" && (
+                <View className="flex-row justify-between items-center">
+                  <Text className="text-text-navy font-dmsans-bold">Required Field</Text>
+                  <Switch
+                    value={required}
+                    onValueChange={setRequired}
+                    trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                    thumbColor={required ? "#FFFFFF" : "#FFFFFF"}
+                  />
+                </View>
+              )}
 
               {/* Numeric Toggle - Disabled for non-numeric field types */}
               <View className="flex-row justify-between items-center">
@@ -197,15 +381,100 @@ export default function AddField() {
                   onValueChange={setIsNumeric}
                   trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
                   thumbColor={isNumeric ? "#FFFFFF" : "#FFFFFF"}
-                  disabled={fieldType === "photo/video" || fieldType === "location" || fieldType === "dropdown"}
+                  disabled={numericLocked}
                 />
               </View>
-              {(fieldType === "photo/video" || fieldType === "location" || fieldType === "dropdown") && (
+              {numericLocked && (
                 <Text className="text-text-purple text-xs font-dmsans text-center">
-                  Numeric values disabled for {fieldType === "photo/video" ? "Photo/Video" : fieldType === "location" ? "Location" : "Dropdown"} fields
+                  Numeric values {isNumeric ? "always on" : "disabled"} for {getFieldTypeLabel(fieldType)} fields
                 </Text>
               )}
             </View>
+
+            {/* Validation Rules, checked when records are saved */}
+            {VALIDATED_FIELD_TYPES.includes(fieldType) && (
+              <View className="mt-6">
+                <Text className="text-text-navy font-dmsans-bold mb-1">Validation Rules</Text>
+                <Text className="text-text-purple text-sm mb-3 font-dmsans">
+                  Optional. Leave blank for no limit.
+                </Text>
+
+                {isNumeric ? (
+                  <>
+                    <View className="flex-row gap-2 mb-3">
+                      <TextInput
+                        value={minValue}
+                        onChangeText={setMinValue}
+                        placeholder="Minimum"
+                        keyboardType="numbers-and-punctuation"
+                        className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                      />
+                      <TextInput
+                        value={maxValue}
+                        onChangeText={setMaxValue}
+                        placeholder="Maximum"
+                        keyboardType="numbers-and-punctuation"
+                        className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                      />
+                    </View>
+                    <View className="flex-row justify-between items-center mb-3">
+                      <Text className="text-text-navy font-dmsans">Whole Numbers Only</Text>
+                      <Switch
+                        value={integerOnly}
+                        onValueChange={setIntegerOnly}
+                        trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                        thumbColor="#FFFFFF"
+                      />
+                    </View>
+                  </>
+                ) : (
+                  <>
+                    <View className="flex-row gap-2 mb-3">
+                      <TextInput
+                        value={minLength}
+                        onChangeText={setMinLength}
+                        placeholder="Min length"
+                        keyboardType="numeric"
+                        className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                      />
+                      <TextInput
+                        value={maxLength}
+                        onChangeText={setMaxLength}
+                        placeholder="Max length"
+                        keyboardType="numeric"
+                        className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                      />
+                    </View>
+                    <TextInput
+                      value={pattern}
+                      onChangeText={setPattern}
+                      placeholder="Pattern (regular expression), e.g. ^[A-Z]{3}-\d{4}$"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      className="bg-white border border-text-tertiary rounded-lg p-3 mb-3 font-dmsans"
+                    />
+                    {pattern.trim() !== "" && (
+                      <TextInput
+                        value={patternMessage}
+                        onChangeText={setPatternMessage}
+                        placeholder="Message when the pattern does not match"
+                        className="bg-white border border-text-tertiary rounded-lg p-3 mb-3 font-dmsans"
+                      />
+                    )}
+                  </>
+                )}
+
+                <View className="flex-row justify-between items-center">
+                  <Text className="text-text-navy font-dmsans">Unique Across Records</Text>
+                  <Switch
+                    value={unique}
+                    onValueChange={setUnique}
+                    trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                    thumbColor="#FFFFFF"
+                  />
+                </View>
+              </View>
+            )}
           </View>
         </View>
       </ScrollView>
@@ -2,7 +2,7 @@ import { Feather } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 import { useEffect, useState } from "react";
 import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
-import { deleteForm, getAllForms } from '../../../services/app';
+import { deleteForm, duplicateForm, getAllForms } from '../../../services/app';
 
 /**
  * Forms screen component - Main interface for managing and viewing all user forms
@@ -16,6 +16,7 @@ export default function FormsScreen() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [deletingId, setDeletingId] = useState(null);
+  const [duplicatingId, setDuplicatingId] = useState(null);
   const router = useRouter();
 
   useEffect(() => {
@@ -80,6 +81,43 @@ export default function FormsScreen() {
     }
   };
 
+  // Asks whether to copy the records too before duplicating a form
+  const handleDuplicateForm = (formId, formName) => {
+    Alert.alert(
+      "Duplicate Form",
+      `Make a copy of "${formName}"?`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Fields Only",
+          onPress: () => performDuplicate(formId, false)
+        },
+        {
+          text: "Fields & Records",
+          onPress: () => performDuplicate(formId, true)
+        }
+      ]
+    );
+  };
+
+  // Performs form duplication and shows the copy in the list
+  const performDuplicate = async (formId, includeRecords) => {
+    try {
+      setDuplicatingId(formId);
+      const copy = await duplicateForm(formId, includeRecords);
+      await fetchForms();
+      Alert.alert("Success", `Created "${copy.name}".`);
+    } catch (error) {
+      console.error("Error duplicating form:", error);
+      Alert.alert("Error", error.message || "Failed to duplicate form. Please try again.");
+    } finally {
+      setDuplicatingId(null);
+    }
+  };
+
   return (
     <View className="flex-1 bg-background-base px-4 py-6">
       {/* Header with Refresh Button */}
@@ -145,6 +183,19 @@ export default function FormsScreen() {
                     <Text className="ml-2 text-text-navy font-dmsans">Edit</Text>
                   </TouchableOpacity>
 
+                  <TouchableOpacity
+                    className="flex-row items-center bg-[#FFF1D6] px-3 py-2 rounded-full"
+                    onPress={() => handleDuplicateForm(form.id, form.name || "Untitled Form")}
+                    disabled={duplicatingId === form.id}
+                  >
+                    {duplicatingId === form.id ? (
+                      <ActivityIndicator size="small" color="#B7791F" />
+                    ) : (
+                      <Feather name="copy" size={16} color="#B7791F" />
+                    )}
+                    <Text className="ml-2 text-text-navy font-dmsans">Copy</Text>
+                  </TouchableOpacity>
+
                   <TouchableOpacity
                     className={`flex-row items-center px-3 py-2 rounded-full ${
                       deletingId === form.id ? "bg-gray-400" : "bg-[#FADADA]"
@@ -190,6 +241,17 @@ export default function FormsScreen() {
               + Add Form
             </Text>
           </TouchableOpacity>
+
+          {/* Template Gallery Button */}
+          <TouchableOpacity
+            className="bg-white mt-3 mb-6 py-2 rounded-2xl items-center border border-text-navy flex-row justify-center"
+            onPress={() => router.push("/(tabs)/myForm/templates")}
+          >
+            <Feather name="grid" size={18} color="#6B6ECC" />
+            <Text className="text-text-navy text-xl font-dmsans-medium ml-2">
+              Start from a Template
+            </Text>
+          </TouchableOpacity>
         </ScrollView>
       )}
     </View>
@@ -1,21 +1,42 @@
+import { Feather, FontAwesome } from "@expo/vector-icons";
+import DateTimePicker from '@react-native-community/datetimepicker';
 import { Picker } from '@react-native-picker/picker';
-import * as Location from 'expo-location';
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useEffect, useState } from "react";
-import { Alert, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { Alert, Platform, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import ChoicePicker from '../../../../components/ChoicePicker';
+import LocationPicker from '../../../../components/LocationPicker';
 import PhotoPicker from '../../../../components/PhotoPicker';
-import { getFieldsByFormId, getFormById, insertRecord } from '../../../../services/app';
+import { checkUniqueValues, getFieldsByFormId, getFormById, getRecordById, insertRecord, updateRecord } from '../../../../services/app';
+import {
+  formatFieldValue, getFieldTypeLabel, getRatingMax, isMultiSelect, parseStoredDateValue, readChoiceValues,
+  SEARCHABLE_CHOICE_COUNT, toStoredDateValue
+} from '../../../../services/fieldTypes';
+import { getVisibleFields } from '../../../../services/fieldVisibility';
+import { applyComputedFields, getFormulaReferences } from '../../../../services/formulas';
+import {
+  createLocationValue, formatAccuracy, getCurrentLocation, LOCATION_SOURCES, readLocationValue
+} from '../../../../services/locations';
+import { getPhotoSettings } from '../../../../services/media';
+import { coerceFieldValue } from '../../../../services/validation';
 
 /**
  * Submit record screen component 
  * This screen provides a dynamic form interface that renders appropriate input controls
- * based on field types including text, dropdowns, location capture, media upload, and multiline inputs.
+ * based on field types including text, dropdowns, location capture or picking on a map, media upload, multiline inputs,
+ * date and time pickers, checkboxes, star ratings and numbers with units. Calculated fields are
+ * shown read-only, worked out live from the other answers and saved with the record.
+ * When opened with a recordId search param it switches to edit mode, pre-filling the existing
+ * record's values and saving changes in place. Values are checked against each field's
+ * validation rules, with errors shown under the field. Fields with a visibility rule appear and
+ * disappear as the answers change; hidden fields are not required and are not saved.
  * 
  * @component
  * @returns {JSX.Element} Dynamic form submission interface with type-specific input controls
  */
 export default function SubmitRecord() {
-  const { id: formId } = useLocalSearchParams();
+  const { id: formId, recordId } = useLocalSearchParams();
+  const isEditing = !!recordId;
   const router = useRouter();
   const [loading, setLoading] = useState(false);
   const [form, setForm] = useState(null);
@@ -23,17 +44,41 @@ export default function SubmitRecord() {
   const [recordData, setRecordData] = useState({});
   const [capturedLocations, setCapturedLocations] = useState({});
   const [locationNames, setLocationNames] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  // The date or time picker currently open, as { fieldName, mode }
+  const [activePicker, setActivePicker] = useState(null);
+  // Location field being set in the map picker, null while it is closed
+  const [pickerField, setPickerField] = useState(null);
+  // { completed, total, fraction } while photos and videos upload, null otherwise
+  const [uploadProgress, setUploadProgress] = useState(null);
+
+  // Fields shown for the answers so far, re-evaluated on every change
+  const visibleFields = getVisibleFields(fields, recordData);
+
+  // Converts the shown fields' answers to their stored form and works out calculated fields from
+  // them, exactly as saving does, collecting required, number and rule errors on the way
+  const getStoredValues = () => {
+    const values = {};
+    const errors = {};
+    visibleFields.filter(field => field.field_type !== 'computed').forEach(field => {
+      const { value, error } = coerceFieldValue(field, recordData[field.name]);
+      values[field.name] = value;
+      if (error) errors[field.name] = error;
+    });
+    return { values: applyComputedFields(visibleFields, values), errors };
+  };
 
   useEffect(() => {
     fetchFormAndFields();
-  }, [formId]);
+  }, [formId, recordId]);
 
-  // Fetches form structure and field definitions to build the form interface
+  // Fetches form structure and field definitions to build the form interface, plus the record when editing
   const fetchFormAndFields = async () => {
     try {
-      const [formData, formFields] = await Promise.all([
+      const [formData, formFields, recordData] = await Promise.all([
         getFormById(formId),
-        getFieldsByFormId(formId)
+        getFieldsByFormId(formId),
+        isEditing ? getRecordById(recordId) : Promise.resolve([])
       ]);
       
       setForm(formData[0]);
@@ -44,26 +89,75 @@ export default function SubmitRecord() {
       // Initialize record data with field names and default values
       const initialData = {};
       sortedFields.forEach(field => {
-        if (field.field_type === 'dropdown' && field.options) {
-          // Set first option as default for dropdowns
-          const options = Object.values(field.options)[0] || [];
-          initialData[field.name] = options[0] || "";
+        if (isMultiSelect(field)) {
+          initialData[field.name] = [];
+        } else if (field.field_type === 'checkbox') {
+          initialData[field.name] = false;
         } else {
           initialData[field.name] = "";
         }
       });
+
+      // Pre-fill every field from the existing record when editing
+      if (isEditing) {
+        const existingRecord = recordData[0];
+        if (!existingRecord) {
+          Alert.alert("Error", "Record not found.");
+          router.back();
+          return;
+        }
+        prefillFromRecord(sortedFields, existingRecord.values || {}, initialData);
+      }
+
       setRecordData(initialData);
     } catch (error) {
       Alert.alert("Error", "Failed to load form fields.");
     }
   };
 
-  // Updates form data state when users input values
+  // Copies existing record values into the form state, including locations and their "<field> Name" companion keys
+  const prefillFromRecord = (sortedFields, values, initialData) => {
+    const existingLocations = {};
+    const existingLocationNames = {};
+
+    sortedFields.forEach(field => {
+      const value = values[field.name];
+      if (value === undefined || value === null) return;
+
+      // Multi-select answers stay as lists for the choice picker
+      if (isMultiSelect(field)) {
+        initialData[field.name] = readChoiceValues(value);
+        return;
+      }
+
+      if (field.field_type === 'location') {
+        // Unreadable locations are left as raw text
+        const locationData = readLocationValue(value);
+        if (locationData) {
+          existingLocations[field.name] = locationData;
+        }
+        existingLocationNames[field.name] = values[`${field.name} Name`] || "";
+      }
+
+      // Media and location values are stored as JSON strings, keep that shape for the inputs
+      initialData[field.name] = typeof value === 'object' ? JSON.stringify(value) : value.toString();
+    });
+
+    setCapturedLocations(existingLocations);
+    setLocationNames(existingLocationNames);
+  };
+
+  // Updates form data state when users input values, rechecking a field that is showing an error
   const handleInputChange = (fieldName, value) => {
     setRecordData(prev => ({
       ...prev,
       [fieldName]: value
     }));
+
+    const field = fields.find(item => item.name === fieldName);
+    if (field && fieldErrors[fieldName]) {
+      setFieldErrors(prev => ({ ...prev, [fieldName]: coerceFieldValue(field, value).error }));
+    }
   };
 
   // Handles custom naming for captured locations
@@ -78,41 +172,27 @@ export default function SubmitRecord() {
     handleInputChange(locationNameField, locationName);
   };
 
-  // Captures current GPS location for location-type fields
-  const handleLocationSelection = async (fieldName) => {
-    try {      
-      // Request permission
-      let { status } = await Location.requestForegroundPermissionsAsync();
-      
-      if (status !== 'granted') {
-        Alert.alert('Permission denied', 'Location permission is required to use this feature.');
-        return;
-      }
-
-      // Get current location
-      let location = await Location.getCurrentPositionAsync({});
-      const { latitude, longitude } = location.coords;
-
-      // Create location object with coordinates
-      const locationData = {
-        latitude: parseFloat(latitude.toFixed(6)),
-        longitude: parseFloat(longitude.toFixed(6))
-      };
+  // Stores coordinates for a location field, with the place name when one is known
+  const storeLocation = (fieldName, locationData, name = "") => {
+    // Store for display
+    setCapturedLocations(prev => ({
+      ...prev,
+      [fieldName]: locationData
+    }));
 
-      // Store for display
-      setCapturedLocations(prev => ({
-        ...prev,
-        [fieldName]: locationData
-      }));
+    // Initialize the location name
+    handleLocationNameChange(fieldName, name);
 
-      // Initialize empty location name
-      handleLocationNameChange(fieldName, "");
+    // Store in record data as JSON string
+    handleInputChange(fieldName, JSON.stringify(locationData));
+  };
 
-      // Store in record data as JSON string
-      handleInputChange(fieldName, JSON.stringify(locationData));
-            
+  // Captures current GPS location for location-type fields, with the accuracy of the fix
+  const handleLocationSelection = async (fieldName) => {
+    try {
+      storeLocation(fieldName, await getCurrentLocation());
     } catch (error) {
-      Alert.alert("Error", "Failed to get location. Please try again.");
+      Alert.alert("Error", error.message || "Failed to get location. Please try again.");
     }
   };
 
@@ -122,7 +202,7 @@ export default function SubmitRecord() {
 
     switch (field.field_type) {
       case 'dropdown':
-        return renderDropdownField(field, value);
+        return renderDropdownField(field, recordData[field.name]);
       
       case 'location':
         return renderLocationField(field, value);
@@ -133,23 +213,54 @@ export default function SubmitRecord() {
       case 'photo/video':
         return renderMediaField(field, value);
 
+      case 'date':
+      case 'time':
+      case 'datetime':
+        return renderDateField(field, value);
+
+      case 'checkbox':
+        return renderCheckboxField(field, value);
+
+      case 'rating':
+        return renderRatingField(field, value);
+
+      case 'number':
+        return renderNumberField(field, value);
+
+      case 'computed':
+        return renderComputedField(field);
+
       case 'text':
       default:
         return renderTextField(field, value);
     }
   };
 
-  // Renders dropdown selector with predefined options
+  // Renders dropdown selector with predefined options. Dropdowns start unanswered; multi-select and
+  // long choice lists open a searchable list instead of the wheel
   const renderDropdownField = (field, value) => {
-    const options = field.options ? Object.values(field.options)[0] || [] : [];
+    const options = field.options?.choices || [];
+
+    if (isMultiSelect(field) || options.length > SEARCHABLE_CHOICE_COUNT) {
+      return (
+        <ChoicePicker
+          label={field.name}
+          choices={options}
+          multiple={isMultiSelect(field)}
+          value={value}
+          onChange={(picked) => handleInputChange(field.name, picked)}
+        />
+      );
+    }
     
     return (
       <View className="border border-text-tertiary rounded-lg bg-white">
         <Picker
-          selectedValue={value}
+          selectedValue={value || ""}
           onValueChange={(itemValue) => handleInputChange(field.name, itemValue)}
           style={{ fontFamily: 'DMSans_400Regular' }}
         >
+          <Picker.Item label="Select an option..." value="" color="#9395D3" />
           {options.map((option, index) => (
             <Picker.Item key={index} label={option} value={option} />
           ))}
@@ -158,7 +269,14 @@ export default function SubmitRecord() {
     );
   };
 
-  // Renders location capture button with GPS coord display
+  // Stores the location chosen in the map picker, named after a searched place unless it has a name
+  const handlePickerConfirm = (location, placeName) => {
+    const fieldName = pickerField.name;
+    storeLocation(fieldName, location, placeName || locationNames[fieldName] || "");
+    setPickerField(null);
+  };
+
+  // Renders location capture button with GPS coord display, and a button to pick it on a map
   const renderLocationField = (field, value) => {
     const capturedLocation = capturedLocations[field.name];
     const locationName = locationNames[field.name] || "";
@@ -196,14 +314,23 @@ export default function SubmitRecord() {
         
         {!coordinatesText ? (
           <Text className="text-text-purple text-xs font-dmsans mt-1">
-            Tap to Set Location
+            Tap to Use Your Current Location
           </Text>
         ) : (
           <Text className="text-green-600 text-xs font-dmsans mt-1">
-            Location Recorded
+            {['Location Recorded', LOCATION_SOURCES[capturedLocation?.source], formatAccuracy(capturedLocation?.accuracy)]
+              .filter(Boolean).join(' · ')}
           </Text>
         )}
 
+        <TouchableOpacity
+          onPress={() => setPickerField(field)}
+          className="flex-row items-center self-start bg-[#E0E3FA] px-3 py-2 rounded-full mt-2"
+        >
+          <Feather name="map-pin" size={14} color="#6B6ECC" />
+          <Text className="ml-2 text-[#6B6ECC] font-dmsans text-sm">Pick on Map</Text>
+        </TouchableOpacity>
+
         {/* Location Name Input, only show when location is selected */}
         {capturedLocation && (
           <View className="mt-3">
@@ -243,11 +370,174 @@ export default function SubmitRecord() {
           <PhotoPicker
               value={value}
               onChange={(mediaValue) => handleInputChange(field.name, mediaValue)}
-              fieldName={field.name}
+              field={field}
+              onPhotoDetails={(details) => handlePhotoDetails(field, details)}
           />
       );
   };
 
+  // Fills the fields a photo field names from where and when a new photo was taken, leaving
+  // answers that are already given alone
+  const handlePhotoDetails = (field, { location, takenAt }) => {
+    const { exifLocationField, exifTimeField } = getPhotoSettings(field);
+    const isEmpty = (fieldName) => !recordData[fieldName];
+
+    const locationField = fields.find(item => item.name === exifLocationField && item.field_type === 'location');
+    if (location && locationField && isEmpty(locationField.name)) {
+      storeLocation(locationField.name, createLocationValue(location, { source: 'photo' }));
+    }
+
+    const timeField = fields.find(item => item.name === exifTimeField);
+    if (takenAt && timeField && isEmpty(timeField.name)) {
+      handleInputChange(timeField.name, toStoredDateValue(timeField.field_type, takenAt));
+    }
+  };
+
+  // Stores a picked date or time, keeping the other half of a datetime value
+  const handleDateChange = (field, mode, event, selected) => {
+    // Android shows the picker as a dialog that closes itself, iOS keeps it open until Done
+    if (Platform.OS === 'android') {
+      setActivePicker(null);
+    }
+    if (event.type === 'dismissed' || !selected) return;
+
+    const merged = parseStoredDateValue(field.field_type, recordData[field.name]) || new Date();
+    if (mode === 'date') {
+      merged.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+    } else {
+      merged.setHours(selected.getHours(), selected.getMinutes(), 0, 0);
+    }
+    handleInputChange(field.name, toStoredDateValue(field.field_type, merged));
+  };
+
+  // Renders date and/or time buttons that open the native pickers
+  const renderDateField = (field, value) => {
+    const date = parseStoredDateValue(field.field_type, value);
+    const modes = field.field_type === 'datetime' ? ['date', 'time'] : [field.field_type];
+    const pickerMode = activePicker?.fieldName === field.name ? activePicker.mode : null;
+
+    return (
+      <View>
+        <View className="flex-row gap-2">
+          {modes.map(mode => (
+            <TouchableOpacity
+              key={mode}
+              onPress={() => setActivePicker({ fieldName: field.name, mode })}
+              className="flex-1 flex-row items-center bg-white border border-text-tertiary rounded-lg p-3"
+            >
+              <Feather name={mode === 'date' ? "calendar" : "clock"} size={16} color="#9395D3" />
+              <Text className={`ml-2 font-dmsans ${date ? 'text-text-navy' : 'text-text-tertiary'}`}>
+                {date
+                  ? formatFieldValue({ field_type: mode }, toStoredDateValue(mode, date))
+                  : mode === 'date' ? "Select date" : "Select time"}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {value ? (
+            <TouchableOpacity onPress={() => handleInputChange(field.name, "")} className="justify-center px-2">
+              <Feather name="x-circle" size={18} color="#9395D3" />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+
+        {pickerMode && (
+          <View className="mt-2">
+            <DateTimePicker
+              value={date || new Date()}
+              mode={pickerMode}
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={(event, selected) => handleDateChange(field, pickerMode, event, selected)}
+            />
+            {Platform.OS === 'ios' && (
+              <TouchableOpacity
+                onPress={() => {
+                  // The spinner only reports changes, so an untouched picker saves its shown value on Done
+                  if (!value) handleInputChange(field.name, toStoredDateValue(field.field_type, new Date()));
+                  setActivePicker(null);
+                }}
+                className="self-end bg-text-lilac px-4 py-2 rounded-full"
+              >
+                <Text className="text-white font-dmsans-bold">Done</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  // Renders a yes/no checkbox
+  const renderCheckboxField = (field, value) => {
+    const checked = value === 'true';
+    return (
+      <TouchableOpacity
+        className="flex-row items-center bg-white border border-text-tertiary rounded-lg p-3"
+        onPress={() => handleInputChange(field.name, !checked)}
+      >
+        <Feather name={checked ? "check-square" : "square"} size={20} color="#6B6ECC" />
+        <Text className="ml-3 font-dmsans text-text-navy">{checked ? "Yes" : "No"}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Renders tappable stars, tapping the current rating again clears it
+  const renderRatingField = (field, value) => {
+    const rating = Number(value) || 0;
+    const stars = Array.from({ length: getRatingMax(field) }, (_, index) => index + 1);
+    return (
+      <View className="flex-row items-center">
+        {stars.map(star => (
+          <TouchableOpacity
+            key={star}
+            onPress={() => handleInputChange(field.name, star === rating ? "" : star)}
+            className="p-1 mr-1"
+          >
+            <FontAwesome name={star <= rating ? "star" : "star-o"} size={28} color="#F5B942" />
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  // Renders a numeric input with the field's unit beside it
+  const renderNumberField = (field, value) => {
+    return (
+      <View className="flex-row items-center bg-white border border-text-tertiary rounded-lg">
+        <TextInput
+          value={value}
+          onChangeText={(text) => handleInputChange(field.name, text)}
+          placeholder={`Enter ${field.name}`}
+          keyboardType="numbers-and-punctuation"
+          className="flex-1 p-3 font-dmsans"
+        />
+        {field.options?.unit ? (
+          <Text className="px-3 text-text-purple font-dmsans-bold">{field.options.unit}</Text>
+        ) : null}
+      </View>
+    );
+  };
+
+  // Renders a calculated field's current result, which cannot be edited; it previews what saving stores
+  const renderComputedField = (field) => {
+    const result = getStoredValues().values[field.name] ?? null;
+    const inputs = getFormulaReferences(field.options?.formula);
+    return (
+      <View className="bg-background-tertiary border border-background-border rounded-lg p-3">
+        <View className="flex-row items-center">
+          <Feather name="hash" size={16} color="#9395D3" />
+          <Text className={`ml-2 font-dmsans-bold ${result === null ? 'text-text-tertiary' : 'text-text-navy'}`}>
+            {result === null ? "—" : formatFieldValue(field, result)}
+          </Text>
+        </View>
+        <Text className="text-text-purple text-xs font-dmsans mt-1">
+          {result === null
+            ? `Fill in ${inputs.join(", ") || "the other fields"} to calculate`
+            : `= ${field.options?.formula}`}
+        </Text>
+      </View>
+    );
+  };
+
   // Renders standard text input with numeric keyboard support
   const renderTextField = (field, value) => {
     return (
@@ -263,54 +553,57 @@ export default function SubmitRecord() {
   
   // Handles form submission 
   const handleSubmitRecord = async () => {
-    const missingFields = fields
-        .filter(field => field.required && !recordData[field.name]?.toString().trim())
-        .map(field => field.name);
-
-    if (missingFields.length > 0) {
-        Alert.alert(
-        "Missing Required Fields", 
-        `Please fill in: ${missingFields.join(", ")}`
-        );
-        return;
-    }
+    // Converts every value to its stored form, collecting required, number and rule errors
+    const { values: processedValues, errors } = getStoredValues();
 
     try {
         setLoading(true);
 
-        const processedValues = {};
-        fields.forEach(field => {
-        let value = recordData[field.name];
-        
-        // For numeric fields, convert to number
-        if (field.is_num && value) {
-            value = parseFloat(value) || 0;
+        // Uniqueness needs the other records; offline it is left to the check when saving
+        try {
+          Object.assign(errors, await checkUniqueValues(formId, fields, processedValues, recordId));
+        } catch (e) {
+          // The service layer checks again before the record is written
         }
 
-        // For media fields, store as JSON string
-        if (fields.field_type === 'photo/video' && value) {
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+          Alert.alert("Please Check Your Entries", Object.values(errors).join("\n"));
+          return;
         }
 
-        processedValues[field.name] = value;
-        });
-
         // Add location name fields to the processed values
-        Object.keys(locationNames).forEach(locationFieldName => {
+        Object.keys(locationNames).filter(name => name in processedValues).forEach(locationFieldName => {
           const locationNameField = `${locationFieldName} Name`;
           processedValues[locationNameField] = locationNames[locationFieldName];
         });
 
-        // Send structure to API 
-        await insertRecord(parseInt(formId), {
-        values: processedValues
-        });
+        // Send structure to API, updating in place when editing so the record keeps its ID.
+        // Photos and videos upload first, with their progress shown on the submit button.
+        const options = { onMediaProgress: setUploadProgress };
+        let result;
+        if (isEditing) {
+          result = await updateRecord(recordId, {
+            values: processedValues
+          }, options);
+        } else {
+          result = await insertRecord(formId, {
+          values: processedValues
+          }, options);
+        }
 
-        Alert.alert("Success", "Record submitted successfully!");
+        // Without a connection the record is queued and sent once the device is back online
+        if (result?.[0]?.pending) {
+          Alert.alert("Saved Offline", "You're offline. This record is saved on your device and will sync when the connection returns.");
+        } else {
+          Alert.alert("Success", isEditing ? "Record updated successfully!" : "Record submitted successfully!");
+        }
         router.back();
     } catch (error) {
         Alert.alert("Error", error.message || "Failed to submit record.");
     } finally {
         setLoading(false);
+        setUploadProgress(null);
     }
   };
 
@@ -333,6 +626,11 @@ export default function SubmitRecord() {
           <Text className="text-text-purple font-dmsans text-center mb-2">
             {form.description || "No description provided"}
           </Text>
+          {isEditing && (
+            <Text className="text-text-lilac font-dmsans-bold text-center">
+              Editing Record #{recordId}
+            </Text>
+          )}
         </View>
       </View>
 
@@ -341,7 +639,7 @@ export default function SubmitRecord() {
         <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
           <View className="bg-white border border-background-border rounded-2xl p-4">
             <Text className="text-xl font-dmsans-bold text-text-navy mb-3">
-              Fill Form Data
+              {isEditing ? "Edit Form Data" : "Fill Form Data"}
             </Text>
 
             {fields.length === 0 ? (
@@ -351,7 +649,7 @@ export default function SubmitRecord() {
                 </Text>
               </View>
             ) : (
-              fields.map((field) => (
+              visibleFields.map((field) => (
                 <View key={field.id} className="mb-4">
                   <Text className="text-text-navy font-dmsans-bold mb-2">
                     {field.name}
@@ -359,9 +657,13 @@ export default function SubmitRecord() {
                   </Text>
                   
                   {renderFieldInput(field)}
+
+                  {fieldErrors[field.name] && (
+                    <Text className="text-red-500 text-xs mt-1 font-dmsans">{fieldErrors[field.name]}</Text>
+                  )}
                   
                   <Text className="text-text-purple text-xs mt-1 font-dmsans">
-                    Expected Type: {field.field_type} {field.is_num && "• Numeric"} {field.required && "• Required"}
+                    Expected Type: {getFieldTypeLabel(field.field_type)} {field.is_num && "• Numeric"} {field.required && "• Required"}
                   </Text>
                 </View>
               ))
@@ -387,10 +689,23 @@ export default function SubmitRecord() {
           disabled={loading || fields.length === 0}
         >
           <Text className="text-white font-dmsans-bold">
-            {loading ? "Submitting..." : "Submit Record"}
+            {uploadProgress && uploadProgress.fraction < 1
+              ? `Uploading ${Math.min(uploadProgress.completed + 1, uploadProgress.total)} of ${uploadProgress.total} (${Math.round(uploadProgress.fraction * 100)}%)`
+              : loading
+              ? (isEditing ? "Saving..." : "Submitting...")
+              : (isEditing ? "Save Changes" : "Submit Record")}
           </Text>
         </TouchableOpacity>
       </View>
+
+      {/* Map Location Picker */}
+      <LocationPicker
+        visible={pickerField !== null}
+        title={pickerField?.name}
+        initialLocation={pickerField ? capturedLocations[pickerField.name] || null : null}
+        onConfirm={handlePickerConfirm}
+        onClose={() => setPickerField(null)}
+      />
     </View>
   );
 }
\ No newline at end of file
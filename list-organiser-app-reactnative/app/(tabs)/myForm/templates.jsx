@@ -0,0 +1,109 @@
+import { Feather } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useState } from "react";
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { createFormWithFields } from "../../../services/app";
+import { getFieldTypeLabel } from "../../../services/fieldTypes";
+import { FORM_TEMPLATES } from "../../../services/templates";
+
+/**
+ * Template gallery screen component
+ * This screen lists ready-made forms and creates the chosen one, with all of its fields,
+ * in a single step.
+ *
+ * @component
+ * @returns {JSX.Element} Template list with a preview of each template's fields
+ */
+export default function TemplateGallery() {
+  const router = useRouter();
+  const [creatingId, setCreatingId] = useState(null);
+
+  // Creates a form from the template and opens it
+  const handleUseTemplate = async (template) => {
+    try {
+      setCreatingId(template.id);
+      const form = await createFormWithFields(
+        { name: template.name, description: template.description },
+        template.fields
+      );
+
+      if (form.pending) {
+        Alert.alert("Saved Offline", `"${template.name}" will be created when you are back online.`);
+        router.replace("/(tabs)/myForm");
+        return;
+      }
+
+      Alert.alert("Success", `"${template.name}" created with ${template.fields.length} fields.`);
+      router.replace(`/(tabs)/myForm/${form.id}`);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to create form from template. Please try again.");
+    } finally {
+      setCreatingId(null);
+    }
+  };
+
+  return (
+    <View className="flex-1 bg-background-base px-4 py-6">
+      <Text className="text-3xl font-dmserif text-center mb-2 text-text-navy">
+        Form Templates
+      </Text>
+      <Text className="text-text-purple font-dmsans text-center mb-6">
+        Start with a ready-made set of fields. You can rename, reorder or remove them later.
+      </Text>
+
+      <ScrollView showsVerticalScrollIndicator={false}>
+        {FORM_TEMPLATES.map(template => (
+          <View key={template.id} className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+            <View className="bg-white border border-background-border rounded-2xl p-4">
+              <View className="flex-row items-center mb-2">
+                <View className="bg-[#E0E3FA] p-2 rounded-full mr-3">
+                  <Feather name={template.icon} size={18} color="#6B6ECC" />
+                </View>
+                <Text className="text-text-navy font-dmsans-bold text-lg flex-1">{template.name}</Text>
+              </View>
+
+              <Text className="text-text-purple font-dmsans mb-3">{template.description}</Text>
+
+              {/* Field Preview */}
+              <View className="flex-row flex-wrap mb-4">
+                {template.fields.map(field => (
+                  <View key={field.name} className="bg-background-tertiary px-3 py-1 rounded-full mr-2 mb-2">
+                    <Text className="text-text-navy text-xs font-dmsans">
+                      {field.name}{field.required ? " *" : ""} • {getFieldTypeLabel(field.field_type)}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              <TouchableOpacity
+                className={`py-3 rounded-full items-center flex-row justify-center ${
+                  creatingId === template.id ? "bg-gray-400" : "bg-text-lilac"
+                }`}
+                onPress={() => handleUseTemplate(template)}
+                disabled={creatingId !== null}
+              >
+                {creatingId === template.id ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Feather name="plus" size={16} color="#FFFFFF" />
+                )}
+                <Text className="text-white font-dmsans-bold ml-2">
+                  {creatingId === template.id ? "Creating..." : "Use Template"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+
+        <TouchableOpacity
+          className="py-3 rounded-lg items-center mb-10"
+          onPress={() => router.back()}
+        >
+          <Text className="text-text-lilac text-lg font-dmsans-medium">
+            Cancel
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
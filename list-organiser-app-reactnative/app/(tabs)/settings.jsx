@@ -0,0 +1,78 @@
+import { Feather } from "@expo/vector-icons";
+import { useState } from "react";
+import { Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { getStorageBackend, setStorageBackend, STORAGE_BACKENDS } from "../../services/app";
+
+// Short explanation shown under each storage backend option
+const BACKEND_DESCRIPTIONS = {
+  rest: "Forms and records are saved to the FormBase server and shared across devices.",
+  local: "Everything stays on this device. Works without a connection, nothing is sent to the server.",
+};
+
+/**
+ * Settings screen component
+ * This screen lets users choose where forms, fields and records are stored, switching
+ * between the REST server and the on-device storage at runtime.
+ *
+ * @component
+ * @returns {JSX.Element} Settings interface with storage backend selection
+ */
+export default function SettingsScreen() {
+  const [backend, setBackend] = useState(getStorageBackend());
+  const [saving, setSaving] = useState(false);
+
+  // Switches the active storage backend and remembers the choice
+  const handleSelectBackend = async (key) => {
+    if (key === backend) return;
+
+    try {
+      setSaving(true);
+      await setStorageBackend(key);
+      setBackend(key);
+      Alert.alert("Storage Switched", `Now using: ${STORAGE_BACKENDS[key].label}. Refresh your forms to see its data.`);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to switch storage.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ScrollView className="flex-1 bg-background-base px-4 py-6" showsVerticalScrollIndicator={false}>
+      <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+        <View className="bg-white border border-background-border rounded-2xl p-4">
+          <Text className="text-xl font-dmsans-bold text-text-navy mb-1">Storage</Text>
+          <Text className="text-text-purple font-dmsans text-sm mb-4">
+            Choose where your forms and records are kept.
+          </Text>
+
+          {Object.entries(STORAGE_BACKENDS).map(([key, option]) => (
+            <TouchableOpacity
+              key={key}
+              disabled={saving}
+              className={`flex-row items-center p-4 rounded-xl border mb-3 ${
+                backend === key ? "bg-text-lilac border-text-lilac" : "bg-white border-text-tertiary"
+              }`}
+              onPress={() => handleSelectBackend(key)}
+            >
+              <Feather
+                name={key === "local" ? "smartphone" : "cloud"}
+                size={20}
+                color={backend === key ? "#FFFFFF" : "#6B6ECC"}
+              />
+              <View className="flex-1 ml-3">
+                <Text className={`font-dmsans-bold ${backend === key ? "text-white" : "text-text-navy"}`}>
+                  {option.label}
+                </Text>
+                <Text className={`text-xs font-dmsans mt-1 ${backend === key ? "text-white" : "text-text-purple"}`}>
+                  {BACKEND_DESCRIPTIONS[key]}
+                </Text>
+              </View>
+              {backend === key && <Feather name="check" size={18} color="#FFFFFF" />}
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </ScrollView>
+  );
+}
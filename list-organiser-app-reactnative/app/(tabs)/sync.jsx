@@ -0,0 +1,190 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import {
+  discardQueuedWrite, QUEUED_OPERATIONS, resolveConflict, retryQueuedWrite, subscribeToSyncQueue, syncPendingWrites
+} from "../../services/app";
+
+// Badge colours and labels for each queue entry status
+const STATUS_STYLES = {
+  pending: { label: "Waiting", className: "bg-[#E0E3FA]", textClassName: "text-[#6B6ECC]" },
+  conflict: { label: "Conflict", className: "bg-[#FFF4D6]", textClassName: "text-[#9A6B00]" },
+  failed: { label: "Failed", className: "bg-[#FFE5E5]", textClassName: "text-[#E53E3E]" },
+};
+
+/**
+ * Sync screen component
+ * This screen lists changes made while offline that are waiting to reach the server, lets users
+ * sync them on demand, and resolves conflicts where the server copy changed in the meantime.
+ *
+ * @component
+ * @returns {JSX.Element} Pending changes list with conflict resolution actions
+ */
+export default function SyncScreen() {
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => subscribeToSyncQueue(setQueue), []);
+
+  // Replays queued writes now
+  const handleSyncNow = async () => {
+    try {
+      setSyncing(true);
+      const { synced, remaining } = await syncPendingWrites();
+      Alert.alert(
+        "Sync Finished",
+        remaining === 0
+          ? `${synced} change${synced !== 1 ? 's' : ''} synced.`
+          : `${synced} synced, ${remaining} still waiting. Check your connection or resolve conflicts below.`
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to sync changes.");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  // Confirms before dropping a queued change for good
+  const handleDiscard = (entry) => {
+    Alert.alert(
+      "Discard Change",
+      "This change will not be sent to the server. Changes that depend on it are discarded too.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Discard", style: "destructive", onPress: () => discardQueuedWrite(entry.id) }
+      ]
+    );
+  };
+
+  // Formats the data the queued write carries for display
+  const describeChange = (entry) => {
+    const { kind } = QUEUED_OPERATIONS[entry.operation];
+    if (kind === "delete") return `ID ${entry.args[0]}`;
+    const body = kind === "create" && entry.operation === "createForm" ? entry.args[0] : entry.args[1];
+    return JSON.stringify(body?.values || body, null, 2);
+  };
+
+  // Renders one queued change with the actions its status allows
+  const renderEntry = (entry) => {
+    const status = STATUS_STYLES[entry.status] || STATUS_STYLES.pending;
+
+    return (
+      <View key={entry.id} className="bg-background-tertiary p-4 rounded-lg mb-3">
+        <View className="flex-row justify-between items-center mb-2">
+          <Text className="text-text-navy font-dmsans-bold">
+            {QUEUED_OPERATIONS[entry.operation]?.label || entry.operation}
+          </Text>
+          <View className={`px-2 py-1 rounded-full ${status.className}`}>
+            <Text className={`text-xs font-dmsans-bold ${status.textClassName}`}>{status.label}</Text>
+          </View>
+        </View>
+        <Text className="text-text-purple text-xs font-dmsans mb-2">
+          Saved {new Date(entry.createdAt).toLocaleString()}
+        </Text>
+
+        {entry.reason && (
+          <Text className="text-text-navy text-sm font-dmsans-medium mb-2">{entry.reason}</Text>
+        )}
+
+        <Text className="text-text-purple text-sm font-dmsans-medium">Your change:</Text>
+        <Text className="text-text-navy text-xs font-dmsans mb-2">{describeChange(entry)}</Text>
+
+        {entry.status === "conflict" && (
+          <>
+            <Text className="text-text-purple text-sm font-dmsans-medium">Server version:</Text>
+            <Text className="text-text-navy text-xs font-dmsans mb-3">
+              {entry.server ? JSON.stringify(entry.server.values || entry.server, null, 2) : "No longer exists"}
+            </Text>
+            <View className="flex-row justify-between">
+              <TouchableOpacity
+                className="flex-1 bg-white mr-2 py-2 rounded-full items-center border border-text-navy"
+                onPress={() => resolveConflict(entry.id, "server")}
+              >
+                <Text className="text-text-navy font-dmsans-bold text-sm">Keep Server</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                className="flex-1 bg-text-lilac ml-2 py-2 rounded-full items-center"
+                onPress={() => resolveConflict(entry.id, "mine")}
+              >
+                <Text className="text-white font-dmsans-bold text-sm">Keep Mine</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        {entry.status === "failed" && (
+          <View className="flex-row justify-end">
+            <TouchableOpacity
+              className="bg-[#E0E3FA] px-3 py-2 rounded-full mr-2"
+              onPress={() => retryQueuedWrite(entry.id)}
+            >
+              <Text className="text-[#6B6ECC] font-dmsans-bold text-sm">Retry</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              className="bg-[#FFE5E5] px-3 py-2 rounded-full"
+              onPress={() => handleDiscard(entry)}
+            >
+              <Text className="text-[#E53E3E] font-dmsans-bold text-sm">Discard</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {entry.status === "pending" && (
+          <View className="flex-row justify-end">
+            <TouchableOpacity
+              className="bg-[#FFE5E5] p-2 rounded-full"
+              onPress={() => handleDiscard(entry)}
+            >
+              <Feather name="trash-2" size={14} color="#E53E3E" />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View className="flex-1 bg-background-base px-4 py-4">
+      <View className="bg-white rounded-2xl p-4 mb-4 shadow-sm border border-background-border">
+        <View className="flex-row justify-between items-center">
+          <View className="flex-1">
+            <Text className="text-xl font-dmserif text-text-navy mb-1">Pending Changes</Text>
+            <Text className="text-text-purple font-dmsans text-sm">
+              {queue.length === 0
+                ? "Everything is synced"
+                : `${queue.length} change${queue.length !== 1 ? 's' : ''} waiting to reach the server`}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={handleSyncNow}
+            disabled={syncing || queue.length === 0}
+            className="bg-[#E0E3FA] p-3 rounded-full"
+          >
+            {syncing ? (
+              <ActivityIndicator size="small" color="#6B6ECC" />
+            ) : (
+              <Feather name="upload-cloud" size={20} color={queue.length === 0 ? "#C3C5F4" : "#6B6ECC"} />
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View className="bg-background-tertiary rounded-2xl p-4 mb-4 shadow-md">
+          <View className="bg-white border border-background-border rounded-2xl p-4">
+            {queue.length === 0 ? (
+              <View className="items-center py-8">
+                <Feather name="check-circle" size={48} color="#C3C5F4" />
+                <Text className="text-text-purple font-dmsans mt-4 text-center">
+                  Changes made while offline will appear here until they sync.
+                </Text>
+              </View>
+            ) : (
+              queue.map(renderEntry)
+            )}
+          </View>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
@@ -5,7 +5,11 @@ import { DrawerContentScrollView, DrawerItem } from "@react-navigation/drawer";
 import { useFonts } from 'expo-font';
 import { router, SplashScreen, usePathname } from "expo-router";
 import { Drawer } from "expo-router/drawer";
-import { Text, View } from "react-native";
+import { useEffect, useRef, useState } from "react";
+import { Alert, Text, View } from "react-native";
+import {
+  loadActiveProfile, loadStorageBackend, startBackgroundSync, subscribeToSyncQueue, subscribeToUnauthorized
+} from "../services/app";
 
 // SIDE HAMBURGER NAVIGATION
 
@@ -15,13 +19,17 @@ SplashScreen.preventAutoHideAsync();
 /**
  * Custom drawer content component that renders the navigation menu
  * This component provides a customized drawer with styled navigation items,
- * active state indicators, and proper font handling for the app navigation.
+ * active state indicators, a pending-sync badge, and proper font handling for the app navigation.
  * 
  * @param {Object} props - React Navigation drawer props
  * @returns {JSX.Element} Custom styled drawer navigation interface
  */
 const CustomDrawerContent = (props) => {
   const pathname = usePathname();
+  const [pendingCount, setPendingCount] = useState(0);
+
+  // Keep the sync badge up to date as changes are queued and replayed
+  useEffect(() => subscribeToSyncQueue((queue) => setPendingCount(queue.length)), []);
 
   const getDrawerItemStyle = (isActive) => ({
     backgroundColor: isActive ? "#9395D3" : "#FFFFFF",
@@ -98,6 +106,56 @@ const CustomDrawerContent = (props) => {
           style={getDrawerItemStyle(pathname === "/(tabs)/about")}
           onPress={() => router.push("/(tabs)/about")}
         />
+
+        <DrawerItem
+          icon={({ size }) => (
+            <Feather
+              name="user"
+              size={size}
+              color={getIconColor(pathname === "/account")}
+            />
+          )}
+          label="Account"
+          labelStyle={getLabelStyle(pathname === "/account")}
+          style={getDrawerItemStyle(pathname === "/account")}
+          onPress={() => router.push("/(tabs)/account")}
+        />
+
+        <DrawerItem
+          icon={({ size }) => (
+            <Feather
+              name="settings"
+              size={size}
+              color={getIconColor(pathname === "/settings")}
+            />
+          )}
+          label="Settings"
+          labelStyle={getLabelStyle(pathname === "/settings")}
+          style={getDrawerItemStyle(pathname === "/settings")}
+          onPress={() => router.push("/(tabs)/settings")}
+        />
+
+        <DrawerItem
+          icon={({ size }) => (
+            <Feather
+              name="upload-cloud"
+              size={size}
+              color={getIconColor(pathname === "/sync")}
+            />
+          )}
+          label={() => (
+            <View className="flex-row items-center justify-between">
+              <Text style={getLabelStyle(pathname === "/sync")}>Sync</Text>
+              {pendingCount > 0 && (
+                <View className="bg-[#E53E3E] rounded-full px-2 py-0.5 mr-2">
+                  <Text className="text-white text-xs font-dmsans-bold">{pendingCount}</Text>
+                </View>
+              )}
+            </View>
+          )}
+          style={getDrawerItemStyle(pathname === "/sync")}
+          onPress={() => router.push("/(tabs)/sync")}
+        />
       </View>
     </DrawerContentScrollView>
   );
@@ -105,7 +163,8 @@ const CustomDrawerContent = (props) => {
 
 /**
  * Root layout component that sets up the application structure
- * This component handles font loading, splash screen management, and
+ * This component handles font loading, restoring the saved storage backend and account profile,
+ * routing back to sign-in when the server rejects the token, splash screen management, and
  * configures the main drawer navigation for the entire application.
  * 
  * @component
@@ -123,8 +182,31 @@ export default function RootLayout() {
     'DMSerifDisplay-Italic': DMSerifDisplay_400Regular_Italic,
   });
 
-  // Wait for fonts to load before showing the app
-  if (!fontsLoaded && !fontError) {
+  const [backendLoaded, setBackendLoaded] = useState(false);
+  const lastUnauthorizedAt = useRef(0);
+
+  // Restore the saved storage backend and account profile before any screen fetches data
+  useEffect(() => {
+    Promise.all([loadStorageBackend(), loadActiveProfile()])
+      .catch((error) => console.error("Error loading settings:", error))
+      .finally(() => setBackendLoaded(true));
+  }, []);
+
+  // Route back to sign-in when the server rejects the token, once per burst of failed requests
+  useEffect(() => subscribeToUnauthorized(() => {
+    const now = Date.now();
+    if (now - lastUnauthorizedAt.current < 5000) return;
+    lastUnauthorizedAt.current = now;
+
+    Alert.alert("Session Expired", "Your token was rejected by the server. Please sign in again.");
+    router.push("/(tabs)/account");
+  }), []);
+
+  // Replay changes queued while offline whenever the connection comes back
+  useEffect(() => startBackgroundSync(), []);
+
+  // Wait for fonts and storage backend to load before showing the app
+  if ((!fontsLoaded && !fontError) || !backendLoaded) {
     return null;
   }
 
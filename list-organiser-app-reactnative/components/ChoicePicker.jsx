@@ -0,0 +1,157 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { FlatList, Modal, Text, TextInput, TouchableOpacity, View } from "react-native";
+
+/**
+ * Choice picker component
+ * Button showing a dropdown field's current answer that opens a searchable list of its choices.
+ * Used for multi-select dropdowns and for dropdowns with too many choices for a wheel. Single
+ * choice lists close as soon as a choice is tapped; multi-select lists toggle choices until Done.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.label - Field name, shown as the list's title
+ * @param {Array<string>} props.choices - The dropdown's choices
+ * @param {boolean} props.multiple - Whether several choices can be picked
+ * @param {string|Array<string>} props.value - The picked choice, or the picked choices when multiple
+ * @param {Function} props.onChange - Callback receiving the new choice ("" for none) or list of choices
+ * @returns {JSX.Element} Button and modal choice list
+ */
+export default function ChoicePicker({ label, choices, multiple, value, onChange }) {
+    const [visible, setVisible] = useState(false);
+    const [query, setQuery] = useState("");
+
+    const picked = multiple ? value || [] : value ? [value] : [];
+    const needle = query.trim().toLowerCase();
+    const visibleChoices = needle
+        ? choices.filter(choice => choice.toLowerCase().includes(needle))
+        : choices;
+
+    // Start with an empty search each time the list opens
+    useEffect(() => {
+        if (visible) {
+            setQuery("");
+        }
+    }, [visible]);
+
+    // Picks a single choice and closes, or toggles one of several keeping the choices' order
+    const handleSelect = (choice) => {
+        if (!multiple) {
+            onChange(choice);
+            setVisible(false);
+            return;
+        }
+        onChange(picked.includes(choice)
+            ? picked.filter(item => item !== choice)
+            : choices.filter(item => item === choice || picked.includes(item)));
+    };
+
+    return (
+        <>
+            <TouchableOpacity
+                onPress={() => setVisible(true)}
+                className="flex-row items-center bg-white border border-text-tertiary rounded-lg p-3"
+            >
+                <Text
+                    className={`flex-1 font-dmsans ${picked.length > 0 ? 'text-text-navy' : 'text-text-tertiary'}`}
+                    numberOfLines={2}
+                >
+                    {picked.length > 0 ? picked.join(", ") : multiple ? "Select options..." : "Select an option..."}
+                </Text>
+                <Feather name="chevron-down" size={18} color="#9395D3" />
+            </TouchableOpacity>
+
+            <Modal
+                visible={visible}
+                animationType="slide"
+                presentationStyle="formSheet"
+                onRequestClose={() => setVisible(false)}
+            >
+                <View className="flex-1 bg-background-base">
+                    <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+                        <Text className="mt-5 text-3xl font-dmserif text-text-navy flex-1" numberOfLines={1}>{label}</Text>
+                        <TouchableOpacity onPress={() => setVisible(false)}>
+                            <Feather name="x" size={24} color="#9395D3" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View className="p-4 flex-1">
+                        <View className="flex-row items-center bg-white border border-text-tertiary rounded-xl px-3 mb-3">
+                            <Feather name="search" size={16} color="#9395D3" />
+                            <TextInput
+                                value={query}
+                                onChangeText={setQuery}
+                                placeholder="Search choices"
+                                className="flex-1 p-3 font-dmsans"
+                                autoCorrect={false}
+                            />
+                            {query ? (
+                                <TouchableOpacity onPress={() => setQuery("")}>
+                                    <Feather name="x-circle" size={16} color="#9395D3" />
+                                </TouchableOpacity>
+                            ) : null}
+                        </View>
+
+                        {multiple && (
+                            <Text className="text-text-purple font-dmsans text-sm mb-2">
+                                {picked.length} selected
+                            </Text>
+                        )}
+
+                        <FlatList
+                            data={visibleChoices}
+                            keyExtractor={(choice) => choice}
+                            keyboardShouldPersistTaps="handled"
+                            ListHeaderComponent={!multiple && !needle ? (
+                                <TouchableOpacity
+                                    onPress={() => handleSelect("")}
+                                    className="flex-row items-center py-3 border-b border-background-border"
+                                >
+                                    <Feather name={picked.length === 0 ? "check-circle" : "circle"} size={18} color="#6B6ECC" />
+                                    <Text className="ml-3 font-dmsans text-text-purple">No selection</Text>
+                                </TouchableOpacity>
+                            ) : null}
+                            renderItem={({ item: choice }) => {
+                                const selected = picked.includes(choice);
+                                const icon = multiple
+                                    ? selected ? "check-square" : "square"
+                                    : selected ? "check-circle" : "circle";
+                                return (
+                                    <TouchableOpacity
+                                        onPress={() => handleSelect(choice)}
+                                        className="flex-row items-center py-3 border-b border-background-border"
+                                    >
+                                        <Feather name={icon} size={18} color="#6B6ECC" />
+                                        <Text className="ml-3 font-dmsans text-text-navy">{choice}</Text>
+                                    </TouchableOpacity>
+                                );
+                            }}
+                            ListEmptyComponent={(
+                                <Text className="text-text-purple font-dmsans text-center py-6">
+                                    No choices match &quot;{query}&quot;
+                                </Text>
+                            )}
+                        />
+
+                        {multiple && (
+                            <View className="flex-row justify-between space-x-3 mt-3">
+                                <TouchableOpacity
+                                    className="flex-1 py-2 rounded-xl items-center"
+                                    onPress={() => onChange([])}
+                                >
+                                    <Text className="text-text-lilac text-lg font-dmsans-medium">Clear</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    className="flex-1 py-2 rounded-xl items-center bg-text-lilac"
+                                    onPress={() => setVisible(false)}
+                                >
+                                    <Text className="text-white text-lg">Done</Text>
+                                </TouchableOpacity>
+                            </View>
+                        )}
+                    </View>
+                </View>
+            </Modal>
+        </>
+    );
+}
@@ -0,0 +1,278 @@
+import { Feather } from "@expo/vector-icons";
+import { Picker } from '@react-native-picker/picker';
+import * as DocumentPicker from 'expo-document-picker';
+import { useState } from "react";
+import { ActivityIndicator, Alert, Modal, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { insertRecord } from '../services/app';
+import { getImportTargets, readCsvFile, suggestColumnMapping, validateImportRows } from '../services/importers';
+
+/**
+ * CSV importer component
+ * Modal flow for bringing spreadsheet rows into a form: pick a CSV file, map its columns onto
+ * the form's fields, preview validation errors row by row, then insert the valid rows with
+ * progress and a summary report.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the importer modal is shown
+ * @param {number|string} props.formId - ID of the form to import into
+ * @param {Array} props.fields - The form's field definitions
+ * @param {Function} props.onClose - Callback triggered when the modal is dismissed
+ * @param {Function} props.onImported - Callback triggered after records were imported, used to refetch
+ * @returns {JSX.Element} Step-by-step CSV import modal
+ */
+export default function CsvImporter({ visible, formId, fields, onClose, onImported }) {
+    const [step, setStep] = useState("pick");
+    const [fileName, setFileName] = useState("");
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [results, setResults] = useState([]);
+    const [progress, setProgress] = useState(0);
+    const [summary, setSummary] = useState(null);
+
+    const targets = getImportTargets(fields);
+    const validRows = results.filter(result => result.errors.length === 0);
+    const invalidRows = results.filter(result => result.errors.length > 0);
+
+    // Resets the flow and closes the modal
+    const handleClose = () => {
+        setStep("pick");
+        setFileName("");
+        setHeaders([]);
+        setRows([]);
+        setMapping({});
+        setResults([]);
+        setProgress(0);
+        setSummary(null);
+        onClose();
+    };
+
+    // Opens the document picker and reads the chosen CSV file
+    const handlePickFile = async () => {
+        try {
+            const result = await DocumentPicker.getDocumentAsync({
+                type: ["text/csv", "text/comma-separated-values", "text/plain"],
+                copyToCacheDirectory: true,
+            });
+            if (result.canceled || !result.assets?.length) return;
+
+            const asset = result.assets[0];
+            const csv = await readCsvFile(asset.uri);
+            if (csv.rows.length === 0) {
+                Alert.alert("No Rows", "The file has a header row but no data.");
+                return;
+            }
+
+            setFileName(asset.name);
+            setHeaders(csv.headers);
+            setRows(csv.rows);
+            setMapping(suggestColumnMapping(csv.headers, targets));
+            setStep("map");
+        } catch (error) {
+            Alert.alert("Error", error.message || "Failed to read the CSV file.");
+        }
+    };
+
+    // Assigns a CSV column to a target, freeing the target from any other column
+    const handleMapColumn = (columnIndex, targetKey) => {
+        setMapping(prev => {
+            const next = {};
+            Object.entries(prev).forEach(([index, key]) => {
+                if (key !== targetKey) next[index] = key;
+            });
+            if (targetKey) next[columnIndex] = targetKey;
+            return next;
+        });
+    };
+
+    // Validates every row with the current mapping and shows the preview
+    const handlePreview = () => {
+        setResults(validateImportRows(rows, mapping, fields));
+        setStep("preview");
+    };
+
+    // Inserts valid rows one by one, reporting progress
+    const handleImport = async () => {
+        setStep("importing");
+        setProgress(0);
+        let imported = 0;
+        let queued = 0;
+        const failures = [];
+
+        for (const result of validRows) {
+            try {
+                const response = await insertRecord(formId, { values: result.values });
+                if (response?.[0]?.pending) {
+                    queued++;
+                } else {
+                    imported++;
+                }
+            } catch (error) {
+                failures.push({ rowNumber: result.rowNumber, message: error.message });
+            }
+            setProgress(prev => prev + 1);
+        }
+
+        setSummary({ imported, queued, skipped: invalidRows.length, failures });
+        setStep("done");
+        if (imported + queued > 0) {
+            onImported();
+        }
+    };
+
+    // Renders the column to field mapping step
+    const renderMapping = () => (
+        <>
+            <Text className="text-text-purple font-dmsans mb-4">
+                {fileName} • {rows.length} row{rows.length !== 1 ? 's' : ''}. Choose which field each column fills.
+            </Text>
+            {headers.map((header, index) => (
+                <View key={`${header}-${index}`} className="bg-white border border-background-border rounded-xl p-3 mb-3">
+                    <Text className="text-text-navy font-dmsans-bold">{header || `Column ${index + 1}`}</Text>
+                    <Text className="text-text-purple text-xs font-dmsans mb-2" numberOfLines={1}>
+                        e.g. {rows[0]?.[index] || "(empty)"}
+                    </Text>
+                    <View className="border border-text-tertiary rounded-lg bg-white">
+                        <Picker
+                            selectedValue={mapping[index] || ""}
+                            onValueChange={(value) => handleMapColumn(index, value)}
+                        >
+                            <Picker.Item label="— Skip this column —" value="" />
+                            {targets.map(target => (
+                                <Picker.Item key={target.key} label={target.label} value={target.key} />
+                            ))}
+                        </Picker>
+                    </View>
+                </View>
+            ))}
+            <TouchableOpacity
+                className="bg-text-lilac py-3 rounded-full items-center mt-2 mb-8"
+                onPress={handlePreview}
+            >
+                <Text className="text-white font-dmsans-bold">Validate Rows</Text>
+            </TouchableOpacity>
+        </>
+    );
+
+    // Renders the validation preview step
+    const renderPreview = () => (
+        <>
+            <View className="flex-row mb-4">
+                <View className="flex-1 bg-[#D8F5D1] rounded-xl p-3 mr-2 items-center">
+                    <Text className="text-text-navy font-dmsans-bold text-xl">{validRows.length}</Text>
+                    <Text className="text-text-purple text-xs font-dmsans">Ready to import</Text>
+                </View>
+                <View className="flex-1 bg-[#FFE5E5] rounded-xl p-3 ml-2 items-center">
+                    <Text className="text-text-navy font-dmsans-bold text-xl">{invalidRows.length}</Text>
+                    <Text className="text-text-purple text-xs font-dmsans">With errors</Text>
+                </View>
+            </View>
+
+            {invalidRows.map(result => (
+                <View key={result.rowNumber} className="bg-white border border-[#FADADA] rounded-xl p-3 mb-2">
+                    <Text className="text-text-navy font-dmsans-bold mb-1">Row {result.rowNumber}</Text>
+                    {result.errors.map((error, index) => (
+                        <Text key={index} className="text-[#bb3f3f] text-sm font-dmsans">• {error}</Text>
+                    ))}
+                </View>
+            ))}
+
+            <View className="flex-row justify-between mt-2 mb-8">
+                <TouchableOpacity
+                    className="flex-1 bg-white mr-2 py-3 rounded-full items-center border border-text-navy"
+                    onPress={() => setStep("map")}
+                >
+                    <Text className="text-text-navy font-dmsans-bold">Back</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    className={`flex-1 ml-2 py-3 rounded-full items-center ${
+                        validRows.length === 0 ? "bg-gray-400" : "bg-text-lilac"
+                    }`}
+                    onPress={handleImport}
+                    disabled={validRows.length === 0}
+                >
+                    <Text className="text-white font-dmsans-bold">
+                        Import {validRows.length} Row{validRows.length !== 1 ? 's' : ''}
+                    </Text>
+                </TouchableOpacity>
+            </View>
+        </>
+    );
+
+    // Renders the final report
+    const renderSummary = () => (
+        <>
+            <View className="bg-white border border-background-border rounded-xl p-4 mb-4">
+                <Text className="text-text-navy font-dmsans-bold text-lg mb-2">Import Complete</Text>
+                <Text className="text-text-purple font-dmsans">• {summary.imported} record{summary.imported !== 1 ? 's' : ''} imported</Text>
+                {summary.queued > 0 && (
+                    <Text className="text-text-purple font-dmsans">• {summary.queued} saved offline, will sync later</Text>
+                )}
+                <Text className="text-text-purple font-dmsans">• {summary.skipped} row{summary.skipped !== 1 ? 's' : ''} skipped with errors</Text>
+                <Text className="text-text-purple font-dmsans">• {summary.failures.length} failed to save</Text>
+            </View>
+            {summary.failures.map(failure => (
+                <Text key={failure.rowNumber} className="text-[#bb3f3f] text-sm font-dmsans mb-1">
+                    Row {failure.rowNumber}: {failure.message}
+                </Text>
+            ))}
+            <TouchableOpacity
+                className="bg-text-lilac py-3 rounded-full items-center mt-4 mb-8"
+                onPress={handleClose}
+            >
+                <Text className="text-white font-dmsans-bold">Done</Text>
+            </TouchableOpacity>
+        </>
+    );
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="formSheet"
+            onRequestClose={handleClose}
+        >
+            <View className="flex-1 bg-background-base">
+                <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+                    <Text className="mt-5 text-3xl font-dmserif text-text-navy">Import CSV</Text>
+                    <TouchableOpacity onPress={handleClose} disabled={step === "importing"}>
+                        <Feather name="x" size={24} color="#9395D3" />
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView className="flex-1 p-4" showsVerticalScrollIndicator={false}>
+                    {step === "pick" && (
+                        <View className="items-center py-8">
+                            <Feather name="upload" size={48} color="#C3C5F4" />
+                            <Text className="text-text-purple font-dmsans mt-4 text-center mb-6">
+                                Choose a CSV file with a header row. You can match its columns to this form&apos;s fields next.
+                            </Text>
+                            <TouchableOpacity
+                                className="bg-text-lilac px-6 py-3 rounded-full items-center flex-row"
+                                onPress={handlePickFile}
+                            >
+                                <Feather name="folder" size={16} color="#FFFFFF" />
+                                <Text className="text-white font-dmsans-bold ml-2">Choose File</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    {step === "map" && renderMapping()}
+                    {step === "preview" && renderPreview()}
+
+                    {step === "importing" && (
+                        <View className="items-center py-8">
+                            <ActivityIndicator size="large" color="#9395D3" />
+                            <Text className="text-text-navy font-dmsans mt-4">
+                                Importing {progress} of {validRows.length}...
+                            </Text>
+                        </View>
+                    )}
+
+                    {step === "done" && summary && renderSummary()}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
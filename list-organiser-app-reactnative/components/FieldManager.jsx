@@ -0,0 +1,454 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { ActivityIndicator, Alert, Modal, Switch, Text, TextInput, TouchableOpacity, View } from "react-native";
+import DraggableFlatList, { ScaleDecorator } from "react-native-draggable-flatlist";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
+import {
+    deleteField, renameFieldInFormulas, renameFieldInRecords, reorderFields, retargetPhotoFillFields, retargetVisibilityRules,
+    updateField
+} from '../services/app';
+import { getFieldTypeLabel, getRatingMax, isMultiSelect, NON_NUMERIC_TYPES, NUMERIC_TYPES, resolveIsNum } from '../services/fieldTypes';
+import { describeVisibilityRule, getVisibilityRule, validateVisibilityRule } from '../services/fieldVisibility';
+import { validateFormula } from '../services/formulas';
+import { getPhotoOptionsDraft, parsePhotoOptionsDraft, PHOTO_OPTION_KEYS, validatePhotoOptions } from '../services/media';
+import { renameFieldInViews } from '../services/views';
+import FormulaEditor from './FormulaEditor';
+import PhotoSettingsEditor from './PhotoSettingsEditor';
+import VisibilityRuleEditor from './VisibilityRuleEditor';
+
+/**
+ * Field manager component
+ * Modal interface for editing a form's fields: drag to reorder (persisted as order_index),
+ * rename (migrating existing record values and saved views), toggle required/numeric, edit dropdown choices, number
+ * units, rating star counts, formulas, photo settings and when the field is shown, and delete.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the manager modal is shown
+ * @param {number|string} props.formId - ID of the form the fields belong to
+ * @param {Array} props.fields - Current field definitions of the form
+ * @param {Function} props.onClose - Callback triggered when the modal is dismissed
+ * @param {Function} props.onFieldsChanged - Callback triggered after any change is saved, used to refetch
+ * @returns {JSX.Element} Field management modal with draggable list and inline editors
+ */
+export default function FieldManager({ visible, formId, fields, onClose, onFieldsChanged }) {
+    const [orderedFields, setOrderedFields] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Reset the local ordering whenever fresh fields come in
+    useEffect(() => {
+        setOrderedFields([...fields].sort((a, b) => a.order_index - b.order_index));
+    }, [fields]);
+
+    // Opens the inline editor for a field, or closes it if it is already open
+    const handleToggleExpand = (field) => {
+        if (expandedId === field.id) {
+            setExpandedId(null);
+            setDraft(null);
+            return;
+        }
+        setExpandedId(field.id);
+        setDraft({
+            name: field.name,
+            required: !!field.required,
+            is_num: !!field.is_num,
+            choices: (field.options?.choices || []).join(", "),
+            multiple: isMultiSelect(field),
+            unit: field.options?.unit || "",
+            ratingMax: String(getRatingMax(field)),
+            showWhen: getVisibilityRule(field),
+            formula: field.options?.formula || "",
+            decimals: Number.isInteger(field.options?.decimals) ? String(field.options.decimals) : "",
+            photo: getPhotoOptionsDraft(field.options),
+        });
+    };
+
+    // Persists the new order after a drag, rolling back on failure
+    const handleDragEnd = async ({ data }) => {
+        const previousOrder = orderedFields;
+        setOrderedFields(data);
+        try {
+            setSaving(true);
+            await reorderFields(data);
+            onFieldsChanged();
+        } catch (error) {
+            setOrderedFields(previousOrder);
+            Alert.alert("Error", error.message || "Failed to save field order.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Saves the edited field, migrating record values when the name changed
+    const handleSaveField = async (field) => {
+        const newName = draft.name.trim();
+        if (!newName) {
+            Alert.alert("Missing Field Name", "Please enter a name for the field.");
+            return;
+        }
+        if (orderedFields.some(f => f.id !== field.id && f.name === newName)) {
+            Alert.alert("Duplicate Name", `Another field is already called "${newName}".`);
+            return;
+        }
+
+        const updates = {
+            name: newName,
+            required: draft.required,
+            is_num: resolveIsNum(field.field_type, draft.is_num),
+        };
+
+        if (field.field_type === "dropdown") {
+            const choices = draft.choices.split(',').map(opt => opt.trim()).filter(opt => opt);
+            if (choices.length === 0) {
+                Alert.alert("Missing Dropdown Options", "Please enter options for the dropdown field.");
+                return;
+            }
+            updates.options = { ...(field.options || {}), choices, multiple: draft.multiple };
+        }
+
+        if (field.field_type === "number") {
+            updates.options = { ...(field.options || {}), unit: draft.unit.trim() };
+        }
+
+        if (field.field_type === "rating") {
+            const max = Number(draft.ratingMax);
+            if (!Number.isInteger(max) || max < 2 || max > 10) {
+                Alert.alert("Invalid Rating", "The number of stars must be a whole number from 2 to 10.");
+                return;
+            }
+            updates.options = { ...(field.options || {}), max };
+        }
+
+        if (field.field_type === "computed") {
+            const problems = validateFormula(draft.formula.trim(), newName, orderedFields.filter(f => f.id !== field.id));
+            if (problems.length > 0) {
+                Alert.alert("Invalid Formula", problems.join("\n"));
+                return;
+            }
+            const places = draft.decimals.trim() === "" ? undefined : Number(draft.decimals);
+            if (places !== undefined && (!Number.isInteger(places) || places < 0 || places > 6)) {
+                Alert.alert("Invalid Decimal Places", "Decimal places must be a whole number from 0 to 6.");
+                return;
+            }
+            const options = { ...(field.options || {}), formula: draft.formula.trim() };
+            delete options.decimals;
+            if (places !== undefined) {
+                options.decimals = places;
+            }
+            updates.options = options;
+        }
+
+        if (field.field_type === "photo/video") {
+            const photoOptions = parsePhotoOptionsDraft(draft.photo);
+            const problems = validatePhotoOptions(photoOptions, orderedFields.filter(f => f.id !== field.id));
+            if (problems.length > 0) {
+                Alert.alert("Invalid Photo Settings", problems.join("\n"));
+                return;
+            }
+            const options = { ...(field.options || {}) };
+            PHOTO_OPTION_KEYS.forEach(key => delete options[key]);
+            updates.options = { ...options, ...photoOptions };
+        }
+
+        // The visibility rule is kept alongside the type's own options
+        const otherFields = orderedFields.filter(f => f.id !== field.id);
+        if (draft.showWhen) {
+            const problems = validateVisibilityRule(draft.showWhen, newName, otherFields);
+            if (problems.length > 0) {
+                Alert.alert("Invalid Visibility Rule", problems.join("\n"));
+                return;
+            }
+        }
+        const options = { ...(updates.options || field.options || {}) };
+        delete options.showWhen;
+        if (draft.showWhen) {
+            options.showWhen = draft.showWhen;
+        }
+        updates.options = options;
+
+        try {
+            setSaving(true);
+            // Records move to the new name first, so a rename that cannot reach them all is not saved
+            let migratedCount = 0;
+            if (newName !== field.name) {
+                migratedCount = await renameFieldInRecords(formId, field.name, newName);
+            }
+            try {
+                await updateField(field.id, updates);
+            } catch (error) {
+                if (migratedCount > 0) {
+                    await renameFieldInRecords(formId, newName, field.name).catch(() => {});
+                }
+                throw error;
+            }
+
+            if (newName !== field.name) {
+                await retargetVisibilityRules(otherFields, field.name, newName);
+                await renameFieldInFormulas(otherFields, field.name, newName);
+                await retargetPhotoFillFields(otherFields, field.name, newName);
+                await renameFieldInViews(formId, field.name, newName);
+            }
+
+            setExpandedId(null);
+            setDraft(null);
+            onFieldsChanged();
+            Alert.alert(
+                "Success",
+                migratedCount > 0
+                    ? `Field updated and ${migratedCount} record${migratedCount !== 1 ? 's' : ''} migrated.`
+                    : "Field updated successfully!"
+            );
+        } catch (error) {
+            Alert.alert("Error", error.message || "Failed to update field.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Displays confirmation dialog before deleting a field
+    const handleDeleteField = (field) => {
+        Alert.alert(
+            "Delete Field",
+            `Are you sure you want to delete "${field.name}"? Values already saved in records are kept.`,
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Delete",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            setSaving(true);
+                            await deleteField(field.id);
+                            const remaining = orderedFields.filter(f => f.id !== field.id);
+                            setOrderedFields(remaining);
+                            await reorderFields(remaining);
+                            // Fields shown only for this field's answers are always shown from now on
+                            await retargetVisibilityRules(remaining, field.name, null);
+                            // Photos stop filling in the deleted field
+                            await retargetPhotoFillFields(remaining, field.name, null);
+                            onFieldsChanged();
+                        } catch (error) {
+                            Alert.alert("Error", error.message || "Failed to delete field.");
+                        } finally {
+                            setSaving(false);
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    // Renders the inline editor for the expanded field
+    const renderEditor = (field) => {
+        const numericDisabled = NON_NUMERIC_TYPES.includes(field.field_type) || NUMERIC_TYPES.includes(field.field_type);
+
+        return (
+            <View className="mt-3 pt-3 border-t border-background-border">
+                <Text className="text-text-navy font-dmsans-bold mb-2">Field Name</Text>
+                <TextInput
+                    value={draft.name}
+                    onChangeText={(name) => setDraft(prev => ({ ...prev, name }))}
+                    placeholder="Enter field name"
+                    className="bg-white border border-text-tertiary rounded-lg p-3 mb-3 font-dmsans"
+                />
+
+                {field.field_type === "dropdown" && (
+                    <View className="mb-3">
+                        <Text className="text-text-navy font-dmsans-bold mb-2">Dropdown Options</Text>
+                        <TextInput
+                            value={draft.choices}
+                            onChangeText={(choices) => setDraft(prev => ({ ...prev, choices }))}
+                            placeholder="Option 1, Option 2, Option 3"
+                            multiline
+                            className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                        />
+                        <View className="flex-row justify-between items-center mt-3">
+                            <Text className="text-text-navy font-dmsans-bold">Allow Multiple Choices</Text>
+                            <Switch
+                                value={draft.multiple}
+                                onValueChange={(multiple) => setDraft(prev => ({ ...prev, multiple }))}
+                                trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                                thumbColor="#FFFFFF"
+                            />
+                        </View>
+                    </View>
+                )}
+
+                {field.field_type === "number" && (
+                    <View className="mb-3">
+                        <Text className="text-text-navy font-dmsans-bold mb-2">Unit</Text>
+                        <TextInput
+                            value={draft.unit}
+                            onChangeText={(unit) => setDraft(prev => ({ ...prev, unit }))}
+                            placeholder="e.g. kg, cm, $"
+                            className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                        />
+                    </View>
+                )}
+
+                {field.field_type === "rating" && (
+                    <View className="mb-3">
+                        <Text className="text-text-navy font-dmsans-bold mb-2">Number of Stars</Text>
+                        <TextInput
+                            value={draft.ratingMax}
+                            onChangeText={(ratingMax) => setDraft(prev => ({ ...prev, ratingMax }))}
+                            keyboardType="numeric"
+                            className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                        />
+                    </View>
+                )}
+
+                <View className="mb-3">
+                    <VisibilityRuleEditor
+                        rule={draft.showWhen}
+                        fields={orderedFields.filter(f => f.id !== field.id)}
+                        onChange={(showWhen) => setDraft(prev => ({ ...prev, showWhen }))}
+                    />
+                </View>
+
+                {field.field_type === "photo/video" && (
+                    <View className="mb-3">
+                        <PhotoSettingsEditor
+                            draft={draft.photo}
+                            fields={orderedFields.filter(f => f.id !== field.id)}
+                            onChange={(photo) => setDraft(prev => ({ ...prev, photo }))}
+                        />
+                    </View>
+                )}
+
+                {field.field_type === "computed" ? (
+                    <View className="mb-3">
+                        <FormulaEditor
+                            formula={draft.formula}
+                            decimals={draft.decimals}
+                            fields={orderedFields.filter(f => f.id !== field.id)}
+                            onChangeFormula={(formula) => setDraft(prev => ({ ...prev, formula }))}
+                            onChangeDecimals={(decimals) => setDraft(prev => ({ ...prev, decimals }))}
+                        />
+                    </View>
+                ) : (
+                    <View className="flex-row justify-between items-center mb-2">
+                        <Text className="text-text-navy font-dmsans-bold">Required Field</Text>
+                        <Switch
+                            value={draft.required}
+                            onValueChange={(required) => setDraft(prev => ({ ...prev, required }))}
+                            trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                            thumbColor="#FFFFFF"
+                        />
+                    </View>
+                )}
+
+                <View className="flex-row justify-between items-center mb-3">
+                    <Text className="text-text-navy font-dmsans-bold">Stores Numeric Values</Text>
+                    <Switch
+                        value={draft.is_num}
+                        onValueChange={(is_num) => setDraft(prev => ({ ...prev, is_num }))}
+                        trackColor={{ false: "#E0E3FA", true: "#9395D3" }}
+                        thumbColor="#FFFFFF"
+                        disabled={numericDisabled}
+                    />
+                </View>
+
+                <View className="flex-row justify-between">
+                    <TouchableOpacity
+                        className="flex-row items-center bg-[#FADADA] px-3 py-2 rounded-full"
+                        onPress={() => handleDeleteField(field)}
+                        disabled={saving}
+                    >
+                        <Feather name="trash-2" size={16} color="#bb3f3f" />
+                        <Text className="ml-2 text-text-navy font-dmsans">Delete</Text>
+                    </TouchableOpacity>
+
+                    <TouchableOpacity
+                        className={`flex-row items-center px-4 py-2 rounded-full ${
+                            saving ? "bg-gray-400" : "bg-text-lilac"
+                        }`}
+                        onPress={() => handleSaveField(field)}
+                        disabled={saving}
+                    >
+                        <Feather name="check" size={16} color="#FFFFFF" />
+                        <Text className="ml-2 text-white font-dmsans-bold">Save</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    // Renders a single draggable field row
+    const renderItem = ({ item, drag, isActive }) => (
+        <ScaleDecorator>
+            <View
+                className={`p-3 rounded-lg mb-2 border ${
+                    isActive ? "bg-[#E0E3FA] border-text-lilac" : "bg-white border-background-border"
+                }`}
+            >
+                <View className="flex-row items-center">
+                    <TouchableOpacity onLongPress={drag} disabled={isActive || saving} className="pr-3 py-1">
+                        <Feather name="menu" size={18} color="#9395D3" />
+                    </TouchableOpacity>
+                    <TouchableOpacity className="flex-1" onPress={() => handleToggleExpand(item)}>
+                        <Text className="text-text-navy font-dmsans-bold">{item.name}</Text>
+                        <Text className="text-text-purple text-xs font-dmsans">
+                            {getFieldTypeLabel(item.field_type)}{item.required ? " • Required" : ""}{item.is_num ? " • Numeric" : ""}
+                        </Text>
+                        {getVisibilityRule(item) && (
+                            <Text className="text-text-purple text-xs font-dmsans">
+                                {describeVisibilityRule(getVisibilityRule(item))}
+                            </Text>
+                        )}
+                    </TouchableOpacity>
+                    <Feather
+                        name={expandedId === item.id ? "chevron-up" : "chevron-down"}
+                        size={18}
+                        color="#6B6ECC"
+                    />
+                </View>
+                {expandedId === item.id && draft && renderEditor(item)}
+            </View>
+        </ScaleDecorator>
+    );
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="formSheet"
+            onRequestClose={onClose}
+        >
+            <GestureHandlerRootView style={{ flex: 1 }}>
+                <View className="flex-1 bg-background-base">
+                    <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+                        <Text className="mt-5 text-3xl font-dmserif text-text-navy">Manage Fields</Text>
+                        <View className="flex-row items-center">
+                            {saving && <ActivityIndicator size="small" color="#9395D3" className="mr-3" />}
+                            <TouchableOpacity onPress={onClose}>
+                                <Feather name="x" size={24} color="#9395D3" />
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
+                    <Text className="text-text-purple font-dmsans text-sm px-4 pt-3">
+                        Hold the handle to drag a field into a new position. Tap a field to edit it.
+                    </Text>
+
+                    <DraggableFlatList
+                        data={orderedFields}
+                        keyExtractor={(item) => String(item.id)}
+                        onDragEnd={handleDragEnd}
+                        renderItem={renderItem}
+                        containerStyle={{ flex: 1 }}
+                        contentContainerStyle={{ padding: 16, paddingBottom: 40 }}
+                        ListEmptyComponent={
+                            <View className="items-center py-8">
+                                <Feather name="inbox" size={40} color="#C3C5F4" />
+                                <Text className="text-text-purple font-dmsans mt-2">No fields defined yet</Text>
+                            </View>
+                        }
+                    />
+                </View>
+            </GestureHandlerRootView>
+        </Modal>
+    );
+}
@@ -0,0 +1,67 @@
+import { Text, TextInput, TouchableOpacity, View } from "react-native";
+import { FORMULA_FUNCTIONS } from "../services/formulas";
+
+/**
+ * Formula editor component
+ * Inputs for a calculated field: the formula, with a chip per field that adds its [reference],
+ * the number of decimal places, and a reminder of the functions a formula can use. The screen
+ * saving the field checks the formula with validateFormula.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.formula - The formula being edited
+ * @param {string} props.decimals - Decimal places as typed, empty to keep every digit
+ * @param {Array} props.fields - The other fields of the form, which the formula may use
+ * @param {Function} props.onChangeFormula - Callback receiving the edited formula
+ * @param {Function} props.onChangeDecimals - Callback receiving the typed decimal places
+ * @returns {JSX.Element} Formula, field reference and decimal place inputs
+ */
+export default function FormulaEditor({ formula, decimals, fields, onChangeFormula, onChangeDecimals }) {
+    // Adds a field reference to the end of the formula
+    const handleInsertField = (field) => {
+        const separator = formula && !formula.endsWith(" ") ? " " : "";
+        onChangeFormula(`${formula}${separator}[${field.name}]`);
+    };
+
+    return (
+        <View>
+            <Text className="text-text-navy font-dmsans-bold mb-2">Formula *</Text>
+            <TextInput
+                value={formula}
+                onChangeText={onChangeFormula}
+                placeholder="[Quantity] * [Unit Price]"
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+                className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+            />
+
+            {fields.length > 0 && (
+                <View className="flex-row flex-wrap gap-2 mt-2">
+                    {fields.map(field => (
+                        <TouchableOpacity
+                            key={field.id ?? field.name}
+                            onPress={() => handleInsertField(field)}
+                            className="bg-[#E0E3FA] px-3 py-1.5 rounded-full"
+                        >
+                            <Text className="text-[#6B6ECC] font-dmsans text-xs">+ {field.name}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+
+            <Text className="text-text-purple text-xs font-dmsans mt-2">
+                Use + - * / % ^ and {FORMULA_FUNCTIONS.map(fn => fn.usage).join(", ")}.
+            </Text>
+
+            <Text className="text-text-navy font-dmsans-bold mt-3 mb-2">Decimal Places</Text>
+            <TextInput
+                value={decimals}
+                onChangeText={onChangeDecimals}
+                placeholder="Leave empty to keep every digit"
+                keyboardType="numeric"
+                className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+            />
+        </View>
+    );
+}
@@ -0,0 +1,279 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useRef, useState } from "react";
+import { ActivityIndicator, Alert, Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import MapView, { Circle, Marker } from "react-native-maps";
+import { searchPlaces } from "../services/geocoding";
+import {
+    createLocationValue, formatAccuracy, getCurrentLocation, LOCATION_SOURCES, parseCoordinate
+} from "../services/locations";
+
+// Area shown before a location is chosen
+const DEFAULT_REGION = {
+    latitude: -27.49763309197018,
+    longitude: 153.01291742634757,
+    latitudeDelta: 0.05,
+    longitudeDelta: 0.05,
+};
+
+// Zoom used when moving to a chosen location
+const PLACE_DELTA = 0.01;
+
+/**
+ * Location picker component
+ * Modal for choosing a location field's coordinates: tap the map or drag the pin, search a place
+ * name, type coordinates, or use the device's GPS fix, whose accuracy shows as a circle around
+ * the pin. The chosen location keeps how it was set and, for GPS, its accuracy.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the picker is shown
+ * @param {string} props.title - Name of the field being set
+ * @param {Object|null} props.initialLocation - Location already set, as read by readLocationValue
+ * @param {Function} props.onConfirm - Callback receiving the chosen location and, for a searched place, its name
+ * @param {Function} props.onClose - Callback triggered when the picker is dismissed
+ * @returns {JSX.Element} Modal with search, map, coordinate inputs and GPS button
+ */
+export default function LocationPicker({ visible, title, initialLocation, onConfirm, onClose }) {
+    const mapRef = useRef(null);
+    const [location, setLocation] = useState(null);
+    const [placeName, setPlaceName] = useState("");
+    const [latitudeText, setLatitudeText] = useState("");
+    const [longitudeText, setLongitudeText] = useState("");
+    const [query, setQuery] = useState("");
+    const [results, setResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+    const [locating, setLocating] = useState(false);
+
+    // Each opening starts from the field's current location
+    useEffect(() => {
+        if (!visible) return;
+        setLocation(initialLocation || null);
+        setPlaceName("");
+        setLatitudeText(initialLocation ? String(initialLocation.latitude) : "");
+        setLongitudeText(initialLocation ? String(initialLocation.longitude) : "");
+        setQuery("");
+        setResults([]);
+    }, [visible, initialLocation]);
+
+    // Sets the pin, keeping the coordinate inputs in step, and optionally centres the map on it
+    const moveTo = (next, { name = "", recentre = true } = {}) => {
+        if (!next) return;
+        setLocation(next);
+        setPlaceName(name);
+        setLatitudeText(String(next.latitude));
+        setLongitudeText(String(next.longitude));
+        if (recentre) {
+            mapRef.current?.animateToRegion(
+                { latitude: next.latitude, longitude: next.longitude, latitudeDelta: PLACE_DELTA, longitudeDelta: PLACE_DELTA },
+                350
+            );
+        }
+    };
+
+    // Drops the pin where the map was tapped or the pin was dragged to
+    const handleMapCoordinate = (event) => {
+        moveTo(createLocationValue(event.nativeEvent.coordinate, { source: "map" }), { recentre: false });
+    };
+
+    // Searches the gazetteer and geocoders for the typed place
+    const handleSearch = async () => {
+        if (!query.trim()) return;
+        try {
+            setSearching(true);
+            const places = await searchPlaces(query);
+            setResults(places);
+            if (places.length === 0) {
+                Alert.alert("No Places Found", `Nothing matched "${query.trim()}".`);
+            }
+        } catch (error) {
+            Alert.alert("Search Failed", error.message || "Could not search for places. Check your connection.");
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    // Moves the pin to a search result
+    const handleSelectPlace = (place) => {
+        setResults([]);
+        setQuery(place.name);
+        moveTo(createLocationValue(place, { source: "search" }), { name: place.name });
+    };
+
+    // Moves the pin to typed coordinates; "lat, lng" pasted into the first box also works
+    const handleApplyCoordinates = () => {
+        let latText = latitudeText;
+        let lngText = longitudeText;
+        if (!lngText.trim() && latText.includes(",")) {
+            [latText, lngText] = latText.split(",");
+        }
+
+        const latitude = parseCoordinate(latText, "latitude");
+        const longitude = parseCoordinate(lngText, "longitude");
+        if (latitude === null || longitude === null) {
+            Alert.alert(
+                "Invalid Coordinates",
+                "Enter a latitude from -90 to 90 and a longitude from -180 to 180, e.g. -27.4698 and 153.0251 or 27°28'11\"S and 153°1'30\"E."
+            );
+            return;
+        }
+        moveTo(createLocationValue({ latitude, longitude }, { source: "manual" }));
+    };
+
+    // Moves the pin to the device's GPS fix
+    const handleUseCurrentLocation = async () => {
+        try {
+            setLocating(true);
+            moveTo(await getCurrentLocation());
+        } catch (error) {
+            Alert.alert("Error", error.message || "Failed to get location. Please try again.");
+        } finally {
+            setLocating(false);
+        }
+    };
+
+    const coordinate = location ? { latitude: location.latitude, longitude: location.longitude } : null;
+    const initialRegion = initialLocation
+        ? { latitude: initialLocation.latitude, longitude: initialLocation.longitude, latitudeDelta: PLACE_DELTA, longitudeDelta: PLACE_DELTA }
+        : DEFAULT_REGION;
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="formSheet"
+            onRequestClose={onClose}
+        >
+            <View className="flex-1 bg-background-base">
+                <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+                    <Text className="mt-5 text-3xl font-dmserif text-text-navy" numberOfLines={1}>
+                        {title || "Location"}
+                    </Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Feather name="x" size={24} color="#9395D3" />
+                    </TouchableOpacity>
+                </View>
+
+                {/* Place Search */}
+                <View className="px-4 pt-3">
+                    <View className="flex-row items-center bg-white border border-text-tertiary rounded-lg px-3">
+                        <Feather name="search" size={16} color="#9395D3" />
+                        <TextInput
+                            value={query}
+                            onChangeText={setQuery}
+                            onSubmitEditing={handleSearch}
+                            placeholder="Search a place or address"
+                            returnKeyType="search"
+                            className="flex-1 p-3 font-dmsans"
+                        />
+                        {searching && <ActivityIndicator size="small" color="#9395D3" />}
+                    </View>
+                    {results.length > 0 && (
+                        <ScrollView
+                            style={{ maxHeight: 200 }}
+                            className="bg-white border border-background-border rounded-lg mt-1"
+                            keyboardShouldPersistTaps="handled"
+                        >
+                            {results.map((place, index) => (
+                                <TouchableOpacity
+                                    key={`${place.latitude},${place.longitude}-${index}`}
+                                    onPress={() => handleSelectPlace(place)}
+                                    className="px-3 py-2 border-b border-background-border"
+                                >
+                                    <Text className="text-text-navy font-dmsans-bold">{place.name}</Text>
+                                    <Text className="text-text-purple font-dmsans text-xs">
+                                        {[place.detail, place.geocoder].filter(Boolean).join(" · ")}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+                    )}
+                </View>
+
+                {/* Map, tap to drop the pin or drag it */}
+                <View className="flex-1 m-4 rounded-2xl overflow-hidden border border-background-border">
+                    <MapView
+                        ref={mapRef}
+                        style={{ flex: 1 }}
+                        initialRegion={initialRegion}
+                        onPress={handleMapCoordinate}
+                        showsUserLocation
+                    >
+                        {location?.accuracy ? (
+                            <Circle
+                                center={coordinate}
+                                radius={location.accuracy}
+                                strokeWidth={2}
+                                strokeColor="#9395D3"
+                                fillColor="rgba(147, 149, 211, 0.25)"
+                            />
+                        ) : null}
+                        {coordinate && (
+                            <Marker
+                                coordinate={coordinate}
+                                pinColor="#FF6B6B"
+                                draggable
+                                onDragEnd={handleMapCoordinate}
+                            />
+                        )}
+                    </MapView>
+                </View>
+
+                {/* Coordinates */}
+                <View className="px-4">
+                    <View className="flex-row gap-2">
+                        <TextInput
+                            value={latitudeText}
+                            onChangeText={setLatitudeText}
+                            placeholder="Latitude"
+                            keyboardType="numbers-and-punctuation"
+                            autoCapitalize="characters"
+                            className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                        />
+                        <TextInput
+                            value={longitudeText}
+                            onChangeText={setLongitudeText}
+                            placeholder="Longitude"
+                            keyboardType="numbers-and-punctuation"
+                            autoCapitalize="characters"
+                            className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                        />
+                        <TouchableOpacity
+                            onPress={handleApplyCoordinates}
+                            className="bg-[#E0E3FA] px-4 rounded-lg items-center justify-center"
+                        >
+                            <Text className="text-[#6B6ECC] font-dmsans-bold">Go</Text>
+                        </TouchableOpacity>
+                    </View>
+                    <Text className="text-text-purple text-xs font-dmsans mt-2">
+                        {location
+                            ? [LOCATION_SOURCES[location.source], formatAccuracy(location.accuracy)].filter(Boolean).join(" · ")
+                            : "Tap the map, search or type coordinates to set the location."}
+                    </Text>
+                </View>
+
+                {/* Actions */}
+                <View className="flex-row justify-between p-4">
+                    <TouchableOpacity
+                        onPress={handleUseCurrentLocation}
+                        disabled={locating}
+                        className="flex-1 flex-row items-center justify-center bg-white mr-2 py-3 rounded-full"
+                    >
+                        {locating ? (
+                            <ActivityIndicator size="small" color="#6B6ECC" />
+                        ) : (
+                            <Feather name="navigation" size={16} color="#6B6ECC" />
+                        )}
+                        <Text className="ml-2 text-text-navy font-dmsans-bold">My Location</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => onConfirm(location, placeName)}
+                        disabled={!location}
+                        className={`flex-1 ml-2 py-3 rounded-full items-center ${location ? "bg-text-lilac" : "bg-gray-400"}`}
+                    >
+                        <Text className="text-white font-dmsans-bold">Use This Location</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
@@ -1,13 +1,16 @@
 import { useLocalSearchParams } from "expo-router";
 import { useEffect, useRef, useState } from "react";
-import { ActivityIndicator, Image, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { ActivityIndicator, ScrollView, Text, TouchableOpacity, View } from "react-native";
 import MapView, { Circle, Marker } from "react-native-maps";
 import { getRecordsByFormId } from '../services/app';
+import { isMediaValue, readMediaItems } from '../services/media';
+import MediaImage from './MediaImage';
+import MediaVideo from './MediaVideo';
 
 /**
  * Displays recorded locations from form submissions
  * This component provides an interactive map interface that visualizes location data
- * extracted from form records, with support for photos, custom names, and user interactions.
+ * extracted from form records, with support for photos, videos, custom names, and user interactions.
  * 
  * @component
  * @returns {JSX.Element} Interactive map interface with location visualization
@@ -41,19 +44,18 @@ export default function MapScreen() {
             // Object to store discovered location coordinates keyed by field name
             const locationFields = {};
             let photoUri = null;
+            let videoUri = null;
             
             Object.entries(record.values || {}).forEach(([fieldName, value]) => {
                 if (!value) return;
                 
-                // Check for photo fields (convert to object)
-                try {
-                    const parsedValue = typeof value === 'string' ? JSON.parse(value) : value;
-                    if (parsedValue && parsedValue.uri) {
-                        photoUri = parsedValue.uri; 
-                        return; 
-                    }
-                } catch (e) {
-                    // If not a not a photo field, continue. 
+                // Check for photo fields (a list of media items, or a single one from older records)
+                if (isMediaValue(value)) {
+                    // First photo and first video of the record show on its card
+                    const items = readMediaItems(value);
+                    photoUri = photoUri || items.find(item => item.type === 'image')?.uri || null;
+                    videoUri = videoUri || items.find(item => item.type === 'video')?.uri || null;
+                    return; 
                 }
                 
                 // Check for location fields (convert to object)
@@ -92,7 +94,8 @@ export default function MapScreen() {
                     recordId: record.id,
                     fieldName: fieldName,
                     hasCustomName: !!customName, 
-                    photoUri: photoUri
+                    photoUri: photoUri,
+                    videoUri: videoUri
                 });
             });
         });
@@ -365,14 +368,21 @@ export default function MapScreen() {
                                         
                                         {location.photoUri && (
                                             <View className="ml-3">
-                                                <Image
-                                                    source={{ uri: location.photoUri }}
+                                                <MediaImage
+                                                    uri={location.photoUri}
                                                     style={{ width: 80, height: 80, borderRadius: 4 }}
-                                                    resizeMode="cover"
+                                                    thumbnail
                                                 />
                                             </View>
                                         )}
                                     </View>
+
+                                    {location.videoUri && (
+                                        <MediaVideo
+                                            uri={location.videoUri}
+                                            style={{ width: '100%', height: 150, borderRadius: 8, marginBottom: 12 }}
+                                        />
+                                    )}
                                     
                                     <TouchableOpacity 
                                         onPress={() => {
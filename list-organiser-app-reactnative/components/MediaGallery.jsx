@@ -0,0 +1,104 @@
+import { Feather } from "@expo/vector-icons";
+import { useState } from "react";
+import { ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { readMediaItems } from "../services/media";
+import MediaImage from "./MediaImage";
+import MediaVideo from "./MediaVideo";
+import MediaViewer from "./MediaViewer";
+
+// Tile sizes for the full gallery and for compact previews
+const SIZES = {
+    large: { width: 300, height: 200 },
+    small: { width: 100, height: 100 },
+};
+
+/**
+ * Media gallery component
+ * Shows the photos and videos of a photo/video field side by side with their captions. Large
+ * galleries play videos in place; small ones show a play badge instead of loading a player.
+ * Tapping an item opens it full screen, in the gallery's own viewer unless onOpenItem is given.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string|Array|Object} props.value - Stored photo/video value
+ * @param {string} props.size - "large" (default) or "small"
+ * @param {Function} props.onOpenItem - Optional callback receiving the tapped item's position, e.g. to
+ *   open a viewer over more than this field's items
+ * @returns {JSX.Element|null} Horizontally scrolling media list, or null when there is no media
+ */
+export default function MediaGallery({ value, size = "large", onOpenItem }) {
+    const [viewerIndex, setViewerIndex] = useState(null);
+    const items = readMediaItems(value);
+    if (items.length === 0) return null;
+
+    const openItem = (index) => (onOpenItem ? onOpenItem(index) : setViewerIndex(index));
+
+    const tile = SIZES[size] || SIZES.large;
+    const tileStyle = { ...tile, borderRadius: 8 };
+
+    // Renders one photo or video at the gallery's tile size
+    const renderItem = (item, index) => {
+        let preview;
+        if (item.type !== "video") {
+            preview = (
+                <TouchableOpacity onPress={() => openItem(index)} activeOpacity={0.8}>
+                    <MediaImage uri={item.uri} style={tileStyle} thumbnail={size === "small"} />
+                </TouchableOpacity>
+            );
+        } else if (size === "small") {
+            preview = (
+                <TouchableOpacity
+                    onPress={() => openItem(index)}
+                    style={tileStyle}
+                    className="bg-text-navy items-center justify-center"
+                >
+                    <Feather name="play-circle" size={28} color="#FFFFFF" />
+                </TouchableOpacity>
+            );
+        } else {
+            // The player takes taps for its controls, so opening it full screen has its own button
+            preview = (
+                <View>
+                    <MediaVideo uri={item.uri} style={tileStyle} />
+                    <TouchableOpacity
+                        onPress={() => openItem(index)}
+                        style={{ position: "absolute", top: 8, right: 8 }}
+                        className="bg-black/50 p-1.5 rounded-full"
+                    >
+                        <Feather name="maximize-2" size={14} color="#FFFFFF" />
+                    </TouchableOpacity>
+                </View>
+            );
+        }
+
+        return (
+            <View key={`${item.uri}-${index}`} style={{ width: tile.width }} className="mr-3">
+                {preview}
+                {item.caption ? (
+                    <Text
+                        className="text-text-purple text-xs font-dmsans mt-1"
+                        numberOfLines={size === "small" ? 1 : 3}
+                    >
+                        {item.caption}
+                    </Text>
+                ) : null}
+            </View>
+        );
+    };
+
+    return (
+        <>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} className="mt-2">
+                {items.map(renderItem)}
+            </ScrollView>
+            {!onOpenItem && (
+                <MediaViewer
+                    visible={viewerIndex !== null}
+                    items={items}
+                    initialIndex={viewerIndex ?? 0}
+                    onClose={() => setViewerIndex(null)}
+                />
+            )}
+        </>
+    );
+}
@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+import { Image } from "react-native";
+import { isLocalMediaUri } from "../services/media";
+import { cacheThumbnail, getCachedThumbnailUri } from "../services/mediaStorage";
+
+/**
+ * Media image component
+ * Shows an uploaded photo, keeping a small copy in the cache the first time it loads. Thumbnails
+ * show the cached copy straight away, and a full size photo that cannot be loaded (e.g. offline)
+ * falls back to it.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.uri - URI of the photo, an uploaded URL or a file on this device
+ * @param {Object} props.style - Size and shape of the image
+ * @param {boolean} props.thumbnail - Prefer the cached thumbnail over the full photo
+ * @param {string} props.resizeMode - How the photo fills its box, "cover" (default) or "contain"
+ * @returns {JSX.Element} Image with an offline fallback
+ */
+export default function MediaImage({ uri, style, thumbnail = false, resizeMode = "cover" }) {
+    const [cachedUri, setCachedUri] = useState(() => getCachedThumbnailUri(uri));
+    const [failed, setFailed] = useState(false);
+
+    // Caches a thumbnail of uploaded photos so they still show without a connection
+    useEffect(() => {
+        setFailed(false);
+        const cached = getCachedThumbnailUri(uri);
+        setCachedUri(cached);
+        if (cached || isLocalMediaUri(uri)) return;
+
+        let active = true;
+        cacheThumbnail(uri)
+            .then(thumbnailUri => {
+                if (active) setCachedUri(thumbnailUri);
+            })
+            .catch(() => {
+                // Offline or not an image, the photo itself is shown as usual
+            });
+        return () => {
+            active = false;
+        };
+    }, [uri]);
+
+    const source = cachedUri && (thumbnail || failed) ? cachedUri : uri;
+
+    return (
+        <Image
+            source={{ uri: source }}
+            style={style}
+            resizeMode={resizeMode}
+            onError={() => setFailed(true)}
+        />
+    );
+}
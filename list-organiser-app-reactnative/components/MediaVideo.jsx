@@ -0,0 +1,28 @@
+import { useVideoPlayer, VideoView } from "expo-video";
+
+/**
+ * Media video component
+ * Plays a recorded video with the platform's own playback controls. The video stays paused
+ * until it is tapped, so lists of records do not start playing on their own.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.uri - URI of the video file
+ * @param {Object} props.style - Size and shape of the player, e.g. { width: 300, height: 200 }
+ * @returns {JSX.Element} Video player with native controls
+ */
+export default function MediaVideo({ uri, style }) {
+    const player = useVideoPlayer(uri, (instance) => {
+        instance.loop = false;
+    });
+
+    return (
+        <VideoView
+            player={player}
+            style={[{ backgroundColor: "#000000" }, style]}
+            contentFit="contain"
+            nativeControls
+            fullscreenOptions={{ enable: true }}
+        />
+    );
+}
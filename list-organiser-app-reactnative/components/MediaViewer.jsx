@@ -0,0 +1,143 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { ActivityIndicator, Alert, FlatList, Modal, Text, TouchableOpacity, useWindowDimensions, View } from "react-native";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { saveMediaItemToDevice, shareMediaItem } from "../services/mediaStorage";
+import MediaVideo from "./MediaVideo";
+import ZoomableImage from "./ZoomableImage";
+
+/**
+ * Media viewer component
+ * Full-screen modal for looking through photos and videos: swipe between them, pinch or double tap
+ * a photo to zoom, and share or save the one showing to the device's gallery. Items gathered from
+ * several records (see collectRecordMedia) also show the field they belong to.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the viewer is shown
+ * @param {Array} props.items - Media items to swipe through, in order
+ * @param {number} props.initialIndex - Position of the item shown first
+ * @param {Function} props.onClose - Callback triggered when the viewer is dismissed
+ * @returns {JSX.Element} Full-screen swipeable viewer with share and save actions
+ */
+export default function MediaViewer({ visible, items, initialIndex = 0, onClose }) {
+    const { width, height } = useWindowDimensions();
+    const insets = useSafeAreaInsets();
+    const [index, setIndex] = useState(initialIndex);
+    const [zoomed, setZoomed] = useState(false);
+    const [busyAction, setBusyAction] = useState(null);
+
+    // Each opening starts at the tapped item, at normal size
+    useEffect(() => {
+        if (visible) {
+            setIndex(initialIndex);
+            setZoomed(false);
+        }
+    }, [visible, initialIndex]);
+
+    const current = items[index];
+
+    // Tracks the item a swipe settled on
+    const handleMomentumScrollEnd = (event) => {
+        const nextIndex = Math.round(event.nativeEvent.contentOffset.x / width);
+        if (nextIndex !== index) {
+            setIndex(nextIndex);
+            setZoomed(false);
+        }
+    };
+
+    // Runs share or save for the item showing, reporting failures
+    const handleAction = async (action) => {
+        if (!current || busyAction) return;
+        try {
+            setBusyAction(action);
+            if (action === "share") {
+                await shareMediaItem(current);
+            } else {
+                await saveMediaItemToDevice(current);
+                Alert.alert("Saved", `The ${current.type === "video" ? "video" : "photo"} was saved to your gallery.`);
+            }
+        } catch (error) {
+            Alert.alert("Error", error.message || `Failed to ${action} this item.`);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    // Renders a header action, showing a spinner while it runs
+    const renderAction = (action, icon) => (
+        <TouchableOpacity onPress={() => handleAction(action)} disabled={!!busyAction} className="p-2 ml-2">
+            {busyAction === action ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+                <Feather name={icon} size={22} color="#FFFFFF" />
+            )}
+        </TouchableOpacity>
+    );
+
+    // Renders one page, photos zoom and videos play with their own controls
+    const renderPage = ({ item }) => (
+        <View style={{ width, height }} className="items-center justify-center">
+            {item.type === "video" ? (
+                <MediaVideo uri={item.uri} style={{ width, height: height * 0.7 }} />
+            ) : (
+                <ZoomableImage uri={item.uri} width={width} height={height} onZoomChange={setZoomed} />
+            )}
+        </View>
+    );
+
+    return (
+        <Modal visible={visible} animationType="fade" onRequestClose={onClose} supportedOrientations={["portrait", "landscape"]}>
+            <GestureHandlerRootView style={{ flex: 1, backgroundColor: "#000000" }}>
+                <FlatList
+                    data={items}
+                    keyExtractor={(item, position) => `${item.uri}-${position}`}
+                    renderItem={renderPage}
+                    horizontal
+                    pagingEnabled
+                    scrollEnabled={!zoomed}
+                    showsHorizontalScrollIndicator={false}
+                    initialScrollIndex={Math.min(initialIndex, Math.max(items.length - 1, 0))}
+                    getItemLayout={(_data, position) => ({ length: width, offset: width * position, index: position })}
+                    onMomentumScrollEnd={handleMomentumScrollEnd}
+                    initialNumToRender={1}
+                    windowSize={3}
+                />
+
+                {/* Header */}
+                <View
+                    style={{ position: "absolute", top: 0, left: 0, right: 0, paddingTop: insets.top + 8 }}
+                    className="flex-row items-center justify-between px-3 pb-2 bg-black/50"
+                >
+                    <TouchableOpacity onPress={onClose} className="p-2">
+                        <Feather name="x" size={24} color="#FFFFFF" />
+                    </TouchableOpacity>
+                    <Text className="text-white font-dmsans-bold">
+                        {items.length > 0 ? `${index + 1} of ${items.length}` : ""}
+                    </Text>
+                    <View className="flex-row">
+                        {renderAction("share", "share")}
+                        {renderAction("save", "download")}
+                    </View>
+                </View>
+
+                {/* Caption */}
+                {current && (current.caption || current.fieldName) ? (
+                    <View
+                        style={{ position: "absolute", bottom: 0, left: 0, right: 0, paddingBottom: insets.bottom + 12 }}
+                        className="px-4 pt-3 bg-black/50"
+                        pointerEvents="none"
+                    >
+                        {current.fieldName ? (
+                            <Text className="text-white/70 text-xs font-dmsans">{current.fieldName}</Text>
+                        ) : null}
+                        {current.caption ? (
+                            <Text className="text-white font-dmsans mt-1" numberOfLines={4}>{current.caption}</Text>
+                        ) : null}
+                    </View>
+                ) : null}
+            </GestureHandlerRootView>
+        </Modal>
+    );
+}
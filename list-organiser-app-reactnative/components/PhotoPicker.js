@@ -1,22 +1,123 @@
 import { Feather } from "@expo/vector-icons";
 import * as ImagePicker from 'expo-image-picker';
 import { useState } from "react";
-import { Alert, Image, Text, TouchableOpacity, View } from "react-native";
+import { Alert, Image, Platform, Text, TextInput, TouchableOpacity, View } from "react-native";
+import {
+    createMediaItem, getPhotoSettings, MAX_MEDIA_ITEMS, MAX_VIDEO_SECONDS, moveMediaItem, readExifLocation,
+    readExifTakenAt, readMediaItems, serializeMediaItems
+} from "../services/media";
+import { preparePhoto } from "../services/mediaStorage";
+import MediaVideo from "./MediaVideo";
 
 /**
- * Photo picker component 
- * Media selection interface with preview and zoom in functionality
- * 
+ * Photo picker component
+ * Media capture interface for a photo/video field: take a photo or record a video with the camera,
+ * or pick several from the gallery, then caption, reorder and remove them. Photos are scaled down,
+ * turned upright and optionally cropped following the field's photo settings.
+ *
  * @component
  * @param {Object} props - Component properties
  * @param {string} props.value - Current media value as JSON string or empty string
  * @param {Function} props.onChange - Callback function triggered when media selection changes
- * @returns {JSX.Element} Media selection interface with preview and gallery access
+ * @param {Object} props.field - The photo/video field, whose options hold its photo settings
+ * @param {Function} props.onPhotoDetails - Called with { location, takenAt } read from a new photo's EXIF data
+ * @returns {JSX.Element} Media list with capture, gallery and per-item controls
  */
-export default function PhotoPicker({ value, onChange }) {
-    const [media, setMedia] = useState(value ? JSON.parse(value) : null);
+export default function PhotoPicker({ value, onChange, field, onPhotoDetails }) {
+    const [preparing, setPreparing] = useState(false);
+    const items = readMediaItems(value);
+    const remaining = MAX_MEDIA_ITEMS - items.length;
+    const canAdd = remaining > 0 && !preparing;
 
-    // * Handles media selection from device gallery, request eprmisison, opens image picker and processes media
+    const settings = getPhotoSettings(field);
+    const readsExif = Boolean(settings.exifLocationField || settings.exifTimeField);
+
+    // Cropping opens the picker's editor, which only handles one photo at a time. iOS always crops
+    // to a square there, so a free crop is skipped on iOS rather than forced square; Android follows
+    // the aspect ratio
+    const crop = settings.crop && (settings.crop.aspect || Platform.OS !== 'ios') ? settings.crop : null;
+    const cropOptions = crop
+        ? { allowsEditing: true, ...(crop.aspect ? { aspect: crop.aspect } : {}) }
+        : {};
+
+    // Stores the edited list back on the record
+    const updateItems = (nextItems) => {
+        onChange(serializeMediaItems(nextItems));
+    };
+
+    // Passes on where and when the first new photo that says so was taken
+    const reportPhotoDetails = (assets) => {
+        if (!readsExif || !onPhotoDetails) return;
+
+        for (const asset of assets) {
+            if (asset.type === 'video') continue;
+            const location = readExifLocation(asset.exif);
+            const takenAt = readExifTakenAt(asset.exif);
+            if (location || takenAt) {
+                onPhotoDetails({ location, takenAt });
+                return;
+            }
+        }
+    };
+
+    // Scales and re-saves a photo, keeping the original if that fails so nothing picked is lost
+    const prepareAsset = async (asset) => {
+        if (asset.type === 'video') return asset;
+        try {
+            return await preparePhoto(asset, field);
+        } catch (error) {
+            console.warn("Could not prepare photo, keeping the original:", error);
+            return asset;
+        }
+    };
+
+    // Adds picked or captured assets to the end of the list, keeping within the item limit
+    const addAssets = async (result) => {
+        if (result.canceled || !result.assets || result.assets.length === 0) return;
+
+        const assets = result.assets.slice(0, remaining);
+        if (result.assets.length > remaining) {
+            Alert.alert('Too many items', `Only ${remaining} more could be added. A field holds up to ${MAX_MEDIA_ITEMS} photos and videos.`);
+        }
+
+        // EXIF data is read first, preparing a photo leaves it out
+        reportPhotoDetails(assets);
+
+        setPreparing(true);
+        try {
+            const prepared = [];
+            for (const asset of assets) {
+                prepared.push(await prepareAsset(asset));
+            }
+            updateItems([...items, ...prepared.map(createMediaItem)]);
+        } finally {
+            setPreparing(false);
+        }
+    };
+
+    // * Opens the camera to take a photo or record a video, requesting camera permission first
+    const handleCapture = async (mediaType) => {
+        try {
+            const { status } = await ImagePicker.requestCameraPermissionsAsync();
+            if (status !== 'granted') {
+                Alert.alert('Permission denied', 'Camera permission is required to take photos and videos.');
+                return;
+            }
+
+            const result = await ImagePicker.launchCameraAsync({
+                mediaTypes: [mediaType],
+                videoMaxDuration: MAX_VIDEO_SECONDS,
+                exif: readsExif,
+                ...(mediaType === 'images' ? cropOptions : {}),
+            });
+            await addAssets(result);
+        } catch (error) {
+            console.error("Error capturing media:", error);
+            Alert.alert("Error", "Failed to open the camera. Please try again.");
+        }
+    };
+
+    // * Handles media selection from device gallery, request permission, opens image picker and processes media
     const handleMediaPick = async () => {
         try {
             // Request gallery permissions
@@ -26,60 +127,102 @@ export default function PhotoPicker({ value, onChange }) {
                 return;
             }
 
-            // Open gallery to pick media
+            // Open gallery to pick photos and videos, in the order they are tapped, or one at a time to crop
             const result = await ImagePicker.launchImageLibraryAsync({
-                allowsEditing: true,
-                aspect: [4, 3],
+                mediaTypes: ['images', 'videos'],
+                allowsMultipleSelection: !crop,
+                selectionLimit: remaining,
+                orderedSelection: true,
+                exif: readsExif,
+                ...cropOptions,
             });
-
-            if (!result.canceled && result.assets && result.assets.length > 0) {
-                const selectedMedia = result.assets[0];
-                
-                // Simple media data - store URI
-                const mediaData = {
-                    uri: selectedMedia.uri,
-                    timestamp: new Date().toISOString()
-                };
-
-                setMedia(mediaData);
-                onChange(JSON.stringify(mediaData));
-            }
+            await addAssets(result);
         } catch (error) {
             console.error("Error picking media:", error);
             Alert.alert("Error", "Failed to pick media. Please try again.");
         }
     };
 
-    // Clears currently selected media and resets the picker state
-    const handleRemoveMedia = () => {
-        setMedia(null);
-        onChange("");
+    // Updates the caption of one item
+    const handleCaptionChange = (index, caption) => {
+        updateItems(items.map((item, position) => (position === index ? { ...item, caption } : item)));
+    };
+
+    // Removes one item from the list
+    const handleRemoveMedia = (index) => {
+        updateItems(items.filter((_, position) => position !== index));
     };
 
+    // Renders a capture button; disabled once the field is full or while photos are being prepared
+    const renderButton = (icon, label, onPress) => (
+        <TouchableOpacity
+            onPress={onPress}
+            disabled={!canAdd}
+            className={`flex-1 py-3 rounded-full items-center flex-row justify-center ${
+                canAdd ? "bg-text-lilac" : "bg-text-tertiary"
+            }`}
+        >
+            <Feather name={icon} size={16} color="#FFFFFF" />
+            <Text className="text-white font-dmsans-bold ml-2 text-sm">{label}</Text>
+        </TouchableOpacity>
+    );
+
+    // Renders one item with its preview, caption and order controls
+    const renderItem = (item, index) => (
+        <View key={`${item.uri}-${index}`} className="border border-text-tertiary rounded-lg p-3 bg-white mb-3">
+            {item.type === 'video' ? (
+                <MediaVideo uri={item.uri} style={{ width: '100%', height: 200, borderRadius: 8 }} />
+            ) : (
+                <Image
+                    source={{ uri: item.uri }}
+                    style={{ width: '100%', height: 200 }}
+                    resizeMode="cover"
+                    className="rounded-lg"
+                />
+            )}
+
+            <TextInput
+                value={item.caption}
+                onChangeText={(caption) => handleCaptionChange(index, caption)}
+                placeholder="Add a caption"
+                className="bg-white border border-text-tertiary rounded-lg p-2 mt-3 font-dmsans text-sm"
+            />
+
+            <View className="flex-row justify-between items-center mt-3">
+                <Text className="text-text-purple text-xs font-dmsans">
+                    {item.type === 'video' ? 'Video' : 'Photo'} {index + 1} of {items.length}
+                </Text>
+                <View className="flex-row items-center gap-2">
+                    <TouchableOpacity
+                        onPress={() => updateItems(moveMediaItem(items, index, -1))}
+                        disabled={index === 0}
+                        className="p-1"
+                    >
+                        <Feather name="arrow-up" size={18} color={index === 0 ? "#C3C5F4" : "#6B6ECC"} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => updateItems(moveMediaItem(items, index, 1))}
+                        disabled={index === items.length - 1}
+                        className="p-1"
+                    >
+                        <Feather name="arrow-down" size={18} color={index === items.length - 1 ? "#C3C5F4" : "#6B6ECC"} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => handleRemoveMedia(index)}
+                        className="bg-red-50 px-3 py-1 rounded-full"
+                    >
+                        <Text className="text-red-600 text-xs font-dmsans">Remove</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </View>
+    );
+
     return (
         <View className="mb-4">
-            {/* Media Preview */}
-            {media ? (
-                <View className="mb-3">
-                    <View className="border border-text-tertiary rounded-lg p-3 bg-white">
-                        {/* Image Preview */}
-                        <Image
-                            source={{ uri: media.uri }}
-                            style={{ width: '100%', height: 200 }}
-                            resizeMode="cover"
-                            className="rounded-lg"
-                        />
-                        {/* Remove Media Button */}
-                        <View className="flex-row justify-end items-center mt-3">
-                            <TouchableOpacity
-                                onPress={handleRemoveMedia}
-                                className="bg-red-50 px-3 py-1 rounded-full"
-                            >
-                                <Text className="text-red-600 text-xs font-dmsans">Remove</Text>
-                            </TouchableOpacity>
-                        </View>
-                    </View>
-                </View>
+            {/* Media Previews */}
+            {items.length > 0 ? (
+                items.map(renderItem)
             ) : (
                 <View className="border-2 border-dashed border-text-tertiary rounded-lg p-6 bg-gray-50 items-center justify-center mb-3">
                     <Feather name="image" size={32} color="#9395D3" />
@@ -89,14 +232,28 @@ export default function PhotoPicker({ value, onChange }) {
                 </View>
             )}
 
+            {/* Camera Buttons */}
+            <View className="flex-row gap-2 mb-2">
+                {renderButton("camera", "Take Photo", () => handleCapture('images'))}
+                {renderButton("video", "Record Video", () => handleCapture('videos'))}
+            </View>
+
             {/* Gallery Button */}
-            <TouchableOpacity
-                onPress={handleMediaPick}
-                className="bg-text-lilac py-3 rounded-full items-center flex-row justify-center"
-            >
-                <Feather name="folder" size={16} color="#FFFFFF" />
-                <Text className="text-white font-dmsans-bold ml-2">Select from Gallery</Text>
-            </TouchableOpacity>
+            <View className="flex-row">
+                {renderButton("folder", "Select from Gallery", handleMediaPick)}
+            </View>
+
+            {preparing && (
+                <Text className="text-text-purple text-xs font-dmsans mt-2 text-center">
+                    Preparing photos...
+                </Text>
+            )}
+
+            {remaining <= 0 && (
+                <Text className="text-text-purple text-xs font-dmsans mt-2 text-center">
+                    This field holds up to {MAX_MEDIA_ITEMS} photos and videos. Remove one to add another.
+                </Text>
+            )}
         </View>
     );
-}
\ No newline at end of file
+}
@@ -0,0 +1,109 @@
+import { Text, TextInput, TouchableOpacity, View } from "react-native";
+import { DATE_TYPES } from "../services/fieldTypes";
+import { CROP_OPTIONS, DEFAULT_MAX_DIMENSION, DEFAULT_PHOTO_QUALITY } from "../services/media";
+
+/**
+ * Photo settings editor component
+ * Inputs for how a photo/video field prepares its photos: the largest size and JPEG quality they
+ * are saved at, an optional crop, and the location and date or time fields filled in from where
+ * and when a photo was taken. The screen saving the field checks the settings with
+ * validatePhotoOptions.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.draft - Settings being edited, as returned by getPhotoOptionsDraft
+ * @param {Array} props.fields - The other fields of the form, which the EXIF settings may fill in
+ * @param {Function} props.onChange - Callback receiving the edited draft
+ * @returns {JSX.Element} Size, quality, crop and EXIF field inputs
+ */
+export default function PhotoSettingsEditor({ draft, fields, onChange }) {
+    const locationFields = fields.filter(field => field.field_type === "location");
+    const timeFields = fields.filter(field => DATE_TYPES.includes(field.field_type));
+
+    const update = (changes) => onChange({ ...draft, ...changes });
+
+    // Renders one selectable chip of a row
+    const renderChip = (key, label, selected, onPress) => (
+        <TouchableOpacity
+            key={key}
+            onPress={onPress}
+            className={`px-3 py-1.5 rounded-full ${selected ? "bg-text-lilac" : "bg-[#E0E3FA]"}`}
+        >
+            <Text className={`font-dmsans text-xs ${selected ? "text-white" : "text-[#6B6ECC]"}`}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    // Renders a row of field chips for an EXIF setting, with "None" to turn it off
+    const renderFieldChoice = (label, help, options, key) => (
+        <View className="mt-3">
+            <Text className="text-text-navy font-dmsans-bold mb-1">{label}</Text>
+            <Text className="text-text-purple text-xs font-dmsans mb-2">{help}</Text>
+            <View className="flex-row flex-wrap gap-2">
+                {renderChip("none", "None", !draft[key], () => update({ [key]: null }))}
+                {options.map(field => renderChip(
+                    field.id ?? field.name,
+                    field.name,
+                    draft[key] === field.name,
+                    () => update({ [key]: field.name })
+                ))}
+            </View>
+        </View>
+    );
+
+    return (
+        <View>
+            <Text className="text-text-navy font-dmsans-bold mb-1">Photo Settings</Text>
+            <Text className="text-text-purple text-xs font-dmsans mb-2">
+                Photos are scaled down, turned upright and saved as JPEGs. Videos are kept as recorded.
+            </Text>
+
+            <View className="flex-row gap-2">
+                <TextInput
+                    value={draft.maxDimension}
+                    onChangeText={(maxDimension) => update({ maxDimension })}
+                    placeholder={`Max size (${DEFAULT_MAX_DIMENSION} px)`}
+                    keyboardType="numeric"
+                    className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                />
+                <TextInput
+                    value={draft.quality}
+                    onChangeText={(quality) => update({ quality })}
+                    placeholder={`Quality (${DEFAULT_PHOTO_QUALITY})`}
+                    keyboardType="decimal-pad"
+                    className="flex-1 bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+                />
+            </View>
+
+            <Text className="text-text-navy font-dmsans-bold mt-3 mb-2">Crop</Text>
+            <View className="flex-row flex-wrap gap-2">
+                {renderChip("none", "None", !draft.crop, () => update({ crop: null }))}
+                {CROP_OPTIONS.map(option => renderChip(
+                    option.value,
+                    option.label,
+                    draft.crop === option.value,
+                    () => update({ crop: option.value })
+                ))}
+            </View>
+            {draft.crop && (
+                <Text className="text-text-purple text-xs font-dmsans mt-2">
+                    {draft.crop === "free"
+                        ? "Photos are picked one at a time to crop them. iOS can only crop to a square, so on iPhone and iPad free-crop photos are kept uncropped."
+                        : "Photos are picked one at a time to crop them. iOS always crops to a square."}
+                </Text>
+            )}
+
+            {locationFields.length > 0 && renderFieldChoice(
+                "Fill Location From Photo",
+                "Sets an empty location field to where the photo was taken.",
+                locationFields,
+                "exifLocationField"
+            )}
+            {timeFields.length > 0 && renderFieldChoice(
+                "Fill Date From Photo",
+                "Sets an empty date or time field to when the photo was taken.",
+                timeFields,
+                "exifTimeField"
+            )}
+        </View>
+    );
+}
@@ -0,0 +1,225 @@
+import { Feather } from "@expo/vector-icons";
+import { useRef } from "react";
+import { ActivityIndicator, FlatList, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { formatFieldValue } from "../services/fieldTypes";
+import { readMediaItems } from "../services/media";
+import MediaImage from "./MediaImage";
+
+// Fixed sizes keep the frozen column and the scrolling columns lined up row for row
+const ROW_HEIGHT = 64;
+const HEADER_HEIGHT = 44;
+const FROZEN_WIDTH = 140;
+const COLUMN_WIDTH = 170;
+const FOOTER_HEIGHT = 48;
+
+// Reads a JSON record value, returning null for plain text
+const parseValue = (value) => {
+    if (value && typeof value === 'object') return value;
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Formats coordinates as degrees with hemispheres, e.g. 27.4698° S, 153.0251° E
+const formatCoordinates = ({ latitude, longitude }) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    return `${Math.abs(lat).toFixed(4)}° ${lat < 0 ? 'S' : 'N'}, ${Math.abs(lng).toFixed(4)}° ${lng < 0 ? 'W' : 'E'}`;
+};
+
+/**
+ * Records table component
+ * Spreadsheet-style grid with one column per field in order_index order. The first column stays
+ * in place while the others scroll sideways, and tapping any cell opens its record, or its photos
+ * and videos when onOpenMedia is given.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array} props.records - The loaded records
+ * @param {Array} props.fields - The form's field definitions
+ * @param {Array|null} props.visibleColumns - Field names to show, or null for every field
+ * @param {boolean} props.loadingMore - Whether the next page is being fetched
+ * @param {Function} props.onOpenRecord - Callback receiving the record whose cell was tapped
+ * @param {Function} props.onOpenMedia - Optional callback receiving the record, field name and item position of a tapped media cell
+ * @param {Function} props.onEndReached - Callback triggered when the list nears its end
+ * @returns {JSX.Element} Table with a frozen first column and horizontally scrolling columns
+ */
+export default function RecordsTable({
+    records, fields, visibleColumns, loadingMore, onOpenRecord, onOpenMedia, onEndReached
+}) {
+    const frozenList = useRef(null);
+
+    const columns = [...fields]
+        .sort((a, b) => a.order_index - b.order_index)
+        .filter(field => !visibleColumns || visibleColumns.includes(field.name));
+    const [frozenColumn, ...scrollingColumns] = columns;
+
+    const getItemLayout = (data, index) => ({ length: ROW_HEIGHT, offset: ROW_HEIGHT * index, index });
+
+    // Keeps the frozen column at the same height as the rows scrolled on the right
+    const handleScroll = (event) => {
+        frozenList.current?.scrollToOffset({ offset: event.nativeEvent.contentOffset.y, animated: false });
+    };
+
+    // Renders a field's value the way it fits in a single cell
+    const renderCellContent = (field, record) => {
+        const value = record.values?.[field.name];
+        const isEmpty = value === undefined || value === null || value === '';
+
+        if (isEmpty) {
+            return <Text className="text-text-tertiary font-dmsans">—</Text>;
+        }
+
+        // First photo or video as a thumbnail, with a count of the rest
+        if (field.field_type === 'photo/video') {
+            const [first, ...rest] = readMediaItems(value);
+            if (!first) {
+                return <Feather name="image" size={20} color="#C3C5F4" />;
+            }
+            return (
+                <View className="flex-row items-center">
+                    {first.type === 'video' ? (
+                        <View
+                            style={{ width: 44, height: 44, borderRadius: 6 }}
+                            className="bg-text-navy items-center justify-center"
+                        >
+                            <Feather name="play" size={18} color="#FFFFFF" />
+                        </View>
+                    ) : (
+                        <MediaImage
+                            uri={first.uri}
+                            style={{ width: 44, height: 44, borderRadius: 6 }}
+                            thumbnail
+                        />
+                    )}
+                    {rest.length > 0 && (
+                        <Text className="text-text-purple font-dmsans text-xs ml-2">+{rest.length}</Text>
+                    )}
+                </View>
+            );
+        }
+
+        if (field.field_type === 'location') {
+            const location = parseValue(value);
+            const name = record.values?.[`${field.name} Name`];
+            if (location && 'latitude' in location && 'longitude' in location) {
+                return (
+                    <View>
+                        {name ? (
+                            <Text className="text-text-navy font-dmsans-bold text-sm" numberOfLines={1}>{name}</Text>
+                        ) : null}
+                        <Text className="text-text-purple font-dmsans text-xs" numberOfLines={1}>
+                            {formatCoordinates(location)}
+                        </Text>
+                    </View>
+                );
+            }
+        }
+
+        return (
+            <Text className="text-text-navy font-dmsans text-sm" numberOfLines={2}>
+                {formatFieldValue(field, value)}
+            </Text>
+        );
+    };
+
+    // Media cells open their first item when a viewer is available, other cells open the record
+    const handleCellPress = (field, record) => {
+        const hasMedia = field.field_type === 'photo/video' && readMediaItems(record.values?.[field.name]).length > 0;
+        if (hasMedia && onOpenMedia) {
+            onOpenMedia(record, field.name, 0);
+        } else {
+            onOpenRecord(record);
+        }
+    };
+
+    const renderCell = (field, record, width) => (
+        <TouchableOpacity
+            key={field.id}
+            onPress={() => handleCellPress(field, record)}
+            className="justify-center px-3 border-b border-r border-background-border"
+            style={{ width, height: ROW_HEIGHT }}
+        >
+            {renderCellContent(field, record)}
+        </TouchableOpacity>
+    );
+
+    const renderHeaderCell = (field, width) => (
+        <View
+            key={field.id}
+            className="justify-center px-3 bg-[#E0E3FA] border-r border-background-border"
+            style={{ width, height: HEADER_HEIGHT }}
+        >
+            <Text className="text-text-navy font-dmsans-bold text-sm" numberOfLines={1}>{field.name}</Text>
+        </View>
+    );
+
+    // Both lists end with the same footer so they can scroll to the same final offset
+    const footer = (
+        <View style={{ height: FOOTER_HEIGHT }} className="justify-center">
+            {loadingMore && <ActivityIndicator size="small" color="#9395D3" />}
+        </View>
+    );
+
+    if (!frozenColumn) {
+        return (
+            <View className="items-center py-8">
+                <Feather name="columns" size={48} color="#C3C5F4" />
+                <Text className="text-text-purple font-dmsans mt-4 text-center">No columns to show</Text>
+            </View>
+        );
+    }
+
+    return (
+        <View className="flex-1 flex-row border-t border-l border-background-border rounded-lg overflow-hidden">
+            {/* Frozen first column */}
+            <View style={{ width: FROZEN_WIDTH }}>
+                {renderHeaderCell(frozenColumn, FROZEN_WIDTH)}
+                <FlatList
+                    ref={frozenList}
+                    data={records}
+                    keyExtractor={(record) => String(record.id)}
+                    renderItem={({ item }) => renderCell(frozenColumn, item, FROZEN_WIDTH)}
+                    getItemLayout={getItemLayout}
+                    // With a single column there is nothing to sync with, so this list scrolls itself
+                    scrollEnabled={scrollingColumns.length === 0}
+                    onEndReached={scrollingColumns.length === 0 ? onEndReached : undefined}
+                    onEndReachedThreshold={0.5}
+                    showsVerticalScrollIndicator={false}
+                    ListFooterComponent={footer}
+                />
+            </View>
+
+            {/* Remaining columns, scrolled sideways together */}
+            {scrollingColumns.length > 0 && (
+                <ScrollView horizontal showsHorizontalScrollIndicator bounces={false}>
+                    <View>
+                        <View className="flex-row">
+                            {scrollingColumns.map(field => renderHeaderCell(field, COLUMN_WIDTH))}
+                        </View>
+                        <FlatList
+                            data={records}
+                            keyExtractor={(record) => String(record.id)}
+                            renderItem={({ item }) => (
+                                <View className="flex-row">
+                                    {scrollingColumns.map(field => renderCell(field, item, COLUMN_WIDTH))}
+                                </View>
+                            )}
+                            getItemLayout={getItemLayout}
+                            onScroll={handleScroll}
+                            scrollEventThrottle={16}
+                            onEndReached={onEndReached}
+                            onEndReachedThreshold={0.5}
+                            initialNumToRender={15}
+                            windowSize={7}
+                            showsVerticalScrollIndicator={false}
+                            ListFooterComponent={footer}
+                        />
+                    </View>
+                </ScrollView>
+            )}
+        </View>
+    );
+}
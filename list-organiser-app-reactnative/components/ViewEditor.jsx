@@ -0,0 +1,153 @@
+import { Feather } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { Modal, ScrollView, Text, TextInput, TouchableOpacity, View } from "react-native";
+import { RECORD_SORT_OPTIONS } from "../services/recordFilters";
+
+/**
+ * View editor component
+ * Modal for naming a saved view and choosing its sort order and visible columns. The filters
+ * come from the records screen, so this only shows how many will be saved with the view.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {boolean} props.visible - Whether the editor modal is shown
+ * @param {Array} props.fields - The form's field definitions
+ * @param {Object} props.initialView - Starting values: { name, sort, visibleColumns }
+ * @param {number} props.filterCount - Number of filters that will be saved with the view
+ * @param {Function} props.onSave - Callback receiving { name, sort, visibleColumns }
+ * @param {Function} props.onClose - Callback triggered when the modal is dismissed
+ * @returns {JSX.Element} Modal with name, sort and column settings
+ */
+export default function ViewEditor({ visible, fields, initialView, filterCount, onSave, onClose }) {
+    const [name, setName] = useState("");
+    const [sort, setSort] = useState(null);
+    const [visibleColumns, setVisibleColumns] = useState(null);
+
+    const sortedFields = [...fields].sort((a, b) => a.order_index - b.order_index);
+
+    // Start from the given values each time the editor opens
+    useEffect(() => {
+        if (visible) {
+            setName(initialView?.name || "");
+            setSort(initialView?.sort || null);
+            setVisibleColumns(initialView?.visibleColumns || null);
+        }
+    }, [visible]);
+
+    // Shows or hides one column; null stands for every column
+    const handleToggleColumn = (fieldName) => {
+        const current = visibleColumns || sortedFields.map(field => field.name);
+        const next = current.includes(fieldName)
+            ? current.filter(column => column !== fieldName)
+            : sortedFields.map(field => field.name).filter(column => column === fieldName || current.includes(column));
+        setVisibleColumns(next.length === sortedFields.length ? null : next);
+    };
+
+    const isColumnVisible = (fieldName) => !visibleColumns || visibleColumns.includes(fieldName);
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="formSheet"
+            onRequestClose={onClose}
+        >
+            <View className="flex-1 bg-background-base">
+                <View className="flex-row justify-between items-center p-4 border-b border-background-border">
+                    <Text className="mt-5 text-3xl font-dmserif text-text-navy">Save View</Text>
+                    <TouchableOpacity onPress={onClose}>
+                        <Feather name="x" size={24} color="#9395D3" />
+                    </TouchableOpacity>
+                </View>
+
+                <ScrollView className="flex-1 p-4" showsVerticalScrollIndicator={false}>
+                    <Text className="text-text-navy font-dmsans-bold mb-2 text-lg">Name</Text>
+                    <TextInput
+                        value={name}
+                        onChangeText={setName}
+                        placeholder="e.g. Unread fantasy"
+                        className="bg-white border border-text-tertiary rounded-xl p-4 font-dmsans mb-2"
+                    />
+                    <Text className="text-text-purple font-dmsans text-sm mb-6">
+                        Saves {filterCount} filter{filterCount !== 1 ? 's' : ''} with this view.
+                    </Text>
+
+                    {/* Sort Order */}
+                    <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Sort By</Text>
+                    <View className="flex-row flex-wrap gap-2 mb-3">
+                        <TouchableOpacity
+                            className={`px-4 py-2 rounded-full border ${
+                                !sort ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+                            }`}
+                            onPress={() => setSort(null)}
+                        >
+                            <Text className={`font-dmsans-bold ${!sort ? 'text-white' : 'text-text-navy'}`}>Default</Text>
+                        </TouchableOpacity>
+                        {[
+                            ...RECORD_SORT_OPTIONS,
+                            ...sortedFields
+                                .filter(field => field.field_type !== 'photo/video')
+                                .map(field => ({ field: field.name, label: field.name }))
+                        ].map(option => (
+                            <TouchableOpacity
+                                key={option.field}
+                                className={`px-4 py-2 rounded-full border ${
+                                    sort?.field === option.field ? 'bg-text-lilac border-text-lilac' : 'bg-white border-text-tertiary'
+                                }`}
+                                onPress={() => setSort({ field: option.field, direction: sort?.direction || 'asc' })}
+                            >
+                                <Text className={`font-dmsans-bold ${sort?.field === option.field ? 'text-white' : 'text-text-navy'}`}>
+                                    {option.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    {sort && (
+                        <View className="flex-row mb-6">
+                            {[['asc', 'Ascending'], ['desc', 'Descending']].map(([direction, label]) => (
+                                <TouchableOpacity
+                                    key={direction}
+                                    className={`flex-1 py-3 rounded-xl items-center mx-1 ${
+                                        sort.direction === direction ? 'bg-[#6B6ECC]' : 'bg-[#E0E3FA]'
+                                    }`}
+                                    onPress={() => setSort(prev => ({ ...prev, direction }))}
+                                >
+                                    <Text className={`font-dmsans-bold ${sort.direction === direction ? 'text-white' : 'text-[#6B6ECC]'}`}>
+                                        {label}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    )}
+
+                    {/* Visible Columns */}
+                    <Text className="text-text-navy font-dmsans-bold mb-3 text-lg">Visible Columns</Text>
+                    {sortedFields.map(field => (
+                        <TouchableOpacity
+                            key={field.id}
+                            className="flex-row items-center bg-white border border-background-border rounded-xl p-3 mb-2"
+                            onPress={() => handleToggleColumn(field.name)}
+                        >
+                            <Feather
+                                name={isColumnVisible(field.name) ? "check-square" : "square"}
+                                size={18}
+                                color="#6B6ECC"
+                            />
+                            <Text className="ml-3 text-text-navy font-dmsans">{field.name}</Text>
+                        </TouchableOpacity>
+                    ))}
+
+                    <TouchableOpacity
+                        className={`py-3 rounded-full items-center mt-4 mb-8 ${
+                            !name.trim() || visibleColumns?.length === 0 ? "bg-gray-400" : "bg-text-lilac"
+                        }`}
+                        onPress={() => onSave({ name, sort, visibleColumns })}
+                        disabled={!name.trim() || visibleColumns?.length === 0}
+                    >
+                        <Text className="text-white font-dmsans-bold">Save View</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
@@ -0,0 +1,106 @@
+import { Text, TextInput, TouchableOpacity, View } from "react-native";
+import { getVisibilityOperators, VISIBILITY_OPERATORS } from "../services/fieldVisibility";
+
+// Chip styles shared by the field, operator and value choices
+const chipClass = (selected) => `px-3 py-2 rounded-full border ${
+    selected ? "bg-text-lilac border-text-lilac" : "bg-white border-text-tertiary"
+}`;
+const chipTextClass = (selected) => `font-dmsans text-sm ${selected ? "text-white" : "text-text-navy"}`;
+
+/**
+ * Visibility rule editor component
+ * Lets the form designer show a field only when another field's answer matches, e.g. only when
+ * "Condition" equals "Damaged". The rule may be incomplete while it is being edited; the screen
+ * saving the field checks it with validateVisibilityRule.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.rule - The rule being edited as { field, operator, value }, or null to always show
+ * @param {Array} props.fields - The other fields of the form, which the rule may depend on
+ * @param {Function} props.onChange - Callback receiving the edited rule, or null
+ * @returns {JSX.Element} Field, operator and value choices for the rule
+ */
+export default function VisibilityRuleEditor({ rule, fields, onChange }) {
+    const sourceField = fields.find(field => field.name === rule?.field);
+    const operators = getVisibilityOperators(sourceField);
+    const operator = VISIBILITY_OPERATORS.find(item => item.value === rule?.operator);
+
+    // Starts a rule on another field with its first operator; checkboxes start at "ticked"
+    const handleSelectSource = (field) => {
+        onChange({
+            field: field.name,
+            operator: getVisibilityOperators(field)[0].value,
+            value: field.field_type === "checkbox" ? "true" : "",
+        });
+    };
+
+    // Renders the value choices that suit the field the rule depends on
+    const renderValueInput = () => {
+        const choices = sourceField.field_type === "checkbox"
+            ? [["true", "Ticked"], ["false", "Not Ticked"]]
+            : sourceField.field_type === "dropdown"
+                ? (sourceField.options?.choices || []).map(choice => [choice, choice])
+                : null;
+
+        if (choices) {
+            return (
+                <View className="flex-row flex-wrap gap-2">
+                    {choices.map(([value, label]) => (
+                        <TouchableOpacity
+                            key={value}
+                            className={chipClass(rule.value === value)}
+                            onPress={() => onChange({ ...rule, value })}
+                        >
+                            <Text className={chipTextClass(rule.value === value)}>{label}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            );
+        }
+
+        return (
+            <TextInput
+                value={String(rule.value ?? "")}
+                onChangeText={(value) => onChange({ ...rule, value })}
+                placeholder="Answer to match"
+                className="bg-white border border-text-tertiary rounded-lg p-3 font-dmsans"
+            />
+        );
+    };
+
+    return (
+        <View>
+            <Text className="text-text-navy font-dmsans-bold mb-2">Show This Field</Text>
+            <View className="flex-row flex-wrap gap-2 mb-3">
+                <TouchableOpacity className={chipClass(!rule)} onPress={() => onChange(null)}>
+                    <Text className={chipTextClass(!rule)}>Always</Text>
+                </TouchableOpacity>
+                {fields.map(field => (
+                    <TouchableOpacity
+                        key={field.id ?? field.name}
+                        className={chipClass(rule?.field === field.name)}
+                        onPress={() => handleSelectSource(field)}
+                    >
+                        <Text className={chipTextClass(rule?.field === field.name)}>When {field.name}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {sourceField && (
+                <View className="flex-row flex-wrap gap-2 mb-3">
+                    {operators.map(item => (
+                        <TouchableOpacity
+                            key={item.value}
+                            className={chipClass(rule.operator === item.value)}
+                            onPress={() => onChange({ ...rule, operator: item.value, value: item.needsValue ? rule.value : "" })}
+                        >
+                            <Text className={chipTextClass(rule.operator === item.value)}>{item.label}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+
+            {sourceField && operator?.needsValue && renderValueInput()}
+        </View>
+    );
+}
@@ -0,0 +1,101 @@
+import { Gesture, GestureDetector } from "react-native-gesture-handler";
+import Animated, { useAnimatedStyle, useSharedValue, withTiming } from "react-native-reanimated";
+import { scheduleOnRN } from "react-native-worklets";
+import MediaImage from "./MediaImage";
+
+// Furthest a photo can be zoomed in, and the zoom a double tap jumps to
+const MAX_SCALE = 5;
+const DOUBLE_TAP_SCALE = 2.5;
+
+/**
+ * Zoomable image component
+ * Shows a photo filling its page, which can be pinched to zoom, dragged around while zoomed and
+ * double tapped to zoom in or back out. Dragging is only taken over while zoomed in, so a
+ * surrounding pager still swipes between photos at normal size.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.uri - URI of the photo
+ * @param {number} props.width - Width of the page the photo fills
+ * @param {number} props.height - Height of the page the photo fills
+ * @param {Function} props.onZoomChange - Callback receiving true once zoomed in and false when back at normal size
+ * @returns {JSX.Element} Photo with pinch, drag and double tap zoom
+ */
+export default function ZoomableImage({ uri, width, height, onZoomChange = () => {} }) {
+    const scale = useSharedValue(1);
+    const savedScale = useSharedValue(1);
+    const translateX = useSharedValue(0);
+    const translateY = useSharedValue(0);
+    const savedX = useSharedValue(0);
+    const savedY = useSharedValue(0);
+
+    // Keeps a zoomed photo's edges from being dragged inside the page
+    const clampOffset = (offset, size, zoom) => {
+        "worklet";
+        const limit = (size * (zoom - 1)) / 2;
+        return Math.min(Math.max(offset, -limit), limit);
+    };
+
+    // Animates to a zoom level, centring the photo again when back at normal size
+    const zoomTo = (zoom) => {
+        "worklet";
+        scale.value = withTiming(zoom);
+        savedScale.value = zoom;
+        const x = zoom > 1 ? clampOffset(translateX.value, width, zoom) : 0;
+        const y = zoom > 1 ? clampOffset(translateY.value, height, zoom) : 0;
+        translateX.value = withTiming(x);
+        translateY.value = withTiming(y);
+        savedX.value = x;
+        savedY.value = y;
+        scheduleOnRN(onZoomChange, zoom > 1);
+    };
+
+    const pinch = Gesture.Pinch()
+        .onUpdate((event) => {
+            scale.value = Math.min(Math.max(savedScale.value * event.scale, 1), MAX_SCALE);
+        })
+        .onEnd(() => {
+            zoomTo(scale.value);
+        });
+
+    // Only starts while zoomed in, otherwise the touch is left to the pager
+    const pan = Gesture.Pan()
+        .manualActivation(true)
+        .onTouchesMove((_event, state) => {
+            if (savedScale.value > 1) {
+                state.activate();
+            } else {
+                state.fail();
+            }
+        })
+        .onUpdate((event) => {
+            translateX.value = clampOffset(savedX.value + event.translationX, width, scale.value);
+            translateY.value = clampOffset(savedY.value + event.translationY, height, scale.value);
+        })
+        .onEnd(() => {
+            savedX.value = translateX.value;
+            savedY.value = translateY.value;
+        });
+
+    const doubleTap = Gesture.Tap()
+        .numberOfTaps(2)
+        .onEnd(() => {
+            zoomTo(savedScale.value > 1 ? 1 : DOUBLE_TAP_SCALE);
+        });
+
+    const animatedStyle = useAnimatedStyle(() => ({
+        transform: [
+            { translateX: translateX.value },
+            { translateY: translateY.value },
+            { scale: scale.value },
+        ],
+    }));
+
+    return (
+        <GestureDetector gesture={Gesture.Race(doubleTap, Gesture.Simultaneous(pinch, pan))}>
+            <Animated.View style={[{ width, height }, animatedStyle]}>
+                <MediaImage uri={uri} style={{ width, height }} resizeMode="contain" />
+            </Animated.View>
+        </GestureDetector>
+    );
+}
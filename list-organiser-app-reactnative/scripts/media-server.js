@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Development media server, a stand-in for the media storage the app uploads photos and videos to.
+ *
+ *   PUT /media/<username>/<file name>   stores the request body, answers { url, size, mimeType }
+ *   GET /media/<username>/<file name>   serves the file, with Range support for video playback
+ *
+ * Uploads need an "Authorization: Bearer ..." header, but any token is accepted.
+ *
+ * Usage: npm run media-server
+ *   PORT        port to listen on (default 4000)
+ *   MEDIA_DIR   folder the files are kept in (default <temp dir>/formbase-media)
+ *   PUBLIC_URL  address devices reach this server on (default http://localhost:<PORT>), e.g.
+ *               http://192.168.0.10:4000 for a phone on the same network
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const PORT = Number(process.env.PORT) || 4000;
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(os.tmpdir(), "formbase-media"));
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+
+// Largest upload accepted, in bytes
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".m4v": "video/x-m4v",
+  ".3gp": "video/3gpp",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+};
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+// Maps /media/<username>/<file name> to a file inside MEDIA_DIR, or null for any other path.
+// Throws a URIError when the path holds a malformed escape such as "%E0%A4%A".
+const resolveMediaPath = (urlPath) => {
+  const match = urlPath.match(/^\/media\/([^/]+)\/([^/]+)$/);
+  if (!match) return null;
+
+  const [folder, fileName] = match.slice(1).map(decodeURIComponent);
+  if ([folder, fileName].some(part => part.startsWith(".") || /[\\/]/.test(part))) return null;
+
+  const filePath = path.resolve(MEDIA_DIR, folder, fileName);
+  return filePath.startsWith(MEDIA_DIR + path.sep) ? filePath : null;
+};
+
+const handleUpload = (request, response, filePath, urlPath) => {
+  if (!/^Bearer\s+\S+/.test(request.headers.authorization || "")) {
+    return sendJson(response, 401, { message: "Missing bearer token" });
+  }
+  if (Number(request.headers["content-length"]) > MAX_UPLOAD_BYTES) {
+    return sendJson(response, 413, { message: "File is too large" });
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const partialPath = `${filePath}.part`;
+  const output = fs.createWriteStream(partialPath);
+  let size = 0;
+  let discarded = false;
+
+  // Stops writing and removes the partial file, once, whichever way the upload ended early
+  const discard = () => {
+    if (discarded) return;
+    discarded = true;
+    output.destroy();
+    fs.rm(partialPath, { force: true }, () => {});
+  };
+
+  request.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES && !discarded) {
+      discard();
+      sendJson(response, 413, { message: "File is too large" });
+      request.destroy();
+    }
+  });
+  // The device dropped the connection part way through
+  request.on("aborted", discard);
+  request.on("error", (error) => {
+    console.error(`Upload of ${urlPath} failed:`, error.message);
+    discard();
+  });
+  request.pipe(output);
+
+  output.on("finish", () => {
+    if (discarded) return;
+    try {
+      fs.renameSync(partialPath, filePath);
+    } catch (error) {
+      console.error(`Failed to store ${urlPath}:`, error);
+      discard();
+      return sendJson(response, 500, { message: "Could not store the file" });
+    }
+    const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()] || request.headers["content-type"] || "application/octet-stream";
+    console.log(`Stored ${urlPath} (${size} bytes)`);
+    sendJson(response, 201, { url: `${PUBLIC_URL}${urlPath}`, size, mimeType });
+  });
+  output.on("error", (error) => {
+    console.error(`Failed to store ${urlPath}:`, error);
+    discard();
+    if (!response.headersSent) sendJson(response, 500, { message: "Could not store the file" });
+  });
+};
+
+const handleDownload = (request, response, filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return sendJson(response, 404, { message: "Not found" });
+  }
+
+  const { size } = fs.statSync(filePath);
+  const headers = {
+    "Content-Type": MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "public, max-age=31536000, immutable",
+  };
+
+  // Video players ask for the file in ranges, e.g. "bytes=0-1023" or "bytes=1024-"
+  const range = (request.headers.range || "").match(/^bytes=(\d*)-(\d*)$/);
+  if (range && (range[1] || range[2])) {
+    const start = range[1] ? Number(range[1]) : Math.max(size - Number(range[2]), 0);
+    const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start > end || start >= size) {
+      response.writeHead(416, { "Content-Range": `bytes */${size}` });
+      return response.end();
+    }
+    response.writeHead(206, { ...headers, "Content-Range": `bytes ${start}-${end}/${size}`, "Content-Length": end - start + 1 });
+    return fs.createReadStream(filePath, { start, end }).pipe(response);
+  }
+
+  response.writeHead(200, { ...headers, "Content-Length": size });
+  fs.createReadStream(filePath).pipe(response);
+};
+
+const server = http.createServer((request, response) => {
+  let urlPath;
+  let filePath;
+  try {
+    urlPath = new URL(request.url, PUBLIC_URL).pathname;
+    filePath = resolveMediaPath(urlPath);
+  } catch (error) {
+    return sendJson(response, 400, { message: `Malformed path: ${error.message}` });
+  }
+  if (!filePath) {
+    return sendJson(response, 404, { message: "Not found" });
+  }
+
+  if (request.method === "PUT") return handleUpload(request, response, filePath, urlPath);
+  if (request.method === "GET" || request.method === "HEAD") return handleDownload(request, response, filePath);
+  sendJson(response, 405, { message: "Method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Media server storing files in ${MEDIA_DIR}`);
+  console.log(`Uploads: PUT ${PUBLIC_URL}/media/<username>/<file name>`);
+});
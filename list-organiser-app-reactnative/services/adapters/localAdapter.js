@@ -0,0 +1,194 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { readChoiceValues } from "../fieldTypes";
+import { groupFilters, searchRecords, sortRecords } from "../recordFilters";
+
+// LOCAL STORAGE ADAPTER, keeps forms, fields and records on the device
+
+// Prefix for every key this adapter writes
+const KEY_PREFIX = "@formbase/local";
+
+// Username stamped on local rows, mirroring the row-level security column of the server
+const LOCAL_USERNAME = "local";
+
+/**
+ * Creates a storage adapter that keeps all data on the device.
+ * Responses mirror the REST adapter's shapes (arrays for lookups and writes) so screens
+ * do not need to know which backend is active.
+ *
+ * @param {object} [storage=AsyncStorage] - Key-value store with async getItem/setItem, swap for an in-memory store in tests.
+ * @returns {object} - Storage adapter implementing the same functions as the REST adapter.
+ */
+export function createLocalAdapter(storage = AsyncStorage) {
+  // Writes are read-modify-write on a whole table, so they run one at a time to avoid lost updates
+  let writeQueue = Promise.resolve();
+  const exclusive = (task) => {
+    const run = writeQueue.then(task, task);
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  // Reads all rows of a table
+  const readTable = async (table) => {
+    const raw = await storage.getItem(`${KEY_PREFIX}/${table}`);
+    return raw ? JSON.parse(raw) : [];
+  };
+
+  // Overwrites all rows of a table
+  const writeTable = async (table, rows) => {
+    await storage.setItem(`${KEY_PREFIX}/${table}`, JSON.stringify(rows));
+  };
+
+  // Hands out the next auto-increment id for a table
+  const nextId = async (table) => {
+    const key = `${KEY_PREFIX}/sequence/${table}`;
+    const current = parseInt(await storage.getItem(key), 10) || 0;
+    await storage.setItem(key, String(current + 1));
+    return current + 1;
+  };
+
+  // Inserts a row and returns it wrapped in an array, like PostgREST's return=representation
+  const insertRow = (table, body) => exclusive(async () => {
+    const rows = await readTable(table);
+    const row = { ...body, id: await nextId(table), username: LOCAL_USERNAME };
+    await writeTable(table, [...rows, row]);
+    return [row];
+  });
+
+  // Selects rows matching a predicate
+  const selectRows = async (table, predicate = () => true) => {
+    const rows = await readTable(table);
+    return rows.filter(predicate);
+  };
+
+  // Patches rows matching a predicate and returns the updated rows
+  const updateRows = (table, predicate, changes) => exclusive(async () => {
+    const rows = await readTable(table);
+    const updated = [];
+    const next = rows.map(row => {
+      if (!predicate(row)) return row;
+      const patched = { ...row, ...changes, id: row.id };
+      updated.push(patched);
+      return patched;
+    });
+    await writeTable(table, next);
+    return updated;
+  });
+
+  // Removes rows matching a predicate
+  const deleteRows = (table, predicate) => exclusive(async () => {
+    const rows = await readTable(table);
+    await writeTable(table, rows.filter(row => !predicate(row)));
+  });
+
+  // Ids arrive as route params (strings) or numbers, compare loosely on their string form
+  const sameId = (a, b) => String(a) === String(b);
+
+  // Selects a form's records matching OR-joined groups of AND-joined filters
+  const selectMatchingRecords = async (formId, filters) => {
+    const records = await selectRows("record", record => sameId(record.form_id, formId));
+    const groups = groupFilters(filters);
+    if (groups.length === 0) return records;
+    return records.filter(record => groups.some(group => group.every(filter => matchesFilter(record, filter))));
+  };
+
+  return {
+    // FORMS
+    getAllForms: () => selectRows("form"),
+    getFormById: (formId) => selectRows("form", form => sameId(form.id, formId)),
+    createForm: (formdata) => insertRow("form", formdata),
+    updateForm: (formId, formdata) => updateRows("form", form => sameId(form.id, formId), formdata),
+    deleteForm: async (formId) => {
+      await deleteRows("record", record => sameId(record.form_id, formId));
+      await deleteRows("field", field => sameId(field.form_id, formId));
+      await deleteRows("form", form => sameId(form.id, formId));
+      return { success: true, message: 'Form deleted successfully' };
+    },
+
+    // FIELDS
+    insertField: (formId, field) => insertRow("field", { ...field, form_id: formId }),
+    getFieldsByFormId: (formId) => selectRows("field", field => sameId(field.form_id, formId)),
+    getFieldById: (fieldId) => selectRows("field", field => sameId(field.id, fieldId)),
+    updateField: (fieldId, field) => updateRows("field", row => sameId(row.id, fieldId), field),
+    deleteField: async (fieldId) => {
+      await deleteRows("field", field => sameId(field.id, fieldId));
+      return { success: true, message: 'Field deleted successfully' };
+    },
+
+    // RECORDS
+    // Records carry created_at/updated_at timestamps, shown on the record detail screen
+    insertRecord: (formId, record) => {
+      const now = new Date().toISOString();
+      return insertRow("record", { ...record, form_id: formId, created_at: now, updated_at: now });
+    },
+    getRecordsByFormId: (formId) => selectRows("record", record => sameId(record.form_id, formId)),
+    getRecords: () => selectRows("record"),
+    getRecordById: (recordId) => selectRows("record", record => sameId(record.id, recordId)),
+    updateRecord: (recordId, record) => updateRows(
+      "record", row => sameId(row.id, recordId), { ...record, updated_at: new Date().toISOString() }
+    ),
+    deleteRecord: async (recordId) => {
+      await deleteRows("record", record => sameId(record.id, recordId));
+      return { success: true, message: 'Record deleted successfully' };
+    },
+    filterRecordsByCriteria: (formId, filters = []) => selectMatchingRecords(formId, filters),
+    getRecordsPage: async (formId, { filters = [], search = null, sort = null, offset = 0, limit = 25 } = {}) => {
+      const records = await selectMatchingRecords(formId, filters);
+      const matches = sortRecords(searchRecords(records, search), sort);
+      return { records: matches.slice(offset, offset + limit), total: matches.length };
+    },
+  };
+}
+
+/**
+ * Evaluates one filter against a record's values, using the same operators as the PostgREST queries.
+ *
+ * @param {object} record - The record to test.
+ * @param {object} filter - Filter with field, operator, value and optional isNumeric.
+ * @returns {boolean} - Whether the record matches.
+ */
+function matchesFilter(record, filter) {
+  const rawValue = record.values?.[filter.field];
+  if (rawValue === undefined || rawValue === null) return false;
+
+  // Multi-select values are lists; a value saved before the field allowed several choices counts as a list of one
+  if (filter.operator === 'any' || filter.operator === 'all') {
+    const picked = readChoiceValues(rawValue);
+    const wanted = readChoiceValues(filter.value);
+    return filter.operator === 'any'
+      ? wanted.some(choice => picked.includes(choice))
+      : wanted.every(choice => picked.includes(choice));
+  }
+
+  // Filters saved before isNumeric existed compared with gt/lt as numbers
+  const comparesNumbers = filter.isNumeric
+    || (filter.isNumeric === undefined && ['gt', 'lt', 'gte', 'lte'].includes(filter.operator));
+
+  if (comparesNumbers) {
+    const numValue = parseFloat(rawValue);
+    const numFilter = parseFloat(filter.value);
+    if (isNaN(numValue) || isNaN(numFilter)) return false;
+
+    switch (filter.operator) {
+      case 'eq': return numValue === numFilter;
+      case 'gt': return numValue > numFilter;
+      case 'lt': return numValue < numFilter;
+      case 'gte': return numValue >= numFilter;
+      case 'lte': return numValue <= numFilter;
+    }
+  }
+
+  const stringValue = String(rawValue);
+  const filterValue = String(filter.value);
+
+  // Text comparisons follow code point order, which keeps dates and times in time order
+  switch (filter.operator) {
+    case 'eq': return stringValue === filterValue;
+    case 'gt': return stringValue > filterValue;
+    case 'lt': return stringValue < filterValue;
+    case 'gte': return stringValue >= filterValue;
+    case 'lte': return stringValue <= filterValue;
+    case 'ilike': return stringValue.toLowerCase().includes(filterValue.toLowerCase());
+    case 'like': return stringValue.startsWith(filterValue);
+    default: return false;
+  }
+}
@@ -0,0 +1,452 @@
+import fetch from "node-fetch";
+import { getActiveCredentials, notifyUnauthorized } from "../auth";
+import { readChoiceValues } from "../fieldTypes";
+import { groupFilters } from "../recordFilters";
+
+// REST STORAGE ADAPTER, talks to the PostgREST server
+// The base URL, JWT token and username (used for row-level security) come from the active account profile
+
+/**
+ * Helper function to build the error thrown for a non-OK HTTP response.
+ * The status code is kept on the error so callers can tell server errors apart from a missing connection.
+ * 
+ * @param {Response} response - The failed fetch response.
+ * @returns {Promise<Error>} - Error with a status property.
+ */
+async function httpError(response) {
+  const errText = await response.text();
+  const error = new Error(`HTTP error! status: ${response.status} – ${errText}`);
+  error.status = response.status;
+
+  // The token is missing, expired or revoked, let the app route back to sign-in
+  if (response.status === 401) {
+    notifyUnauthorized();
+  }
+
+  return error;
+}
+
+/**
+ * Helper function to send a request to the server.
+ * fetch only rejects when no response arrived, so its errors are tagged offline: true for the
+ * offline queue; errors from anything else, e.g. reading a response, are not tagged.
+ * 
+ * @param {string} url - The full request URL.
+ * @param {object} options - fetch options.
+ * @returns {Promise<Response>} - The fetch response, OK or not.
+ * @throws Will throw an error tagged offline: true if the server cannot be reached.
+ */
+async function sendRequest(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    error.offline = true;
+    throw error;
+  }
+}
+
+/**
+ * Helper function to handle API requests.
+ * It sets the Authorization token and optionally includes the request body.
+ * 
+ * @param {string} endpoint - The API endpoint to call (e.g., "/form", "/field").
+ * @param {string} [method='GET'] - The HTTP method to use (GET, POST, PATCH).
+ * @param {object|null} [body=null] - The request body to send, typically for POST or PATCH.
+ * @returns {Promise<object>} - The JSON response from the API.
+ * @throws Will throw an error if the HTTP response is not OK.
+ */
+export async function apiRequest(endpoint, method = "GET", body = null) {
+  const { baseUrl, token, username } = getActiveCredentials();
+  const options = {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  };
+
+  if (method === "POST" || method === "PATCH") {
+    options.headers["Prefer"] = "return=representation";
+  }
+
+  if (body) {
+    options.body = JSON.stringify({ ...body, username });
+  }
+
+  const response = await sendRequest(`${baseUrl}${endpoint}`, options);
+  
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+
+  return response.json();
+}
+
+// FORMS
+/**
+ * Function to get all forms for the current user.
+ * 
+ * @returns {Promise<Array>} - Array of form objects.
+ */
+export async function getAllForms() {
+  return apiRequest("/form");
+}
+
+/**
+ * Function to get a specific form by ID.
+ * 
+ * @param {number} formId - The ID of the form to retrieve.
+ * @returns {Promise<object>} - The form object.
+ */
+export async function getFormById(formId) {
+  return apiRequest(`/form?id=eq.${formId}`);
+}
+
+/**
+ * Function to create a new form called "Books".
+ * @param {number} formdata - The form data
+ * @returns {Promise<object>} - The created form object.
+ */
+export async function createForm(formdata) {
+  return apiRequest("/form", "POST", formdata);
+}
+
+/**
+ * Function to update a form
+ */
+export async function updateForm(formId, formdata) {
+  return apiRequest(`/form?id=eq.${formId}`, "PATCH", formdata);
+}
+
+/**
+ * Function to delete a form by ID
+ * @param {number} formId - The ID of the form to delete
+ * @returns {Promise<object>} - The deletion response
+ */
+export async function deleteForm(formId) {
+  const { baseUrl, token } = getActiveCredentials();
+  const response = await sendRequest(`${baseUrl}/form?id=eq.${formId}`, {
+    method: "DELETE",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+  
+  return { success: true, message: 'Form deleted successfully' };
+}
+
+// FIELDS
+/**
+ * Function to insert a single field for the form.
+ * Call this function once for each field you want to add.
+ * 
+ * @param {number} formId - The ID of the form to attach this field to.
+ * @param {object} field - The field definition object.
+ * @returns {Promise<object>} - The created field object.
+ */
+export async function insertField(formId, field) {
+  return apiRequest("/field", "POST", {
+    ...field,
+    form_id: formId,
+  });
+}
+
+/**
+ * Function to get all fields for a specific form.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @returns {Promise<Array>} - Array of field objects.
+ */
+export async function getFieldsByFormId(formId) {
+  return apiRequest(`/field?form_id=eq.${formId}`);
+}
+
+/**
+ * Function to get a specific field by ID.
+ * 
+ * @param {number} fieldId - The ID of the field to retrieve.
+ * @returns {Promise<object>} - The field object.
+ */
+export async function getFieldById(fieldId) {
+  return apiRequest(`/field?id=eq.${fieldId}`);
+}
+
+/**
+ * Function to update a field's definition (name, required, is_num, options, order_index).
+ * 
+ * @param {number} fieldId - The ID of the field to update.
+ * @param {object} field - The field properties to change.
+ * @returns {Promise<Array>} - Array containing the updated field object.
+ */
+export async function updateField(fieldId, field) {
+  return apiRequest(`/field?id=eq.${fieldId}`, "PATCH", field);
+}
+
+/**
+ * Function to delete a field by ID
+ * @param {number} fieldId - The ID of the field to delete
+ * @returns {Promise<object>} - The deletion response
+ */
+export async function deleteField(fieldId) {
+  const { baseUrl, token } = getActiveCredentials();
+  const response = await sendRequest(`${baseUrl}/field?id=eq.${fieldId}`, {
+    method: "DELETE",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+  
+  return { success: true, message: 'Field deleted successfully' };
+}
+
+// RECORDS 
+/**
+ * Function to insert a single record (book entry) into the form.
+ * 
+ * @param {number} formId - The ID of the form to attach this record to.
+ * @param {object} record - The record data (with a "values" object).
+ * @returns {Promise<object>} - The created record object.
+ */
+export async function insertRecord(formId, record) {
+  return apiRequest("/record", "POST", {
+    ...record,
+    form_id: formId,
+  });
+}
+
+/**
+ * Function to get all records for a specific form.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @returns {Promise<Array>} - Array of record objects.
+ */
+export async function getRecordsByFormId(formId) {
+  return apiRequest(`/record?form_id=eq.${formId}`);
+}
+
+/**
+ * Function to get all records.
+ * 
+ * @returns {Promise<Array>} - Array of record objects.
+ */
+export async function getRecords() {
+  return apiRequest("/record", "GET");
+}
+
+/**
+ * Function to get a specific record by ID.
+ * 
+ * @param {number} recordId - The ID of the record to retrieve.
+ * @returns {Promise<object>} - The record object.
+ */
+export async function getRecordById(recordId) {
+  return apiRequest(`/record?id=eq.${recordId}`);
+}
+
+/**
+ * Function to update an existing record in place, keeping its ID.
+ * 
+ * @param {number} recordId - The ID of the record to update.
+ * @param {object} record - The updated record data (with a "values" object).
+ * @returns {Promise<Array>} - Array containing the updated record object.
+ */
+export async function updateRecord(recordId, record) {
+  return apiRequest(`/record?id=eq.${recordId}`, "PATCH", record);
+}
+
+/**
+ * Function to delete a record by ID
+ * @param {number} recordId - The ID of the record to delete
+ * @returns {Promise<object>} - The deletion response
+ */
+export async function deleteRecord(recordId) {
+  const { baseUrl, token } = getActiveCredentials();
+  const response = await sendRequest(`${baseUrl}/record?id=eq.${recordId}`, {
+    method: "DELETE",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+  
+  return { success: true, message: 'Record deleted successfully' };
+}
+
+// Quotes a field name as a JSONB key, escaping the quotes and backslashes a name may contain
+const jsonKey = (name) => `"${String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Makes typed text match literally in a like pattern. % and _ are escaped; PostgREST reads every *
+// as a wildcard and has no escape for it, so * becomes _, which matches the asterisk itself
+const likeText = (text) => String(text).replace(/[\\%_]/g, '\\$&').replace(/\*/g, '_');
+
+/**
+ * Helper function to split a filter into its JSONB column path, operator and operand.
+ * Numeric filters compare the JSON value (->), text filters compare its text (->>).
+ * Multi-select filters check the stored JSON list contains (cs) the chosen values; "any" becomes
+ * one containment check per value, any of which may match.
+ * 
+ * @param {object} filter - Filter with field, operator, value and optional isNumeric.
+ * @returns {object|null} - { path, operator, operand } or { anyOf: [parts] }, or null for an
+ *   unknown operator or an empty list of choices.
+ */
+function filterParts(filter) {
+  const path = `values${filter.isNumeric ? '->' : '->>'}${jsonKey(filter.field)}`;
+  const value = String(filter.value);
+
+  if (filter.operator === 'any' || filter.operator === 'all') {
+    const choices = readChoiceValues(filter.value);
+    if (choices.length === 0) return null;
+    const listPath = `values->${jsonKey(filter.field)}`;
+    return filter.operator === 'all'
+      ? { path: listPath, operator: 'cs', operand: JSON.stringify(choices) }
+      : { anyOf: choices.map(choice => ({ path: listPath, operator: 'cs', operand: JSON.stringify([choice]) })) };
+  }
+
+  switch (filter.operator) {
+    case 'eq':
+    case 'gt':
+    case 'lt':
+    case 'gte':
+    case 'lte':
+      return { path, operator: filter.operator, operand: value };
+    case 'ilike':
+      return { path, operator: 'ilike', operand: `*${likeText(value)}*` };
+    case 'like':
+      return { path, operator: 'like', operand: `${likeText(value)}*` };
+    default:
+      return null;
+  }
+}
+
+// Values inside an or=(...) tree are quoted when they contain PostgREST's reserved characters
+const quoteLogicOperand = (operand) =>
+  /[,.:()"\\\s]/.test(operand) ? `"${operand.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : operand;
+
+// Writes one condition in PostgREST's logic tree syntax, e.g. values->>"Title".ilike.*dune*
+const logicCondition = (part) => (part.anyOf
+  ? `or(${part.anyOf.map(logicCondition).join(',')})`
+  : `${part.path}.${part.operator}.${quoteLogicOperand(part.operand)}`);
+
+/**
+ * Helper function to build the record query for a form's filters and an optional text search.
+ * Filters joined by "and" become plain query parameters; once a filter is joined by "or", or a
+ * search is added, the conditions are sent as one logic tree so the server does the whole match.
+ * 
+ * @param {number} formId - Form ID
+ * @param {Array} filters - Array of filter objects
+ * @param {object|null} search - { text, keys } to match text anywhere in the given record value keys.
+ * @returns {string} - Endpoint with query string, without ordering or paging.
+ */
+function buildRecordQuery(formId, filters = [], search = null) {
+  const groups = groupFilters(filters)
+    .map(group => group.map(filterParts).filter(Boolean))
+    .filter(group => group.length > 0);
+  const searchParts = search?.text?.trim() && search.keys?.length
+    ? search.keys.map(key => ({ path: `values->>${jsonKey(key)}`, operator: 'ilike', operand: `*${likeText(search.text.trim())}*` }))
+    : [];
+
+  let query = `/record?form_id=eq.${formId}`;
+
+  // "any" filters need an or=(...) tree, so only plain conditions can be sent as query parameters
+  if (searchParts.length === 0 && groups.length === 1 && groups[0].every(part => !part.anyOf)) {
+    groups[0].forEach(({ path, operator, operand }) => {
+      query += `&${encodeURIComponent(path)}=${operator}.${encodeURIComponent(operand)}`;
+    });
+    return query;
+  }
+
+  const branches = [];
+  if (groups.length === 1) {
+    branches.push(...groups[0].map(logicCondition));
+  } else if (groups.length > 1) {
+    branches.push(`or(${groups.map(group => (
+      group.length === 1 ? logicCondition(group[0]) : `and(${group.map(logicCondition).join(',')})`
+    )).join(',')})`);
+  }
+  if (searchParts.length > 0) {
+    branches.push(`or(${searchParts.map(logicCondition).join(',')})`);
+  }
+
+  if (branches.length > 0) {
+    query += `&and=${encodeURIComponent(`(${branches.join(',')})`)}`;
+  }
+  return query;
+}
+
+/**
+ * Helper function to build the PostgREST order parameter for a sort. Record IDs grow in creation
+ * order, so both "$id" and "$created" sort by id; ties always fall back to id so pages are stable.
+ * 
+ * @param {object|null} sort - { field, direction, isNumeric } or null for the default order.
+ * @returns {string} - Value of the order parameter.
+ */
+function buildRecordOrder(sort) {
+  if (!sort?.field) return "id.asc";
+
+  const direction = sort.direction === "desc" ? "desc" : "asc";
+  if (sort.field === "$id" || sort.field === "$created") {
+    return `id.${direction}`;
+  }
+
+  const path = `values${sort.isNumeric ? '->' : '->>'}${jsonKey(sort.field)}`;
+  return `${encodeURIComponent(path)}.${direction}.nullslast,id.asc`;
+}
+
+/**
+ * Filter records using PostgREST JSONB query syntax.
+ * @param {number} formId - Form ID
+ * @param {Array} filters - Array of filter objects
+ * @returns {Promise<Array>} Filtered records
+ */
+export async function filterRecordsByCriteria(formId, filters = []) {
+  if (filters.length === 0) {
+    return getRecordsByFormId(formId);
+  }
+
+  return apiRequest(buildRecordQuery(formId, filters));
+}
+
+/**
+ * Function to get one page of a form's records with the total number of matches.
+ * The total comes from the Content-Range header returned for Prefer: count=exact.
+ * 
+ * @param {number} formId - Form ID
+ * @param {object} query - { filters, search, sort, offset, limit }
+ * @returns {Promise<object>} - { records, total }
+ */
+export async function getRecordsPage(formId, { filters = [], search = null, sort = null, offset = 0, limit = 25 } = {}) {
+  const { baseUrl, token } = getActiveCredentials();
+  const endpoint = `${buildRecordQuery(formId, filters, search)}&order=${buildRecordOrder(sort)}&limit=${limit}&offset=${offset}`;
+
+  const response = await sendRequest(`${baseUrl}${endpoint}`, {
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+      Prefer: "count=exact",
+    },
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+
+  const records = await response.json();
+  // Content-Range looks like "0-24/573", or "*/0" when nothing matched
+  const total = parseInt(response.headers.get("Content-Range")?.split("/")[1], 10);
+
+  return { records, total: isNaN(total) ? offset + records.length : total };
+}
@@ -1,49 +1,200 @@
-import fetch from "node-fetch";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { createLocalAdapter } from "./adapters/localAdapter";
+import * as restAdapter from "./adapters/restAdapter";
+import { getActiveProfile } from "./auth";
+import {
+  enqueueWrite, getSyncQueue, isOfflineError, isTempId, mustQueueWrite, QUEUED_OPERATIONS, rememberRows, replaySyncQueue
+} from "./syncQueue";
+import { getVisibilityRule } from "./fieldVisibility";
+import { getFormulaReferences, renameFieldInFormula } from "./formulas";
+import { uploadRecordMedia } from "./mediaStorage";
+import { getValidationRules, validateRecordValues } from "./validation";
 
-// Base URL for the Books Form RESTful API
-const API_BASE_URL = "https://comp2140a3.uqcloud.net/api";
+export { apiRequest } from "./adapters/restAdapter";
+export {
+  DEFAULT_API_BASE_URL, DEFAULT_MEDIA_BASE_URL, deleteProfile, getActiveProfile, getProfileById, getProfiles, loadActiveProfile,
+  saveProfile, signOut, subscribeToProfile, subscribeToUnauthorized, switchProfile
+} from "./auth";
+export {
+  discardQueuedWrite, getSyncQueue, QUEUED_OPERATIONS, resolveConflict, retryQueuedWrite, subscribeToSyncQueue
+} from "./syncQueue";
 
-// JWT token for authorization, replace with your actual token HERE
-const JWT_TOKEN = "";
+// STORAGE BACKENDS
+// Every data function below delegates to the active adapter. An adapter implements the forms,
+// fields, records, filterRecordsByCriteria and getRecordsPage functions with the same signatures and response shapes.
+export const STORAGE_BACKENDS = {
+  rest: { label: "Server (REST)", adapter: restAdapter },
+  local: { label: "On This Device", adapter: createLocalAdapter() },
+};
 
-// Your UQ student username, used for row-level security to retrieve your records
-const USERNAME = '';
+// Key used to remember the chosen backend between launches
+const STORAGE_BACKEND_KEY = "@formbase/storageBackend";
+
+let activeBackend = "rest";
 
 /**
- * Helper function to handle API requests.
- * It sets the Authorization token and optionally includes the request body.
+ * Function to get the adapter for the active storage backend.
  * 
- * @param {string} endpoint - The API endpoint to call (e.g., "/form", "/field").
- * @param {string} [method='GET'] - The HTTP method to use (GET, POST, PATCH).
- * @param {object|null} [body=null] - The request body to send, typically for POST or PATCH.
- * @returns {Promise<object>} - The JSON response from the API.
- * @throws Will throw an error if the HTTP response is not OK.
+ * @returns {object} - The active storage adapter.
  */
-export async function apiRequest(endpoint, method = "GET", body = null) {
-  const options = {
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${JWT_TOKEN}`,
-    },
-  };
+function getAdapter() {
+  return STORAGE_BACKENDS[activeBackend].adapter;
+}
+
+/**
+ * Function to get the name of the active storage backend.
+ * 
+ * @returns {string} - The backend key, e.g. "rest" or "local".
+ */
+export function getStorageBackend() {
+  return activeBackend;
+}
 
-  if (method === "POST" || method === "PATCH") {
-    options.headers["Prefer"] = "return=representation";
+/**
+ * Function to switch storage backend at runtime and remember the choice.
+ * 
+ * @param {string} backend - The backend key to activate ("rest" or "local").
+ * @returns {Promise<void>}
+ * @throws Will throw an error if the backend is unknown.
+ */
+export async function setStorageBackend(backend) {
+  if (!STORAGE_BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend: ${backend}`);
   }
+  activeBackend = backend;
+  await AsyncStorage.setItem(STORAGE_BACKEND_KEY, backend);
+}
 
-  if (body) {
-    options.body = JSON.stringify({ ...body, username: USERNAME });
+/**
+ * Function to restore the saved storage backend. Call once on app start before any data is loaded.
+ * 
+ * @returns {Promise<string>} - The backend that is now active.
+ */
+export async function loadStorageBackend() {
+  const saved = await AsyncStorage.getItem(STORAGE_BACKEND_KEY);
+  if (saved && STORAGE_BACKENDS[saved]) {
+    activeBackend = saved;
+  }
+  return activeBackend;
+}
+
+// OFFLINE SYNC
+/**
+ * Helper function to run a write against the active adapter. On the REST backend a write that
+ * cannot reach the server, or that would overtake writes still waiting to sync or parked on the
+ * same row, is queued instead and an optimistic result flagged with pending: true is returned.
+ * 
+ * @param {string} operation - Name of the adapter write function.
+ * @param {Array} args - Arguments for the write.
+ * @returns {Promise<Array|object>} - The adapter's response or the optimistic queued result.
+ */
+async function queueableWrite(operation, args) {
+  if (activeBackend !== "rest") {
+    return getAdapter()[operation](...args);
   }
 
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
-  
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`HTTP error! status: ${response.status} – ${errText}`);
+  if (await mustQueueWrite(operation, args)) {
+    const queued = await enqueueWrite(operation, args);
+    syncPendingWrites().catch(() => {});
+    return queued;
   }
 
-  return response.json();
+  try {
+    const result = await getAdapter()[operation](...args);
+    rememberRows(QUEUED_OPERATIONS[operation].table, result);
+    return result;
+  } catch (error) {
+    if (!isOfflineError(error)) throw error;
+    return enqueueWrite(operation, args);
+  }
+}
+
+/**
+ * Helper function to remember rows read from the server as the conflict baseline for queued writes.
+ * 
+ * @param {string} table - The table being read.
+ * @param {Promise<Array>} request - The pending adapter read.
+ * @returns {Promise<Array>} - The rows, unchanged.
+ */
+async function rememberedRead(table, request) {
+  const rows = await request;
+  if (activeBackend === "rest") {
+    rememberRows(table, rows);
+  }
+  return rows;
+}
+
+/**
+ * Function to replay queued writes against the server now.
+ * Queued writes always target the REST server, whichever backend is active.
+ * 
+ * @returns {Promise<object>} - { synced, remaining } counts.
+ */
+export async function syncPendingWrites() {
+  return replaySyncQueue(restAdapter, uploadQueuedMedia);
+}
+
+// MEDIA UPLOADS
+/**
+ * Helper function to write a record, uploading its photos and videos to the media server first.
+ * Device file URIs must never reach the server, so when the media server cannot be reached the
+ * write is queued with the files still on the device; they are uploaded when it is replayed.
+ * 
+ * @param {string} operation - "insertRecord" or "updateRecord".
+ * @param {number|string} target - The form ID for inserts, the record ID for updates.
+ * @param {object} record - The record data (with a "values" object).
+ * @param {Function} [onMediaProgress] - Called with { completed, total, fraction } as files are sent.
+ * @returns {Promise<Array|object>} - The adapter's response or the optimistic queued result.
+ */
+async function writeRecordWithMedia(operation, target, record, onMediaProgress) {
+  if (activeBackend !== "rest") {
+    return queueableWrite(operation, [target, record]);
+  }
+
+  let uploaded;
+  try {
+    uploaded = { ...record, values: await uploadRecordMedia(record.values || {}, onMediaProgress) };
+  } catch (error) {
+    if (!isOfflineError(error)) throw error;
+    // Files sent before the connection dropped keep their URLs, so replay only sends the rest
+    return enqueueWrite(operation, [target, { ...record, values: error.partialValues || record.values }]);
+  }
+  return queueableWrite(operation, [target, uploaded]);
+}
+
+/**
+ * Helper function to upload media still on the device before a queued record write is replayed.
+ * 
+ * @param {string} operation - Name of the queued adapter write.
+ * @param {Array} args - Arguments of the write.
+ * @returns {Promise<Array>} - The arguments, with uploaded media for record writes.
+ */
+async function uploadQueuedMedia(operation, args) {
+  if (operation !== "insertRecord" && operation !== "updateRecord") return args;
+  const [target, record] = args;
+  try {
+    return [target, { ...record, values: await uploadRecordMedia(record.values || {}) }];
+  } catch (error) {
+    if (error.partialValues) {
+      error.partialArgs = [target, { ...record, values: error.partialValues }];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Function to start replaying queued writes whenever the device comes back online.
+ * Call once on app start.
+ * 
+ * @returns {Function} - Unsubscribe function that stops listening for connectivity changes.
+ */
+export function startBackgroundSync() {
+  return NetInfo.addEventListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      syncPendingWrites().catch((error) => console.error("Error syncing queued writes:", error));
+    }
+  });
 }
 
 // FORMS
@@ -53,7 +204,7 @@ export async function apiRequest(endpoint, method = "GET", body = null) {
  * @returns {Promise<Array>} - Array of form objects.
  */
 export async function getAllForms() {
-  return apiRequest("/form");
+  return rememberedRead("form", getAdapter().getAllForms());
 }
 
 /**
@@ -63,7 +214,7 @@ export async function getAllForms() {
  * @returns {Promise<object>} - The form object.
  */
 export async function getFormById(formId) {
-  return apiRequest(`/form?id=eq.${formId}`);
+  return rememberedRead("form", getAdapter().getFormById(formId));
 }
 
 /**
@@ -72,14 +223,14 @@ export async function getFormById(formId) {
  * @returns {Promise<object>} - The created form object.
  */
 export async function createForm(formdata) {
-  return apiRequest("/form", "POST", formdata);
+  return queueableWrite("createForm", [formdata]);
 }
 
 /**
  * Function to update a form
  */
 export async function updateForm(formId, formdata) {
-  return apiRequest(`/form?id=eq.${formId}`, "PATCH", formdata);
+  return queueableWrite("updateForm", [formId, formdata]);
 }
 
 /**
@@ -88,20 +239,65 @@ export async function updateForm(formId, formdata) {
  * @returns {Promise<object>} - The deletion response
  */
 export async function deleteForm(formId) {
-  const response = await fetch(`${API_BASE_URL}/form?id=eq.${formId}`, {
-    method: "DELETE",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${JWT_TOKEN}`,
-    },
-  });
+  return queueableWrite("deleteForm", [formId]);
+}
+
+/**
+ * Function to create a form together with all of its fields in one step.
+ * Fields are inserted in array order and get their order_index from their position.
+ *
+ * @param {object} formdata - The form data (name and description).
+ * @param {Array} fields - Field definitions, without IDs.
+ * @returns {Promise<object>} - The created form object.
+ */
+export async function createFormWithFields(formdata, fields) {
+  const [form] = await createForm(formdata);
+
+  for (const [index, field] of fields.entries()) {
+    await insertField(form.id, { ...field, order_index: index });
+  }
+
+  return form;
+}
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`HTTP error! status: ${response.status} – ${errText}`);
+/**
+ * Function to copy a form's definition, and optionally its records, into a new form.
+ *
+ * @param {number} formId - The ID of the form to copy.
+ * @param {boolean} includeRecords - Whether to copy the records as well.
+ * @returns {Promise<object>} - The new form object.
+ * @throws Will throw an error if the form does not exist.
+ */
+export async function duplicateForm(formId, includeRecords = false) {
+  const [[source], sourceFields, sourceRecords] = await Promise.all([
+    getFormById(formId),
+    getFieldsByFormId(formId),
+    includeRecords ? getRecordsByFormId(formId) : Promise.resolve([]),
+  ]);
+
+  if (!source) {
+    throw new Error("Form not found");
+  }
+
+  // Copy every field property except the row's own identity and owner
+  const fields = [...sourceFields]
+    .sort((a, b) => a.order_index - b.order_index)
+    .map(sourceField => {
+      const field = { ...sourceField };
+      ["id", "form_id", "username"].forEach(key => delete field[key]);
+      return field;
+    });
+
+  const form = await createFormWithFields(
+    { name: `${source.name} (Copy)`, description: source.description || "" },
+    fields
+  );
+
+  for (const record of sourceRecords) {
+    await insertRecord(form.id, { values: record.values || {} });
   }
-  
-  return { success: true, message: 'Form deleted successfully' };
+
+  return form;
 }
 
 // FIELDS
@@ -114,10 +310,7 @@ export async function deleteForm(formId) {
  * @returns {Promise<object>} - The created field object.
  */
 export async function insertField(formId, field) {
-  return apiRequest("/field", "POST", {
-    ...field,
-    form_id: formId,
-  });
+  return queueableWrite("insertField", [formId, field]);
 }
 
 /**
@@ -127,7 +320,7 @@ export async function insertField(formId, field) {
  * @returns {Promise<Array>} - Array of field objects.
  */
 export async function getFieldsByFormId(formId) {
-  return apiRequest(`/field?form_id=eq.${formId}`);
+  return rememberedRead("field", getAdapter().getFieldsByFormId(formId));
 }
 
 /**
@@ -137,22 +330,231 @@ export async function getFieldsByFormId(formId) {
  * @returns {Promise<object>} - The field object.
  */
 export async function getFieldById(fieldId) {
-  return apiRequest(`/field?id=eq.${fieldId}`);
+  return rememberedRead("field", getAdapter().getFieldById(fieldId));
+}
+
+/**
+ * Function to update a field's definition (name, required, is_num, options, order_index).
+ * 
+ * @param {number} fieldId - The ID of the field to update.
+ * @param {object} field - The field properties to change.
+ * @returns {Promise<Array>} - Array containing the updated field object.
+ */
+export async function updateField(fieldId, field) {
+  return queueableWrite("updateField", [fieldId, field]);
+}
+
+/**
+ * Function to delete a field by ID
+ * @param {number} fieldId - The ID of the field to delete
+ * @returns {Promise<object>} - The deletion response
+ */
+export async function deleteField(fieldId) {
+  return queueableWrite("deleteField", [fieldId]);
+}
+
+/**
+ * Function to persist a new field order. Each field's order_index is set to its position in the array.
+ * 
+ * @param {Array} orderedFields - Field objects in their new display order.
+ * @returns {Promise<Array>} - Array of update responses.
+ */
+export async function reorderFields(orderedFields) {
+  return Promise.all(
+    orderedFields.map((field, index) => updateField(field.id, { order_index: index }))
+  );
+}
+
+/**
+ * Function to add field definitions to the end of an existing form. Fields whose name is already
+ * used in the form are skipped.
+ *
+ * @param {number} formId - The ID of the form to add the fields to.
+ * @param {Array} fields - Field definitions, without IDs.
+ * @returns {Promise<object>} - { added, skipped } lists of field names.
+ */
+export async function appendFieldsToForm(formId, fields) {
+  const existing = await getFieldsByFormId(formId);
+  const usedNames = new Set(existing.map(field => field.name.toLowerCase()));
+  const added = [];
+  const skipped = [];
+
+  for (const field of fields) {
+    if (usedNames.has(field.name.toLowerCase())) {
+      skipped.push(field.name);
+      continue;
+    }
+    await insertField(formId, { ...field, order_index: existing.length + added.length });
+    usedNames.add(field.name.toLowerCase());
+    added.push(field.name);
+  }
+
+  return { added, skipped };
+}
+
+// Records migrated at once when a field is renamed
+const RENAME_BATCH_SIZE = 5;
+
+/**
+ * Function to migrate a renamed field's key inside every record of a form, so existing data
+ * follows the field. Location fields also carry a "<field> Name" companion key which is moved too.
+ * Call it before saving the new name: it refuses to run offline or while writes wait to sync, as
+ * records it cannot see would keep the old key, and puts back the records it moved if any fails.
+ * 
+ * @param {number} formId - The ID of the form whose records should be migrated.
+ * @param {string} oldName - The previous field name.
+ * @param {string} newName - The new field name.
+ * @returns {Promise<number>} - Number of records that were updated.
+ * @throws Will throw an error if the records cannot all be migrated; none are left half-migrated.
+ */
+export async function renameFieldInRecords(formId, oldName, newName) {
+  if (activeBackend === "rest" && (await getSyncQueue()).length > 0) {
+    throw new Error("Fields can't be renamed while changes are waiting to sync. Sync or discard them first, then try again.");
+  }
+
+  let records;
+  try {
+    records = await getRecordsByFormId(formId);
+  } catch (error) {
+    if (!isOfflineError(error)) throw error;
+    throw new Error("Fields can only be renamed while online, so every record can be migrated.");
+  }
+
+  const renames = [[oldName, newName], [`${oldName} Name`, `${newName} Name`]];
+  const affected = records.filter(record =>
+    renames.some(([from]) => Object.prototype.hasOwnProperty.call(record.values || {}, from))
+  );
+
+  // A rename is not an edit of the record, so it bypasses the record history and the queue
+  const writeValues = async (record, values) => {
+    const result = await getAdapter().updateRecord(record.id, { values });
+    if (activeBackend === "rest") {
+      rememberRows("record", result);
+    }
+  };
+
+  const migrated = [];
+  let failure = null;
+  for (let start = 0; start < affected.length && !failure; start += RENAME_BATCH_SIZE) {
+    const batch = affected.slice(start, start + RENAME_BATCH_SIZE);
+    const outcomes = await Promise.allSettled(batch.map(record => {
+      const values = { ...record.values };
+      renames.forEach(([from, to]) => {
+        if (Object.prototype.hasOwnProperty.call(values, from)) {
+          values[to] = values[from];
+          delete values[from];
+        }
+      });
+      return writeValues(record, values);
+    }));
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === "fulfilled") {
+        migrated.push(batch[index]);
+      } else {
+        failure = failure || outcome.reason;
+      }
+    });
+  }
+
+  if (failure) {
+    // Records already moved go back to the old key, which the field keeps
+    for (const record of migrated) {
+      await writeValues(record, record.values).catch(() => {});
+    }
+    throw new Error(`Could not migrate every record, so the field was not renamed: ${failure.message}`);
+  }
+
+  return affected.length;
+}
+
+/**
+ * Function to point other fields' visibility rules at a renamed field, or to drop the rules that
+ * named a deleted field so the fields depending on it are always shown.
+ * 
+ * @param {Array} fields - The form's field definitions.
+ * @param {string} oldName - The field's previous name.
+ * @param {string|null} newName - The new name, or null when the field was deleted.
+ * @returns {Promise<number>} - Number of fields whose rule was updated.
+ */
+export async function retargetVisibilityRules(fields, oldName, newName) {
+  const dependents = fields.filter(field => getVisibilityRule(field)?.field === oldName);
+
+  await Promise.all(dependents.map(field => {
+    const { showWhen, ...options } = field.options;
+    return updateField(field.id, {
+      options: newName ? { ...options, showWhen: { ...showWhen, field: newName } } : options
+    });
+  }));
+
+  return dependents.length;
+}
+
+/**
+ * Function to rewrite the formulas of calculated fields that use a renamed field.
+ * 
+ * @param {Array} fields - The form's field definitions.
+ * @param {string} oldName - The field's previous name.
+ * @param {string} newName - The field's new name.
+ * @returns {Promise<number>} - Number of calculated fields whose formula was updated.
+ */
+export async function renameFieldInFormulas(fields, oldName, newName) {
+  const dependents = fields.filter(field =>
+    field.field_type === "computed" && getFormulaReferences(field.options?.formula).includes(oldName)
+  );
+
+  await Promise.all(dependents.map(field => updateField(field.id, {
+    options: { ...field.options, formula: renameFieldInFormula(field.options.formula, oldName, newName) }
+  })));
+
+  return dependents.length;
+}
+
+/**
+ * Function to point photo/video fields that fill in a renamed field from their photos' EXIF data
+ * at its new name, or to stop them filling in a deleted field.
+ * 
+ * @param {Array} fields - The form's field definitions.
+ * @param {string} oldName - The field's previous name.
+ * @param {string|null} newName - The new name, or null when the field was deleted.
+ * @returns {Promise<number>} - Number of photo/video fields whose settings were updated.
+ */
+export async function retargetPhotoFillFields(fields, oldName, newName) {
+  const fillKeys = ["exifLocationField", "exifTimeField"];
+  const dependents = fields.filter(field =>
+    field.field_type === "photo/video" && fillKeys.some(key => field.options?.[key] === oldName)
+  );
+
+  await Promise.all(dependents.map(field => {
+    const options = { ...field.options };
+    fillKeys.forEach(key => {
+      if (options[key] !== oldName) return;
+      if (newName) {
+        options[key] = newName;
+      } else {
+        delete options[key];
+      }
+    });
+    return updateField(field.id, { options });
+  }));
+
+  return dependents.length;
 }
 
 // RECORDS 
 /**
  * Function to insert a single record (book entry) into the form.
  * 
+ * Photos and videos on the device are uploaded to the media server first.
+ * 
  * @param {number} formId - The ID of the form to attach this record to.
  * @param {object} record - The record data (with a "values" object).
+ * @param {object} [options] - { onMediaProgress } called with { completed, total, fraction } during uploads.
  * @returns {Promise<object>} - The created record object.
+ * @throws Will throw an error listing every value that breaks the form's validation rules.
  */
-export async function insertRecord(formId, record) {
-  return apiRequest("/record", "POST", {
-    ...record,
-    form_id: formId,
-  });
+export async function insertRecord(formId, record, { onMediaProgress } = {}) {
+  await assertValidRecord(formId, record);
+  return writeRecordWithMedia("insertRecord", formId, record, onMediaProgress);
 }
 
 /**
@@ -162,7 +564,48 @@ export async function insertRecord(formId, record) {
  * @returns {Promise<Array>} - Array of record objects.
  */
 export async function getRecordsByFormId(formId) {
-  return apiRequest(`/record?form_id=eq.${formId}`);
+  return rememberedRead("record", getAdapter().getRecordsByFormId(formId));
+}
+
+// Number of records fetched per page by the record lists
+export const RECORDS_PAGE_SIZE = 25;
+
+/**
+ * Function to get one page of a form's records and the total number that match.
+ * Filters, search and sort are applied by the backend, so only the page itself is downloaded.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @param {object} [query] - { filters, search: { text, keys }, sort: { field, direction, isNumeric }, offset, limit }.
+ * @returns {Promise<object>} - { records, total }.
+ */
+export async function getRecordsPage(formId, query = {}) {
+  const page = await getAdapter().getRecordsPage(formId, { limit: RECORDS_PAGE_SIZE, ...query });
+  if (activeBackend === "rest") {
+    rememberRows("record", page.records);
+  }
+  return page;
+}
+
+/**
+ * Function to get every record matching a query by walking through the pages, e.g. for exports.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @param {object} [query] - { filters, search, sort } as for getRecordsPage.
+ * @returns {Promise<Array>} - All matching records in order.
+ */
+export async function getAllRecordsMatching(formId, query = {}) {
+  const pageSize = 500;
+  const records = [];
+  let total = Infinity;
+
+  while (records.length < total) {
+    const page = await getRecordsPage(formId, { ...query, offset: records.length, limit: pageSize });
+    records.push(...page.records);
+    total = page.total;
+    if (page.records.length === 0) break;
+  }
+
+  return records;
 }
 
 /**
@@ -171,7 +614,7 @@ export async function getRecordsByFormId(formId) {
  * @returns {Promise<Array>} - Array of record objects.
  */
 export async function getRecords() {
-  return apiRequest("/record", "GET");
+  return rememberedRead("record", getAdapter().getRecords());
 }
 
 /**
@@ -181,7 +624,37 @@ export async function getRecords() {
  * @returns {Promise<object>} - The record object.
  */
 export async function getRecordById(recordId) {
-  return apiRequest(`/record?id=eq.${recordId}`);
+  return rememberedRead("record", getAdapter().getRecordById(recordId));
+}
+
+/**
+ * Function to update an existing record in place, keeping its ID.
+ * The values being replaced are kept in the record's history first, and photos and videos on
+ * the device are uploaded to the media server.
+ * 
+ * @param {number} recordId - The ID of the record to update.
+ * @param {object} record - The updated record data (with a "values" object).
+ * @param {object} [options] - { onMediaProgress } called with { completed, total, fraction } during uploads.
+ * @returns {Promise<Array>} - Array containing the updated record object.
+ * @throws Will throw an error listing every value that breaks the form's validation rules.
+ */
+export async function updateRecord(recordId, record, { onMediaProgress } = {}) {
+  // When the record cannot be read (offline, or created offline and not synced yet) the update
+  // is queued without these checks
+  let current = null;
+  if (!isTempId(recordId)) {
+    try {
+      [current] = await getAdapter().getRecordById(recordId);
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+    }
+  }
+
+  if (current) {
+    await assertValidRecord(current.form_id, record, recordId);
+    await rememberPreviousVersion(recordId, current);
+  }
+  return writeRecordWithMedia("updateRecord", recordId, record, onMediaProgress);
 }
 
 /**
@@ -190,33 +663,135 @@ export async function getRecordById(recordId) {
  * @returns {Promise<object>} - The deletion response
  */
 export async function deleteRecord(recordId) {
-  const response = await fetch(`${API_BASE_URL}/record?id=eq.${recordId}`, {
-    method: "DELETE",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${JWT_TOKEN}`,
-    },
-  });
+  const result = await queueableWrite("deleteRecord", [recordId]);
+  await AsyncStorage.removeItem(historyKey(recordId));
+  return result;
+}
+
+// RECORD VALIDATION
+// Screens validate inline, and every insert and update is checked again here so imports and
+// other callers cannot store values that break a field's rules.
+
+/**
+ * Function to find values that another record of the form already uses, for fields with the
+ * unique validation rule.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @param {Array} fields - The form's field definitions.
+ * @param {object} values - The record's values.
+ * @param {number|string|null} [recordId=null] - The record being edited, which may keep its own values.
+ * @returns {Promise<object>} - Error messages keyed by field name, empty when every value is unique.
+ */
+export async function checkUniqueValues(formId, fields, values, recordId = null) {
+  const errors = {};
+  const uniqueFields = fields.filter(field =>
+    getValidationRules(field).unique && values[field.name] !== undefined && values[field.name] !== null && values[field.name] !== ""
+  );
+
+  for (const field of uniqueFields) {
+    const matches = await getAdapter().filterRecordsByCriteria(formId, [
+      { field: field.name, operator: "eq", value: values[field.name], isNumeric: Boolean(field.is_num) }
+    ]);
+    if (matches.some(match => String(match.id) !== String(recordId))) {
+      errors[field.name] = `Another record already has this ${field.name}`;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Helper function to check a record against its form's fields before it is written.
+ * On the REST backend the checks are skipped when the server cannot be reached or the form was
+ * created offline, so the write can still be queued; they run again if the record is edited once online.
+ * 
+ * @param {number} formId - The ID of the form.
+ * @param {object} record - The record data (with a "values" object).
+ * @param {number|string|null} [recordId=null] - The record being edited.
+ * @returns {Promise<void>}
+ * @throws Will throw an error listing every value that breaks a rule.
+ */
+async function assertValidRecord(formId, record, recordId = null) {
+  if (isTempId(formId)) return;
+
+  const values = record.values || {};
+  let errors;
+  try {
+    const fields = await getAdapter().getFieldsByFormId(formId);
+    errors = {
+      ...validateRecordValues(fields, values),
+      ...await checkUniqueValues(formId, fields, values, recordId),
+    };
+  } catch (error) {
+    if (isOfflineError(error)) return;
+    throw error;
+  }
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`HTTP error! status: ${response.status} – ${errText}`);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    throw new Error(messages.join("\n"));
   }
-  
-  return { success: true, message: 'Record deleted successfully' };
 }
 
+// RECORD HISTORY
+// Earlier versions of a record are kept on the device, per storage backend and, for the server,
+// per account profile, because the server has no table for them. Each version is
+// { id, values, replaced_at }, newest first.
+
+// History for one record lives under this prefix, followed by the backend, the profile ID for
+// server records, and the record ID
+const HISTORY_KEY_PREFIX = "@formbase/history";
+
+// Oldest versions are dropped beyond this many
+const MAX_RECORD_VERSIONS = 20;
+
+const historyKey = (recordId) => (activeBackend === "rest"
+  ? `${HISTORY_KEY_PREFIX}/rest/${getActiveProfile()?.id || "signed-out"}/${recordId}`
+  : `${HISTORY_KEY_PREFIX}/${activeBackend}/${recordId}`);
+
+/**
+ * Helper function to keep a record's current values in its history before they are overwritten.
+ * 
+ * @param {number} recordId - The ID of the record about to change.
+ * @param {object} current - The record as it is now.
+ * @returns {Promise<void>}
+ */
+async function rememberPreviousVersion(recordId, current) {
+  try {
+    const history = await getRecordHistory(recordId);
+    const version = { id: `${Date.now()}`, values: current.values || {}, replaced_at: new Date().toISOString() };
+    await AsyncStorage.setItem(historyKey(recordId), JSON.stringify([version, ...history].slice(0, MAX_RECORD_VERSIONS)));
+  } catch (error) {
+    console.warn("Could not keep the previous version of the record:", error.message);
+  }
+}
 
-// MAPS FUNCTION 
-export default function App() {
-    return (
-        <ShowMap />
-    );
+/**
+ * Function to get the earlier versions of a record.
+ * 
+ * @param {number} recordId - The ID of the record.
+ * @returns {Promise<Array>} - Versions as { id, values, replaced_at }, newest first.
+ */
+export async function getRecordHistory(recordId) {
+  const raw = await AsyncStorage.getItem(historyKey(recordId));
+  return raw ? JSON.parse(raw) : [];
 }
 
+/**
+ * Function to restore an earlier version of a record. The values it replaces are kept in the
+ * history too, so a restore can be undone.
+ * 
+ * @param {number} recordId - The ID of the record.
+ * @param {object} version - A version from getRecordHistory.
+ * @returns {Promise<Array>} - Array containing the updated record object.
+ */
+export async function restoreRecordVersion(recordId, version) {
+  return updateRecord(recordId, { values: version.values });
+}
 
 /**
- * Filter records using PostgREST JSONB query syntax
+ * Filter records on the active backend. Each filter is { field, operator, value, isNumeric, logic };
+ * see services/recordFilters.js for how "and" and "or" group them.
  * @param {number} formId - Form ID
  * @param {Array} filters - Array of filter objects
  * @returns {Promise<Array>} Filtered records
@@ -226,91 +801,12 @@ export async function filterRecordsByCriteria(formId, filters = []) {
     return getRecordsByFormId(formId);
   }
 
-  let query = `/record?form_id=eq.${formId}`;
-  
-  filters.forEach((filter, index) => {
-    const field = filter.field;
-    const operator = filter.operator;
-    const value = filter.value;
-    
-    // URL encode the field name and build the query parameter
-    const encodedField = encodeURIComponent(`"${field}"`);
-    
-    // Determine if we should use ->> (text) or -> (numeric) operator
-    const jsonOperator = filter.isNumeric ? '-' : '-%3E'; // -> for numeric, ->> for text
-    
-    let queryParam = '';
-    
-    switch (operator) {
-      case 'eq':
-        queryParam = `values${jsonOperator}${encodedField}=eq.${encodeURIComponent(value)}`;
-        break;
-      case 'ilike':
-        queryParam = `values${jsonOperator}${encodedField}=ilike.*${encodeURIComponent(value)}*`;
-        break;
-      case 'like':
-        queryParam = `values${jsonOperator}${encodedField}=like.${encodeURIComponent(value)}%`;
-        break;
-      case 'gt':
-        queryParam = `values${jsonOperator}${encodedField}=gt.${encodeURIComponent(value)}`;
-        break;
-      case 'lt':
-        queryParam = `values${jsonOperator}${encodedField}=lt.${encodeURIComponent(value)}`;
-        break;
-      case 'gte':
-        queryParam = `values${jsonOperator}${encodedField}=gte.${encodeURIComponent(value)}`;
-        break;
-      case 'lte':
-        queryParam = `values${jsonOperator}${encodedField}=lte.${encodeURIComponent(value)}`;
-        break;
-      default:
-        return;
-    }
-    
-    // For multiple filters, we need to use AND logic (PostgREST uses & for AND)
-    if (index > 0) {
-      query += '&';
-    }
-    query += queryParam;
-  });
-
-  return apiRequest(query);
+  return rememberedRead("record", getAdapter().filterRecordsByCriteria(formId, filters));
 }
 
 /**
  * Simple filter for a single field
  */
 export async function filterRecordsSimple(formId, field, operator, value) {
-  const encodedField = encodeURIComponent(`"${field}"`);
-  const isNumeric = false; // You might want to pass this as a parameter
-  
-  const jsonOperator = isNumeric ? '-' : '-%3E';
-  
-  let query = `/record?form_id=eq.${formId}`;
-  
-  switch (operator) {
-    case 'eq':
-      query += `&values${jsonOperator}${encodedField}=eq.${encodeURIComponent(value)}`;
-      break;
-    case 'ilike':
-      query += `&values${jsonOperator}${encodedField}=ilike.*${encodeURIComponent(value)}*`;
-      break;
-    case 'like':
-      query += `&values${jsonOperator}${encodedField}=like.${encodeURIComponent(value)}%`;
-      break;
-    case 'gt':
-      query += `&values${jsonOperator}${encodedField}=gt.${encodeURIComponent(value)}`;
-      break;
-    case 'lt':
-      query += `&values${jsonOperator}${encodedField}=lt.${encodeURIComponent(value)}`;
-      break;
-    case 'gte':
-      query += `&values${jsonOperator}${encodedField}=gte.${encodeURIComponent(value)}`;
-      break;
-    case 'lte':
-      query += `&values${jsonOperator}${encodedField}=lte.${encodeURIComponent(value)}`;
-      break;
-  }
-  
-  return apiRequest(query);
-}
\ No newline at end of file
+  return filterRecordsByCriteria(formId, [{ field, operator, value, isNumeric: false }]);
+}
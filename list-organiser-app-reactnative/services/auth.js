@@ -0,0 +1,211 @@
+import * as SecureStore from "expo-secure-store";
+
+// ACCOUNT PROFILES
+// Each profile holds the API base URL, JWT token and username for one account, and optionally the
+// media server photos and videos are uploaded to. Profiles are kept in the device's secure store
+// and the active one is injected into every REST request.
+
+// Default server, pre-filled when adding a profile
+export const DEFAULT_API_BASE_URL = "https://comp2140a3.uqcloud.net/api";
+
+// Media server used when a profile has none, the development file server (npm run media-server)
+export const DEFAULT_MEDIA_BASE_URL = "http://localhost:4000/media";
+
+// Secure store keys: the profile index, the active profile id, and one entry per profile
+const PROFILE_INDEX_KEY = "formbase.profiles";
+const ACTIVE_PROFILE_KEY = "formbase.activeProfile";
+const profileKey = (profileId) => `formbase.profile.${profileId}`;
+
+let activeProfile = null;
+const unauthorizedListeners = new Set();
+const profileListeners = new Set();
+
+const readIndex = async () => {
+  const raw = await SecureStore.getItemAsync(PROFILE_INDEX_KEY);
+  return raw ? JSON.parse(raw) : [];
+};
+
+const writeIndex = async (index) => {
+  await SecureStore.setItemAsync(PROFILE_INDEX_KEY, JSON.stringify(index));
+};
+
+const notifyProfileChange = () => {
+  profileListeners.forEach(listener => listener(activeProfile));
+};
+
+/**
+ * Function to get the credentials of the active profile for REST requests.
+ *
+ * @returns {object} - { baseUrl, mediaUrl, token, username }, with empty token and username when signed out.
+ */
+export function getActiveCredentials() {
+  return {
+    baseUrl: activeProfile?.baseUrl || DEFAULT_API_BASE_URL,
+    mediaUrl: activeProfile?.mediaUrl || DEFAULT_MEDIA_BASE_URL,
+    token: activeProfile?.token || "",
+    username: activeProfile?.username || "",
+  };
+}
+
+/**
+ * Function to get the active profile.
+ *
+ * @returns {object|null} - The active profile, or null when signed out.
+ */
+export function getActiveProfile() {
+  return activeProfile;
+}
+
+/**
+ * Function to restore the active profile from the secure store. Call once on app start.
+ *
+ * @returns {Promise<object|null>} - The active profile, or null when signed out.
+ */
+export async function loadActiveProfile() {
+  const activeId = await SecureStore.getItemAsync(ACTIVE_PROFILE_KEY);
+  if (activeId) {
+    const raw = await SecureStore.getItemAsync(profileKey(activeId));
+    activeProfile = raw ? JSON.parse(raw) : null;
+  }
+  notifyProfileChange();
+  return activeProfile;
+}
+
+/**
+ * Function to list saved profiles. Tokens are not included.
+ *
+ * @returns {Promise<Array>} - Array of { id, name, username, baseUrl }.
+ */
+export async function getProfiles() {
+  return readIndex();
+}
+
+/**
+ * Function to get a saved profile including its token, e.g. to edit it.
+ *
+ * @param {string} profileId - The ID of the profile.
+ * @returns {Promise<object|null>} - The profile, or null if it does not exist.
+ */
+export async function getProfileById(profileId) {
+  const raw = await SecureStore.getItemAsync(profileKey(profileId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Function to add or update a profile. A new ID is assigned when the profile has none.
+ *
+ * @param {object} profile - { id?, name, baseUrl, mediaUrl?, token, username }.
+ * @returns {Promise<object>} - The saved profile.
+ * @throws Will throw an error if the base URL, token or username is missing.
+ */
+export async function saveProfile(profile) {
+  const baseUrl = (profile.baseUrl || "").trim().replace(/\/+$/, "");
+  const mediaUrl = (profile.mediaUrl || "").trim().replace(/\/+$/, "");
+  const token = (profile.token || "").trim();
+  const username = (profile.username || "").trim();
+
+  if (!baseUrl || !token || !username) {
+    throw new Error("API base URL, token and username are all required.");
+  }
+
+  const saved = {
+    id: profile.id || String(Date.now()),
+    name: (profile.name || "").trim() || username,
+    baseUrl,
+    mediaUrl,
+    token,
+    username,
+  };
+
+  await SecureStore.setItemAsync(profileKey(saved.id), JSON.stringify(saved));
+
+  const index = await readIndex();
+  const summary = { id: saved.id, name: saved.name, username: saved.username, baseUrl: saved.baseUrl };
+  const exists = index.some(item => item.id === saved.id);
+  await writeIndex(exists ? index.map(item => (item.id === saved.id ? summary : item)) : [...index, summary]);
+
+  // Keep the in-memory credentials fresh when the active profile is edited
+  if (activeProfile?.id === saved.id) {
+    activeProfile = saved;
+    notifyProfileChange();
+  }
+
+  return saved;
+}
+
+/**
+ * Function to switch to a saved profile. Writes still queued for the previous profile stay in its
+ * own queue and sync once it is active again.
+ *
+ * @param {string} profileId - The ID of the profile to activate.
+ * @returns {Promise<object>} - The now active profile.
+ * @throws Will throw an error if the profile does not exist.
+ */
+export async function switchProfile(profileId) {
+  const profile = await getProfileById(profileId);
+  if (!profile) {
+    throw new Error("Profile not found.");
+  }
+  await SecureStore.setItemAsync(ACTIVE_PROFILE_KEY, profileId);
+  activeProfile = profile;
+  notifyProfileChange();
+  return profile;
+}
+
+/**
+ * Function to sign out of the active profile. The profile stays saved for later, with any writes
+ * still queued for it.
+ *
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  await SecureStore.deleteItemAsync(ACTIVE_PROFILE_KEY);
+  activeProfile = null;
+  notifyProfileChange();
+}
+
+/**
+ * Function to delete a saved profile, signing out first if it is active.
+ *
+ * @param {string} profileId - The ID of the profile to delete.
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(profileId) {
+  if (activeProfile?.id === profileId) {
+    await signOut();
+  }
+  await SecureStore.deleteItemAsync(profileKey(profileId));
+  const index = await readIndex();
+  await writeIndex(index.filter(item => item.id !== profileId));
+}
+
+/**
+ * Function to listen for active profile changes.
+ *
+ * @param {Function} listener - Called with the active profile (or null) on every change.
+ * @returns {Function} - Unsubscribe function.
+ */
+export function subscribeToProfile(listener) {
+  profileListeners.add(listener);
+  return () => profileListeners.delete(listener);
+}
+
+/**
+ * Function to listen for requests rejected with 401, so the app can route back to sign-in.
+ *
+ * @param {Function} listener - Called whenever the server rejects the active credentials.
+ * @returns {Function} - Unsubscribe function.
+ */
+export function subscribeToUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+}
+
+/**
+ * Function to report that the server rejected the active credentials.
+ *
+ * @returns {void}
+ */
+export function notifyUnauthorized() {
+  unauthorizedListeners.forEach(listener => listener());
+}
@@ -0,0 +1,220 @@
+import { File, Paths } from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { readMediaItems } from "./media";
+
+// RECORD EXPORTS
+// Builders turn a form's fields and records into CSV, a full JSON bundle or GeoJSON. The
+// builders are plain functions; shareExport writes the result to a file and opens the share sheet.
+
+// Version of the JSON bundle layout, bump when the shape changes
+export const EXPORT_BUNDLE_VERSION = 1;
+
+// Supported export formats with their file extension and MIME type
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV Spreadsheet", extension: "csv", mimeType: "text/csv", uti: "public.comma-separated-values-text" },
+  json: { label: "JSON Bundle", extension: "json", mimeType: "application/json", uti: "public.json" },
+  geojson: { label: "GeoJSON Map Data", extension: "geojson", mimeType: "application/geo+json", uti: "public.json" },
+};
+
+// Record values for media and location fields are stored as JSON strings, unwrap them
+const parseStoredValue = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Reads a { latitude, longitude } pair from a stored location value
+const parseLocation = (value) => {
+  const parsed = parseStoredValue(value);
+  if (parsed && typeof parsed.latitude === "number" && typeof parsed.longitude === "number") {
+    return parsed;
+  }
+  return null;
+};
+
+// Fields in the order the form displays them
+const sortFields = (fields) => [...fields].sort((a, b) => a.order_index - b.order_index);
+
+// Quotes a CSV cell when it contains a delimiter, quote or line break
+const escapeCsvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Function to format a stored record value as plain text for a spreadsheet cell.
+ *
+ * @param {object} field - The field definition.
+ * @param {*} value - The stored value.
+ * @returns {string} - Cell text.
+ */
+export function formatValueForExport(field, value) {
+  if (value === undefined || value === null || value === "") return "";
+
+  if (field.field_type === "location") {
+    const location = parseLocation(value);
+    return location ? `${location.latitude}, ${location.longitude}` : String(value);
+  }
+
+  // Several photos and videos are separated by semicolons, which the importer splits again
+  if (field.field_type === "photo/video") {
+    const items = readMediaItems(value);
+    return items.length > 0 ? items.map(item => item.uri).join("; ") : String(value);
+  }
+
+  // Multi-select choices are comma separated, which the CSV importer splits again
+  if (Array.isArray(value)) {
+    return value.join(", ");
+  }
+
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Function to build a CSV file with one row per record and one column per field.
+ * Location fields get an extra "<field> Name" column for the custom location name.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @param {Array} records - The records to export.
+ * @returns {string} - CSV text.
+ */
+export function buildRecordsCsv(fields, records) {
+  const columns = [{ header: "id", read: (record) => record.id }];
+
+  sortFields(fields).forEach(field => {
+    columns.push({ header: field.name, read: (record) => formatValueForExport(field, record.values?.[field.name]) });
+    if (field.field_type === "location") {
+      const nameKey = `${field.name} Name`;
+      columns.push({ header: nameKey, read: (record) => record.values?.[nameKey] });
+    }
+  });
+
+  const rows = [
+    columns.map(column => escapeCsvCell(column.header)).join(","),
+    ...records.map(record => columns.map(column => escapeCsvCell(column.read(record))).join(",")),
+  ];
+
+  return rows.join("\r\n");
+}
+
+/**
+ * Function to build a JSON bundle with the form definition, its fields and the records.
+ *
+ * @param {object} form - The form.
+ * @param {Array} fields - The form's field definitions.
+ * @param {Array} records - The records to export.
+ * @returns {string} - Pretty-printed JSON text.
+ */
+export function buildRecordsJsonBundle(form, fields, records) {
+  return JSON.stringify({
+    format: "formbase-records",
+    version: EXPORT_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    form,
+    fields: sortFields(fields),
+    records,
+  }, null, 2);
+}
+
+/**
+ * Function to build a GeoJSON FeatureCollection with one Point feature per location value.
+ * Each feature carries the record ID, the location field, its custom name and the record's
+ * other plain values as properties.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @param {Array} records - The records to export.
+ * @returns {string} - Pretty-printed GeoJSON text.
+ */
+export function buildRecordsGeoJson(fields, records) {
+  const sortedFields = sortFields(fields);
+  const locationFields = sortedFields.filter(field => field.field_type === "location");
+  const propertyFields = sortedFields.filter(field => !["location", "photo/video"].includes(field.field_type));
+  const features = [];
+
+  records.forEach(record => {
+    locationFields.forEach(field => {
+      const location = parseLocation(record.values?.[field.name]);
+      if (!location) return;
+
+      const properties = {
+        recordId: record.id,
+        field: field.name,
+        name: record.values?.[`${field.name} Name`] || null,
+      };
+      propertyFields.forEach(propertyField => {
+        properties[propertyField.name] = record.values?.[propertyField.name] ?? null;
+      });
+
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [location.longitude, location.latitude] },
+        properties,
+      });
+    });
+  });
+
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+/**
+ * Function to build export file contents in one of the EXPORT_FORMATS.
+ *
+ * @param {string} format - "csv", "json" or "geojson".
+ * @param {object} form - The form.
+ * @param {Array} fields - The form's field definitions.
+ * @param {Array} records - The records to export.
+ * @returns {string} - File contents.
+ * @throws Will throw an error for an unknown format.
+ */
+export function buildRecordsExport(format, form, fields, records) {
+  switch (format) {
+    case "csv":
+      return buildRecordsCsv(fields, records);
+    case "json":
+      return buildRecordsJsonBundle(form, fields, records);
+    case "geojson":
+      return buildRecordsGeoJson(fields, records);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Function to write text to a file in the cache directory and open the OS share sheet for it.
+ *
+ * @param {string} baseName - File name without extension, e.g. the form name.
+ * @param {object} fileType - { extension, mimeType, uti } describing the file.
+ * @param {string} contents - The file contents.
+ * @returns {Promise<string>} - URI of the written file.
+ * @throws Will throw an error if sharing is not available on this device.
+ */
+export async function shareTextFile(baseName, fileType, contents) {
+  const { extension, mimeType, uti } = fileType;
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device.");
+  }
+
+  const safeName = (baseName || "export").replace(/[^a-z0-9-_ ]/gi, "").trim().replace(/\s+/g, "-") || "export";
+  const file = new File(Paths.cache, `${safeName}.${extension}`);
+  file.create({ overwrite: true });
+  file.write(contents);
+
+  await Sharing.shareAsync(file.uri, { mimeType, UTI: uti, dialogTitle: `Export ${safeName}` });
+  return file.uri;
+}
+
+/**
+ * Function to share record export contents in one of the EXPORT_FORMATS.
+ *
+ * @param {string} baseName - File name without extension, e.g. the form name.
+ * @param {string} format - Key of EXPORT_FORMATS.
+ * @param {string} contents - The file contents.
+ * @returns {Promise<string>} - URI of the written file.
+ */
+export async function shareExport(baseName, format, contents) {
+  return shareTextFile(baseName, EXPORT_FORMATS[format], contents);
+}
@@ -0,0 +1,215 @@
+// FIELD TYPES
+// Every type a field can have, with how its values are stored:
+//   text, multiline  - text (numbers when is_num is on)
+//   dropdown         - one of options.choices, or an array of them when options.multiple is on
+//   location         - JSON { latitude, longitude }, with accuracy and source when set in the app (see
+//                      locations.js), plus a "<field> Name" companion key
+//   photo/video      - JSON list of { uri, type, caption, timestamp } (see media.js)
+//   date             - "YYYY-MM-DD"
+//   time             - "HH:MM" (24 hour)
+//   datetime         - "YYYY-MM-DDTHH:MM" in the device's time zone
+//   checkbox         - true or false
+//   rating           - whole number from 1 to options.max (5 by default)
+//   number           - number, shown with options.unit
+//   computed         - number calculated from options.formula when the record is submitted (see formulas.js)
+// Dates and times are stored as fixed-width text so they sort and compare correctly as text.
+
+// Field types offered when adding a field, with their display labels
+export const FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "multiline", label: "Multiline Text" },
+  { value: "dropdown", label: "Dropdown" },
+  { value: "location", label: "Location" },
+  { value: "photo/video", label: "Photo/Video" },
+  { value: "date", label: "Date" },
+  { value: "time", label: "Time" },
+  { value: "datetime", label: "Date & Time" },
+  { value: "checkbox", label: "Checkbox" },
+  { value: "rating", label: "Star Rating" },
+  { value: "number", label: "Number with Unit" },
+  { value: "computed", label: "Calculated" },
+];
+
+// Field types whose values are never numbers, so is_num is always off
+export const NON_NUMERIC_TYPES = ["dropdown", "location", "photo/video", "date", "time", "datetime", "checkbox"];
+
+// Field types whose values are always numbers, so is_num is always on
+export const NUMERIC_TYPES = ["rating", "number", "computed"];
+
+// Date and time types, compared as text with the date operators
+export const DATE_TYPES = ["date", "time", "datetime"];
+
+// Types displayed through formatFieldValue rather than as raw text
+export const FORMATTED_TYPES = [...DATE_TYPES, "checkbox", "rating", "number", "computed"];
+
+// Stars offered by a rating field without options.max
+export const DEFAULT_RATING_MAX = 5;
+
+// Dropdowns with more choices than this get a searchable choice list instead of a wheel
+export const SEARCHABLE_CHOICE_COUNT = 8;
+
+/**
+ * Function to get the display label of a field type.
+ *
+ * @param {string} fieldType - The field type.
+ * @returns {string} - e.g. "Star Rating", or the type itself when it is unknown.
+ */
+export function getFieldTypeLabel(fieldType) {
+  return FIELD_TYPES.find(type => type.value === fieldType)?.label || fieldType;
+}
+
+/**
+ * Function to work out the is_num setting a field type allows.
+ *
+ * @param {string} fieldType - The field type.
+ * @param {boolean} isNum - The requested setting.
+ * @returns {boolean} - The setting to store.
+ */
+export function resolveIsNum(fieldType, isNum) {
+  if (NUMERIC_TYPES.includes(fieldType)) return true;
+  if (NON_NUMERIC_TYPES.includes(fieldType)) return false;
+  return Boolean(isNum);
+}
+
+/**
+ * Function to get the number of stars of a rating field.
+ *
+ * @param {object} field - The field definition.
+ * @returns {number} - The highest rating.
+ */
+export function getRatingMax(field) {
+  return Number.isInteger(field.options?.max) ? field.options.max : DEFAULT_RATING_MAX;
+}
+
+/**
+ * Function to check whether a dropdown field lets several choices be picked.
+ *
+ * @param {object} field - The field definition.
+ * @returns {boolean} - True for multi-select dropdowns.
+ */
+export function isMultiSelect(field) {
+  return field?.field_type === "dropdown" && field.options?.multiple === true;
+}
+
+/**
+ * Function to read a multi-select value as a list of choices. Values saved before the field
+ * allowed several choices are single text, and imported values may be comma separated text.
+ *
+ * @param {*} value - The stored value.
+ * @returns {Array<string>} - The picked choices, empty when there are none.
+ */
+export function readChoiceValues(value) {
+  if (Array.isArray(value)) return value.map(String);
+  const text = String(value ?? "").trim();
+  if (!text) return [];
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed.map(String);
+    } catch (e) {
+      // Not a JSON list, split it below
+    }
+  }
+  return text.split(/[,;]/).map(choice => choice.trim()).filter(Boolean);
+}
+
+// Pads a number to two digits
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Function to convert a Date to the stored text of a date, time or datetime field.
+ *
+ * @param {string} fieldType - "date", "time" or "datetime".
+ * @param {Date} date - The picked date.
+ * @returns {string} - e.g. "2026-10-18", "14:30" or "2026-10-18T14:30".
+ */
+export function toStoredDateValue(fieldType, date) {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  if (fieldType === "date") return day;
+  if (fieldType === "time") return time;
+  return `${day}T${time}`;
+}
+
+/**
+ * Function to read the stored text of a date, time or datetime field as a Date.
+ *
+ * @param {string} fieldType - "date", "time" or "datetime".
+ * @param {string} value - The stored text.
+ * @returns {Date|null} - The date in the device's time zone, or null when it cannot be read.
+ */
+export function parseStoredDateValue(fieldType, value) {
+  const text = String(value ?? "").trim();
+  const dateMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const timeMatch = text.match(/(?:^|[T\s])(\d{1,2}):(\d{2})/);
+  const hasTime = timeMatch && Number(timeMatch[1]) < 24 && Number(timeMatch[2]) < 60;
+
+  if (fieldType === "time") {
+    if (!hasTime) return null;
+    const date = new Date();
+    date.setHours(Number(timeMatch[1]), Number(timeMatch[2]), 0, 0);
+    return date;
+  }
+
+  if (!dateMatch) return null;
+  const [year, month, day] = [Number(dateMatch[1]), Number(dateMatch[2]), Number(dateMatch[3])];
+  const date = new Date(year, month - 1, day);
+  // Reject dates like 2026-02-31 that roll over into the next month
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+  if (fieldType === "datetime") {
+    if (!hasTime) return null;
+    date.setHours(Number(timeMatch[1]), Number(timeMatch[2]));
+  }
+  return date;
+}
+
+/**
+ * Function to format a value of one of the newer field types for display. Other types are
+ * returned as text, with multi-select choices joined by commas; their screens have their own renderers.
+ *
+ * @param {object} field - The field definition.
+ * @param {*} value - The stored value.
+ * @returns {string} - Display text, e.g. a localised date, "Yes", "★★★☆☆" or "12.5 kg".
+ */
+export function formatFieldValue(field, value) {
+  if (value === undefined || value === null || value === "") return "";
+
+  switch (field?.field_type) {
+    case "date":
+    case "datetime": {
+      const date = parseStoredDateValue(field.field_type, value);
+      if (!date) return String(value);
+      const day = date.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+      return field.field_type === "date"
+        ? day
+        : `${day}, ${date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`;
+    }
+
+    case "time": {
+      const date = parseStoredDateValue("time", value);
+      return date ? date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" }) : String(value);
+    }
+
+    case "checkbox":
+      return value === true || value === "true" ? "Yes" : "No";
+
+    case "rating": {
+      const max = getRatingMax(field);
+      const stars = Math.max(0, Math.min(max, Math.round(Number(value)) || 0));
+      return "★".repeat(stars) + "☆".repeat(max - stars);
+    }
+
+    case "number":
+      return field.options?.unit ? `${value} ${field.options.unit}` : String(value);
+
+    case "computed": {
+      const decimals = field.options?.decimals;
+      return Number.isInteger(decimals) && !isNaN(Number(value)) ? Number(value).toFixed(decimals) : String(value);
+    }
+
+    default:
+      // Multi-select dropdowns store a list of choices
+      return Array.isArray(value) ? value.join(", ") : String(value);
+  }
+}
@@ -0,0 +1,165 @@
+import { isMultiSelect, readChoiceValues } from "./fieldTypes";
+
+// CONDITIONAL VISIBILITY
+// A field can be shown only while another field's answer matches a rule, kept in its options as
+// options.showWhen: { field, operator, value }, e.g. show "Damage Details" only when "Condition"
+// equals "Damaged". Hidden fields skip the required check and are left out of the saved values.
+// A field whose rule names a field that no longer exists is always shown, and a field that
+// depends on a hidden field is hidden too.
+
+// Operators a rule can use; needsValue is false for the ones that only look at whether there is an answer
+export const VISIBILITY_OPERATORS = [
+  { value: "eq", label: "Equals", needsValue: true },
+  { value: "neq", label: "Does Not Equal", needsValue: true },
+  { value: "contains", label: "Contains", needsValue: true },
+  { value: "filled", label: "Is Answered", needsValue: false },
+  { value: "empty", label: "Is Not Answered", needsValue: false },
+];
+
+// Checks whether an answer counts as given; an empty multi-select list does not
+const isAnswered = (value) => value !== undefined && value !== null && String(value).trim() !== "";
+
+// Reads an answer as lower-case text; an unticked or untouched checkbox reads as "false"
+const answerText = (sourceField, value) => {
+  if (sourceField.field_type === "checkbox") {
+    return value === true || value === "true" ? "true" : "false";
+  }
+  return String(value ?? "").trim().toLowerCase();
+};
+
+/**
+ * Function to get a field's visibility rule.
+ *
+ * @param {object} field - The field definition.
+ * @returns {object|null} - { field, operator, value }, or null when the field is always shown.
+ */
+export function getVisibilityRule(field) {
+  const rule = field?.options?.showWhen;
+  return rule?.field && rule.operator ? rule : null;
+}
+
+/**
+ * Function to get the operators a rule may use for the field it depends on.
+ *
+ * @param {object} sourceField - The field whose answer the rule checks.
+ * @returns {Array} - Operators from VISIBILITY_OPERATORS.
+ */
+export function getVisibilityOperators(sourceField) {
+  const pick = (values) => VISIBILITY_OPERATORS.filter(operator => values.includes(operator.value));
+
+  if (["location", "photo/video"].includes(sourceField?.field_type)) return pick(["filled", "empty"]);
+  if (sourceField?.field_type === "checkbox") return pick(["eq"]);
+  if (isMultiSelect(sourceField)) return pick(["contains", "filled", "empty"]);
+  return VISIBILITY_OPERATORS;
+}
+
+// Checks one answer against a rule. Multi-select answers match when any picked choice does.
+const matchesRule = (rule, sourceField, value) => {
+  if (rule.operator === "filled") return isAnswered(value);
+  if (rule.operator === "empty") return !isAnswered(value);
+
+  const expected = String(rule.value ?? "").trim().toLowerCase();
+  const answers = isMultiSelect(sourceField)
+    ? readChoiceValues(value).map(choice => choice.toLowerCase())
+    : [answerText(sourceField, value)];
+
+  switch (rule.operator) {
+    case "eq": return answers.includes(expected);
+    case "neq": return !answers.includes(expected);
+    case "contains": return answers.some(answer => answer.includes(expected));
+    default: return true;
+  }
+};
+
+/**
+ * Function to check whether a field is shown for the current answers.
+ *
+ * @param {object} field - The field definition.
+ * @param {Array} fields - The form's field definitions.
+ * @param {object} values - The answers so far, keyed by field name.
+ * @param {Set<string>} [seen] - Field names already followed, so rules that loop do not recurse forever.
+ * @returns {boolean} - True when the field should be shown and saved.
+ */
+export function isFieldVisible(field, fields, values, seen = new Set()) {
+  const rule = getVisibilityRule(field);
+  if (!rule) return true;
+
+  const sourceField = fields.find(item => item.name === rule.field);
+  if (!sourceField || seen.has(sourceField.name)) return true;
+
+  const followed = new Set([...seen, field.name]);
+  if (!isFieldVisible(sourceField, fields, values, followed)) return false;
+
+  return matchesRule(rule, sourceField, values[sourceField.name]);
+}
+
+/**
+ * Function to keep the fields that are shown for the current answers.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @param {object} values - The answers so far, keyed by field name.
+ * @returns {Array} - The visible fields, in their original order.
+ */
+export function getVisibleFields(fields, values) {
+  return fields.filter(field => isFieldVisible(field, fields, values));
+}
+
+/**
+ * Function to list the problems with a field's visibility rule, e.g. a rule naming a field that
+ * does not exist or two fields that would each hide the other.
+ *
+ * @param {object} rule - The rule to check.
+ * @param {string} fieldName - Name of the field the rule belongs to.
+ * @param {Array} fields - The form's field definitions; only name, field_type and options are read.
+ * @returns {Array<string>} - Problems, empty when the rule is usable.
+ */
+export function validateVisibilityRule(rule, fieldName, fields) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return ["showWhen must be an object"];
+  }
+
+  const problems = [];
+  const sourceField = fields.find(item => item.name === rule.field);
+  if (rule.field === fieldName) {
+    problems.push("a field cannot depend on itself");
+  } else if (!sourceField) {
+    problems.push(`showWhen.field "${rule.field}" is not a field of this form`);
+  }
+
+  const operator = VISIBILITY_OPERATORS.find(item => item.value === rule.operator);
+  if (!operator) {
+    problems.push(`showWhen.operator must be one of: ${VISIBILITY_OPERATORS.map(item => item.value).join(", ")}`);
+  } else if (operator.needsValue && String(rule.value ?? "").trim() === "") {
+    problems.push(`showWhen needs a value for "${operator.label}"`);
+  }
+
+  // Follow the chain of rules from the source field; reaching this field again means a loop
+  const followed = new Set();
+  let current = sourceField;
+  while (current && !followed.has(current.name)) {
+    followed.add(current.name);
+    const next = getVisibilityRule(current)?.field;
+    if (next === fieldName) {
+      problems.push(`"${fieldName}" and "${rule.field}" would depend on each other`);
+      break;
+    }
+    current = fields.find(item => item.name === next);
+  }
+
+  return problems;
+}
+
+/**
+ * Function to describe a visibility rule for the form designer.
+ *
+ * @param {object|null} rule - The rule, or null.
+ * @returns {string} - e.g. 'Shown when Condition equals "Damaged"', or "Always shown".
+ */
+export function describeVisibilityRule(rule) {
+  if (!rule) return "Always shown";
+  const operator = VISIBILITY_OPERATORS.find(item => item.value === rule.operator);
+  const label = (operator?.label || rule.operator).toLowerCase();
+  return operator?.needsValue === false
+    ? `Shown when ${rule.field} ${label}`
+    : `Shown when ${rule.field} ${label} "${rule.value}"`;
+}
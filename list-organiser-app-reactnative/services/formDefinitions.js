@@ -0,0 +1,227 @@
+import { File } from "expo-file-system";
+import { FIELD_TYPES, resolveIsNum } from "./fieldTypes";
+import { validateVisibilityRule } from "./fieldVisibility";
+import { validateFormula } from "./formulas";
+import { validatePhotoOptions } from "./media";
+import { validateRuleSet } from "./validation";
+
+// FORM DEFINITIONS
+// A portable JSON file describing a form's schema (no records), so it can be shared between
+// accounts. Imported files are checked field by field before anything is created.
+
+// Identifies the file layout; bump the version when the shape changes
+export const FORM_DEFINITION_FORMAT = "formbase-form";
+export const FORM_DEFINITION_VERSION = 1;
+
+// File type used when sharing a form definition
+export const FORM_DEFINITION_FILE = { extension: "formbase.json", mimeType: "application/json", uti: "public.json" };
+
+// Field types a definition may use
+export const SUPPORTED_FIELD_TYPES = FIELD_TYPES.map(type => type.value);
+
+/**
+ * Function to build a form definition file from a form and its fields.
+ *
+ * @param {object} form - The form.
+ * @param {Array} fields - The form's field definitions.
+ * @returns {string} - Pretty-printed JSON text.
+ */
+export function buildFormDefinition(form, fields) {
+  const definitionFields = [...fields]
+    .sort((a, b) => a.order_index - b.order_index)
+    .map((field, index) => {
+      const definitionField = {
+        name: field.name,
+        field_type: field.field_type,
+        required: Boolean(field.required),
+        is_num: Boolean(field.is_num),
+        order_index: index,
+      };
+      if (field.options) {
+        definitionField.options = field.options;
+      }
+      return definitionField;
+    });
+
+  return JSON.stringify({
+    format: FORM_DEFINITION_FORMAT,
+    version: FORM_DEFINITION_VERSION,
+    name: form.name,
+    description: form.description || "",
+    fields: definitionFields,
+  }, null, 2);
+}
+
+// Names a field of an imported definition in error messages
+const fieldLabel = (field, index) => `Field ${index + 1}${field?.name ? ` ("${field.name}")` : ""}`;
+
+// Checks one field of an imported definition and returns its problems
+const validateDefinitionField = (field, index, seenNames) => {
+  const label = fieldLabel(field, index);
+  const errors = [];
+
+  if (!field || typeof field !== "object" || Array.isArray(field)) {
+    return [`${label} is not an object`];
+  }
+
+  if (typeof field.name !== "string" || !field.name.trim()) {
+    errors.push(`${label} has no name`);
+  } else if (seenNames.has(field.name.trim().toLowerCase())) {
+    errors.push(`${label} has the same name as an earlier field`);
+  } else {
+    seenNames.add(field.name.trim().toLowerCase());
+  }
+
+  if (!SUPPORTED_FIELD_TYPES.includes(field.field_type)) {
+    errors.push(`${label} has unknown field type "${field.field_type}". Supported: ${SUPPORTED_FIELD_TYPES.join(", ")}`);
+  }
+
+  ["required", "is_num"].forEach(key => {
+    if (field[key] !== undefined && typeof field[key] !== "boolean") {
+      errors.push(`${label}: ${key} must be true or false`);
+    }
+  });
+
+  if (field.order_index !== undefined && !Number.isInteger(field.order_index)) {
+    errors.push(`${label}: order_index must be a whole number`);
+  }
+
+  if (field.field_type === "dropdown") {
+    const choices = field.options?.choices;
+    if (!Array.isArray(choices) || choices.length === 0) {
+      errors.push(`${label}: dropdown fields need options.choices with at least one choice`);
+    } else if (choices.some(choice => typeof choice !== "string" || !choice.trim())) {
+      errors.push(`${label}: every dropdown choice must be non-empty text`);
+    }
+    if (field.options?.multiple !== undefined && typeof field.options.multiple !== "boolean") {
+      errors.push(`${label}: options.multiple must be true or false`);
+    }
+  } else if (field.options !== undefined && field.options !== null &&
+    (typeof field.options !== "object" || Array.isArray(field.options))) {
+    errors.push(`${label}: options must be an object`);
+  } else if (field.field_type === "rating" && field.options?.max !== undefined &&
+    (!Number.isInteger(field.options.max) || field.options.max < 2 || field.options.max > 10)) {
+    errors.push(`${label}: options.max must be a whole number from 2 to 10`);
+  } else if (field.field_type === "number" && field.options?.unit !== undefined && typeof field.options.unit !== "string") {
+    errors.push(`${label}: options.unit must be text`);
+  } else if (field.field_type === "computed") {
+    if (typeof field.options?.formula !== "string" || !field.options.formula.trim()) {
+      errors.push(`${label}: calculated fields need an options.formula`);
+    }
+    const decimals = field.options?.decimals;
+    if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > 6)) {
+      errors.push(`${label}: options.decimals must be a whole number from 0 to 6`);
+    }
+  }
+
+  const rules = field.options?.validation;
+  if (rules !== undefined) {
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      errors.push(`${label}: options.validation must be an object`);
+    } else {
+      validateRuleSet(rules).forEach(problem => errors.push(`${label}: ${problem}`));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Function to parse and validate a form definition file.
+ * Every problem is reported, so the user can fix the file in one go.
+ *
+ * @param {string} text - The file contents.
+ * @returns {object} - { definition, errors }. definition is null when there are errors; otherwise
+ *   it holds { name, description, fields } with fields sorted and ready for insertField.
+ */
+export function parseFormDefinition(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { definition: null, errors: ["The file is not valid JSON"] };
+  }
+
+  if (!data || data.format !== FORM_DEFINITION_FORMAT) {
+    return { definition: null, errors: ["The file is not a FormBase form definition"] };
+  }
+  if (!Number.isInteger(data.version) || data.version > FORM_DEFINITION_VERSION) {
+    return {
+      definition: null,
+      errors: [`Unsupported definition version ${data.version}. This app reads up to version ${FORM_DEFINITION_VERSION}`],
+    };
+  }
+
+  const errors = [];
+  if (typeof data.name !== "string" || !data.name.trim()) {
+    errors.push("The form has no name");
+  }
+  if (data.description !== undefined && typeof data.description !== "string") {
+    errors.push("The form description must be text");
+  }
+  if (!Array.isArray(data.fields)) {
+    errors.push("The file has no fields list");
+  } else {
+    const seenNames = new Set();
+    data.fields.forEach((field, index) => {
+      errors.push(...validateDefinitionField(field, index, seenNames));
+    });
+
+    // Visibility rules, formulas and photo settings may name any field, so they are checked once every field has been read
+    const objectFields = data.fields.filter(field => field && typeof field === "object");
+    data.fields.forEach((field, index) => {
+      const rule = field?.options?.showWhen;
+      if (rule !== undefined) {
+        validateVisibilityRule(rule, field.name, objectFields)
+          .forEach(problem => errors.push(`${fieldLabel(field, index)}: ${problem}`));
+      }
+      const formula = field?.options?.formula;
+      if (field?.field_type === "computed" && typeof formula === "string" && formula.trim()) {
+        validateFormula(formula, field.name, objectFields.filter(item => item !== field))
+          .forEach(problem => errors.push(`${fieldLabel(field, index)}: ${problem}`));
+      }
+      if (field?.field_type === "photo/video" && field.options) {
+        validatePhotoOptions(field.options, objectFields.filter(item => item !== field))
+          .forEach(problem => errors.push(`${fieldLabel(field, index)}: ${problem}`));
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { definition: null, errors };
+  }
+
+  const fields = data.fields
+    .map((field, index) => ({ field, position: field.order_index ?? index }))
+    .sort((a, b) => a.position - b.position)
+    .map(({ field }) => {
+      const definitionField = {
+        name: field.name.trim(),
+        field_type: field.field_type,
+        required: field.field_type === "computed" ? false : Boolean(field.required),
+        is_num: resolveIsNum(field.field_type, field.is_num),
+      };
+      if (field.field_type === "dropdown") {
+        definitionField.options = { ...field.options, choices: field.options.choices.map(choice => choice.trim()) };
+      } else if (field.options) {
+        definitionField.options = field.options;
+      }
+      return definitionField;
+    });
+
+  return {
+    definition: { name: data.name.trim(), description: data.description || "", fields },
+    errors: [],
+  };
+}
+
+/**
+ * Function to read and validate a form definition file picked from the device.
+ *
+ * @param {string} uri - URI of the picked file.
+ * @returns {Promise<object>} - { definition, errors } as returned by parseFormDefinition.
+ */
+export async function readFormDefinitionFile(uri) {
+  const text = await new File(uri).text();
+  return parseFormDefinition(text);
+}
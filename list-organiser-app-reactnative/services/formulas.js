@@ -0,0 +1,388 @@
+import { parseStoredDateValue } from "./fieldTypes";
+
+// CALCULATED FIELDS
+// A calculated field ("computed" type) keeps a formula in options.formula and an optional number of
+// decimal places in options.decimals. Formulas name other fields in square brackets, e.g.
+// [Quantity] * [Unit Price], and may use + - * / % ^, parentheses and the functions below.
+// Formulas are parsed into a small expression tree and evaluated by walking it; they are never run
+// as code, so a formula can only read the record's own values.
+// The result is stored with the record when it is submitted, so it can be sorted and filtered like
+// any numeric value. A formula whose inputs are missing or not numbers gives no value.
+
+// Functions a formula may call, for the form designer's help text
+export const FORMULA_FUNCTIONS = [
+  { name: "round", usage: "round(x, places)", description: "Rounds to the given decimal places (0 by default)" },
+  { name: "floor", usage: "floor(x)", description: "Rounds down" },
+  { name: "ceil", usage: "ceil(x)", description: "Rounds up" },
+  { name: "abs", usage: "abs(x)", description: "Drops the sign" },
+  { name: "sqrt", usage: "sqrt(x)", description: "Square root" },
+  { name: "min", usage: "min(a, b, ...)", description: "Smallest value" },
+  { name: "max", usage: "max(a, b, ...)", description: "Largest value" },
+  { name: "year", usage: "year() or year([Date])", description: "This year, or the year of a date field" },
+  { name: "distance", usage: "distance([Location], lat, lng)", description: "Kilometres from a fixed point or another location" },
+];
+
+// Earth's mean radius, for distances between coordinates
+const EARTH_RADIUS_KM = 6371;
+
+// Reads a location value or a pair of coordinates as { latitude, longitude }
+const toCoordinate = (value, latitude, longitude) => {
+  if (value && typeof value === "object" && "latitude" in value) {
+    return { latitude: Number(value.latitude), longitude: Number(value.longitude) };
+  }
+  return { latitude: toNumber(latitude ?? value), longitude: toNumber(longitude) };
+};
+
+// Great-circle distance between two coordinates in kilometres
+const haversineKm = (from, to) => {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const dLat = radians(to.latitude - from.latitude);
+  const dLng = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Implementations of FORMULA_FUNCTIONS, with the number of arguments each accepts
+const FUNCTIONS = {
+  round: { minArgs: 1, maxArgs: 2, apply: ([x, places = 0]) => {
+    const factor = 10 ** toNumber(places);
+    return Math.round(toNumber(x) * factor) / factor;
+  } },
+  floor: { minArgs: 1, maxArgs: 1, apply: ([x]) => Math.floor(toNumber(x)) },
+  ceil: { minArgs: 1, maxArgs: 1, apply: ([x]) => Math.ceil(toNumber(x)) },
+  abs: { minArgs: 1, maxArgs: 1, apply: ([x]) => Math.abs(toNumber(x)) },
+  sqrt: { minArgs: 1, maxArgs: 1, apply: ([x]) => Math.sqrt(toNumber(x)) },
+  min: { minArgs: 1, maxArgs: Infinity, apply: (args) => Math.min(...args.map(toNumber)) },
+  max: { minArgs: 1, maxArgs: Infinity, apply: (args) => Math.max(...args.map(toNumber)) },
+  year: { minArgs: 0, maxArgs: 1, apply: ([date]) => {
+    if (date === undefined) return new Date().getFullYear();
+    const parsed = parseStoredDateValue("date", date);
+    if (!parsed) throw new Error("year() needs a date");
+    return parsed.getFullYear();
+  } },
+  distance: { minArgs: 2, maxArgs: 3, apply: ([from, latitudeOrTo, longitude]) => {
+    const start = toCoordinate(from);
+    const end = longitude === undefined ? toCoordinate(latitudeOrTo) : toCoordinate(null, latitudeOrTo, longitude);
+    return haversineKm(start, end);
+  } },
+};
+
+// Converts an evaluated value to a number; ticked checkboxes count as 1
+function toNumber(value) {
+  if (value === true) return 1;
+  if (value === false) return 0;
+  const number = typeof value === "number" ? value : Number(String(value ?? "").trim());
+  if (value === null || value === undefined || String(value).trim() === "" || isNaN(number)) {
+    throw new Error("not a number");
+  }
+  return number;
+}
+
+// Splits a formula into tokens: numbers, [field] references, names and symbols
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = text.slice(index).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+      tokens.push({ type: "number", value: Number(match[1]) });
+      index += match[1].length;
+    } else if (char === "[") {
+      const end = text.indexOf("]", index);
+      if (end === -1) throw new Error("A [field] reference is missing its closing ]");
+      const name = text.slice(index + 1, end).trim();
+      if (!name) throw new Error("Empty [] field reference");
+      tokens.push({ type: "field", name });
+      index = end + 1;
+    } else if (/[a-z_]/i.test(char)) {
+      const name = text.slice(index).match(/^[a-z_]+/i)[0];
+      tokens.push({ type: "name", name: name.toLowerCase() });
+      index += name.length;
+    } else if ("+-*/%^(),×÷".includes(char)) {
+      // × and ÷ are accepted as * and /
+      tokens.push({ type: "symbol", value: char === "×" ? "*" : char === "÷" ? "/" : char });
+      index++;
+    } else {
+      throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Function to parse a formula into an expression tree.
+ *
+ * @param {string} text - The formula, e.g. "[Quantity] * [Unit Price]".
+ * @returns {object} - The root node of the tree.
+ * @throws Will throw an error describing the first problem with the formula.
+ */
+export function parseFormula(text) {
+  const tokens = tokenize(String(text ?? ""));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek()?.type === "symbol" && peek().value === value;
+  const expectSymbol = (value) => {
+    if (!isSymbol(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+
+  // Lowest precedence first: + and -, then * / %, then unary minus, then ^
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isSymbol("+") || isSymbol("-")) {
+      const operator = tokens[position++].value;
+      node = { type: "binary", operator, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isSymbol("*") || isSymbol("/") || isSymbol("%")) {
+      const operator = tokens[position++].value;
+      node = { type: "binary", operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("-")) {
+      position++;
+      return { type: "negate", operand: parseUnary() };
+    }
+    if (isSymbol("+")) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isSymbol("^")) {
+      position++;
+      return { type: "binary", operator: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("The formula ends too early");
+    position++;
+
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "field") return { type: "field", name: token.name };
+
+    if (token.type === "name") {
+      const fn = FUNCTIONS[token.name];
+      if (!fn) throw new Error(`Unknown function "${token.name}"`);
+      expectSymbol("(");
+      const args = [];
+      if (!isSymbol(")")) {
+        args.push(parseSum());
+        while (isSymbol(",")) {
+          position++;
+          args.push(parseSum());
+        }
+      }
+      expectSymbol(")");
+      if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+        throw new Error(`${token.name}() was given ${args.length} value${args.length !== 1 ? "s" : ""}`);
+      }
+      return { type: "call", name: token.name, args };
+    }
+
+    if (token.value === "(") {
+      const node = parseSum();
+      expectSymbol(")");
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  if (tokens.length === 0) throw new Error("The formula is empty");
+  const root = parseSum();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw new Error(`Unexpected "${token.value ?? token.name}"`);
+  }
+  return root;
+}
+
+/**
+ * Function to list the field names a formula refers to.
+ *
+ * @param {string} formula - The formula.
+ * @returns {Array<string>} - Field names, without duplicates; empty when the formula cannot be parsed.
+ */
+export function getFormulaReferences(formula) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.type === "field") names.add(node.name);
+    if (node.left) visit(node.left);
+    if (node.right) visit(node.right);
+    if (node.operand) visit(node.operand);
+    (node.args || []).forEach(visit);
+  };
+
+  try {
+    visit(parseFormula(formula));
+  } catch (e) {
+    return [];
+  }
+  return [...names];
+}
+
+/**
+ * Function to list the problems with a calculated field's formula: syntax errors, names that are
+ * not fields of the form and calculated fields that would depend on each other.
+ *
+ * @param {string} formula - The formula.
+ * @param {string} fieldName - Name of the calculated field.
+ * @param {Array} fields - The form's other field definitions.
+ * @returns {Array<string>} - Problems, empty when the formula is usable.
+ */
+export function validateFormula(formula, fieldName, fields) {
+  try {
+    parseFormula(formula);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const problems = [];
+  getFormulaReferences(formula).forEach(name => {
+    if (name === fieldName) {
+      problems.push("a formula cannot use its own field");
+    } else if (!fields.some(field => field.name === name)) {
+      problems.push(`[${name}] is not a field of this form`);
+    }
+  });
+
+  // Follow the formulas of referenced calculated fields; reaching this field again means a loop
+  const followed = new Set();
+  const pending = getFormulaReferences(formula);
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (followed.has(name)) continue;
+    followed.add(name);
+    const field = fields.find(item => item.name === name);
+    if (field?.field_type !== "computed") continue;
+    const references = getFormulaReferences(field.options?.formula);
+    if (references.includes(fieldName)) {
+      problems.push(`[${name}] already uses this field, so the two would depend on each other`);
+      break;
+    }
+    pending.push(...references);
+  }
+
+  return problems;
+}
+
+/**
+ * Function to rename a field reference inside a formula.
+ *
+ * @param {string} formula - The formula.
+ * @param {string} oldName - The field's previous name.
+ * @param {string} newName - The field's new name.
+ * @returns {string} - The formula with every [oldName] replaced.
+ */
+export function renameFieldInFormula(formula, oldName, newName) {
+  return String(formula ?? "").replace(/\[([^\]]*)\]/g, (reference, name) => (
+    name.trim() === oldName ? `[${newName}]` : reference
+  ));
+}
+
+/**
+ * Function to calculate a calculated field's value from a record's answers.
+ *
+ * @param {object} field - The calculated field.
+ * @param {Array} fields - The form's field definitions, used to calculate referenced calculated fields.
+ * @param {object} values - The answers, keyed by field name; raw text and stored values both work.
+ * @param {Set<string>} [seen] - Calculated fields already being worked out, so loops give no value.
+ * @returns {number|null} - The result, rounded to options.decimals when set, or null when it cannot be worked out.
+ */
+export function computeFieldValue(field, fields, values, seen = new Set()) {
+  if (seen.has(field.name)) return null;
+  const followed = new Set([...seen, field.name]);
+
+  // Reads a referenced answer: calculated fields are worked out, JSON locations are parsed
+  const resolve = (name) => {
+    const referenced = fields.find(item => item.name === name);
+    if (referenced?.field_type === "computed") {
+      const result = computeFieldValue(referenced, fields, values, followed);
+      if (result === null) throw new Error(`[${name}] has no value`);
+      return result;
+    }
+    const value = values[name];
+    if (typeof value === "string" && value.trim().startsWith("{")) {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+    }
+    return value;
+  };
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "number": return node.value;
+      case "field": return resolve(node.name);
+      case "negate": return -toNumber(evaluate(node.operand));
+      case "call": return FUNCTIONS[node.name].apply(node.args.map(evaluate));
+      case "binary": {
+        const left = toNumber(evaluate(node.left));
+        const right = toNumber(evaluate(node.right));
+        switch (node.operator) {
+          case "+": return left + right;
+          case "-": return left - right;
+          case "*": return left * right;
+          case "/": return left / right;
+          case "%": return left % right;
+          case "^": return left ** right;
+        }
+      }
+    }
+    throw new Error("Unknown formula part");
+  };
+
+  try {
+    const result = toNumber(evaluate(parseFormula(field.options?.formula)));
+    if (!isFinite(result)) return null;
+    const decimals = field.options?.decimals;
+    return Number.isInteger(decimals) ? Number(result.toFixed(decimals)) : result;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Function to fill in every calculated field of a record, replacing any values it already has.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @param {object} values - The record's values.
+ * @returns {object} - A copy of the values with calculated fields set, or removed when they have no value.
+ */
+export function applyComputedFields(fields, values) {
+  const computed = { ...values };
+  fields
+    .filter(field => field.field_type === "computed")
+    .forEach(field => {
+      const result = computeFieldValue(field, fields, values);
+      if (result === null) {
+        delete computed[field.name];
+      } else {
+        computed[field.name] = result;
+      }
+    });
+  return computed;
+}
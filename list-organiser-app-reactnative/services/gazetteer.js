@@ -0,0 +1,74 @@
+// GAZETTEER
+// Places the location search finds without a connection: Australian capitals, regional centres and
+// major world cities. Coordinates are the centre of each place.
+
+export const GAZETTEER = [
+  { name: "Brisbane", region: "Queensland", country: "Australia", latitude: -27.4698, longitude: 153.0251 },
+  { name: "Gold Coast", region: "Queensland", country: "Australia", latitude: -28.0167, longitude: 153.4 },
+  { name: "Sunshine Coast", region: "Queensland", country: "Australia", latitude: -26.65, longitude: 153.0667 },
+  { name: "Toowoomba", region: "Queensland", country: "Australia", latitude: -27.5598, longitude: 151.9507 },
+  { name: "Ipswich", region: "Queensland", country: "Australia", latitude: -27.6144, longitude: 152.7586 },
+  { name: "Townsville", region: "Queensland", country: "Australia", latitude: -19.259, longitude: 146.8169 },
+  { name: "Cairns", region: "Queensland", country: "Australia", latitude: -16.9186, longitude: 145.7781 },
+  { name: "Rockhampton", region: "Queensland", country: "Australia", latitude: -23.3781, longitude: 150.5136 },
+  { name: "Mackay", region: "Queensland", country: "Australia", latitude: -21.1412, longitude: 149.1861 },
+  { name: "Bundaberg", region: "Queensland", country: "Australia", latitude: -24.8661, longitude: 152.3489 },
+  { name: "Sydney", region: "New South Wales", country: "Australia", latitude: -33.8688, longitude: 151.2093 },
+  { name: "Newcastle", region: "New South Wales", country: "Australia", latitude: -32.9283, longitude: 151.7817 },
+  { name: "Wollongong", region: "New South Wales", country: "Australia", latitude: -34.4278, longitude: 150.8931 },
+  { name: "Byron Bay", region: "New South Wales", country: "Australia", latitude: -28.6474, longitude: 153.602 },
+  { name: "Wagga Wagga", region: "New South Wales", country: "Australia", latitude: -35.1082, longitude: 147.3598 },
+  { name: "Canberra", region: "Australian Capital Territory", country: "Australia", latitude: -35.2809, longitude: 149.13 },
+  { name: "Melbourne", region: "Victoria", country: "Australia", latitude: -37.8136, longitude: 144.9631 },
+  { name: "Geelong", region: "Victoria", country: "Australia", latitude: -38.1499, longitude: 144.3617 },
+  { name: "Ballarat", region: "Victoria", country: "Australia", latitude: -37.5622, longitude: 143.8503 },
+  { name: "Bendigo", region: "Victoria", country: "Australia", latitude: -36.757, longitude: 144.2794 },
+  { name: "Hobart", region: "Tasmania", country: "Australia", latitude: -42.8821, longitude: 147.3272 },
+  { name: "Launceston", region: "Tasmania", country: "Australia", latitude: -41.4332, longitude: 147.1441 },
+  { name: "Adelaide", region: "South Australia", country: "Australia", latitude: -34.9285, longitude: 138.6007 },
+  { name: "Mount Gambier", region: "South Australia", country: "Australia", latitude: -37.8284, longitude: 140.7804 },
+  { name: "Perth", region: "Western Australia", country: "Australia", latitude: -31.9505, longitude: 115.8605 },
+  { name: "Fremantle", region: "Western Australia", country: "Australia", latitude: -32.0569, longitude: 115.7439 },
+  { name: "Broome", region: "Western Australia", country: "Australia", latitude: -17.9614, longitude: 122.2359 },
+  { name: "Kalgoorlie", region: "Western Australia", country: "Australia", latitude: -30.7489, longitude: 121.4658 },
+  { name: "Darwin", region: "Northern Territory", country: "Australia", latitude: -12.4634, longitude: 130.8456 },
+  { name: "Alice Springs", region: "Northern Territory", country: "Australia", latitude: -23.698, longitude: 133.8807 },
+  { name: "Auckland", region: "Auckland", country: "New Zealand", latitude: -36.8485, longitude: 174.7633 },
+  { name: "Wellington", region: "Wellington", country: "New Zealand", latitude: -41.2866, longitude: 174.7756 },
+  { name: "Christchurch", region: "Canterbury", country: "New Zealand", latitude: -43.532, longitude: 172.6306 },
+  { name: "Singapore", region: "", country: "Singapore", latitude: 1.3521, longitude: 103.8198 },
+  { name: "Jakarta", region: "Jakarta", country: "Indonesia", latitude: -6.2088, longitude: 106.8456 },
+  { name: "Denpasar", region: "Bali", country: "Indonesia", latitude: -8.6705, longitude: 115.2126 },
+  { name: "Tokyo", region: "Tokyo", country: "Japan", latitude: 35.6762, longitude: 139.6503 },
+  { name: "Seoul", region: "Seoul", country: "South Korea", latitude: 37.5665, longitude: 126.978 },
+  { name: "Beijing", region: "Beijing", country: "China", latitude: 39.9042, longitude: 116.4074 },
+  { name: "Shanghai", region: "Shanghai", country: "China", latitude: 31.2304, longitude: 121.4737 },
+  { name: "Hong Kong", region: "", country: "China", latitude: 22.3193, longitude: 114.1694 },
+  { name: "Bangkok", region: "Bangkok", country: "Thailand", latitude: 13.7563, longitude: 100.5018 },
+  { name: "Manila", region: "Metro Manila", country: "Philippines", latitude: 14.5995, longitude: 120.9842 },
+  { name: "Mumbai", region: "Maharashtra", country: "India", latitude: 19.076, longitude: 72.8777 },
+  { name: "Delhi", region: "Delhi", country: "India", latitude: 28.7041, longitude: 77.1025 },
+  { name: "Dubai", region: "Dubai", country: "United Arab Emirates", latitude: 25.2048, longitude: 55.2708 },
+  { name: "Cairo", region: "Cairo", country: "Egypt", latitude: 30.0444, longitude: 31.2357 },
+  { name: "Nairobi", region: "Nairobi", country: "Kenya", latitude: -1.2921, longitude: 36.8219 },
+  { name: "Johannesburg", region: "Gauteng", country: "South Africa", latitude: -26.2041, longitude: 28.0473 },
+  { name: "Cape Town", region: "Western Cape", country: "South Africa", latitude: -33.9249, longitude: 18.4241 },
+  { name: "London", region: "England", country: "United Kingdom", latitude: 51.5074, longitude: -0.1278 },
+  { name: "Paris", region: "Île-de-France", country: "France", latitude: 48.8566, longitude: 2.3522 },
+  { name: "Berlin", region: "Berlin", country: "Germany", latitude: 52.52, longitude: 13.405 },
+  { name: "Madrid", region: "Madrid", country: "Spain", latitude: 40.4168, longitude: -3.7038 },
+  { name: "Rome", region: "Lazio", country: "Italy", latitude: 41.9028, longitude: 12.4964 },
+  { name: "Amsterdam", region: "North Holland", country: "Netherlands", latitude: 52.3676, longitude: 4.9041 },
+  { name: "Moscow", region: "Moscow", country: "Russia", latitude: 55.7558, longitude: 37.6173 },
+  { name: "New York", region: "New York", country: "United States", latitude: 40.7128, longitude: -74.006 },
+  { name: "Los Angeles", region: "California", country: "United States", latitude: 34.0522, longitude: -118.2437 },
+  { name: "San Francisco", region: "California", country: "United States", latitude: 37.7749, longitude: -122.4194 },
+  { name: "Chicago", region: "Illinois", country: "United States", latitude: 41.8781, longitude: -87.6298 },
+  { name: "Honolulu", region: "Hawaii", country: "United States", latitude: 21.3069, longitude: -157.8583 },
+  { name: "Toronto", region: "Ontario", country: "Canada", latitude: 43.6532, longitude: -79.3832 },
+  { name: "Vancouver", region: "British Columbia", country: "Canada", latitude: 49.2827, longitude: -123.1207 },
+  { name: "Mexico City", region: "", country: "Mexico", latitude: 19.4326, longitude: -99.1332 },
+  { name: "São Paulo", region: "São Paulo", country: "Brazil", latitude: -23.5505, longitude: -46.6333 },
+  { name: "Buenos Aires", region: "", country: "Argentina", latitude: -34.6037, longitude: -58.3816 },
+  { name: "Santiago", region: "Santiago Metropolitan", country: "Chile", latitude: -33.4489, longitude: -70.6693 },
+];
@@ -0,0 +1,126 @@
+import * as Location from "expo-location";
+import { GAZETTEER } from "./gazetteer";
+
+// GEOCODING
+// Place searches ask each registered geocoder in turn and list what they find, best match first
+// within each geocoder. The built-in gazetteer (see gazetteer.js) answers offline; the device's own
+// geocoder needs a connection and location permission. Another service, e.g. a hosted geocoding
+// API, can be added with registerGeocoder. A geocoder is { id, label, search(query) } where search
+// resolves to places { name, detail, latitude, longitude }.
+
+// Most places a search lists
+const MAX_RESULTS = 8;
+
+// Most matches the device geocoder looks up addresses for
+const MAX_DEVICE_MATCHES = 3;
+
+// Lower case without accents, so "sao paulo" finds "São Paulo"
+const normalise = (text) => String(text ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+// Ranks how well a gazetteer place matches, lower is better, null for no match
+const rankPlace = (place, query) => {
+  const name = normalise(place.name);
+  if (name === query) return 0;
+  if (name.startsWith(query)) return 1;
+  if (name.split(/[\s-]+/).some(word => word.startsWith(query))) return 2;
+  if (normalise([place.name, place.region, place.country].filter(Boolean).join(", ")).includes(query)) return 3;
+  return null;
+};
+
+const gazetteerGeocoder = {
+  id: "gazetteer",
+  label: "Built-in places",
+  search: async (query) => {
+    const text = normalise(query);
+    return GAZETTEER
+      .map(place => ({ place, rank: rankPlace(place, text) }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name))
+      .map(({ place }) => ({
+        name: place.name,
+        detail: [place.region, place.country].filter(Boolean).join(", "),
+        latitude: place.latitude,
+        longitude: place.longitude,
+      }));
+  },
+};
+
+const deviceGeocoder = {
+  id: "device",
+  label: "Device geocoder",
+  search: async (query) => {
+    // Asking for permission is left to the location buttons, searching never prompts
+    const { granted } = await Location.getForegroundPermissionsAsync();
+    if (!granted) return [];
+
+    const matches = (await Location.geocodeAsync(query)).slice(0, MAX_DEVICE_MATCHES);
+    return Promise.all(matches.map(async ({ latitude, longitude }) => {
+      const [address] = await Location.reverseGeocodeAsync({ latitude, longitude }).catch(() => []);
+      return {
+        name: address?.name || address?.street || query,
+        detail: [address?.city, address?.region, address?.country].filter(Boolean).join(", "),
+        latitude,
+        longitude,
+      };
+    }));
+  },
+};
+
+const geocoders = [gazetteerGeocoder, deviceGeocoder];
+
+/**
+ * Function to add a geocoder that place searches also ask, after the ones already registered.
+ *
+ * @param {object} geocoder - { id, label, search(query) } as described above.
+ * @returns {Function} - Removes the geocoder again.
+ * @throws Will throw an error if the geocoder has no search function or its id is taken.
+ */
+export function registerGeocoder(geocoder) {
+  if (typeof geocoder?.search !== "function") {
+    throw new Error("A geocoder needs a search function.");
+  }
+  if (geocoders.some(existing => existing.id === geocoder.id)) {
+    throw new Error(`A geocoder called "${geocoder.id}" is already registered.`);
+  }
+
+  geocoders.push(geocoder);
+  return () => {
+    const index = geocoders.indexOf(geocoder);
+    if (index !== -1) geocoders.splice(index, 1);
+  };
+}
+
+/**
+ * Function to search for places by name or address.
+ * A geocoder that fails (e.g. offline) is skipped; the search only fails when every one does.
+ *
+ * @param {string} query - What the user typed.
+ * @returns {Promise<Array>} - Places { name, detail, latitude, longitude, geocoder }, at most MAX_RESULTS.
+ * @throws Will throw the first geocoder's error if none of them could search.
+ */
+export async function searchPlaces(query) {
+  if (!normalise(query)) return [];
+
+  const places = [];
+  const errors = [];
+  for (const geocoder of geocoders) {
+    if (places.length >= MAX_RESULTS) break;
+    try {
+      const found = await geocoder.search(query.trim());
+      found
+        .filter(place => Number.isFinite(place.latitude) && Number.isFinite(place.longitude))
+        // Places about 100 m from one already listed are the same place
+        .filter(place => !places.some(listed =>
+          Math.abs(listed.latitude - place.latitude) < 0.001 && Math.abs(listed.longitude - place.longitude) < 0.001
+        ))
+        .forEach(place => places.push({ ...place, geocoder: geocoder.label }));
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+
+  if (places.length === 0 && errors.length === geocoders.length) {
+    throw errors[0];
+  }
+  return places.slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,176 @@
+import { File } from "expo-file-system";
+import { isFieldVisible } from "./fieldVisibility";
+import { applyComputedFields } from "./formulas";
+import { coerceFieldValue } from "./validation";
+
+// RECORD IMPORTS
+// Reads CSV files, maps their columns onto a form's fields and validates each row before import.
+
+/**
+ * Function to parse CSV text into rows of cells. Handles quoted cells, escaped quotes ("")
+ * and line breaks inside quotes. Blank lines are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - Rows of cell text.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ""));
+}
+
+/**
+ * Function to read a CSV file picked from the device and split it into headers and data rows.
+ *
+ * @param {string} uri - URI of the picked file.
+ * @returns {Promise<object>} - { headers, rows }.
+ * @throws Will throw an error if the file has no header row.
+ */
+export async function readCsvFile(uri) {
+  const text = await new File(uri).text();
+  const [headers, ...rows] = parseCsv(text);
+
+  if (!headers || headers.length === 0) {
+    throw new Error("The file is empty or has no header row.");
+  }
+
+  return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Function to list what a CSV column can be mapped onto: every field except calculated ones, plus
+ * the "<field> Name" companion of location fields.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @returns {Array} - Targets as { key, label, field } where field is null for companions.
+ */
+export function getImportTargets(fields) {
+  const targets = [];
+  [...fields]
+    .sort((a, b) => a.order_index - b.order_index)
+    .forEach(field => {
+      if (field.field_type === "computed") return;
+      targets.push({ key: field.name, label: field.name, field });
+      if (field.field_type === "location") {
+        targets.push({ key: `${field.name} Name`, label: `${field.name} Name`, field: null });
+      }
+    });
+  return targets;
+}
+
+/**
+ * Function to suggest a column mapping by matching headers to target names, ignoring case and spacing.
+ *
+ * @param {Array<string>} headers - The CSV headers.
+ * @param {Array} targets - Targets from getImportTargets.
+ * @returns {object} - Map of column index to target key.
+ */
+export function suggestColumnMapping(headers, targets) {
+  const normalise = (text) => text.toLowerCase().replace(/[\s_-]+/g, "");
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach((header, index) => {
+    const target = targets.find(item => !used.has(item.key) && normalise(item.key) === normalise(header));
+    if (target) {
+      mapping[index] = target.key;
+      used.add(target.key);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Function to validate every CSV row against the form's fields using the chosen column mapping.
+ * Fields without a mapped column are treated as empty, so required fields still report errors.
+ * Fields hidden by their visibility rule are left out of the row, and calculated fields are worked out
+ * from the row's values.
+ *
+ * @param {Array<Array<string>>} rows - CSV data rows.
+ * @param {object} mapping - Map of column index to target key.
+ * @param {Array} fields - The form's field definitions.
+ * @returns {Array} - One result per row: { rowNumber, values, errors }.
+ */
+export function validateImportRows(rows, mapping, fields) {
+  const targetColumns = {};
+  Object.entries(mapping).forEach(([index, key]) => {
+    if (key) targetColumns[key] = Number(index);
+  });
+
+  return rows.map((cells, rowIndex) => {
+    const values = {};
+    const fieldErrors = {};
+
+    fields.filter(field => field.field_type !== "computed").forEach(field => {
+      const column = targetColumns[field.name];
+      const { value, error } = coerceFieldValue(field, column === undefined ? "" : cells[column]);
+      if (error) {
+        fieldErrors[field.name] = error;
+      } else if (value !== "") {
+        values[field.name] = value;
+      }
+
+      const nameColumn = targetColumns[`${field.name} Name`];
+      if (field.field_type === "location" && nameColumn !== undefined && cells[nameColumn]) {
+        values[`${field.name} Name`] = cells[nameColumn].trim();
+      }
+    });
+
+    // Fields hidden by the row's other answers are not imported, so their errors do not count
+    const errors = [];
+    const visibleFields = [];
+    fields.forEach(field => {
+      if (isFieldVisible(field, fields, values)) {
+        visibleFields.push(field);
+        if (fieldErrors[field.name]) errors.push(fieldErrors[field.name]);
+      } else {
+        delete values[field.name];
+        delete values[`${field.name} Name`];
+      }
+    });
+
+    // Header is row 1, so the first data row is row 2 as in a spreadsheet
+    return { rowNumber: rowIndex + 2, values: applyComputedFields(visibleFields, values), errors };
+  });
+}
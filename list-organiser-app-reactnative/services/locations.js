@@ -0,0 +1,124 @@
+import * as Location from "expo-location";
+
+// LOCATION VALUES
+// A location field stores JSON { latitude, longitude } to six decimal places. Locations set in the
+// app also say how they were set and, for a GPS fix, how far off it may be:
+//   accuracy  - radius in metres the device reported for its fix, absent when unknown
+//   source    - a LOCATION_SOURCES value
+// Values without these (older records, imports) are read as they are.
+
+// Ways a location can be set, with the text shown for each
+export const LOCATION_SOURCES = {
+  gps: "Current location",
+  map: "Picked on map",
+  search: "Found by search",
+  manual: "Typed coordinates",
+  photo: "From photo",
+};
+
+// Checks a coordinate is a number within +/- limit degrees
+const isValidCoordinate = (value, limit) => Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Function to build a location value from coordinates, rounding them the way they are stored.
+ *
+ * @param {object} coordinates - { latitude, longitude } in decimal degrees.
+ * @param {object} [metadata] - { accuracy, source } describing how the location was set.
+ * @returns {object|null} - The location, or null when the coordinates are out of range.
+ */
+export function createLocationValue({ latitude, longitude }, { accuracy, source } = {}) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!isValidCoordinate(lat, 90) || !isValidCoordinate(lng, 180)) return null;
+
+  const location = { latitude: parseFloat(lat.toFixed(6)), longitude: parseFloat(lng.toFixed(6)) };
+  if (typeof accuracy === "number" && Number.isFinite(accuracy) && accuracy >= 0) {
+    location.accuracy = Math.round(accuracy * 10) / 10;
+  }
+  if (Object.keys(LOCATION_SOURCES).includes(source)) {
+    location.source = source;
+  }
+  return location;
+}
+
+/**
+ * Function to read a stored location value.
+ *
+ * @param {string|object} value - JSON text or an already parsed object.
+ * @returns {object|null} - { latitude, longitude } with accuracy and source when stored, or null.
+ */
+export function readLocationValue(value) {
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!parsed || typeof parsed !== "object") return null;
+  if (typeof parsed.latitude !== "number" || typeof parsed.longitude !== "number") return null;
+
+  return createLocationValue(parsed, parsed);
+}
+
+/**
+ * Function to read one typed coordinate. Accepts decimal degrees ("-27.4698"), degrees with a
+ * hemisphere ("27.4698 S", "27.4698° S") and degrees, minutes and seconds ("27°28'11.3\"S").
+ *
+ * @param {string} text - The typed coordinate.
+ * @param {string} axis - "latitude" or "longitude", which decides the hemispheres and range allowed.
+ * @returns {number|null} - Decimal degrees, or null when the text is not a coordinate on that axis.
+ */
+export function parseCoordinate(text, axis) {
+  const limit = axis === "latitude" ? 90 : 180;
+  const hemispheres = axis === "latitude" ? "NS" : "EW";
+
+  let rest = String(text ?? "").trim().toUpperCase();
+  const hemisphere = rest.match(new RegExp(`^([${hemispheres}])\\s*|\\s*([${hemispheres}])$`));
+  if (hemisphere) {
+    rest = rest.replace(hemisphere[0], "").trim();
+  }
+
+  const match = rest.match(/^(-?\d+(?:\.\d+)?)\s*°?\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|″|'')\s*)?$/);
+  if (!match) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part ?? 0));
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  let value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  const letter = hemisphere && (hemisphere[1] || hemisphere[2]);
+  if (degrees < 0 || rest.startsWith("-") || letter === "S" || letter === "W") {
+    if (letter === "N" || letter === "E") return null;
+    value = -value;
+  }
+
+  return isValidCoordinate(value, limit) ? parseFloat(value.toFixed(6)) : null;
+}
+
+/**
+ * Function to describe how accurate a location is.
+ *
+ * @param {number} accuracy - Radius in metres.
+ * @returns {string} - e.g. "±8 m" or "±1.2 km", empty when unknown.
+ */
+export function formatAccuracy(accuracy) {
+  if (typeof accuracy !== "number" || !Number.isFinite(accuracy)) return "";
+  return accuracy >= 1000 ? `±${(accuracy / 1000).toFixed(1)} km` : `±${Math.round(accuracy)} m`;
+}
+
+/**
+ * Function to get the device's current position, asking for location permission first.
+ *
+ * @returns {Promise<object>} - A location value with the fix's accuracy and source "gps".
+ * @throws Will throw an error if permission is refused or no position can be found.
+ */
+export async function getCurrentLocation() {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== "granted") {
+    throw new Error("Location permission is required to use this feature.");
+  }
+
+  const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+  return createLocationValue(coords, { accuracy: coords.accuracy, source: "gps" });
+}
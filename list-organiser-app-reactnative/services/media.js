@@ -0,0 +1,409 @@
+import { DATE_TYPES } from "./fieldTypes";
+
+// MEDIA VALUES
+// A photo/video field stores a JSON array of items { uri, type, caption, timestamp } in the order
+// they are shown, type being "image" or "video". Once a file is uploaded (see mediaStorage.js) uri
+// is its durable URL and the item also carries size and mimeType. Records saved before a field
+// could hold several items store a single { uri, timestamp } object, which reads as a list of one photo.
+
+// Most photos and videos one field can hold
+export const MAX_MEDIA_ITEMS = 10;
+
+// Longest video the camera records, in seconds
+export const MAX_VIDEO_SECONDS = 120;
+
+// File extensions read as videos when an item does not say what it is
+const VIDEO_EXTENSION = /\.(mp4|mov|m4v|3gp|webm|mkv)([?#]|$)/i;
+
+// URI schemes of files that only exist on the device that captured them
+const LOCAL_URI = /^(file|content|ph|assets-library):/i;
+
+// MIME types by file extension, for files the picker did not describe
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  heic: "image/heic",
+  mp4: "video/mp4",
+  mov: "video/quicktime",
+  m4v: "video/x-m4v",
+  "3gp": "video/3gpp",
+  webm: "video/webm",
+  mkv: "video/x-matroska",
+};
+
+/**
+ * Function to guess whether a file is a photo or a video from its URI.
+ *
+ * @param {string} uri - The file URI.
+ * @returns {string} - "video" for video file extensions, otherwise "image".
+ */
+export function guessMediaType(uri) {
+  return VIDEO_EXTENSION.test(uri || "") ? "video" : "image";
+}
+
+/**
+ * Function to check whether a media URI points at a file on this device rather than an upload.
+ *
+ * @param {string} uri - The file URI.
+ * @returns {boolean} - True for file://, content://, ph:// and assets-library:// URIs.
+ */
+export function isLocalMediaUri(uri) {
+  return LOCAL_URI.test(uri || "");
+}
+
+/**
+ * Function to get the lower-case extension of a file URI.
+ *
+ * @param {string} uri - The file URI.
+ * @returns {string} - e.g. "jpg", or an empty string when there is none.
+ */
+export function getFileExtension(uri) {
+  const match = (uri || "").split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Function to work out the MIME type of a media item.
+ *
+ * @param {object} item - The media item.
+ * @returns {string} - The item's mimeType, one guessed from its extension, or a generic type for its kind.
+ */
+export function getMediaMimeType(item) {
+  return item.mimeType
+    || MIME_TYPES[getFileExtension(item.uri)]
+    || (item.type === "video" ? "video/mp4" : "image/jpeg");
+}
+
+// Fills in the type and caption of a stored item, keeping anything else it carries
+const toMediaItem = (item) => {
+  const source = typeof item === "string" ? { uri: item } : item;
+  if (!source || typeof source.uri !== "string" || source.uri.trim() === "") return null;
+
+  return {
+    ...source,
+    uri: source.uri.trim(),
+    type: ["image", "video"].includes(source.type) ? source.type : guessMediaType(source.uri),
+    caption: typeof source.caption === "string" ? source.caption : "",
+  };
+};
+
+/**
+ * Function to check whether a stored value looks like a photo/video value, for code that reads
+ * record values without their field definitions.
+ *
+ * @param {*} value - The stored value.
+ * @returns {boolean} - True for a JSON list of items with a uri, or a single such item.
+ */
+export function isMediaValue(value) {
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  return items.length > 0 && items.every(item => item && typeof item === "object" && typeof item.uri === "string");
+}
+
+/**
+ * Function to read the photos and videos of a stored photo/video value.
+ * Accepts the JSON list, the older single object, or plain URIs separated by semicolons or
+ * line breaks, as exports write them.
+ *
+ * @param {*} value - The stored value.
+ * @returns {Array} - Items as { uri, type, caption, timestamp }, empty when there are none.
+ */
+export function readMediaItems(value) {
+  if (value === undefined || value === null || value === "") return [];
+
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = value.split(/[;\n]/);
+    }
+  }
+
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  return items.map(toMediaItem).filter(Boolean);
+}
+
+/**
+ * Function to turn a list of media items into the value stored for a field.
+ *
+ * @param {Array} items - The items, in display order.
+ * @returns {string} - JSON text, or an empty string when there are no items so the field reads as unanswered.
+ */
+export function serializeMediaItems(items) {
+  return items.length > 0 ? JSON.stringify(items) : "";
+}
+
+/**
+ * Function to build a media item from an asset returned by the camera or photo library.
+ *
+ * @param {object} asset - An expo-image-picker asset.
+ * @returns {object} - The item to store.
+ */
+export function createMediaItem(asset) {
+  const item = {
+    uri: asset.uri,
+    type: asset.type === "video" ? "video" : "image",
+    caption: "",
+    timestamp: new Date().toISOString(),
+  };
+  if (asset.mimeType) item.mimeType = asset.mimeType;
+  if (asset.fileSize) item.size = asset.fileSize;
+  return item;
+}
+
+/**
+ * Function to move a media item one place earlier or later.
+ *
+ * @param {Array} items - The items, in display order.
+ * @param {number} index - Position of the item to move.
+ * @param {number} offset - -1 to move it earlier, 1 to move it later.
+ * @returns {Array} - A reordered copy, or the same items when the move would leave the list.
+ */
+export function moveMediaItem(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+
+  const reordered = [...items];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+/**
+ * Function to summarise a list of media items in a few words.
+ *
+ * @param {Array} items - The items.
+ * @returns {string} - e.g. "2 photos, 1 video", or "No media".
+ */
+export function describeMediaItems(items) {
+  const count = (type) => items.filter(item => item.type === type).length;
+  const parts = [
+    [count("image"), "photo"],
+    [count("video"), "video"],
+  ]
+    .filter(([total]) => total > 0)
+    .map(([total, noun]) => `${total} ${noun}${total === 1 ? "" : "s"}`);
+
+  return parts.length > 0 ? parts.join(", ") : "No media";
+}
+
+/**
+ * Function to gather the photos and videos of several records into one list, so a viewer can
+ * swipe through all of them. Items follow the records' order, then the fields' order.
+ *
+ * @param {Array} records - Records with a values object, e.g. the filtered record list.
+ * @param {Array} fields - The form's field definitions; only photo/video fields are read.
+ * @returns {Array} - Media items, each with the recordId, fieldName and position (index within the field) it came from.
+ */
+export function collectRecordMedia(records, fields) {
+  const mediaFields = fields
+    .filter(field => field.field_type === "photo/video")
+    .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0));
+
+  return records.flatMap(record => mediaFields.flatMap(field =>
+    readMediaItems(record.values?.[field.name]).map((item, position) => ({
+      ...item,
+      recordId: record.id,
+      fieldName: field.name,
+      position,
+    }))
+  ));
+}
+
+// PHOTO SETTINGS
+// A photo/video field's options may set how photos are prepared before they are kept:
+//   maxDimension       - longest side in pixels photos are scaled down to (DEFAULT_MAX_DIMENSION)
+//   quality            - JPEG quality from 0.1 to 1 (DEFAULT_PHOTO_QUALITY)
+//   crop               - a CROP_OPTIONS value to crop each photo as it is picked, absent for none
+//   exifLocationField  - a location field filled in from where the photo was taken
+//   exifTimeField      - a date, time or date & time field filled in from when it was taken
+// Every photo is re-encoded, which turns it the right way up and drops its EXIF data, GPS included.
+
+// Option keys that hold a field's photo settings
+export const PHOTO_OPTION_KEYS = ["maxDimension", "quality", "crop", "exifLocationField", "exifTimeField"];
+
+// Longest side photos are scaled down to, and the sizes a field may choose from
+export const DEFAULT_MAX_DIMENSION = 2048;
+export const MIN_MAX_DIMENSION = 320;
+export const MAX_MAX_DIMENSION = 8000;
+
+// JPEG quality photos are saved at
+export const DEFAULT_PHOTO_QUALITY = 0.8;
+
+// Crops offered when picking a photo; aspect is width and height, null for any shape
+export const CROP_OPTIONS = [
+  { value: "free", label: "Free", aspect: null },
+  { value: "1:1", label: "Square", aspect: [1, 1] },
+  { value: "4:3", label: "4:3", aspect: [4, 3] },
+  { value: "16:9", label: "16:9", aspect: [16, 9] },
+];
+
+/**
+ * Function to get the photo settings of a photo/video field, with defaults filled in.
+ *
+ * @param {object} field - The field definition.
+ * @returns {object} - { maxDimension, quality, crop, exifLocationField, exifTimeField }; crop is a
+ *   CROP_OPTIONS entry or null, the field names are null when not set.
+ */
+export function getPhotoSettings(field) {
+  const options = field?.options || {};
+  return {
+    maxDimension: Number.isInteger(options.maxDimension) ? options.maxDimension : DEFAULT_MAX_DIMENSION,
+    quality: typeof options.quality === "number" ? options.quality : DEFAULT_PHOTO_QUALITY,
+    crop: CROP_OPTIONS.find(option => option.value === options.crop) || null,
+    exifLocationField: options.exifLocationField || null,
+    exifTimeField: options.exifTimeField || null,
+  };
+}
+
+/**
+ * Function to turn a field's photo options into editable text, for the settings editor.
+ *
+ * @param {object} [options] - The field's options.
+ * @returns {object} - { maxDimension, quality, crop, exifLocationField, exifTimeField }, numbers as text.
+ */
+export function getPhotoOptionsDraft(options = {}) {
+  return {
+    maxDimension: options.maxDimension !== undefined ? String(options.maxDimension) : "",
+    quality: options.quality !== undefined ? String(options.quality) : "",
+    crop: options.crop || null,
+    exifLocationField: options.exifLocationField || null,
+    exifTimeField: options.exifTimeField || null,
+  };
+}
+
+/**
+ * Function to turn edited photo settings back into field options, leaving out anything not set.
+ *
+ * @param {object} draft - Settings as returned by getPhotoOptionsDraft.
+ * @returns {object} - The photo options to store; check them with validatePhotoOptions.
+ */
+export function parsePhotoOptionsDraft(draft) {
+  const options = {};
+  if (draft.maxDimension.trim() !== "") options.maxDimension = Number(draft.maxDimension.trim());
+  if (draft.quality.trim() !== "") options.quality = Number(draft.quality.trim());
+  if (draft.crop) options.crop = draft.crop;
+  if (draft.exifLocationField) options.exifLocationField = draft.exifLocationField;
+  if (draft.exifTimeField) options.exifTimeField = draft.exifTimeField;
+  return options;
+}
+
+/**
+ * Function to list the problems with a photo/video field's photo options.
+ *
+ * @param {object} options - The field's options.
+ * @param {Array} fields - The form's other fields, which the EXIF options may name.
+ * @returns {Array<string>} - Problems, empty when the options are usable.
+ */
+export function validatePhotoOptions(options, fields) {
+  const problems = [];
+  const { maxDimension, quality, crop, exifLocationField, exifTimeField } = options || {};
+
+  if (maxDimension !== undefined &&
+    (!Number.isInteger(maxDimension) || maxDimension < MIN_MAX_DIMENSION || maxDimension > MAX_MAX_DIMENSION)) {
+    problems.push(`maxDimension must be a whole number of pixels from ${MIN_MAX_DIMENSION} to ${MAX_MAX_DIMENSION}`);
+  }
+  if (quality !== undefined && (typeof quality !== "number" || !(quality >= 0.1 && quality <= 1))) {
+    problems.push("quality must be a number from 0.1 to 1");
+  }
+  if (crop !== undefined && !CROP_OPTIONS.some(option => option.value === crop)) {
+    problems.push(`crop must be one of: ${CROP_OPTIONS.map(option => option.value).join(", ")}`);
+  }
+  if (exifLocationField !== undefined &&
+    !fields.some(field => field.name === exifLocationField && field.field_type === "location")) {
+    problems.push(`exifLocationField "${exifLocationField}" is not a location field of this form`);
+  }
+  if (exifTimeField !== undefined &&
+    !fields.some(field => field.name === exifTimeField && DATE_TYPES.includes(field.field_type))) {
+    problems.push(`exifTimeField "${exifTimeField}" is not a date or time field of this form`);
+  }
+
+  return problems;
+}
+
+/**
+ * Function to work out the size a photo is scaled down to.
+ *
+ * @param {number} width - The photo's width in pixels.
+ * @param {number} height - The photo's height in pixels.
+ * @param {number} maxDimension - The longest side allowed.
+ * @returns {object|null} - { width, height }, or null when the photo is small enough already.
+ */
+export function getScaledSize(width, height, maxDimension) {
+  const longest = Math.max(width, height);
+  if (!width || !height || longest <= maxDimension) return null;
+
+  const scale = maxDimension / longest;
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Reads an EXIF number written as a number, "numerator/denominator" text or degrees, minutes and
+// seconds (a list, or comma separated text as Android writes it)
+const readExifNumber = (value) => {
+  if (typeof value === "number") return value;
+
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const numbers = parts.map(part => {
+    if (typeof part === "number") return part;
+    const [numerator, denominator] = String(part).trim().split("/").map(Number);
+    return denominator ? numerator / denominator : numerator;
+  });
+  if (numbers.length === 0 || numbers.some(number => !Number.isFinite(number))) return NaN;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  return degrees + minutes / 60 + seconds / 3600;
+};
+
+/**
+ * Function to read where a photo was taken from the EXIF data the image picker returns.
+ * iOS nests GPS values under "{GPS}", Android uses flat "GPS..." keys.
+ *
+ * @param {object|null} exif - The asset's exif object.
+ * @returns {object|null} - { latitude, longitude } to six decimal places, or null when there is no position.
+ */
+export function readExifLocation(exif) {
+  if (!exif || typeof exif !== "object") return null;
+  const gps = exif["{GPS}"] || exif;
+
+  let latitude = readExifNumber(gps.Latitude ?? gps.GPSLatitude);
+  let longitude = readExifNumber(gps.Longitude ?? gps.GPSLongitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  if (/^s/i.test(gps.LatitudeRef ?? gps.GPSLatitudeRef ?? "")) latitude = -Math.abs(latitude);
+  if (/^w/i.test(gps.LongitudeRef ?? gps.GPSLongitudeRef ?? "")) longitude = -Math.abs(longitude);
+
+  // Cameras without a fix write 0, 0
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) return null;
+
+  return { latitude: parseFloat(latitude.toFixed(6)), longitude: parseFloat(longitude.toFixed(6)) };
+}
+
+/**
+ * Function to read when a photo was taken from the EXIF data the image picker returns.
+ * EXIF times are "YYYY:MM:DD HH:MM:SS" in the camera's local time.
+ *
+ * @param {object|null} exif - The asset's exif object.
+ * @returns {Date|null} - The capture time, or null when the photo does not say.
+ */
+export function readExifTakenAt(exif) {
+  if (!exif || typeof exif !== "object") return null;
+  const text = exif["{Exif}"]?.DateTimeOriginal ?? exif.DateTimeOriginal ?? exif["{TIFF}"]?.DateTime ?? exif.DateTime;
+
+  const match = String(text ?? "").match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds = 0] = match.slice(1).map(part => Number(part ?? 0));
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return isNaN(date.getTime()) ? null : date;
+}
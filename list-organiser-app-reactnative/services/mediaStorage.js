@@ -0,0 +1,336 @@
+import { Directory, File, Paths } from "expo-file-system";
+import * as LegacyFileSystem from "expo-file-system/legacy";
+import { ImageManipulator, SaveFormat } from "expo-image-manipulator";
+import * as MediaLibrary from "expo-media-library";
+import * as Sharing from "expo-sharing";
+import { getActiveCredentials, notifyUnauthorized } from "./auth";
+import {
+  getFileExtension, getMediaMimeType, getPhotoSettings, getScaledSize, isLocalMediaUri, isMediaValue, readMediaItems,
+  serializeMediaItems
+} from "./media";
+
+// MEDIA STORAGE
+// Photos and videos are captured as files on the device, which nobody else can open and which
+// are lost when the app is reinstalled. Before a record is written to the server each local file
+// is uploaded to the media server with PUT <mediaUrl>/<username>/<file name>, which answers with
+// { url, size, mimeType }, and the item's uri becomes that durable URL. A small JPEG thumbnail of
+// every photo is kept in the cache directory so galleries still show something offline.
+
+// Upload attempts per file, and the wait before the first retry (doubled for each one after)
+const MAX_UPLOAD_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Width of cached thumbnails, enough for the largest gallery tile
+const THUMBNAIL_WIDTH = 600;
+
+// Thumbnails being made right now, so one image is not downloaded twice at once
+const pendingThumbnails = new Map();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short stable name for a URL, used as the thumbnail's file name
+const hashText = (text) => {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++) {
+    hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+  }
+  return `${hash.toString(16)}-${text.length}`;
+};
+
+const thumbnailDirectory = () => new Directory(Paths.cache, "media-thumbnails");
+const thumbnailFile = (uri) => new File(thumbnailDirectory(), `${hashText(uri)}.jpg`);
+
+// Error for a media server that cannot be reached, tagged like the REST adapter's fetch errors so
+// isOfflineError treats a failed upload like any other missing connection
+const unreachableError = (error) => {
+  const offline = new Error(`Could not reach the media server: ${error?.message || error}`);
+  offline.offline = true;
+  return offline;
+};
+
+// Error for an upload the media server refused, keeping the status like the REST adapter does
+const rejectedError = (result) => {
+  const error = new Error(`Media upload failed! status: ${result.status} – ${result.body}`);
+  error.status = result.status;
+  if (result.status === 401) {
+    notifyUnauthorized();
+  }
+  return error;
+};
+
+/**
+ * Function to prepare a freshly picked photo for keeping, using its field's photo settings.
+ * The photo is scaled down to the field's largest size and saved as a JPEG at its quality. Saving
+ * writes the pixels the right way up, so photos whose EXIF orientation says to rotate them show
+ * correctly everywhere, and it leaves the EXIF data (GPS position included) out of the new file.
+ *
+ * @param {object} asset - Image asset from the image picker.
+ * @param {object} field - The photo/video field the photo is for.
+ * @returns {Promise<object>} - The asset with the uri, size and type of the prepared file.
+ */
+export async function preparePhoto(asset, field) {
+  const { maxDimension, quality } = getPhotoSettings(field);
+
+  // Rendering applies the EXIF orientation, so the size read here is the upright one
+  let image = await ImageManipulator.manipulate(asset.uri).renderAsync();
+  const scaled = getScaledSize(image.width, image.height, maxDimension);
+  if (scaled) {
+    image = await ImageManipulator.manipulate(image).resize(scaled).renderAsync();
+  }
+  const saved = await image.saveAsync({ format: SaveFormat.JPEG, compress: quality });
+
+  return {
+    ...asset,
+    uri: saved.uri,
+    width: saved.width,
+    height: saved.height,
+    mimeType: "image/jpeg",
+    fileSize: new File(saved.uri).size,
+    exif: null,
+  };
+}
+
+/**
+ * Function to upload one photo or video to the media server.
+ * Connection failures and server errors are retried with a growing delay; an upload the server
+ * refuses (4xx) is not.
+ *
+ * @param {object} item - Media item whose uri is a file on this device.
+ * @param {Function} [onProgress] - Called with the fraction of the file sent, from 0 to 1.
+ * @returns {Promise<object>} - The item with the durable URL as uri, plus size, mimeType and uploadedAt.
+ * @throws Will throw an error if the file is gone, the server refuses it or cannot be reached.
+ */
+export async function uploadMediaItem(item, onProgress = () => {}) {
+  const localFile = item.uri.startsWith("file:") ? new File(item.uri) : null;
+  if (localFile && !localFile.exists) {
+    throw new Error(`The file for "${item.caption || item.uri}" is no longer on this device.`);
+  }
+
+  const { mediaUrl, token, username } = getActiveCredentials();
+  const extension = getFileExtension(item.uri) || (item.type === "video" ? "mp4" : "jpg");
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`;
+  const url = `${mediaUrl}/${encodeURIComponent(username || "shared")}/${fileName}`;
+  const mimeType = getMediaMimeType(item);
+
+  for (let attempt = 1; ; attempt++) {
+    let result = null;
+    try {
+      const task = LegacyFileSystem.createUploadTask(
+        url,
+        item.uri,
+        {
+          httpMethod: "PUT",
+          uploadType: LegacyFileSystem.FileSystemUploadType.BINARY_CONTENT,
+          headers: { "Content-Type": mimeType, Authorization: `Bearer ${token}` },
+        },
+        ({ totalBytesSent, totalBytesExpectedToSend }) => {
+          if (totalBytesExpectedToSend > 0) {
+            onProgress(totalBytesSent / totalBytesExpectedToSend);
+          }
+        }
+      );
+      result = await task.uploadAsync();
+    } catch (error) {
+      if (attempt >= MAX_UPLOAD_ATTEMPTS) throw unreachableError(error);
+    }
+
+    if (result && result.status >= 200 && result.status < 300) {
+      let body = {};
+      try {
+        body = JSON.parse(result.body || "{}");
+      } catch (e) {
+        // The file is stored even when the server does not describe it
+      }
+
+      const uploaded = {
+        ...item,
+        uri: body.url || url,
+        size: body.size ?? item.size ?? localFile?.size ?? null,
+        mimeType: body.mimeType || mimeType,
+        uploadedAt: new Date().toISOString(),
+      };
+
+      // The local file is at hand now, so the thumbnail costs no download
+      if (item.type === "image") {
+        await cacheThumbnail(uploaded.uri, item.uri).catch(() => {});
+      }
+      return uploaded;
+    }
+
+    if (result && (result.status < 500 || attempt >= MAX_UPLOAD_ATTEMPTS)) {
+      throw rejectedError(result);
+    }
+    if (!result && attempt >= MAX_UPLOAD_ATTEMPTS) {
+      throw unreachableError("the upload was cancelled");
+    }
+
+    await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+  }
+}
+
+/**
+ * Function to upload every photo and video of a record that is still a file on this device.
+ * Items that are already uploaded are kept as they are.
+ *
+ * @param {object} values - The record's values, keyed by field name.
+ * @param {Function} [onProgress] - Called with { completed, total, fraction } as files are sent.
+ * @returns {Promise<object>} - The values with media items pointing at their durable URLs.
+ * @throws Will throw the first upload error, carrying the values with the files sent so far as
+ *   error.partialValues so a retry only sends what is still on the device.
+ */
+export async function uploadRecordMedia(values, onProgress = () => {}) {
+  const mediaKeys = Object.keys(values).filter(key => isMediaValue(values[key]));
+  const total = mediaKeys.reduce(
+    (count, key) => count + readMediaItems(values[key]).filter(item => isLocalMediaUri(item.uri)).length,
+    0
+  );
+  if (total === 0) return values;
+
+  const uploadedValues = { ...values };
+  let completed = 0;
+
+  for (const key of mediaKeys) {
+    const original = readMediaItems(values[key]);
+    const items = [];
+    for (const item of original) {
+      if (!isLocalMediaUri(item.uri)) {
+        items.push(item);
+        continue;
+      }
+      onProgress({ completed, total, fraction: completed / total });
+      try {
+        items.push(await uploadMediaItem(item, (sent) => {
+          onProgress({ completed, total, fraction: (completed + sent) / total });
+        }));
+      } catch (error) {
+        error.partialValues = { ...uploadedValues, [key]: serializeMediaItems([...items, ...original.slice(items.length)]) };
+        throw error;
+      }
+      completed++;
+    }
+    uploadedValues[key] = serializeMediaItems(items);
+  }
+
+  onProgress({ completed, total, fraction: 1 });
+  return uploadedValues;
+}
+
+/**
+ * Function to get the cached thumbnail of a photo, if one has been made.
+ *
+ * @param {string} uri - The photo's URI.
+ * @returns {string|null} - URI of the thumbnail file, or null when it is not cached.
+ */
+export function getCachedThumbnailUri(uri) {
+  try {
+    const file = thumbnailFile(uri);
+    return file.exists ? file.uri : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Function to make and cache a thumbnail of a photo for offline viewing.
+ *
+ * @param {string} uri - The photo's URI, which names the thumbnail.
+ * @param {string} [sourceUri] - Where to read the photo from, e.g. the local file of a fresh upload.
+ * @returns {Promise<string>} - URI of the thumbnail file.
+ */
+export async function cacheThumbnail(uri, sourceUri = uri) {
+  const cached = getCachedThumbnailUri(uri);
+  if (cached) return cached;
+  if (pendingThumbnails.has(uri)) return pendingThumbnails.get(uri);
+
+  const task = (async () => {
+    thumbnailDirectory().create({ idempotent: true, intermediates: true });
+
+    // The manipulator only reads local files, so remote photos are downloaded first
+    let download = null;
+    if (!isLocalMediaUri(sourceUri)) {
+      download = await File.downloadFileAsync(sourceUri, new File(Paths.cache, `thumbnail-source-${hashText(uri)}`), {
+        idempotent: true,
+      });
+    }
+
+    try {
+      const context = ImageManipulator.manipulate(download?.uri || sourceUri);
+      context.resize({ width: THUMBNAIL_WIDTH });
+      const image = await context.renderAsync();
+      const saved = await image.saveAsync({ format: SaveFormat.JPEG, compress: 0.7 });
+
+      const target = thumbnailFile(uri);
+      new File(saved.uri).move(target);
+      return target.uri;
+    } finally {
+      if (download?.exists) download.delete();
+    }
+  })();
+
+  pendingThumbnails.set(uri, task);
+  try {
+    return await task;
+  } finally {
+    pendingThumbnails.delete(uri);
+  }
+}
+
+// SHARING AND SAVING
+// The share sheet and the device gallery only take files on the device, so uploaded photos and
+// videos are downloaded to the cache first.
+
+// Downloads an uploaded item to the cache, or returns the file it already is
+const getLocalMediaFile = async (item) => {
+  if (isLocalMediaUri(item.uri)) {
+    return { uri: item.uri, temporary: false };
+  }
+
+  const extension = getFileExtension(item.uri) || (item.type === "video" ? "mp4" : "jpg");
+  const file = await File.downloadFileAsync(item.uri, new File(Paths.cache, `shared-${hashText(item.uri)}.${extension}`), {
+    idempotent: true,
+  });
+  return { uri: file.uri, temporary: true };
+};
+
+/**
+ * Function to open the share sheet for a photo or video.
+ *
+ * @param {object} item - The media item to share.
+ * @returns {Promise<void>}
+ * @throws Will throw an error if sharing is not available or an uploaded file cannot be downloaded.
+ */
+export async function shareMediaItem(item) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device.");
+  }
+
+  const file = await getLocalMediaFile(item);
+  try {
+    await Sharing.shareAsync(file.uri, { mimeType: getMediaMimeType(item), dialogTitle: item.caption || undefined });
+  } finally {
+    // The share sheet is done with the download once it closes
+    if (file.temporary) new File(file.uri).delete();
+  }
+}
+
+/**
+ * Function to save a copy of a photo or video to the device's gallery, asking permission first.
+ *
+ * @param {object} item - The media item to save.
+ * @returns {Promise<void>}
+ * @throws Will throw an error if permission is refused or an uploaded file cannot be downloaded.
+ */
+export async function saveMediaItemToDevice(item) {
+  const { granted } = await MediaLibrary.requestPermissionsAsync(true, ["photo", "video"]);
+  if (!granted) {
+    throw new Error("Photo library permission is required to save photos and videos.");
+  }
+
+  const file = await getLocalMediaFile(item);
+  try {
+    await MediaLibrary.saveToLibraryAsync(file.uri);
+  } finally {
+    // The gallery keeps its own copy
+    if (file.temporary) new File(file.uri).delete();
+  }
+}
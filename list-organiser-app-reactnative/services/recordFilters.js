@@ -0,0 +1,240 @@
+import { DATE_TYPES, isMultiSelect, NUMERIC_TYPES } from "./fieldTypes";
+
+// RECORD FILTERS, SORTING AND SEARCH
+// A filter is { field, operator, value, isNumeric, logic }. value is a list of choices for the
+// multi-select operators and text otherwise. logic joins a filter to the one before it: "and"
+// keeps it in the same group, "or" starts a new group. A record matches when every filter in at
+// least one group matches, so [A, and B, or C] reads as (A AND B) OR C.
+
+// Operators for text values
+export const TEXT_OPERATORS = [
+  { value: 'eq', label: 'Equals' },
+  { value: 'ilike', label: 'Contains' },
+  { value: 'like', label: 'Starts With' },
+];
+
+// Operators for numeric values
+export const NUMERIC_OPERATORS = [
+  { value: 'eq', label: 'Equals' },
+  { value: 'gt', label: 'Greater Than' },
+  { value: 'lt', label: 'Less Than' },
+  { value: 'gte', label: 'Greater or Equal' },
+  { value: 'lte', label: 'Less or Equal' },
+];
+
+// Operators for dates and times, which are stored as text that sorts in time order
+export const DATE_OPERATORS = [
+  { value: 'eq', label: 'On' },
+  { value: 'lt', label: 'Before' },
+  { value: 'gt', label: 'After' },
+  { value: 'lte', label: 'On or Before' },
+  { value: 'gte', label: 'On or After' },
+];
+
+// Operators for checkboxes, compared against "true" or "false"
+export const BOOLEAN_OPERATORS = [
+  { value: 'eq', label: 'Is' },
+];
+
+// Operators for multi-select dropdowns, matching records whose list holds any or all of the chosen values
+export const CHOICE_OPERATORS = [
+  { value: 'any', label: 'Contains Any' },
+  { value: 'all', label: 'Contains All' },
+];
+
+/**
+ * Function to list the record values a filter can target. Text, multiline, dropdown, number,
+ * rating, date, time and checkbox fields are filtered directly; location fields are filtered by
+ * their custom "<field> Name".
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @returns {Array} - Targets as { key, label, isNumeric, kind } where kind is "text", "date", "boolean" or
+ *   "choices"; date targets also carry the fieldType and choices targets the dropdown's choices.
+ */
+export function getFilterTargets(fields) {
+  const targets = [];
+  [...fields]
+    .sort((a, b) => a.order_index - b.order_index)
+    .forEach(field => {
+      if (isMultiSelect(field)) {
+        targets.push({ key: field.name, label: field.name, isNumeric: false, kind: 'choices', choices: field.options?.choices || [] });
+      } else if (['text', 'multiline', 'dropdown'].includes(field.field_type) || NUMERIC_TYPES.includes(field.field_type)) {
+        targets.push({ key: field.name, label: field.name, isNumeric: Boolean(field.is_num), kind: 'text' });
+      } else if (DATE_TYPES.includes(field.field_type)) {
+        targets.push({ key: field.name, label: field.name, isNumeric: false, kind: 'date', fieldType: field.field_type });
+      } else if (field.field_type === 'checkbox') {
+        targets.push({ key: field.name, label: field.name, isNumeric: false, kind: 'boolean' });
+      } else if (field.field_type === 'location') {
+        targets.push({ key: `${field.name} Name`, label: `${field.name} (name)`, isNumeric: false, kind: 'text' });
+      }
+    });
+  return targets;
+}
+
+/**
+ * Function to get the operators available for a filter target.
+ *
+ * @param {object} target - Target from getFilterTargets.
+ * @returns {Array} - Operators as { value, label }.
+ */
+export function getOperatorsForTarget(target) {
+  if (target?.kind === 'date') return DATE_OPERATORS;
+  if (target?.kind === 'boolean') return BOOLEAN_OPERATORS;
+  if (target?.kind === 'choices') return CHOICE_OPERATORS;
+  return target?.isNumeric ? NUMERIC_OPERATORS : TEXT_OPERATORS;
+}
+
+/**
+ * Function to split a filter list into OR-joined groups of AND-joined filters.
+ * The logic of the first filter is ignored.
+ *
+ * @param {Array} filters - Filters in the order the user added them.
+ * @returns {Array<Array>} - Groups of filters.
+ */
+export function groupFilters(filters) {
+  const groups = [];
+  filters.forEach((filter, index) => {
+    if (index === 0 || filter.logic === 'or') {
+      groups.push([filter]);
+    } else {
+      groups[groups.length - 1].push(filter);
+    }
+  });
+  return groups;
+}
+
+// SORTING
+// A sort is { field, direction }. field is a field name or one of the record properties below.
+
+// Record properties that can be sorted on besides the fields
+export const RECORD_SORT_OPTIONS = [
+  { field: '$created', label: 'Created Time' },
+  { field: '$id', label: 'Record ID' },
+];
+
+// Server IDs are numbers; records still waiting to sync have "offline-" IDs and sort after them
+const recordIdNumber = (record) => {
+  const id = Number(record.id);
+  return isNaN(id) ? null : id;
+};
+
+// Reads the value a record is sorted by
+const readSortValue = (record, sortField) => {
+  if (sortField === '$id') return recordIdNumber(record);
+  if (sortField === '$created') {
+    const time = record.created_at ? Date.parse(record.created_at) : NaN;
+    // Rows without a timestamp fall back to their ID, which grows in creation order
+    return isNaN(time) ? recordIdNumber(record) : time;
+  }
+  return record.values?.[sortField];
+};
+
+/**
+ * Function to sort records by a field or record property. Numeric fields (is_num), IDs and created
+ * times compare as numbers, everything else compares as text. Records without a value go last.
+ *
+ * @param {Array} records - The records to sort.
+ * @param {object|null} sort - { field, direction, isNumeric } with direction "asc" or "desc", or null to
+ *   keep the order. isNumeric may be left out when fields are given.
+ * @param {Array} [fields=[]] - The form's field definitions, used to look up is_num.
+ * @returns {Array} - A sorted copy of the records.
+ */
+export function sortRecords(records, sort, fields = []) {
+  if (!sort?.field) return records;
+
+  const isNumeric = sort.field.startsWith('$') || Boolean(sort.isNumeric)
+    || Boolean(fields.find(field => field.name === sort.field)?.is_num);
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  const isMissing = (value) => value === undefined || value === null || value === ''
+    || (isNumeric && isNaN(parseFloat(value)));
+
+  return [...records].sort((a, b) => {
+    const left = readSortValue(a, sort.field);
+    const right = readSortValue(b, sort.field);
+    if (isMissing(left) || isMissing(right)) {
+      return isMissing(left) - isMissing(right);
+    }
+
+    if (isNumeric) {
+      return (parseFloat(left) - parseFloat(right)) * direction;
+    }
+    return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' }) * direction;
+  });
+}
+
+/**
+ * Function to get a display label for a sort.
+ *
+ * @param {object|null} sort - { field, direction } or null.
+ * @returns {string} - e.g. "Title (A-Z)" or "Default order".
+ */
+export function describeSort(sort) {
+  if (!sort?.field) return 'Default order';
+  const option = RECORD_SORT_OPTIONS.find(item => item.field === sort.field);
+  return `${option ? option.label : sort.field} (${sort.direction === 'desc' ? 'descending' : 'ascending'})`;
+}
+
+// SEARCH
+/**
+ * Function to list the record value keys a search looks in: text, multiline and dropdown fields
+ * and the "<field> Name" of location fields.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @returns {Array<string>} - Record value keys.
+ */
+export function getSearchableKeys(fields) {
+  const keys = [];
+  fields.forEach(field => {
+    if (['text', 'multiline', 'dropdown'].includes(field.field_type)) {
+      keys.push(field.name);
+    } else if (field.field_type === 'location') {
+      keys.push(`${field.name} Name`);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Function to keep the records where any of the given values contains the search text, ignoring case.
+ *
+ * @param {Array} records - The records to search.
+ * @param {object|null} search - { text, keys } where keys come from getSearchableKeys.
+ * @returns {Array} - Matching records, in their original order.
+ */
+export function searchRecords(records, search) {
+  const needle = search?.text?.trim().toLowerCase();
+  if (!needle) return records;
+
+  const keys = search.keys || [];
+  return records.filter(record => keys.some(key => {
+    const value = record.values?.[key];
+    return value !== undefined && value !== null && String(value).toLowerCase().includes(needle);
+  }));
+}
+
+/**
+ * Function to split text around every case-insensitive occurrence of the query, for highlighting.
+ *
+ * @param {string} text - The text to split.
+ * @param {string} query - The search text.
+ * @returns {Array} - Parts as { text, match }.
+ */
+export function splitSearchMatches(text, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [{ text, match: false }];
+
+  const parts = [];
+  const haystack = text.toLowerCase();
+  let start = 0;
+  let index = haystack.indexOf(needle);
+
+  while (index !== -1) {
+    if (index > start) parts.push({ text: text.slice(start, index), match: false });
+    parts.push({ text: text.slice(index, index + needle.length), match: true });
+    start = index + needle.length;
+    index = haystack.indexOf(needle, start);
+  }
+  if (start < text.length) parts.push({ text: text.slice(start), match: false });
+
+  return parts;
+}
@@ -0,0 +1,402 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getActiveProfile, subscribeToProfile } from "./auth";
+
+// OFFLINE WRITE QUEUE
+// Writes that fail for lack of a connection are stored here and replayed in order once the
+// connection returns. Updates and deletes keep the last version of the row the user saw, so a
+// replay can detect that the server changed in the meantime and park the write as a conflict.
+// Each account profile has its own queue, so one account's writes are never sent with another's
+// credentials; switching profile swaps the queue and forgets the rows the last account saw.
+
+// Keys for the persisted queue and the map from offline placeholder ids to server ids, followed by
+// the profile ID. Before queues were per profile they were kept under these keys alone
+const QUEUE_KEY = "@formbase/syncQueue";
+const ID_MAP_KEY = "@formbase/syncIdMap";
+
+// Profile whose queue is in use, "signed-out" for writes made while signed out
+const profileScope = () => getActiveProfile()?.id || "signed-out";
+const queueKey = (scope = profileScope()) => `${QUEUE_KEY}/${scope}`;
+const idMapKey = (scope = profileScope()) => `${ID_MAP_KEY}/${scope}`;
+
+// Prefix of the placeholder ids handed out for rows created while offline
+const TEMP_ID_PREFIX = "offline-";
+
+// Write operations that can be queued, the table they touch and what kind of write they are
+export const QUEUED_OPERATIONS = {
+  createForm: { table: "form", kind: "create", label: "Create form" },
+  updateForm: { table: "form", kind: "update", label: "Update form" },
+  deleteForm: { table: "form", kind: "delete", label: "Delete form" },
+  insertField: { table: "field", kind: "create", label: "Add field" },
+  updateField: { table: "field", kind: "update", label: "Update field" },
+  deleteField: { table: "field", kind: "delete", label: "Delete field" },
+  insertRecord: { table: "record", kind: "create", label: "Add record" },
+  updateRecord: { table: "record", kind: "update", label: "Update record" },
+  deleteRecord: { table: "record", kind: "delete", label: "Delete record" },
+};
+
+// Adapter lookups used to fetch the server's current version of a row during replay
+const GETTERS = { form: "getFormById", field: "getFieldById", record: "getRecordById" };
+
+// Last version of each row read from the server, used as the conflict baseline for queued writes
+const lastSeenRows = { form: {}, field: {}, record: {} };
+
+const listeners = new Set();
+let queueLock = Promise.resolve();
+let activeReplay = null;
+
+// Runs queue mutations one at a time so parallel writes do not overwrite each other
+const withQueueLock = (task) => {
+  const run = queueLock.then(task, task);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+const readQueue = async (scope = profileScope()) => {
+  const raw = await AsyncStorage.getItem(queueKey(scope));
+  return raw ? JSON.parse(raw) : [];
+};
+
+// Listeners only hear about the queue of the profile in use
+const writeQueue = async (queue, scope = profileScope()) => {
+  await AsyncStorage.setItem(queueKey(scope), JSON.stringify(queue));
+  if (scope === profileScope()) {
+    listeners.forEach(listener => listener(queue));
+  }
+};
+
+const readIdMap = async (scope = profileScope()) => {
+  const raw = await AsyncStorage.getItem(idMapKey(scope));
+  return raw ? JSON.parse(raw) : {};
+};
+
+// Moves a queue saved before queues were per profile to the profile it was most likely made with
+const adoptUnscopedQueue = async (scope) => {
+  const [raw, idMap] = await Promise.all([AsyncStorage.getItem(QUEUE_KEY), AsyncStorage.getItem(ID_MAP_KEY)]);
+  if (!raw) return;
+  await withQueueLock(async () => {
+    await writeQueue([...await readQueue(scope), ...JSON.parse(raw)], scope);
+    if (idMap) {
+      await AsyncStorage.setItem(idMapKey(scope), JSON.stringify({ ...await readIdMap(scope), ...JSON.parse(idMap) }));
+    }
+    await AsyncStorage.multiRemove([QUEUE_KEY, ID_MAP_KEY]);
+  });
+};
+
+// On a profile switch the last account's rows stop being a baseline and screens get the new queue
+let currentScope = null;
+subscribeToProfile((profile) => {
+  const scope = profileScope();
+  if (scope === currentScope) return;
+  currentScope = scope;
+  Object.keys(lastSeenRows).forEach(table => {
+    lastSeenRows[table] = {};
+  });
+  (profile ? adoptUnscopedQueue(scope) : Promise.resolve())
+    .then(() => readQueue(scope))
+    .then(queue => listeners.forEach(listener => listener(queue)))
+    .catch(() => {});
+});
+
+/**
+ * Function to check whether an id is the placeholder of a row created offline and not yet synced.
+ *
+ * @param {*} value - The id to check.
+ * @returns {boolean} - True for "offline-" ids.
+ */
+export function isTempId(value) {
+  return typeof value === "string" && value.startsWith(TEMP_ID_PREFIX);
+}
+
+// Swaps offline placeholder ids in operation arguments for the ids the server assigned
+const resolveTempIds = (args, idMap) => args.map(arg => {
+  if (isTempId(arg)) return idMap[arg] ?? arg;
+  if (arg && typeof arg === "object" && isTempId(arg.form_id)) {
+    return { ...arg, form_id: idMap[arg.form_id] ?? arg.form_id };
+  }
+  return arg;
+});
+
+// Whether arguments still point at a row that has not reached the server yet
+const hasUnresolvedTempId = (args) =>
+  args.some(arg => isTempId(arg) || (arg && typeof arg === "object" && isTempId(arg.form_id)));
+
+// Identifies the row an entry writes to, so later writes to the same row wait behind a conflict
+const targetKey = (entry, idMap) => {
+  const { table, kind } = QUEUED_OPERATIONS[entry.operation];
+  const id = kind === "create" ? entry.tempId : entry.args[0];
+  return `${table}:${idMap[id] ?? id}`;
+};
+
+// Compares the baseline the user edited against the server's current row
+const hasChangedSince = (base, server, keys) =>
+  keys.some(key => JSON.stringify(base[key]) !== JSON.stringify(server[key]));
+
+/**
+ * Function to tell a missing connection apart from an error returned by the server or a bug.
+ * Only errors the REST adapter and media uploads tag with offline: true count, so a code error
+ * is reported rather than queued as if the device were offline.
+ *
+ * @param {Error} error - Error thrown by a storage adapter.
+ * @returns {boolean} - True when the request never reached the server.
+ */
+export function isOfflineError(error) {
+  return error?.offline === true && !error.status;
+}
+
+/**
+ * Function to remember rows read from the server as the baseline for conflict detection.
+ *
+ * @param {string} table - The table the rows came from ("form", "field" or "record").
+ * @param {Array} rows - Rows returned by the server.
+ * @returns {void}
+ */
+export function rememberRows(table, rows) {
+  if (!Array.isArray(rows)) return;
+  rows.forEach(row => {
+    if (row && row.id !== undefined) {
+      lastSeenRows[table][String(row.id)] = row;
+    }
+  });
+}
+
+/**
+ * Function to get the queued writes, in the order they will be replayed.
+ *
+ * @returns {Promise<Array>} - Array of queue entries.
+ */
+export async function getSyncQueue() {
+  return readQueue();
+}
+
+/**
+ * Function to check whether a write has to wait in the queue rather than go straight to the server:
+ * while any write is pending, or when the row it touches still has a write parked as a conflict or
+ * failure. Sending it past a parked write would let "Keep mine" later replay the older change over it.
+ *
+ * @param {string} operation - Name of the adapter write function.
+ * @param {Array} args - Arguments of the write.
+ * @returns {Promise<boolean>} - True when the write must be queued.
+ */
+export async function mustQueueWrite(operation, args) {
+  const queue = await readQueue();
+  if (queue.length === 0) return false;
+  if (queue.some(entry => entry.status === "pending")) return true;
+
+  const idMap = await readIdMap();
+  if (hasUnresolvedTempId(resolveTempIds(args, idMap))) return true;
+  if (QUEUED_OPERATIONS[operation].kind === "create") return false;
+
+  const target = targetKey({ operation, args }, idMap);
+  return queue.some(entry => targetKey(entry, idMap) === target);
+}
+
+/**
+ * Function to listen for queue changes, e.g. to show a pending-sync badge.
+ * The listener is called straight away with the current queue.
+ *
+ * @param {Function} listener - Called with the queue array on every change.
+ * @returns {Function} - Unsubscribe function.
+ */
+export function subscribeToSyncQueue(listener) {
+  listeners.add(listener);
+  readQueue().then(listener).catch(() => {});
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Function to store a write for later and return an optimistic result shaped like the adapter's.
+ * Results carry pending: true so screens can tell the user the change is waiting to sync.
+ *
+ * @param {string} operation - Name of the adapter write function, e.g. "insertRecord".
+ * @param {Array} args - Arguments the write was called with.
+ * @returns {Promise<Array|object>} - Optimistic result.
+ */
+export async function enqueueWrite(operation, args) {
+  const { table, kind } = QUEUED_OPERATIONS[operation];
+
+  const entry = await withQueueLock(async () => {
+    const scope = profileScope();
+    const queue = await readQueue(scope);
+    const newEntry = {
+      id: `${Date.now()}-${queue.length}`,
+      operation,
+      args,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+    };
+
+    if (kind === "create") {
+      newEntry.tempId = `${TEMP_ID_PREFIX}${newEntry.id}`;
+    } else {
+      newEntry.base = lastSeenRows[table][String(args[0])] || null;
+    }
+
+    await writeQueue([...queue, newEntry], scope);
+    return newEntry;
+  });
+
+  if (kind === "create") {
+    const body = operation === "createForm" ? args[0] : { ...args[1], form_id: args[0] };
+    return [{ ...body, id: entry.tempId, pending: true }];
+  }
+  if (kind === "update") {
+    // Later queued writes to this row build on this change, so it becomes their baseline
+    const optimisticRow = { ...(entry.base || {}), ...args[1], id: args[0] };
+    lastSeenRows[table][String(args[0])] = optimisticRow;
+    return [{ ...optimisticRow, pending: true }];
+  }
+  return { success: true, message: "Deletion will sync when you are back online", pending: true };
+}
+
+// Sends one entry to the server, checking first whether the row changed since the user saw it
+const applyEntry = async (adapter, entry, args, prepareArgs) => {
+  const { table, kind } = QUEUED_OPERATIONS[entry.operation];
+
+  if (kind !== "create" && !entry.force) {
+    const [server] = await adapter[GETTERS[table]](args[0]);
+    if (!server) {
+      // Deleting something that is already gone is not a conflict
+      if (kind === "delete") return {};
+      return { conflict: { reason: "Deleted on the server", server: null } };
+    }
+    const keys = kind === "update" ? Object.keys(args[1]) : Object.keys(entry.base || {});
+    if (entry.base && hasChangedSince(entry.base, server, keys)) {
+      return { conflict: { reason: "Changed on the server", server } };
+    }
+  }
+
+  const result = await adapter[entry.operation](...await prepareArgs(entry.operation, args));
+  rememberRows(table, result);
+  return { createdId: Array.isArray(result) ? result[0]?.id : undefined };
+};
+
+// Updates one entry in a profile's persisted queue
+const patchEntry = (entryId, changes, scope = profileScope()) => withQueueLock(async () => {
+  const queue = await readQueue(scope);
+  await writeQueue(queue.map(entry => (entry.id === entryId ? { ...entry, ...changes } : entry)), scope);
+});
+
+// Removes one entry from a profile's persisted queue
+const removeEntry = (entryId, scope = profileScope()) => withQueueLock(async () => {
+  const queue = await readQueue(scope);
+  await writeQueue(queue.filter(entry => entry.id !== entryId), scope);
+});
+
+/**
+ * Function to replay the active profile's queued writes in order against the server.
+ * Stops at the first connection failure or when the profile changes, parks writes the server rejects
+ * as "failed" and writes whose row changed on the server as "conflict". Later writes to a parked
+ * row wait behind it.
+ *
+ * @param {object} adapter - The REST storage adapter to replay against.
+ * @param {Function} [prepareArgs] - Async (operation, args) => args, run just before each write is sent,
+ *   e.g. to upload media files the write refers to. If it fails part way it can attach the arguments
+ *   with the work done so far as error.partialArgs, which the entry keeps for the next replay.
+ * @returns {Promise<object>} - { synced, remaining } counts.
+ */
+export async function replaySyncQueue(adapter, prepareArgs = async (operation, args) => args) {
+  if (activeReplay) return activeReplay;
+
+  activeReplay = (async () => {
+    // The adapter sends the active profile's credentials, so only that profile's writes are replayed
+    const scope = profileScope();
+    const idMap = await readIdMap(scope);
+    const attempted = new Set();
+    const blocked = new Set();
+    let synced = 0;
+    let entry;
+
+    while ((entry = (await readQueue(scope)).find(item => !attempted.has(item.id)))) {
+      if (profileScope() !== scope) break;
+      attempted.add(entry.id);
+      const target = targetKey(entry, idMap);
+      const args = resolveTempIds(entry.args, idMap);
+
+      if (entry.status !== "pending" || blocked.has(target) || hasUnresolvedTempId(args)) {
+        blocked.add(target);
+        continue;
+      }
+
+      try {
+        const outcome = await applyEntry(adapter, entry, args, prepareArgs);
+
+        if (outcome.conflict) {
+          await patchEntry(entry.id, { status: "conflict", ...outcome.conflict }, scope);
+          blocked.add(target);
+          continue;
+        }
+
+        if (entry.tempId && outcome.createdId !== undefined) {
+          idMap[entry.tempId] = outcome.createdId;
+          await AsyncStorage.setItem(idMapKey(scope), JSON.stringify(idMap));
+        }
+        await removeEntry(entry.id, scope);
+        synced++;
+      } catch (error) {
+        if (error.partialArgs) {
+          await patchEntry(entry.id, { args: error.partialArgs }, scope);
+        }
+        if (isOfflineError(error)) break;
+        await patchEntry(entry.id, { status: "failed", reason: error.message }, scope);
+        blocked.add(target);
+      }
+    }
+
+    const remaining = (await readQueue(scope)).length;
+    if (remaining === 0) {
+      await AsyncStorage.removeItem(idMapKey(scope));
+    }
+    return { synced, remaining };
+  })();
+
+  try {
+    return await activeReplay;
+  } finally {
+    activeReplay = null;
+  }
+}
+
+/**
+ * Function to resolve a conflict. "mine" sends the queued write anyway on the next sync,
+ * "server" drops it and keeps the server's version.
+ *
+ * @param {string} entryId - ID of the queue entry in conflict.
+ * @param {string} choice - Either "mine" or "server".
+ * @returns {Promise<void>}
+ */
+export async function resolveConflict(entryId, choice) {
+  if (choice === "mine") {
+    await patchEntry(entryId, { status: "pending", force: true, reason: undefined, server: undefined });
+  } else {
+    await discardQueuedWrite(entryId);
+  }
+}
+
+/**
+ * Function to put a failed write back in line for the next sync.
+ *
+ * @param {string} entryId - ID of the failed queue entry.
+ * @returns {Promise<void>}
+ */
+export async function retryQueuedWrite(entryId) {
+  await patchEntry(entryId, { status: "pending", reason: undefined });
+}
+
+/**
+ * Function to drop a queued write. Writes that depend on a discarded offline-created row
+ * (e.g. fields of a form that will never be created) are dropped with it.
+ *
+ * @param {string} entryId - ID of the queue entry to drop.
+ * @returns {Promise<void>}
+ */
+export async function discardQueuedWrite(entryId) {
+  await withQueueLock(async () => {
+    const scope = profileScope();
+    const queue = await readQueue(scope);
+    const discarded = queue.find(entry => entry.id === entryId);
+    const dependsOnDiscarded = (entry) => !!discarded?.tempId && entry.args.some(arg =>
+      arg === discarded.tempId || (arg && typeof arg === "object" && arg.form_id === discarded.tempId)
+    );
+    await writeQueue(queue.filter(entry => entry.id !== entryId && !dependsOnDiscarded(entry)), scope);
+  });
+}
@@ -0,0 +1,74 @@
+// FORM TEMPLATES
+// Ready-made form definitions for the template gallery. Fields use the same shape as AddField
+// sends to insertField; order_index is assigned from the array position when the form is created.
+
+export const FORM_TEMPLATES = [
+  {
+    id: "inventory",
+    name: "Inventory",
+    description: "Track stock items, quantities and where they are stored.",
+    icon: "package",
+    fields: [
+      { name: "Item", field_type: "text", required: true, is_num: false },
+      { name: "Category", field_type: "dropdown", required: false, is_num: false, options: { choices: ["Equipment", "Supplies", "Furniture", "Electronics", "Other"] } },
+      { name: "Quantity", field_type: "text", required: true, is_num: true },
+      { name: "Unit Price", field_type: "text", required: false, is_num: true },
+      { name: "Total Value", field_type: "computed", required: false, is_num: true, options: { formula: "[Quantity] * [Unit Price]", decimals: 2 } },
+      { name: "Storage Location", field_type: "text", required: false, is_num: false },
+      { name: "Photo", field_type: "photo/video", required: false, is_num: false },
+    ],
+  },
+  {
+    id: "site-inspection",
+    name: "Site Inspection",
+    description: "Record inspection findings with location, condition rating and photos.",
+    icon: "clipboard",
+    fields: [
+      { name: "Site", field_type: "text", required: true, is_num: false },
+      { name: "Inspector", field_type: "text", required: true, is_num: false },
+      { name: "Location", field_type: "location", required: false, is_num: false },
+      { name: "Condition", field_type: "dropdown", required: true, is_num: false, options: { choices: ["Good", "Fair", "Poor", "Unsafe"] } },
+      { name: "Hazard Details", field_type: "multiline", required: true, is_num: false, options: { showWhen: { field: "Condition", operator: "eq", value: "Unsafe" } } },
+      { name: "Findings", field_type: "multiline", required: false, is_num: false },
+      { name: "Photo", field_type: "photo/video", required: false, is_num: false },
+    ],
+  },
+  {
+    id: "book-log",
+    name: "Book Log",
+    description: "Keep a reading list with authors, genres and ratings.",
+    icon: "book-open",
+    fields: [
+      { name: "Title", field_type: "text", required: true, is_num: false },
+      { name: "Author", field_type: "text", required: true, is_num: false },
+      { name: "Genre", field_type: "dropdown", required: false, is_num: false, options: { choices: ["Fiction", "Non-fiction", "Fantasy", "Science Fiction", "Mystery", "Biography"] } },
+      { name: "Pages", field_type: "text", required: false, is_num: true },
+      { name: "Rating", field_type: "rating", required: false, is_num: true, options: { max: 5 } },
+      { name: "Notes", field_type: "multiline", required: false, is_num: false },
+    ],
+  },
+  {
+    id: "bird-sighting",
+    name: "Bird Sighting",
+    description: "Log bird sightings with species, count, location and a photo.",
+    icon: "feather",
+    fields: [
+      { name: "Species", field_type: "text", required: true, is_num: false },
+      { name: "Count", field_type: "text", required: true, is_num: true },
+      { name: "Habitat", field_type: "dropdown", required: false, is_num: false, options: { choices: ["Forest", "Wetland", "Grassland", "Coastal", "Urban"] } },
+      { name: "Location", field_type: "location", required: false, is_num: false },
+      { name: "Photo", field_type: "photo/video", required: false, is_num: false },
+      { name: "Notes", field_type: "multiline", required: false, is_num: false },
+    ],
+  },
+];
+
+/**
+ * Function to look up a template by its ID.
+ *
+ * @param {string} templateId - The template ID.
+ * @returns {object|undefined} - The template, or undefined when there is none with that ID.
+ */
+export function getTemplateById(templateId) {
+  return FORM_TEMPLATES.find(template => template.id === templateId);
+}
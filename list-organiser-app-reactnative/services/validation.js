@@ -0,0 +1,307 @@
+import {
+  DATE_TYPES, getRatingMax, isMultiSelect, parseStoredDateValue, readChoiceValues, toStoredDateValue
+} from "./fieldTypes";
+import { getVisibleFields } from "./fieldVisibility";
+import { createLocationValue } from "./locations";
+import { MAX_MEDIA_ITEMS, readMediaItems, serializeMediaItems } from "./media";
+
+// FIELD VALUE VALIDATION
+// Turns raw text (typed or imported) into the value stored in a record, checking it against the
+// field's type, required and is_num settings and its validation rules. Every check returns an
+// error message or null.
+
+// Text accepted for checkbox values
+const BOOLEAN_TEXT = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/**
+ * Function to check whether a raw value counts as empty.
+ *
+ * @param {*} value - The raw value.
+ * @returns {boolean} - True for undefined, null, blank text or an empty list.
+ */
+export function isEmptyValue(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Function to parse location text as "latitude, longitude" or a stored { latitude, longitude } JSON string.
+ *
+ * @param {*} value - The raw location value.
+ * @returns {object|null} - { latitude, longitude } or null when it cannot be read.
+ */
+export function parseLocationText(value) {
+  if (value && typeof value === "object") {
+    return typeof value.latitude === "number" && typeof value.longitude === "number" ? value : null;
+  }
+
+  const text = String(value).trim();
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed.latitude === "number" && typeof parsed.longitude === "number") {
+      return parsed;
+    }
+  } catch (e) {
+    // Not JSON, try the "lat, lng" form below
+  }
+
+  const match = text.match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+
+  return { latitude, longitude };
+}
+
+/**
+ * Function to validate a raw value for a field and convert it to the stored form.
+ * Numbers become numbers, dropdown values are matched to the defined choices (a list of them for
+ * multi-select dropdowns), locations and media become the JSON strings the rest of the app expects.
+ *
+ * @param {object} field - The field definition.
+ * @param {*} rawValue - The raw value, usually text.
+ * @returns {object} - { value, error } where error is a message or null.
+ */
+export function coerceFieldValue(field, rawValue) {
+  if (isEmptyValue(rawValue)) {
+    return field.required
+      ? { value: "", error: `${field.name} is required` }
+      : { value: "", error: null };
+  }
+
+  const text = String(rawValue).trim();
+
+  switch (field.field_type) {
+    case "dropdown": {
+      const choices = field.options?.choices || [];
+      if (isMultiSelect(field)) {
+        const picked = readChoiceValues(rawValue);
+        const matches = picked.map(item => choices.find(choice => choice.toLowerCase() === item.toLowerCase()));
+        if (matches.includes(undefined)) {
+          return { value: picked, error: `${field.name} can only include: ${choices.join(", ")}` };
+        }
+        return { value: [...new Set(matches)], error: null };
+      }
+      const match = choices.find(choice => choice.toLowerCase() === text.toLowerCase());
+      return match !== undefined
+        ? { value: match, error: null }
+        : { value: text, error: `${field.name} must be one of: ${choices.join(", ")}` };
+    }
+
+    case "location": {
+      // Accuracy and source are kept when the location was set in the app
+      const location = parseLocationText(rawValue);
+      return location
+        ? { value: JSON.stringify(createLocationValue(location, location)), error: null }
+        : { value: text, error: `${field.name} must be coordinates like "-27.4976, 153.0129"` };
+    }
+
+    case "photo/video": {
+      const items = readMediaItems(rawValue);
+      if (items.length === 0) {
+        return { value: text, error: `${field.name} must be a photo or video URI` };
+      }
+      if (items.length > MAX_MEDIA_ITEMS) {
+        return { value: text, error: `${field.name} can hold at most ${MAX_MEDIA_ITEMS} photos and videos` };
+      }
+      const timestamp = new Date().toISOString();
+      return { value: serializeMediaItems(items.map(item => ({ timestamp, ...item }))), error: null };
+    }
+
+    case "date":
+    case "time":
+    case "datetime": {
+      const date = parseStoredDateValue(field.field_type, text);
+      const examples = { date: "2026-10-18", time: "14:30", datetime: "2026-10-18 14:30" };
+      return date
+        ? { value: toStoredDateValue(field.field_type, date), error: null }
+        : { value: text, error: `${field.name} must be a ${field.field_type === "datetime" ? "date and time" : field.field_type} like "${examples[field.field_type]}"` };
+    }
+
+    case "checkbox": {
+      const answer = BOOLEAN_TEXT[text.toLowerCase()];
+      if (answer === undefined) {
+        return { value: text, error: `${field.name} must be yes or no` };
+      }
+      // A required checkbox has to be ticked
+      return { value: answer, error: field.required && !answer ? `${field.name} must be ticked` : null };
+    }
+
+    case "rating": {
+      const max = getRatingMax(field);
+      const rating = Number(text);
+      return Number.isInteger(rating) && rating >= 1 && rating <= max
+        ? { value: rating, error: null }
+        : { value: text, error: `${field.name} must be a whole number from 1 to ${max}` };
+    }
+
+    case "number": {
+      // The unit may be typed after the number, e.g. "12.5 kg"
+      const unit = field.options?.unit;
+      const numberText = unit && text.toLowerCase().endsWith(unit.toLowerCase())
+        ? text.slice(0, -unit.length).trim()
+        : text;
+      const number = Number(numberText);
+      return numberText === "" || isNaN(number)
+        ? { value: text, error: `${field.name} must be a number` }
+        : { value: number, error: checkValidationRules(field, number) };
+    }
+
+    default:
+      if (field.is_num) {
+        const number = Number(text);
+        return isNaN(number)
+          ? { value: text, error: `${field.name} must be a number` }
+          : { value: number, error: checkValidationRules(field, number) };
+      }
+      return { value: text, error: checkValidationRules(field, text) };
+  }
+}
+
+// VALIDATION RULES
+// Optional rules are kept in a field's options as options.validation:
+// { min, max, integer, minLength, maxLength, pattern, patternMessage, unique }.
+// min, max and integer apply to numeric fields (including number fields); minLength, maxLength
+// and pattern to text.
+// unique is checked against the form's other records by the service layer (see services/app.js).
+
+// Field types that can carry validation rules
+export const VALIDATED_FIELD_TYPES = ["text", "multiline", "number"];
+
+/**
+ * Function to get the validation rules of a field.
+ *
+ * @param {object} field - The field definition.
+ * @returns {object} - The rules, empty when the field has none.
+ */
+export function getValidationRules(field) {
+  return field.options?.validation || {};
+}
+
+/**
+ * Function to list the problems with a set of validation rules, e.g. min above max or a pattern
+ * that is not a valid regular expression.
+ *
+ * @param {object} rules - The rules to check.
+ * @returns {Array<string>} - Problems, empty when the rules are usable.
+ */
+export function validateRuleSet(rules) {
+  const problems = [];
+  const isNumber = (value) => typeof value === "number" && !isNaN(value);
+
+  ["min", "max"].forEach(key => {
+    if (rules[key] !== undefined && !isNumber(rules[key])) {
+      problems.push(`${key} must be a number`);
+    }
+  });
+  ["minLength", "maxLength"].forEach(key => {
+    if (rules[key] !== undefined && !(Number.isInteger(rules[key]) && rules[key] >= 0)) {
+      problems.push(`${key} must be a whole number of 0 or more`);
+    }
+  });
+  ["integer", "unique"].forEach(key => {
+    if (rules[key] !== undefined && typeof rules[key] !== "boolean") {
+      problems.push(`${key} must be true or false`);
+    }
+  });
+
+  if (isNumber(rules.min) && isNumber(rules.max) && rules.min > rules.max) {
+    problems.push("min cannot be greater than max");
+  }
+  if (Number.isInteger(rules.minLength) && Number.isInteger(rules.maxLength) && rules.minLength > rules.maxLength) {
+    problems.push("minLength cannot be greater than maxLength");
+  }
+
+  if (rules.pattern !== undefined) {
+    try {
+      new RegExp(rules.pattern);
+    } catch (e) {
+      problems.push(`pattern is not a valid regular expression: ${e.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Function to check a non-empty, already converted value against a field's validation rules.
+ * Uniqueness is not checked here because it needs the form's other records.
+ *
+ * @param {object} field - The field definition.
+ * @param {*} value - The value as stored in a record.
+ * @returns {string|null} - An error message, or null when the value passes.
+ */
+export function checkValidationRules(field, value) {
+  const rules = getValidationRules(field);
+
+  if (field.is_num) {
+    const number = Number(value);
+    if (rules.integer && !Number.isInteger(number)) {
+      return `${field.name} must be a whole number`;
+    }
+    if (typeof rules.min === "number" && number < rules.min) {
+      return `${field.name} must be at least ${rules.min}`;
+    }
+    if (typeof rules.max === "number" && number > rules.max) {
+      return `${field.name} must be at most ${rules.max}`;
+    }
+    return null;
+  }
+
+  const text = String(value);
+  if (Number.isInteger(rules.minLength) && text.length < rules.minLength) {
+    return `${field.name} must be at least ${rules.minLength} characters`;
+  }
+  if (Number.isInteger(rules.maxLength) && text.length > rules.maxLength) {
+    return `${field.name} must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.pattern) {
+    let matches = true;
+    try {
+      matches = new RegExp(rules.pattern).test(text);
+    } catch (e) {
+      // An unusable pattern is reported when the field is defined, not on every record
+    }
+    if (!matches) {
+      return rules.patternMessage || `${field.name} is not in the expected format`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Function to check the values of a record as they will be stored: required fields, numbers in
+ * numeric fields and each field's validation rules. Fields hidden by their visibility rule are skipped.
+ *
+ * @param {Array} fields - The form's field definitions.
+ * @param {object} values - The record's values.
+ * @returns {object} - Error messages keyed by field name, empty when every value passes.
+ */
+export function validateRecordValues(fields, values) {
+  const errors = {};
+
+  getVisibleFields(fields, values).forEach(field => {
+    const value = values[field.name];
+    if (isEmptyValue(value)) {
+      if (field.required) errors[field.name] = `${field.name} is required`;
+      return;
+    }
+    if (field.is_num && isNaN(Number(value))) {
+      errors[field.name] = `${field.name} must be a number`;
+      return;
+    }
+    if (DATE_TYPES.includes(field.field_type) || ["checkbox", "rating"].includes(field.field_type)) {
+      const { error } = coerceFieldValue(field, value);
+      if (error) errors[field.name] = error;
+      return;
+    }
+    if (VALIDATED_FIELD_TYPES.includes(field.field_type)) {
+      const error = checkValidationRules(field, value);
+      if (error) errors[field.name] = error;
+    }
+  });
+
+  return errors;
+}
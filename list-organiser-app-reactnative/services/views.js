@@ -0,0 +1,204 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getFormById, getStorageBackend, updateForm } from "./app";
+
+// SAVED VIEWS
+// A view is a named set of filters, a sort order and the visible columns for a form's records.
+// Views are saved with the form, in its options.views, so they follow the form to every device
+// and a ?view=<id> link opens the same view wherever the form can be opened.
+// Shape: { id, name, filters, sort: { field, direction } | null, visibleColumns: [names] | null }
+// where visibleColumns null means every column is shown.
+
+// Device preferences for one form live under this prefix, followed by the backend and form ID.
+// Views were kept here too before they moved onto the form.
+const VIEWS_KEY_PREFIX = "@formbase/views";
+
+const viewsKey = (formId) => `${VIEWS_KEY_PREFIX}/${getStorageBackend()}/${formId}`;
+
+const writeViews = async (form, views) => {
+  await updateForm(form.id, { options: { ...(form.options || {}), views } });
+  return views;
+};
+
+// Reads a form and its saved views. Views an older version kept on this device are moved onto the
+// form the first time it is read
+const readViews = async (formId) => {
+  const [form] = await getFormById(formId);
+  if (!form) {
+    throw new Error("Form not found.");
+  }
+  const views = Array.isArray(form.options?.views) ? form.options.views : [];
+
+  const raw = await AsyncStorage.getItem(viewsKey(formId));
+  if (!raw) return { form, views };
+
+  const deviceViews = JSON.parse(raw).filter(local => !views.some(view => view.id === local.id));
+  const merged = deviceViews.length > 0 ? await writeViews(form, [...views, ...deviceViews]) : views;
+  await AsyncStorage.removeItem(viewsKey(formId));
+  return { form, views: merged };
+};
+
+/**
+ * Function to get the saved views of a form.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @returns {Promise<Array>} - Saved views in the order they were created.
+ */
+export async function getFormViews(formId) {
+  const { views } = await readViews(formId);
+  return views;
+}
+
+/**
+ * Function to get one saved view of a form.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {string} viewId - The ID of the view.
+ * @returns {Promise<object|null>} - The view, or null when it does not exist.
+ */
+export async function getFormViewById(formId, viewId) {
+  const views = await getFormViews(formId);
+  return views.find(view => view.id === viewId) || null;
+}
+
+/**
+ * Function to save a view for a form. A view with an id replaces the saved view with that id,
+ * otherwise a new view is added.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {object} view - The view to save.
+ * @returns {Promise<object>} - The saved view, with its id.
+ * @throws Will throw an error if the name is empty or used by another view of the form.
+ */
+export async function saveFormView(formId, view) {
+  const name = view.name?.trim();
+  if (!name) {
+    throw new Error("Please enter a name for the view.");
+  }
+
+  const { form, views } = await readViews(formId);
+  if (views.some(saved => saved.id !== view.id && saved.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A view called "${name}" already exists.`);
+  }
+
+  const saved = {
+    id: view.id || `${Date.now()}`,
+    name,
+    filters: view.filters || [],
+    sort: view.sort || null,
+    visibleColumns: view.visibleColumns || null,
+  };
+
+  const exists = views.some(existing => existing.id === saved.id);
+  await writeViews(form, exists
+    ? views.map(existing => (existing.id === saved.id ? saved : existing))
+    : [...views, saved]);
+
+  return saved;
+}
+
+/**
+ * Function to delete a saved view.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {string} viewId - The ID of the view to delete.
+ * @returns {Promise<Array>} - The remaining views.
+ */
+export async function deleteFormView(formId, viewId) {
+  const { form, views } = await readViews(formId);
+  return writeViews(form, views.filter(view => view.id !== viewId));
+}
+
+/**
+ * Function to point a form's saved views, and its remembered sort, at a renamed field.
+ * Filters on a location's name use the "<field> Name" key, which is renamed with it.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {string} oldName - The field's previous name.
+ * @param {string} newName - The field's new name.
+ * @returns {Promise<number>} - Number of views that were updated.
+ */
+export async function renameFieldInViews(formId, oldName, newName) {
+  const renames = new Map([[oldName, newName], [`${oldName} Name`, `${newName} Name`]]);
+  const rename = (key) => renames.get(key) ?? key;
+
+  const sort = await getFormSort(formId);
+  if (sort && renames.has(sort.field)) {
+    await saveFormSort(formId, { ...sort, field: rename(sort.field) });
+  }
+
+  const { form, views } = await readViews(formId);
+  const usesField = (view) => view.filters.some(filter => renames.has(filter.field))
+    || renames.has(view.sort?.field)
+    || Boolean(view.visibleColumns?.includes(oldName));
+  const changed = views.filter(usesField);
+  if (changed.length === 0) return 0;
+
+  await writeViews(form, views.map(view => (usesField(view) ? {
+    ...view,
+    filters: view.filters.map(filter => ({ ...filter, field: rename(filter.field) })),
+    sort: view.sort ? { ...view.sort, field: rename(view.sort.field) } : null,
+    visibleColumns: view.visibleColumns ? view.visibleColumns.map(rename) : null,
+  } : view)));
+  return changed.length;
+}
+
+// SORT PREFERENCE
+// The sort chosen on the records screen is remembered per form on this device
+
+const sortKey = (formId) => `${VIEWS_KEY_PREFIX}/${getStorageBackend()}/${formId}/sort`;
+
+/**
+ * Function to get the remembered sort order of a form's records.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @returns {Promise<object|null>} - { field, direction }, or null for the default order.
+ */
+export async function getFormSort(formId) {
+  const raw = await AsyncStorage.getItem(sortKey(formId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Function to remember the sort order of a form's records.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {object|null} sort - { field, direction }, or null to go back to the default order.
+ * @returns {Promise<void>}
+ */
+export async function saveFormSort(formId, sort) {
+  if (sort?.field) {
+    await AsyncStorage.setItem(sortKey(formId), JSON.stringify(sort));
+  } else {
+    await AsyncStorage.removeItem(sortKey(formId));
+  }
+}
+
+// RECORD LAYOUT
+// Whether the records screen shows cards or the table, remembered per form
+
+const layoutKey = (formId) => `${VIEWS_KEY_PREFIX}/${getStorageBackend()}/${formId}/layout`;
+
+// Layouts the records screen can show
+export const RECORD_LAYOUTS = ["cards", "table"];
+
+/**
+ * Function to get the remembered layout of a form's records screen.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @returns {Promise<string>} - "cards" or "table", "cards" when nothing was chosen yet.
+ */
+export async function getFormLayout(formId) {
+  const layout = await AsyncStorage.getItem(layoutKey(formId));
+  return RECORD_LAYOUTS.includes(layout) ? layout : "cards";
+}
+
+/**
+ * Function to remember the layout of a form's records screen.
+ *
+ * @param {number|string} formId - The ID of the form.
+ * @param {string} layout - "cards" or "table".
+ * @returns {Promise<void>}
+ */
+export async function saveFormLayout(formId, layout) {
+  await AsyncStorage.setItem(layoutKey(formId), layout);
+}